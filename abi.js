@@ -0,0 +1,607 @@
+/**
+ * Minimal ABI fragments for the contracts in this repo.
+ *
+ * These mirror `contracts/*.sol` so the JS tooling can talk to deployed
+ * contracts without a `tronbox compile` step. Keep them in sync when a
+ * contract's external surface changes.
+ */
+
+const input = (name, type) => ({ name, type });
+
+// `Vault.Leg` of `sendBatch` / `relayBatch`
+const legs = {
+  name: "legs",
+  type: "tuple[]",
+  internalType: "struct Vault.Leg[]",
+  components: [input("token", "address"), input("to", "address"), input("amount", "uint256"), input("fee", "uint256")],
+};
+
+// `Vault.AllowanceRule` of `setAllowance`
+const allowanceRule = {
+  name: "rule",
+  type: "tuple",
+  internalType: "struct Vault.AllowanceRule",
+  components: [
+    input("token", "address"),
+    input("payee", "address"),
+    input("maxAmount", "uint256"),
+    input("maxFee", "uint256"),
+    input("relayer", "address"),
+    input("entryPoint", "address"),
+    input("period", "uint256"),
+    input("start", "uint256"),
+    input("expiry", "uint256"),
+  ],
+};
+
+// `Vault.Allowance` returned by `allowance`
+const allowance = {
+  name: "",
+  type: "tuple",
+  internalType: "struct Vault.Allowance",
+  components: [
+    input("token", "address"),
+    input("revoked", "bool"),
+    input("payee", "address"),
+    input("maxAmount", "uint256"),
+    input("maxFee", "uint256"),
+    input("relayer", "address"),
+    input("entryPoint", "address"),
+    input("period", "uint256"),
+    input("start", "uint256"),
+    input("expiry", "uint256"),
+    input("lastPeriod", "uint256"),
+    input("spent", "uint256"),
+    input("feeSpent", "uint256"),
+    input("epoch", "uint256"),
+  ],
+};
+
+const VAULT_ABI = [
+  {
+    type: "receive",
+    stateMutability: "payable",
+  },
+  {
+    type: "function",
+    name: "owner",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "nonce",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "uint256")],
+  },
+  {
+    type: "function",
+    name: "factory",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "send",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("token", "address"),
+      input("to", "address"),
+      input("amount", "uint256"),
+      input("feeRecipient", "address"),
+      input("fee", "uint256"),
+      input("deadline", "uint256"),
+      input("sig", "bytes"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "sendTyped",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("token", "address"),
+      input("to", "address"),
+      input("amount", "uint256"),
+      input("feeRecipient", "address"),
+      input("fee", "uint256"),
+      input("deadline", "uint256"),
+      input("sig", "bytes"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "sendBatch",
+    stateMutability: "nonpayable",
+    inputs: [legs, input("feeRecipient", "address"), input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "guardian",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "recoveryDelay",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "uint256")],
+  },
+  {
+    type: "function",
+    name: "pendingRecovery",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("newOwner", "address"), input("executableAt", "uint256")],
+  },
+  {
+    type: "function",
+    name: "cancelNonces",
+    stateMutability: "nonpayable",
+    inputs: [input("newNonce", "uint256"), input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "transferOwnership",
+    stateMutability: "nonpayable",
+    inputs: [input("newOwner", "address"), input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "setGuardian",
+    stateMutability: "nonpayable",
+    inputs: [input("_guardian", "address"), input("delay", "uint256"), input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "initiateRecovery",
+    stateMutability: "nonpayable",
+    inputs: [input("newOwner", "address")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "cancelRecovery",
+    stateMutability: "nonpayable",
+    inputs: [],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "executeRecovery",
+    stateMutability: "nonpayable",
+    inputs: [],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "setAllowance",
+    stateMutability: "nonpayable",
+    inputs: [allowanceRule, input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [input("id", "uint256")],
+  },
+  {
+    type: "function",
+    name: "revokeAllowance",
+    stateMutability: "nonpayable",
+    inputs: [input("id", "uint256"), input("deadline", "uint256"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "spendAllowance",
+    stateMutability: "nonpayable",
+    inputs: [input("id", "uint256"), input("amount", "uint256"), input("relayer", "address"), input("fee", "uint256")],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "allowanceCount",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "uint256")],
+  },
+  {
+    type: "function",
+    name: "allowance",
+    stateMutability: "view",
+    inputs: [input("id", "uint256")],
+    outputs: [allowance],
+  },
+  {
+    type: "function",
+    name: "allowanceAvailable",
+    stateMutability: "view",
+    inputs: [input("id", "uint256")],
+    outputs: [input("amount", "uint256"), input("fee", "uint256")],
+  },
+  {
+    type: "function",
+    name: "domainSeparator",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "bytes32")],
+  },
+  {
+    type: "event",
+    name: "TokenSent",
+    anonymous: false,
+    inputs: [
+      { ...input("token", "address"), indexed: true },
+      { ...input("to", "address"), indexed: true },
+      { ...input("amount", "uint256"), indexed: false },
+      { ...input("feeRecipient", "address"), indexed: false },
+      { ...input("fee", "uint256"), indexed: false },
+      { ...input("deadline", "uint256"), indexed: false },
+      { ...input("nonce", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "BatchSent",
+    anonymous: false,
+    inputs: [
+      { ...input("nonce", "uint256"), indexed: true },
+      { ...input("legs", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "NoncesCancelled",
+    anonymous: false,
+    inputs: [
+      { ...input("fromNonce", "uint256"), indexed: false },
+      { ...input("toNonce", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "OwnershipTransferred",
+    anonymous: false,
+    inputs: [
+      { ...input("previousOwner", "address"), indexed: true },
+      { ...input("newOwner", "address"), indexed: true },
+    ],
+  },
+  {
+    type: "event",
+    name: "GuardianSet",
+    anonymous: false,
+    inputs: [
+      { ...input("guardian", "address"), indexed: true },
+      { ...input("delay", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "RecoveryInitiated",
+    anonymous: false,
+    inputs: [
+      { ...input("guardian", "address"), indexed: true },
+      { ...input("newOwner", "address"), indexed: true },
+      { ...input("executableAt", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "RecoveryCancelled",
+    anonymous: false,
+    inputs: [{ ...input("newOwner", "address"), indexed: true }],
+  },
+  {
+    type: "event",
+    name: "AllowanceSet",
+    anonymous: false,
+    inputs: [
+      { ...input("id", "uint256"), indexed: true },
+      { ...input("token", "address"), indexed: true },
+      { ...input("payee", "address"), indexed: true },
+      { ...input("maxAmount", "uint256"), indexed: false },
+      { ...input("maxFee", "uint256"), indexed: false },
+      { ...input("relayer", "address"), indexed: false },
+      { ...input("period", "uint256"), indexed: false },
+      { ...input("start", "uint256"), indexed: false },
+      { ...input("expiry", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "AllowanceSpent",
+    anonymous: false,
+    inputs: [
+      { ...input("id", "uint256"), indexed: true },
+      { ...input("payee", "address"), indexed: true },
+      { ...input("amount", "uint256"), indexed: false },
+      { ...input("relayer", "address"), indexed: false },
+      { ...input("fee", "uint256"), indexed: false },
+      { ...input("periodIndex", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "AllowanceRevoked",
+    anonymous: false,
+    inputs: [{ ...input("id", "uint256"), indexed: true }],
+  },
+];
+
+const FACTORY_ABI = [
+  {
+    type: "function",
+    name: "implementation",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "create2Prefix",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "bytes1")],
+  },
+  {
+    type: "function",
+    name: "nonces",
+    stateMutability: "view",
+    inputs: [input("", "address")],
+    outputs: [input("", "uint64")],
+  },
+  {
+    type: "function",
+    name: "deploy",
+    stateMutability: "nonpayable",
+    inputs: [input("owner", "address")],
+    outputs: [input("vault", "address")],
+  },
+  {
+    type: "function",
+    name: "computeAddress",
+    stateMutability: "view",
+    inputs: [input("owner", "address")],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "computeAddress",
+    stateMutability: "view",
+    inputs: [input("owner", "address"), input("nonce", "uint64")],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "isDeployed",
+    stateMutability: "view",
+    inputs: [input("owner", "address")],
+    outputs: [input("", "bool")],
+  },
+  {
+    type: "function",
+    name: "isDeployed",
+    stateMutability: "view",
+    inputs: [input("owner", "address"), input("nonce", "uint64")],
+    outputs: [input("", "bool")],
+  },
+  {
+    type: "function",
+    name: "isComputedDeployed",
+    stateMutability: "view",
+    inputs: [input("computedAddress", "address")],
+    outputs: [input("", "bool")],
+  },
+  {
+    type: "function",
+    name: "incrementNonce",
+    stateMutability: "nonpayable",
+    inputs: [input("owner", "address"), input("sig", "bytes")],
+    outputs: [],
+  },
+  {
+    type: "event",
+    name: "VaultDeployed",
+    anonymous: false,
+    inputs: [
+      { ...input("owner", "address"), indexed: true },
+      { ...input("nonce", "uint64"), indexed: true },
+      { ...input("vault", "address"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "VaultNonceIncremented",
+    anonymous: false,
+    inputs: [
+      { ...input("owner", "address"), indexed: true },
+      { ...input("oldNonce", "uint64"), indexed: true },
+      { ...input("newNonce", "uint64"), indexed: false },
+    ],
+  },
+];
+
+const ENTRYPOINT_ABI = [
+  {
+    type: "function",
+    name: "factory",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [input("", "address")],
+  },
+  {
+    type: "function",
+    name: "relay",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("owner", "address"),
+      input("token", "address"),
+      input("to", "address"),
+      input("amount", "uint256"),
+      input("feeRecipient", "address"),
+      input("fee", "uint256"),
+      input("deadline", "uint256"),
+      input("sig", "bytes"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "relayTyped",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("owner", "address"),
+      input("token", "address"),
+      input("to", "address"),
+      input("amount", "uint256"),
+      input("feeRecipient", "address"),
+      input("fee", "uint256"),
+      input("deadline", "uint256"),
+      input("sig", "bytes"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "relayBatch",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("owner", "address"),
+      legs,
+      input("feeRecipient", "address"),
+      input("deadline", "uint256"),
+      input("sig", "bytes"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "relayMany",
+    stateMutability: "nonpayable",
+    inputs: [
+      {
+        name: "intents",
+        type: "tuple[]",
+        internalType: "struct EntryPoint.Intent[]",
+        components: [
+          input("owner", "address"),
+          input("token", "address"),
+          input("to", "address"),
+          input("amount", "uint256"),
+          input("feeRecipient", "address"),
+          input("fee", "uint256"),
+          input("deadline", "uint256"),
+          input("sig", "bytes"),
+          input("typed", "bool"),
+        ],
+      },
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "relayAllowance",
+    stateMutability: "nonpayable",
+    inputs: [
+      input("owner", "address"),
+      input("id", "uint256"),
+      input("amount", "uint256"),
+      input("fee", "uint256"),
+    ],
+    outputs: [],
+  },
+  {
+    type: "event",
+    name: "AllowanceRelayed",
+    anonymous: false,
+    inputs: [
+      { ...input("relayer", "address"), indexed: true },
+      { ...input("owner", "address"), indexed: true },
+      { ...input("id", "uint256"), indexed: true },
+      { ...input("vault", "address"), indexed: false },
+      { ...input("amount", "uint256"), indexed: false },
+      { ...input("fee", "uint256"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "IntentRelayed",
+    anonymous: false,
+    inputs: [
+      { ...input("index", "uint256"), indexed: true },
+      { ...input("owner", "address"), indexed: true },
+      { ...input("vault", "address"), indexed: false },
+      { ...input("success", "bool"), indexed: false },
+      { ...input("reason", "bytes"), indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "MetaTransactionExecuted",
+    anonymous: false,
+    inputs: [
+      { ...input("relayer", "address"), indexed: true },
+      { ...input("owner", "address"), indexed: true },
+      { ...input("vault", "address"), indexed: false },
+      { ...input("token", "address"), indexed: false },
+      { ...input("to", "address"), indexed: false },
+      { ...input("amount", "uint256"), indexed: false },
+      { ...input("feeRecipient", "address"), indexed: false },
+      { ...input("fee", "uint256"), indexed: false },
+      { ...input("deadline", "uint256"), indexed: false },
+    ],
+  },
+];
+
+const TRC20_ABI = [
+  {
+    type: "function",
+    name: "balanceOf",
+    stateMutability: "view",
+    inputs: [input("", "address")],
+    outputs: [input("", "uint256")],
+  },
+  {
+    type: "function",
+    name: "transfer",
+    stateMutability: "nonpayable",
+    inputs: [input("recipient", "address"), input("amount", "uint256")],
+    outputs: [input("", "bool")],
+  },
+  {
+    type: "event",
+    name: "Transfer",
+    anonymous: false,
+    inputs: [
+      { ...input("from", "address"), indexed: true },
+      { ...input("to", "address"), indexed: true },
+      { ...input("value", "uint256"), indexed: false },
+    ],
+  },
+];
+
+// `IERC1271` of contract owners, see `contracts/Vault.sol`
+const ERC1271_ABI = [
+  {
+    type: "function",
+    name: "isValidSignature",
+    stateMutability: "view",
+    inputs: [input("hash", "bytes32"), input("signature", "bytes")],
+    outputs: [input("", "bytes4")],
+  },
+];
+
+module.exports = {
+  VAULT_ABI,
+  FACTORY_ABI,
+  ENTRYPOINT_ABI,
+  TRC20_ABI,
+  ERC1271_ABI,
+};
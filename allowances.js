@@ -0,0 +1,320 @@
+const { EventEmitter } = require("events");
+
+const { fetchVaultState, fetchAllowance } = require("./chain");
+const { revertError } = require("./errors");
+const { SELECTORS } = require("./estimate");
+const { signSetAllowance, signRevokeAllowance } = require("./signing");
+const { createTxTracker, contractTransaction, CONFIRMED, EXPIRED } = require("./tracker");
+const { toEvmAddress, toUint256, getEpoch } = require("./utils");
+
+const ALLOWANCE_RULE_TYPE = "(address,address,uint256,uint256,address,address,uint256,uint256,uint256)";
+
+async function confirm(tracker, build, what) {
+  const receipt = await tracker.send(build);
+  if (receipt.status === EXPIRED) throw Object.assign(new Error(`${what} expired`), { txid: receipt.txid });
+  if (receipt.status !== CONFIRMED) {
+    throw Object.assign(revertError(receipt.revert || receipt.result), { txid: receipt.txid });
+  }
+  return receipt;
+}
+
+// The owner's current vault, deployed first if needed since owner actions need its code
+async function deployedVault(tronWeb, factory, owner, tracker) {
+  const state = await fetchVaultState(tronWeb, factory, owner);
+  if (!state.deployed) {
+    await confirm(tracker, contractTransaction(tronWeb, {
+      contract: factory,
+      selector: SELECTORS.deploy,
+      params: [{ type: "address", value: owner }],
+    }), "Vault deployment");
+  }
+  return state;
+}
+
+/**
+ * Lets a payee be paid up to `maxAmount` of a token every `period` seconds from the owner's
+ * current vault, without further signatures: the owner signs the rule once with
+ * `Vault.setAllowance`, and the relayer it names then executes the payments, with
+ * `EntryPoint.relayAllowance` when the rule names an EntryPoint. Nobody else can trigger a
+ * payment or collect its fee. An undeployed vault is deployed first.
+ *
+ * @param {string} owner - vault owner, any address form
+ * @param {object} rule
+ * @param {string} rule.token - TRC20 address or "TRX"
+ * @param {string} rule.payee - recipient of every payment
+ * @param {bigint|number|string} rule.maxAmount - amount the payee may receive per period
+ * @param {bigint|number|string} [rule.maxFee] - relay fee, on top of the payments, per period; 0 by default
+ * @param {string} rule.relayer - the only account that executes payments, and the one the fees go to
+ * @param {string} [rule.entryPoint] - EntryPoint the relayer calls through, e.g. the scheduler's; without
+ *   one the relayer calls `Vault.spendAllowance` itself
+ * @param {bigint|number|string} rule.period - period length in seconds
+ * @param {bigint|number|string} [rule.start] - unix time the first period starts, now by default
+ * @param {bigint|number|string} rule.expiry - unix time after which nothing can be paid
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance paying for the transactions
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {number} [options.ttl] - seconds the signature stays valid
+ * @param {bigint|number|string} [options.chainId] - fetched with `tronWeb` when omitted
+ * @param {string} [options.currentOwner] - owner of a vault whose ownership was transferred
+ * @param {object} [options.tracker] - see `createTxTracker`, one polling every 3 s by default
+ * @returns {Promise<{vault: string, id: string, deployed: boolean, allowance: object, txid: string, blockNumber: number}>}
+ *   `allowance` is the signed rule with decimal strings
+ * @throws {RevertError} when `setAllowance` reverts, e.g. with `Vault: invalid allowance`
+ */
+async function createAllowance(owner, rule, {
+  tronWeb,
+  factory,
+  privateKey,
+  signer,
+  ttl = 600,
+  chainId,
+  currentOwner,
+  tracker = createTxTracker({ tronWeb, pollInterval: 3000 }),
+}) {
+  owner = toEvmAddress(owner);
+  const state = await deployedVault(tronWeb, factory, owner, tracker);
+
+  const { allowance, args } = await signSetAllowance({
+    ...rule,
+    start: rule.start ?? getEpoch(),
+    owner,
+    vault: state.vault,
+    nonce: state.nonce,
+    deadline: getEpoch() + ttl,
+  }, { privateKey, signer, chainId, tronWeb, currentOwner });
+
+  const receipt = await confirm(tracker, contractTransaction(tronWeb, {
+    contract: state.vault,
+    selector: SELECTORS.setAllowance,
+    params: [
+      { type: ALLOWANCE_RULE_TYPE, value: args[0] },
+      { type: "uint256", value: args[1] },
+      { type: "bytes", value: args[2] },
+    ],
+  }), "Allowance");
+
+  const event = (receipt.events || []).find(e => e.event === "AllowanceSet");
+  return {
+    vault: state.vault,
+    id: event ? toUint256(event.args.id, "id").toString() : null,
+    deployed: !state.deployed,
+    allowance: {
+      token: allowance.token,
+      payee: allowance.payee,
+      maxAmount: allowance.maxAmount.toString(),
+      maxFee: allowance.maxFee.toString(),
+      relayer: allowance.relayer,
+      entryPoint: allowance.entryPoint,
+      period: allowance.period.toString(),
+      start: allowance.start.toString(),
+      expiry: allowance.expiry.toString(),
+    },
+    txid: receipt.txid,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/**
+ * Revokes an allowance of the owner's current vault with `Vault.revokeAllowance`. Payments
+ * already made stay made; none can be executed afterwards.
+ *
+ * @param {string} owner - vault owner, any address form
+ * @param {bigint|number|string} id - allowance id, see `createAllowance`
+ * @param {object} options - see `createAllowance`
+ * @returns {Promise<{vault: string, id: string, txid: string, blockNumber: number}>}
+ * @throws {RevertError} when `revokeAllowance` reverts, e.g. with `Vault: unknown allowance`
+ */
+async function revokeAllowance(owner, id, {
+  tronWeb,
+  factory,
+  privateKey,
+  signer,
+  ttl = 600,
+  chainId,
+  currentOwner,
+  tracker = createTxTracker({ tronWeb, pollInterval: 3000 }),
+}) {
+  owner = toEvmAddress(owner);
+  const state = await fetchVaultState(tronWeb, factory, owner);
+  if (!state.deployed) throw revertError("Vault: unknown allowance");
+
+  const { revoke, args } = await signRevokeAllowance({
+    id,
+    owner,
+    vault: state.vault,
+    nonce: state.nonce,
+    deadline: getEpoch() + ttl,
+  }, { privateKey, signer, chainId, tronWeb, currentOwner });
+
+  const receipt = await confirm(tracker, contractTransaction(tronWeb, {
+    contract: state.vault,
+    selector: SELECTORS.revokeAllowance,
+    params: [
+      { type: "uint256", value: args[0] },
+      { type: "uint256", value: args[1] },
+      { type: "bytes", value: args[2] },
+    ],
+  }), "Allowance revocation");
+
+  return { vault: state.vault, id: revoke.id.toString(), txid: receipt.txid, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Creates a scheduler that executes due allowance payments through `EntryPoint.relayAllowance`.
+ * A payment is due while its allowance has `amount` left in the current period; without an
+ * `amount` it takes everything left, so it is paid once per period. The contract enforces the
+ * caps either way. Only allowances naming `tronWeb`'s account as relayer and `entryPoint` as
+ * EntryPoint can be paid; the fees go to that account.
+ *
+ * Emits `payment` for every confirmed payment and `failure` for every one that reverted or
+ * expired; errors of a started scheduler's polls are emitted as `error`.
+ *
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance holding the relayer key, see `createAllowance`
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {string} options.factory - VaultFactory address
+ * @param {Array<{owner: string, id: bigint|number|string, amount?: bigint|number|string, fee?: bigint|number|string}>} options.payments
+ *   allowances to execute; `amount` defaults to what is left in the period, `fee` to `options.fee`
+ * @param {bigint|number|string} [options.fee] - fee taken from each payment, 0 by default
+ * @param {number} [options.feeLimit] - fee limit per payment, in sun
+ * @param {number} [options.pollInterval] - ms between polls once started
+ * @param {object} [options.tracker] - see `createTxTracker`, one polling every 3 s by default
+ * @returns {EventEmitter & {poll: Function, start: Function, stop: Function}}
+ */
+function createAllowanceScheduler({
+  tronWeb,
+  entryPoint,
+  factory,
+  payments,
+  fee = 0,
+  feeLimit = 100_000_000,
+  pollInterval = 60_000,
+  tracker = createTxTracker({ tronWeb, pollInterval: 3000 }),
+}) {
+  const scheduler = new EventEmitter();
+  entryPoint = toEvmAddress(entryPoint);
+  const relayer = toEvmAddress(tronWeb.defaultAddress.hex);
+  const defaultFee = toUint256(fee, "fee");
+  payments = payments.map(p => ({
+    owner: toEvmAddress(p.owner),
+    id: toUint256(p.id, "id"),
+    amount: p.amount === undefined ? null : toUint256(p.amount, "amount"),
+    fee: p.fee === undefined ? defaultFee : toUint256(p.fee, "fee"),
+  }));
+
+  let timer = null;
+  let running = false;
+
+  // The payment to make now, or a skip reason
+  async function prepare(payment) {
+    const state = await fetchVaultState(tronWeb, factory, payment.owner);
+    const base = { owner: payment.owner, vault: state.vault, id: payment.id.toString() };
+    if (!state.deployed) return { skip: { ...base, reason: "vault not deployed" } };
+
+    const allowance = await fetchAllowance(tronWeb, state.vault, payment.id);
+    if (allowance.relayer !== relayer || allowance.entryPoint !== entryPoint) {
+      return { skip: { ...base, reason: "not the relayer" } };
+    }
+    const amount = payment.amount ?? allowance.available;
+    if (allowance.available === 0n || amount > allowance.available) return { skip: { ...base, reason: "not due" } };
+    if (payment.fee > allowance.availableFee) return { skip: { ...base, reason: "fee cap reached" } };
+
+    return {
+      entry: {
+        ...base,
+        token: allowance.token,
+        payee: allowance.payee,
+        amount: amount.toString(),
+        fee: payment.fee.toString(),
+      },
+    };
+  }
+
+  async function execute(payment, entry) {
+    const receipt = await tracker.send(contractTransaction(tronWeb, {
+      contract: entryPoint,
+      selector: SELECTORS.relayAllowance,
+      params: [
+        { type: "address", value: payment.owner },
+        { type: "uint256", value: entry.id },
+        { type: "uint256", value: entry.amount },
+        { type: "uint256", value: entry.fee },
+      ],
+      feeLimit,
+    }));
+    if (receipt.status === CONFIRMED) return { ...entry, txid: receipt.txid, blockNumber: receipt.blockNumber };
+    const error = receipt.status === EXPIRED ? "payment expired" : receipt.revert || receipt.result;
+    return { ...entry, txid: receipt.txid, error, failed: true };
+  }
+
+  /**
+   * Checks every allowance once and executes the payments that are due.
+   * @returns {Promise<{paid: object[], skipped: object[], failed: object[]}>}
+   */
+  async function poll() {
+    const report = { paid: [], skipped: [], failed: [] };
+
+    for (const payment of payments) {
+      let prepared;
+      try {
+        prepared = await prepare(payment);
+      } catch (err) {
+        report.failed.push({ owner: payment.owner, id: payment.id.toString(), error: err.message });
+        continue;
+      }
+      if (prepared.skip) {
+        report.skipped.push(prepared.skip);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await execute(payment, prepared.entry);
+      } catch (err) {
+        result = { ...prepared.entry, txid: err.txid || null, error: err.message, failed: true };
+      }
+      if (result.failed) {
+        const { failed, ...entry } = result;
+        report.failed.push(entry);
+        scheduler.emit("failure", entry);
+      } else {
+        report.paid.push(result);
+        scheduler.emit("payment", result);
+      }
+    }
+
+    return report;
+  }
+
+  async function loop() {
+    try {
+      await poll();
+    } catch (err) {
+      if (scheduler.listenerCount("error") > 0) scheduler.emit("error", err);
+    }
+    if (running) timer = setTimeout(loop, pollInterval);
+  }
+
+  scheduler.poll = poll;
+  scheduler.start = () => {
+    if (running) return scheduler;
+    running = true;
+    loop();
+    return scheduler;
+  };
+  scheduler.stop = () => {
+    running = false;
+    clearTimeout(timer);
+    return scheduler;
+  };
+
+  return scheduler;
+}
+
+module.exports = {
+  createAllowance,
+  revokeAllowance,
+  createAllowanceScheduler,
+};
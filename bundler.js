@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+
+const { decodeRevertReason } = require("./chain");
+const { RevertError, revertError } = require("./errors");
+const { tronWebEstimateClient, getEnergyPrice, simulate, withCost, relayManyParams, SELECTORS } = require("./estimate");
+const { simulateRelay, sendRevertContext } = require("./preflight");
+const { createTxTracker, contractTransaction, CONFIRMED, EXPIRED } = require("./tracker");
+const { normalizeSignedIntent, isTypedIntent, toRelayArgs } = require("./signing");
+const { toEvmAddress, getEpoch } = require("./utils");
+
+/**
+ * Creates a bundler that packs queued send intents of many owners into
+ * `EntryPoint.relayMany` transactions, so they share one transaction's overhead.
+ *
+ * Every intent is dry-run on its own first; one that would revert is rejected instead
+ * of being bundled. Intents are then taken in queue order until the bundle would need
+ * more than `energyBudget`, measured with a dry run of the bundle itself. A bundle
+ * holds one intent per owner: a later intent's nonce only becomes valid once the
+ * earlier one landed, so it waits for the next bundle.
+ *
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance holding the relayer key
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {string} options.factory - VaultFactory address the EntryPoint uses
+ * @param {object} [options.client] - constant-call client for the dry runs, see `tronWebEstimateClient`
+ * @param {number} [options.energyBudget] - energy one bundle may use at most
+ * @param {number} [options.maxIntents] - intents per bundle at most
+ * @param {number} [options.margin] - fraction added on top of the bundle's energy for its `feeLimit`
+ * @param {number} [options.pollInterval] - ms before the first `getTransactionInfo` poll
+ * @param {number} [options.confirmTimeout] - ms to wait for a bundle to be mined
+ * @param {number} [options.confirmations] - blocks on top of a bundle before it counts as confirmed
+ * @param {() => number} [options.now] - unix-seconds clock, only used for error fields
+ */
+function createBundler({
+  tronWeb,
+  entryPoint,
+  factory,
+  client = tronWeb && tronWebEstimateClient(tronWeb),
+  energyBudget = 3_000_000,
+  maxIntents = 50,
+  margin = 0.2,
+  pollInterval = 3000,
+  confirmTimeout = 60_000,
+  confirmations = 0,
+  now = getEpoch,
+}) {
+  if (!tronWeb) throw new Error("Bundler: tronWeb is required");
+  entryPoint = toEvmAddress(entryPoint);
+  factory = toEvmAddress(factory);
+  const tracker = createTxTracker({ tronWeb, pollInterval, timeout: confirmTimeout, confirmations, resendExpired: true });
+
+  // { id, intent } in arrival order
+  let queue = [];
+
+  /**
+   * Queues a signed intent.
+   * @param {object} body - owner, token, to, amount, feeRecipient, fee, deadline, nonce, signature,
+   *   and vault and chainId for typed intents
+   * @returns {string} id the intent is reported under
+   */
+  function add(body) {
+    const entry = { id: crypto.randomUUID(), intent: normalizeSignedIntent(body) };
+    queue.push(entry);
+    return entry.id;
+  }
+
+  /**
+   * @returns {string[]} ids of the intents still queued
+   */
+  function pending() {
+    return queue.map(entry => entry.id);
+  }
+
+  function relayArgs(entries) {
+    return relayManyParams(entries.map(({ intent }) => ({
+      args: toRelayArgs(intent, intent.signature),
+      typed: isTypedIntent(intent),
+    })));
+  }
+
+  async function simulateBundle(entries) {
+    return simulate(client, {
+      contract: entryPoint,
+      selector: SELECTORS.relayMany,
+      params: relayArgs(entries),
+      from: tronWeb.defaultAddress.hex,
+    });
+  }
+
+  function rejection(entry, err) {
+    const revert = err instanceof RevertError ? { revert: err.reason, fields: err.fields } : {};
+    return { id: entry.id, error: err.message, ...revert };
+  }
+
+  /**
+   * Picks the next bundle from the queue without sending it. Rejected intents leave
+   * the queue; bundled and deferred ones stay in it.
+   * @returns {Promise<{entries: object[], energy: number, rejected: object[]}>}
+   */
+  async function plan() {
+    const entries = [];
+    const rejected = [];
+    const owners = new Set();
+    let energy = 0;
+
+    for (const entry of queue.slice()) {
+      if (entries.length >= maxIntents) break;
+      if (owners.has(entry.intent.owner)) continue;
+
+      let simulation;
+      try {
+        simulation = await simulateRelay({
+          client,
+          tronWeb,
+          factory,
+          entryPoint,
+          intent: entry.intent,
+          signature: entry.intent.signature,
+          from: tronWeb.defaultAddress.hex,
+          now,
+        });
+      } catch (err) {
+        if (!(err instanceof RevertError)) throw err;
+        rejected.push(rejection(entry, err));
+        queue = queue.filter(e => e !== entry);
+        continue;
+      }
+
+      if (simulation.energyUsed > energyBudget) {
+        const error = `Needs ${simulation.energyUsed} energy, over the budget of ${energyBudget}`;
+        rejected.push({ id: entry.id, error });
+        queue = queue.filter(e => e !== entry);
+        continue;
+      }
+      if (energy + simulation.energyUsed > energyBudget) break;
+
+      entries.push(entry);
+      owners.add(entry.intent.owner);
+      energy += simulation.energyUsed;
+    }
+
+    // The bundle's own dry run decides; drop intents from the end until it fits
+    while (entries.length > 0) {
+      const estimate = await simulateBundle(entries);
+      if (estimate.revert) throw new Error(`Bundle dry run reverted: ${estimate.revert}`);
+      if (estimate.energy <= energyBudget || entries.length === 1) {
+        return { entries, energy: estimate.energy, rejected };
+      }
+      entries.pop();
+    }
+    return { entries, energy: 0, rejected };
+  }
+
+  /**
+   * Relays the next bundle and reports what happened to each intent in it.
+   * @returns {Promise<object>} txid, status, energyUsed, `landed` ({id, vault}), `failed`
+   *   ({id, vault, error, revert, fields}), `rejected` (never sent) and `deferred` (still queued) intents
+   */
+  async function flush() {
+    const { entries, energy, rejected } = await plan();
+    const report = { txid: null, status: null, energyUsed: 0, landed: [], failed: [], rejected, deferred: [] };
+    if (entries.length === 0) return { ...report, deferred: pending() };
+
+    const { feeLimit } = withCost({ energy }, await getEnergyPrice(client), margin);
+    const receipt = await tracker.send(contractTransaction(tronWeb, {
+      contract: entryPoint,
+      selector: SELECTORS.relayMany,
+      params: relayArgs(entries),
+      feeLimit,
+    }));
+    Object.assign(report, { txid: receipt.txid, status: receipt.status, energyUsed: receipt.energyUsed || 0 });
+
+    // An expired bundle changed nothing on chain, its intents are tried again
+    if (receipt.status === EXPIRED) return { ...report, deferred: pending() };
+    queue = queue.filter(entry => !entries.includes(entry));
+
+    if (receipt.status !== CONFIRMED) {
+      const error = receipt.revert || receipt.result;
+      report.failed = entries.map(({ id }) => ({ id, vault: null, error, revert: receipt.revert }));
+      return { ...report, deferred: pending() };
+    }
+
+    const outcomes = new Map(receipt.events
+      .filter(e => e.event === "IntentRelayed" && e.address === entryPoint)
+      .map(e => [Number(e.args.index), e.args]));
+    entries.forEach(({ id, intent }, index) => {
+      const outcome = outcomes.get(index);
+      if (outcome && outcome.success) {
+        report.landed.push({ id, vault: outcome.vault });
+        return;
+      }
+      const reason = outcome ? decodeRevertReason(outcome.reason) : null;
+      const vault = outcome ? outcome.vault : null;
+      const error = revertError(reason, sendRevertContext({ ...intent, vault, now: BigInt(now()) }));
+      report.failed.push({ id, vault, error: error.message, revert: reason, fields: error.fields });
+    });
+    return { ...report, deferred: pending() };
+  }
+
+  return { add, pending, plan, flush };
+}
+
+module.exports = {
+  createBundler,
+};
@@ -0,0 +1,89 @@
+const { fetchVaultState } = require("./chain");
+const { revertError } = require("./errors");
+const { SELECTORS } = require("./estimate");
+const { signCancelNonces } = require("./signing");
+const { createTxTracker, contractTransaction, CONFIRMED, EXPIRED } = require("./tracker");
+const { toEvmAddress, toUint256, getEpoch } = require("./utils");
+
+async function confirm(tracker, build, what) {
+  const receipt = await tracker.send(build);
+  if (receipt.status === EXPIRED) throw Object.assign(new Error(`${what} expired`), { txid: receipt.txid });
+  if (receipt.status !== CONFIRMED) {
+    throw Object.assign(revertError(receipt.revert || receipt.result), { txid: receipt.txid });
+  }
+  return receipt;
+}
+
+/**
+ * Voids the owner's outstanding signed intents by moving their current vault's nonce
+ * forward with `Vault.cancelNonces`. The vault and its funds stay where they are.
+ * An undeployed vault is deployed first, since intents for it are signed for nonce 0.
+ *
+ * @param {string} owner - vault owner, any address form
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance paying for the transactions
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {bigint|number|string} [options.upTo] - first nonce that stays valid, defaults to the current nonce + 1
+ * @param {number} [options.ttl] - seconds the cancel signature stays valid
+ * @param {bigint|number|string} [options.chainId] - fetched with `tronWeb` when omitted
+ * @param {string} [options.currentOwner] - owner of a vault whose ownership was transferred
+ * @param {object} [options.tracker] - see `createTxTracker`, one polling every 3 s by default
+ * @returns {Promise<{vault: string, deployed: boolean, fromNonce: string, toNonce: string, txid: string, blockNumber: number}>}
+ *   `deployed` is true when the vault had to be deployed first
+ * @throws {RevertError} when `cancelNonces` reverts, e.g. with `Vault: invalid nonce` for an `upTo` at or below the current nonce
+ */
+async function cancelPendingIntents(owner, {
+  tronWeb,
+  factory,
+  privateKey,
+  signer,
+  upTo,
+  ttl = 600,
+  chainId,
+  currentOwner,
+  tracker = createTxTracker({ tronWeb }),
+}) {
+  owner = toEvmAddress(owner);
+  const state = await fetchVaultState(tronWeb, factory, owner);
+
+  if (!state.deployed) {
+    await confirm(tracker, contractTransaction(tronWeb, {
+      contract: factory,
+      selector: SELECTORS.deploy,
+      params: [{ type: "address", value: owner }],
+    }), "Vault deployment");
+  }
+
+  const { cancel, args } = await signCancelNonces({
+    owner,
+    vault: state.vault,
+    nonce: state.nonce,
+    newNonce: upTo === undefined || upTo === null ? undefined : toUint256(upTo, "upTo"),
+    deadline: getEpoch() + ttl,
+  }, { privateKey, signer, chainId, tronWeb, currentOwner });
+
+  const receipt = await confirm(tracker, contractTransaction(tronWeb, {
+    contract: state.vault,
+    selector: SELECTORS.cancelNonces,
+    params: [
+      { type: "uint256", value: args[0] },
+      { type: "uint256", value: args[1] },
+      { type: "bytes", value: args[2] },
+    ],
+  }), "Nonce cancellation");
+
+  return {
+    vault: state.vault,
+    deployed: !state.deployed,
+    fromNonce: cancel.nonce,
+    toNonce: cancel.newNonce,
+    txid: receipt.txid,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+module.exports = {
+  cancelPendingIntents,
+};
@@ -0,0 +1,197 @@
+const { AbiCoder, ZeroAddress } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI, TRC20_ABI, ERC1271_ABI } = require("./abi");
+const { toEvmAddress, toUint256, ethToTronHex, isTrx } = require("./utils");
+
+/**
+ * Thin read helpers over TronWeb contract calls. Every address argument may be in
+ * any form accepted by `toEvmAddress`; addresses are returned ETH-style (0x...).
+ */
+
+function tronHex(address) {
+  return ethToTronHex(toEvmAddress(address));
+}
+
+function factoryContract(tronWeb, factory) {
+  return tronWeb.contract(FACTORY_ABI, tronHex(factory));
+}
+
+function vaultContract(tronWeb, vault) {
+  return tronWeb.contract(VAULT_ABI, tronHex(vault));
+}
+
+function entryPointContract(tronWeb, entryPoint) {
+  return tronWeb.contract(ENTRYPOINT_ABI, tronHex(entryPoint));
+}
+
+function tokenContract(tronWeb, token) {
+  return tronWeb.contract(TRC20_ABI, tronHex(token));
+}
+
+/**
+ * Reads the owner's factory nonce and the vault it currently maps to.
+ * @param {TronWeb} tronWeb
+ * @param {string} factory - VaultFactory address
+ * @param {string} owner - vault owner
+ * @returns {Promise<{vault: string, deployed: boolean, factoryNonce: bigint, nonce: bigint}>}
+ *   `nonce` is the vault's own `send` nonce, 0 while it is not deployed
+ */
+async function fetchVaultState(tronWeb, factory, owner) {
+  const f = factoryContract(tronWeb, factory);
+  owner = toEvmAddress(owner);
+
+  const factoryNonce = toUint256(await f.nonces(owner).call(), "nonce");
+  const vault = toEvmAddress(await f.methods["computeAddress(address,uint64)"](owner, factoryNonce).call());
+  const deployed = Boolean(await f.isComputedDeployed(vault).call());
+
+  let nonce = 0n;
+  if (deployed) {
+    nonce = toUint256(await vaultContract(tronWeb, vault).nonce().call(), "nonce");
+  }
+
+  return { vault, deployed, factoryNonce, nonce };
+}
+
+/**
+ * Reads who owns a deployed vault and whether a guardian recovery is pending.
+ * @param {TronWeb} tronWeb
+ * @param {string} vault - deployed vault address
+ * @returns {Promise<{owner: string, guardian: string, recoveryDelay: bigint, pendingOwner: string|null, executableAt: bigint}>}
+ *   `pendingOwner` is null when no recovery is pending
+ */
+async function fetchOwnership(tronWeb, vault) {
+  const v = vaultContract(tronWeb, vault);
+  const pending = await v.pendingRecovery().call();
+  const pendingOwner = toEvmAddress(pending.newOwner ?? pending[0]);
+
+  return {
+    owner: toEvmAddress(await v.owner().call()),
+    guardian: toEvmAddress(await v.guardian().call()),
+    recoveryDelay: toUint256(await v.recoveryDelay().call(), "recoveryDelay"),
+    pendingOwner: pendingOwner === ZeroAddress ? null : pendingOwner,
+    executableAt: toUint256(pending.executableAt ?? pending[1], "executableAt"),
+  };
+}
+
+/**
+ * Reads a recurring payment allowance of a deployed vault and what it can pay out now.
+ * @param {TronWeb} tronWeb
+ * @param {string} vault - deployed vault address
+ * @param {bigint|number|string} id - allowance id
+ * @returns {Promise<{id: bigint, token: string, payee: string, maxAmount: bigint, maxFee: bigint, relayer: string,
+ *   entryPoint: string, period: bigint, start: bigint, expiry: bigint, revoked: boolean, available: bigint,
+ *   availableFee: bigint}>}
+ *   `available` and `availableFee` are what is left in the current period, zero while inactive or once the
+ *   vault changed owner
+ */
+async function fetchAllowance(tronWeb, vault, id) {
+  const v = vaultContract(tronWeb, vault);
+  id = toUint256(id, "id");
+  const raw = await v.allowance(id).call();
+  // TronWeb wraps a single struct return in an array
+  const a = Array.isArray(raw) && raw.length === 1 ? raw[0] : raw;
+  const left = await v.allowanceAvailable(id).call();
+
+  return {
+    id,
+    token: toEvmAddress(a.token ?? a[0]),
+    payee: toEvmAddress(a.payee ?? a[2]),
+    maxAmount: toUint256(a.maxAmount ?? a[3], "maxAmount"),
+    maxFee: toUint256(a.maxFee ?? a[4], "maxFee"),
+    relayer: toEvmAddress(a.relayer ?? a[5]),
+    entryPoint: toEvmAddress(a.entryPoint ?? a[6]),
+    period: toUint256(a.period ?? a[7], "period"),
+    start: toUint256(a.start ?? a[8], "start"),
+    expiry: toUint256(a.expiry ?? a[9], "expiry"),
+    revoked: Boolean(a.revoked ?? a[1]),
+    available: toUint256(left.amount ?? left[0], "available"),
+    availableFee: toUint256(left.fee ?? left[1], "availableFee"),
+  };
+}
+
+/**
+ * Reads a TRC20 balance, or the TRX balance in sun for `TRX`.
+ * @param {TronWeb} tronWeb
+ * @param {string} token - TRC20 address or "TRX", see `toTokenAddress`
+ * @param {string} holder - account or contract holding the tokens
+ * @returns {Promise<bigint>}
+ */
+async function fetchTokenBalance(tronWeb, token, holder) {
+  if (isTrx(token)) return toUint256(await tronWeb.trx.getBalance(tronHex(holder)), "balance");
+  const balance = await tokenContract(tronWeb, token).balanceOf(toEvmAddress(holder)).call();
+  return toUint256(balance, "balance");
+}
+
+/**
+ * Reads the TIP-712 chain id: the last 4 bytes of the genesis block id, which is
+ * what `block.chainid & 0xffffffff` returns inside the TVM.
+ * @param {TronWeb} tronWeb
+ * @returns {Promise<bigint>}
+ */
+async function fetchChainId(tronWeb) {
+  const genesis = await tronWeb.trx.getBlockByNumber(0);
+  return BigInt(`0x${genesis.blockID.slice(-8)}`);
+}
+
+/**
+ * Reads the runtime code stored at an address (`wallet/getcontractinfo`).
+ * @param {TronWeb} tronWeb
+ * @param {string} address
+ * @returns {Promise<string>} 0x-prefixed code, "0x" when there is no contract
+ */
+async function fetchRuntimeCode(tronWeb, address) {
+  const info = await tronWeb.fullNode.request("wallet/getcontractinfo", { value: tronHex(address) }, "post");
+  return `0x${(info && info.runtimecode) || ""}`;
+}
+
+// What `isValidSignature` returns for a signature it accepts: its own selector
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+/**
+ * Asks a contract whether it accepts a signature, with the ERC-1271 call the vault and the factory
+ * make for a contract owner.
+ * @param {TronWeb} tronWeb
+ * @param {string} signer - contract address
+ * @param {string} hash - 0x-prefixed 32-byte digest, as the contract would pass it
+ * @param {string} signature - 0x-prefixed bytes, passed on as is
+ * @returns {Promise<boolean>} false as well when the call reverts
+ */
+async function fetchSignatureValidity(tronWeb, signer, hash, signature) {
+  let result;
+  try {
+    result = await tronWeb.contract(ERC1271_ABI, tronHex(signer)).isValidSignature(hash, signature).call();
+  } catch (err) {
+    return false;
+  }
+  return String(result).toLowerCase() === ERC1271_MAGIC_VALUE;
+}
+
+/**
+ * Decodes the `Error(string)` payload of a reverted call, if any.
+ * @param {string} hex - contract result, with or without 0x
+ * @returns {string|null}
+ */
+function decodeRevertReason(hex) {
+  hex = (hex || "").replace(/^0x/, "");
+  if (!hex.startsWith("08c379a0")) return null;
+  try {
+    return AbiCoder.defaultAbiCoder().decode(["string"], `0x${hex.slice(8)}`)[0];
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  factoryContract,
+  vaultContract,
+  entryPointContract,
+  tokenContract,
+  fetchVaultState,
+  fetchOwnership,
+  fetchAllowance,
+  fetchTokenBalance,
+  fetchChainId,
+  fetchRuntimeCode,
+  fetchSignatureValidity,
+  decodeRevertReason,
+};
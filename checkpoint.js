@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON-file checkpoint store. Writes go to a temp file first and are renamed into
+ * place so a crash mid-write never leaves a truncated checkpoint behind.
+ * @param {string} file - path of the checkpoint file
+ * @returns {{load: () => Promise<object|null>, save: (state: object) => Promise<void>}}
+ */
+function fileCheckpoint(file) {
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async save(state) {
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmp, file);
+    },
+  };
+}
+
+/**
+ * In-memory checkpoint store, for tests and one-off runs.
+ * @param {object|null} [initial]
+ */
+function memoryCheckpoint(initial = null) {
+  let state = initial;
+  return {
+    async load() {
+      return state && JSON.parse(JSON.stringify(state));
+    },
+    async save(next) {
+      state = JSON.parse(JSON.stringify(next));
+    },
+  };
+}
+
+module.exports = {
+  fileCheckpoint,
+  memoryCheckpoint,
+};
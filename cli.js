@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { TronWeb } = require("tronweb");
+const { JsonRpcProvider } = require("ethers");
+
+const { cancelPendingIntents } = require("./cancel");
+const { loadConfig, resolveNetwork, resolveToken, deriveVaultAddress } = require("./config");
+const { factoryContract, fetchVaultState, fetchOwnership, fetchTokenBalance } = require("./chain");
+const { RevertError, revertError } = require("./errors");
+const { tronWebEstimateClient, estimateAll, relayParams, SELECTORS } = require("./estimate");
+const { toPortableIntent, encodeIntentUri, readIntent, checkIntentVault } = require("./intents");
+const { simulateRelay, sendRevertContext } = require("./preflight");
+const {
+  signSend,
+  signTypedSend,
+  signIncrementNonce,
+  typedSendDomain,
+  normalizeSend,
+  isTypedIntent,
+  toRelayArgs,
+} = require("./signing");
+const { privateKeySigner, keystoreSigner, remoteSigner } = require("./signers");
+const { createTxTracker, contractTransaction, CONFIRMED, EXPIRED } = require("./tracker");
+const { verifySendIntent, verifySendIntentOnChain } = require("./verify");
+const { tronWebDeploymentClient, ethersDeploymentClient, verifyDeployment } = require("./deployments");
+const { toEvmAddress, formatAddress, ethToTronHex, ethToBase58, getEpoch } = require("./utils");
+
+const USAGE = `Usage: tron-vaults <command> [options]
+
+Commands:
+  address <owner> [--nonce N]       derive the vault address offline (--nonce is required on EVM networks)
+  status <owner> [--token T]...     deployed flag, nonces and token balances
+  sign-send --owner O --token T --to R --amount A [--fee F --fee-recipient R --ttl S --nonce N --out FILE]
+            [--factory-nonce N --vault V --uri] [--typed [--chain-id C]] [--current-owner C]
+                                    sign a Vault.send intent with the owner's key, or a
+                                    Vault.sendTyped intent bound to one vault and chain;
+                                    after a transfer, --owner is the original owner and
+                                    the vault's on-chain owner signs (offline: --current-owner)
+  intent <intent.json|uri> [--uri]  validate an intent and its vault, and convert it between JSON and URI
+  relay <intent.json|uri>           submit a signed intent through EntryPoint.relay
+  rotate-nonce [--owner O]          sign and submit VaultFactory.incrementNonce
+  cancel-intents [--owner O --up-to N]
+                                    void signed intents with Vault.cancelNonces, keeping the vault
+  estimate [--sample-owner-key-env VAR]
+                                    energy estimates for relay, send, deploy and incrementNonce
+  verify-deployment                 check the network's deployments/<network>.json against the chain
+
+Options:
+  --network NAME     network from the config (default: config.defaultNetwork)
+  --config FILE      config file (default: ./tron-vaults.config.json)
+  --key-env VAR      env var holding the private key (default: network.privateKeyEnv)
+  --keystore FILE    sign intents with an encrypted JSON keystore (default: network.keystore)
+  --password-env VAR env var holding the keystore password (default: TRON_VAULTS_KEYSTORE_PASSWORD)
+  --remote-signer URL
+                     sign intents with a remote signer (default: network.remoteSigner)
+  --json             print JSON
+`;
+
+// Exit codes for contract reverts; 1 is any other error, 2 a usage error
+const EXIT_CODES = {
+  "Vault: deadline exceeded": 10,
+  "Vault: fee exceeds amount": 11,
+  "Vault: invalid fee recipient": 12,
+  "Vault: invalid signature length": 13,
+  "Vault: invalid v": 14,
+  "Vault: invalid s": 15,
+  "Vault: invalid signature": 16,
+  "Vault: Token transfer failed": 17,
+  "Vault: reentrant": 18,
+  "Vault: empty batch": 19,
+  "Vault Factory: invalid v": 20,
+  "Vault Factory: invalid s": 21,
+  "Vault Factory: invalid signature": 22,
+  "Vault Factory: zero owner": 23,
+  "Vault Factory: vault already deployed": 24,
+  "VaultFactory: failed to initialize": 25,
+  "Vault: TRX transfer failed": 26,
+  "EntryPoint: vault not deployed": 30,
+  "Vault: zero owner": 40,
+  "Vault: zero recovery delay": 41,
+  "Vault: only guardian": 42,
+  "Vault: no pending recovery": 43,
+  "Vault: recovery timelocked": 44,
+  "Vault: invalid nonce": 45,
+  "Vault: invalid allowance": 46,
+  "Vault: unknown allowance": 47,
+  "Vault: allowance inactive": 48,
+  "Vault: allowance exceeded": 49,
+  "Vault: allowance fee exceeded": 50,
+  "Vault: not the allowance relayer": 51,
+  "Vault: recovery pending": 52,
+};
+
+class CliError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [exitCode]
+   * @param {object} [details] - printed with the error in --json mode
+   */
+  constructor(message, exitCode = 1, details = {}) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+    this.details = details;
+  }
+}
+
+const OPTIONS = {
+  network: { type: "string" },
+  config: { type: "string" },
+  "key-env": { type: "string" },
+  keystore: { type: "string" },
+  "password-env": { type: "string" },
+  "remote-signer": { type: "string" },
+  json: { type: "boolean", default: false },
+  nonce: { type: "string" },
+  owner: { type: "string" },
+  token: { type: "string", multiple: true },
+  to: { type: "string" },
+  amount: { type: "string" },
+  fee: { type: "string" },
+  "fee-recipient": { type: "string" },
+  ttl: { type: "string" },
+  typed: { type: "boolean", default: false },
+  vault: { type: "string" },
+  "chain-id": { type: "string" },
+  "factory-nonce": { type: "string" },
+  "current-owner": { type: "string" },
+  uri: { type: "boolean", default: false },
+  out: { type: "string" },
+  "sample-owner-key-env": { type: "string" },
+  "up-to": { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Every form of the address on TRON; EVM chains have only the 0x form
+function addressForms(address, format = "base58") {
+  const evm = toEvmAddress(address);
+  return format === "base58" ? { base58: ethToBase58(evm), hex: ethToTronHex(evm), evm } : { evm };
+}
+
+// An intent given on the command line: a tronvault: URI, or a file holding any form of it
+function loadIntent(arg) {
+  try {
+    return readIntent(/^tronvault:/i.test(arg) ? arg : fs.readFileSync(arg, "utf8"));
+  } catch (err) {
+    throw new CliError(err.message, 2);
+  }
+}
+
+function required(value, name) {
+  if (value === undefined || value === null || value === "") {
+    throw new CliError(`Missing ${name}`, 2);
+  }
+  return value;
+}
+
+/**
+ * Runs one CLI invocation.
+ * @param {string[]} argv - arguments after the executable
+ * @param {object} [io]
+ * @param {object} [io.env] - environment (private keys are read from here)
+ * @param {(line: string) => void} [io.print]
+ * @param {(network: object, privateKey?: string) => TronWeb} [io.createTronWeb]
+ * @param {(network: object) => import("ethers").Provider} [io.createProvider] - for EVM networks
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, {
+  env = process.env,
+  print = line => console.log(line),
+  createTronWeb = (network, privateKey) => new TronWeb({ fullHost: network.fullHost, privateKey }),
+  createProvider = network => new JsonRpcProvider(network.fullHost),
+} = {}) {
+  let json = argv.includes("--json");
+
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+      throw new CliError(err.message, 2);
+    }
+    const { values: opts, positionals } = parsed;
+    json = opts.json;
+    const [command, ...args] = positionals;
+
+    if (opts.help || !command) {
+      print(USAGE);
+      return command || opts.help ? 0 : 2;
+    }
+
+    const config = loadConfig(opts.config);
+    const network = resolveNetwork(config, opts.network);
+
+    const privateKey = () => {
+      const name = opts["key-env"] || network.privateKeyEnv;
+      const key = name && env[name];
+      if (!key) throw new CliError(`No private key: set ${name || "--key-env"}`, 2);
+      return key;
+    };
+    const tronWeb = withKey => createTronWeb(network, withKey ? privateKey() : undefined);
+    // Signs intents for the owner; transactions are still paid for with the --key-env key
+    const signer = async () => {
+      const url = opts["remote-signer"] || network.remoteSigner;
+      if (url) return remoteSigner({ url });
+      const keystore = opts.keystore || network.keystore;
+      if (!keystore) return privateKeySigner(privateKey());
+      const name = opts["password-env"] || "TRON_VAULTS_KEYSTORE_PASSWORD";
+      if (env[name] === undefined) throw new CliError(`No keystore password: set ${name}`, 2);
+      return keystoreSigner(keystore, env[name]);
+    };
+    // Both calls are guarded by a signed nonce, so an expired copy is safe to re-send
+    const transact = (client, call) => send(client, { feeLimit: network.feeLimit, ...call }, {
+      confirmations: network.confirmations,
+      resendExpired: true,
+    });
+    const factory = () => required(network.factory, `factory for network "${network.name}"`);
+    const entryPoint = () => required(network.entryPoint, `entryPoint for network "${network.name}"`);
+    // The network with the Vault implementation vault addresses derive from, read from the factory if need be
+    const derivation = async online => ({
+      ...network,
+      factory: factory(),
+      implementation: network.implementation || (online
+        ? await factoryContract(tronWeb(false), factory()).implementation().call()
+        : required(network.implementation, `implementation for network "${network.name}"`)),
+    });
+    // Checks that the intent's vault is the one its owner and factory nonce derive to
+    const checkVault = async (intent, online) => {
+      const { ok, expected, actual } = checkIntentVault(intent, await derivation(online));
+      if (!ok) {
+        throw new CliError(`Intent names vault ${actual}, but its owner's vault at factory nonce ${intent.factoryNonce} is ${expected}`, 3, {
+          vault: expected,
+        });
+      }
+    };
+    // Who signs for the vault: its on-chain owner once deployed, which a transfer or a recovery may have changed
+    const currentOwnerOf = async (client, { vault, deployed }) => (deployed ? (await fetchOwnership(client, vault)).owner : undefined);
+    // Prints an intent as its URI with --uri, and writes that form to --out
+    const emit = intent => {
+      const result = opts.uri ? { uri: encodeIntentUri(intent) } : intent;
+      if (opts.out) fs.writeFileSync(opts.out, opts.uri ? `${result.uri}\n` : JSON.stringify(result, null, 2));
+      return result;
+    };
+
+    const commands = {
+      async address() {
+        const owner = required(args[0], "<owner>");
+        const onTron = network.flavour === "tron";
+        // TronWeb cannot read an EVM chain, so everything comes from the config and the options there
+        const nonce = opts.nonce !== undefined || !onTron
+          ? BigInt(required(opts.nonce, "--nonce"))
+          : (await fetchVaultState(tronWeb(false), factory(), owner)).factoryNonce;
+        const { vault } = deriveVaultAddress(await derivation(onTron), owner, nonce);
+        return {
+          owner: formatAddress(owner, network.addressFormat),
+          nonce: nonce.toString(),
+          vault: addressForms(vault, network.addressFormat),
+        };
+      },
+
+      async status() {
+        const owner = required(args[0], "<owner>");
+        const client = tronWeb(false);
+        const state = await fetchVaultState(client, factory(), owner);
+        const tokens = opts.token || Object.keys(network.tokens || {});
+        const balances = {};
+        for (const token of tokens) {
+          balances[token] = (await fetchTokenBalance(client, resolveToken(network, token), state.vault)).toString();
+        }
+        return {
+          owner: formatAddress(owner, network.addressFormat),
+          network: network.name,
+          vault: addressForms(state.vault, network.addressFormat),
+          deployed: state.deployed,
+          factoryNonce: state.factoryNonce.toString(),
+          vaultNonce: state.nonce.toString(),
+          balances,
+        };
+      },
+
+      async "sign-send"() {
+        const intentSigner = await signer();
+        const chainId = opts["chain-id"] ?? network.chainId;
+        // The node is only needed to read what was not given: the nonces or the chain id
+        const offline = opts.nonce !== undefined && (!opts.typed || chainId !== undefined);
+        const owner = opts.owner || await intentSigner.getAddress();
+        const state = offline ? null : await fetchVaultState(tronWeb(false), factory(), owner);
+
+        // Offline, the vault is the owner's first one unless --factory-nonce says otherwise
+        const factoryNonce = opts["factory-nonce"] ?? (state ? state.factoryNonce : 0n).toString();
+        const current = state !== null && state.factoryNonce.toString() === factoryNonce;
+        if (opts.nonce === undefined && !current) {
+          throw new CliError(`Missing --nonce: factory nonce ${factoryNonce} is not the owner's current one`, 2);
+        }
+        const { vault } = deriveVaultAddress(await derivation(!offline), owner, BigInt(factoryNonce));
+        if (opts.vault) await checkVault({ owner, vault: opts.vault, factoryNonce }, !offline);
+        const currentOwner = opts["current-owner"] ?? (current ? await currentOwnerOf(tronWeb(false), state) : undefined);
+
+        const sign = opts.typed ? signTypedSend : signSend;
+        const { intent, signature } = await sign({
+          owner,
+          vault,
+          token: resolveToken(network, required(opts.token && opts.token[0], "--token")),
+          to: required(opts.to, "--to"),
+          amount: required(opts.amount, "--amount"),
+          feeRecipient: opts["fee-recipient"],
+          fee: opts.fee || 0,
+          deadline: getEpoch() + Number(opts.ttl || 600),
+          nonce: opts.nonce ?? state.nonce,
+        }, {
+          signer: intentSigner,
+          chainId,
+          tronWeb: offline ? undefined : tronWeb(false),
+          factory: network.factory,
+          currentOwner,
+        });
+
+        return emit(toPortableIntent({ ...intent, signature }, { network: network.name, vault, factoryNonce }));
+      },
+
+      async intent() {
+        const intent = loadIntent(required(args[0], "<intent.json|uri>"));
+        if (intent.network && intent.network !== network.name) {
+          throw new CliError(`Intent is for network "${intent.network}", not "${network.name}"`, 2);
+        }
+        // Unversioned intents name no vault; theirs is the one at --factory-nonce, 0 by default
+        const online = !network.implementation;
+        const factoryNonce = intent.factoryNonce ?? opts["factory-nonce"] ?? "0";
+        const vault = intent.vault || deriveVaultAddress(await derivation(online), intent.owner, BigInt(factoryNonce)).vault;
+        const portable = toPortableIntent(intent, { network: network.name, vault, factoryNonce });
+        await checkVault(portable, online);
+        return emit(portable);
+      },
+
+      async relay() {
+        const intent = loadIntent(required(args[0], "<intent.json|uri>"));
+        if (intent.network && intent.network !== network.name) {
+          throw new CliError(`Intent is for network "${intent.network}", not "${network.name}"`, 2);
+        }
+
+        const { signature } = intent;
+        const typed = isTypedIntent(intent);
+        const domain = typed ? typedSendDomain(intent) : undefined;
+        let check = verifySendIntent(intent, signature, { domain });
+        // Failed on the signature: the vault's current owner, or a contract owner through ERC-1271, may still accept it
+        if (!check.valid && check.digest) {
+          check = await verifySendIntentOnChain(tronWeb(false), factory(), intent, signature, { domain });
+        }
+        if (!check.valid) {
+          const context = {
+            ...normalizeSend(intent),
+            owner: check.owner,
+            vault: intent.vault,
+            chainId: intent.chainId,
+            signature,
+            now: BigInt(getEpoch()),
+          };
+          throw revertError(check.revert, sendRevertContext(context));
+        }
+
+        const client = tronWeb(true);
+        const simulation = await simulateRelay({
+          client: tronWebEstimateClient(client),
+          tronWeb: client,
+          factory: factory(),
+          entryPoint: entryPoint(),
+          intent,
+          signature,
+          from: client.defaultAddress.base58,
+        });
+        if (intent.vault && toEvmAddress(intent.vault) !== simulation.vault) {
+          throw new CliError(`Intent is for vault ${toEvmAddress(intent.vault)}, not the owner's current vault ${simulation.vault}`, 3, {
+            vault: simulation.vault,
+          });
+        }
+        const result = await transact(client, {
+          contract: entryPoint(),
+          selector: typed ? SELECTORS.relayTyped : SELECTORS.relay,
+          params: relayParams(toRelayArgs(intent, signature)),
+        });
+        return { vault: simulation.vault, deploys: simulation.deploys, ...result };
+      },
+
+      async "rotate-nonce"() {
+        const intentSigner = await signer();
+        const client = tronWeb(true);
+        const owner = opts.owner || await intentSigner.getAddress();
+        const state = await fetchVaultState(client, factory(), owner);
+        const { nonce, args: rotateArgs } = await signIncrementNonce(
+          { owner, nonce: opts.nonce ?? state.factoryNonce },
+          { signer: intentSigner, currentOwner: await currentOwnerOf(client, state) }
+        );
+        const result = await transact(client, {
+          contract: factory(),
+          selector: SELECTORS.incrementNonce,
+          params: [{ type: "address", value: toEvmAddress(owner) }, { type: "bytes", value: rotateArgs[1] }],
+        });
+        return { owner: formatAddress(owner, network.addressFormat), oldNonce: nonce, ...result };
+      },
+
+      async "cancel-intents"() {
+        const intentSigner = await signer();
+        const client = tronWeb(true);
+        const owner = opts.owner || await intentSigner.getAddress();
+        const result = await cancelPendingIntents(owner, {
+          tronWeb: client,
+          factory: factory(),
+          signer: intentSigner,
+          currentOwner: await currentOwnerOf(client, await fetchVaultState(client, factory(), owner)),
+          upTo: opts["up-to"],
+          chainId: network.chainId,
+          tracker: createTxTracker({ tronWeb: client, confirmations: network.confirmations, resendExpired: true }),
+        });
+        return {
+          owner: formatAddress(owner, network.addressFormat),
+          ...result,
+          vault: addressForms(result.vault, network.addressFormat),
+        };
+      },
+
+      async estimate() {
+        const client = tronWeb(true);
+        const sampleEnv = opts["sample-owner-key-env"];
+        const report = await estimateAll({
+          client: tronWebEstimateClient(client),
+          tronWeb: client,
+          factory: factory(),
+          entryPoint: entryPoint(),
+          token: resolveToken(network, required((opts.token && opts.token[0]) || Object.keys(network.tokens || {})[0], "--token")),
+          from: client.defaultAddress.base58,
+          sampleOwnerKey: sampleEnv ? env[sampleEnv] : undefined,
+        });
+        report.account = await accountEnergy(client);
+        return report;
+      },
+
+      async "verify-deployment"() {
+        const manifest = required(network.deployment, `deployment manifest for network "${network.name}"`);
+        const client = network.flavour === "tron"
+          ? tronWebDeploymentClient(tronWeb(false))
+          : ethersDeploymentClient(createProvider(network));
+        const { ok, checks } = await verifyDeployment(manifest, client);
+        if (!ok) {
+          const failed = checks.filter(c => !c.ok).map(c => c.check);
+          throw new CliError(`Deployment does not match the manifest: ${failed.join(", ")}`, 3, { checks });
+        }
+        return { network: network.name, ok, checks };
+      },
+    };
+
+    if (!commands[command]) throw new CliError(`Unknown command "${command}"\n\n${USAGE}`, 2);
+    output(await commands[command](), json, print);
+    return 0;
+  } catch (err) {
+    let exitCode = 1;
+    let details = {};
+    if (err instanceof CliError) {
+      ({ exitCode, details } = err);
+    } else if (err instanceof RevertError) {
+      exitCode = EXIT_CODES[err.reason] || 1;
+      details = { revert: err.reason, fields: err.fields, txid: err.txid, deploys: err.deploys };
+    }
+    if (json) print(JSON.stringify({ error: err.message, exitCode, ...details }, null, 2));
+    else print(`Error: ${err.message}`);
+    return exitCode;
+  }
+}
+
+// Sends the call and turns a revert or expiry into the matching exit code
+async function send(tronWeb, call, trackerOptions) {
+  const receipt = await createTxTracker({ tronWeb, ...trackerOptions }).send(contractTransaction(tronWeb, call));
+  const { txid, blockNumber, energyUsed, feeSun, events } = receipt;
+  if (receipt.status === EXPIRED) throw new CliError(`Transaction ${txid} expired`, 1, { txids: receipt.txids });
+  if (receipt.status !== CONFIRMED) throw Object.assign(revertError(receipt.revert || receipt.result), { txid });
+  return { txid, blockNumber, energyUsed, feeSun, events };
+}
+
+// Account energy and balance of the sending account
+async function accountEnergy(tronWeb) {
+  const address = tronWeb.defaultAddress.base58;
+  const resources = await tronWeb.trx.getAccountResources(address);
+  const energyLimit = resources.EnergyLimit || 0;
+  const energyUsed = resources.EnergyUsed || 0;
+
+  return {
+    address,
+    energyLimit,
+    energyUsed,
+    availableEnergy: energyLimit - energyUsed,
+    balanceTrx: Number(tronWeb.fromSun(await tronWeb.trx.getBalance(address))),
+  };
+}
+
+function output(result, json, print) {
+  if (json) {
+    print(JSON.stringify(result, null, 2));
+    return;
+  }
+  const lines = [];
+  (function walk(value, prefix) {
+    if (value && typeof value === "object") {
+      for (const [key, inner] of Object.entries(value)) walk(inner, prefix ? `${prefix}.${key}` : key);
+    } else {
+      lines.push(`${prefix}: ${value}`);
+    }
+  })(result, "");
+  print(lines.join("\n"));
+}
+
+if (require.main === module) {
+  require("dotenv").config();
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run,
+  CliError,
+  EXIT_CODES,
+};
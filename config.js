@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+
+const { loadDeployment, deploymentAddresses } = require("./deployments");
+const { computeVaultAddress, formatAddress, toEvmAddress, CHAIN_FLAVOURS } = require("./utils");
+
+const DEFAULT_CONFIG_FILE = "tron-vaults.config.json";
+
+/**
+ * Loads the tooling config: networks with their node URL, key env var and contract addresses.
+ * @param {string} [file] - config path, defaults to `$TRON_VAULTS_CONFIG` or ./tron-vaults.config.json
+ * @returns {{defaultNetwork: string, networks: Object<string, object>}}
+ */
+function loadConfig(file = process.env.TRON_VAULTS_CONFIG) {
+  const candidates = file
+    ? [path.resolve(file)]
+    : [path.resolve(DEFAULT_CONFIG_FILE), path.join(__dirname, DEFAULT_CONFIG_FILE)];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      return JSON.parse(fs.readFileSync(candidate, "utf8"));
+    }
+  }
+  throw new Error(`Config file not found: ${candidates.join(", ")}`);
+}
+
+/**
+ * Picks one network from the config. Contract addresses and chain id the network does not
+ * set come from its deployment manifest (`deployments/<name>.json`, or the config's
+ * `deploymentsDir`), when there is one.
+ * @param {object} config - result of `loadConfig`
+ * @param {string} [name] - network name, defaults to `$TRON_VAULTS_NETWORK` or `config.defaultNetwork`
+ * @returns {object} network settings plus `name`, `deployment` (the manifest or null) and the fields of `resolveChain`
+ */
+function resolveNetwork(config, name = process.env.TRON_VAULTS_NETWORK || config.defaultNetwork) {
+  const network = config.networks && config.networks[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}", expected one of: ${Object.keys(config.networks || {}).join(", ")}`);
+  }
+  const deployment = loadDeployment(name, config.deploymentsDir && path.resolve(config.deploymentsDir));
+  const deployed = deployment ? { ...deploymentAddresses(deployment), chainId: deployment.chainId } : {};
+  return { ...deployed, ...network, name, deployment, ...resolveChain(network) };
+}
+
+/**
+ * Describes how a network derives and shows addresses: its `flavour` ("tron" when omitted)
+ * supplies the defaults, which the network's own `create2Prefix` and `addressFormat` override.
+ * @param {object} network
+ * @returns {{flavour: string, create2Prefix: string, addressFormat: "base58"|"hex"}}
+ */
+function resolveChain(network) {
+  const flavour = network.flavour || "tron";
+  const defaults = CHAIN_FLAVOURS[flavour];
+  if (!defaults) {
+    throw new Error(`Unknown chain flavour "${flavour}", expected one of: ${Object.keys(CHAIN_FLAVOURS).join(", ")}`);
+  }
+  return {
+    flavour,
+    create2Prefix: network.create2Prefix || defaults.create2Prefix,
+    addressFormat: network.addressFormat || defaults.addressFormat,
+  };
+}
+
+/**
+ * Derives a vault address offline from the network's factory and implementation.
+ * @param {object} network - a `resolveNetwork` result or a raw config entry
+ * @param {string} owner - vault owner, any address form
+ * @param {bigint|number} [nonce] - factory nonce
+ * @param {string} [implementation] - Vault implementation, defaults to `network.implementation`
+ * @returns {{vault: string, address: string}} `vault` 0x-style, `address` in the network's address format
+ */
+function deriveVaultAddress(network, owner, nonce = 0, implementation = network.implementation) {
+  if (!network.factory) throw new Error("Missing factory for the network");
+  if (!implementation) throw new Error("Missing implementation for the network");
+
+  const { create2Prefix, addressFormat } = resolveChain(network);
+  const vault = computeVaultAddress(
+    toEvmAddress(network.factory),
+    toEvmAddress(implementation),
+    toEvmAddress(owner),
+    nonce,
+    create2Prefix
+  );
+  return { vault, address: formatAddress(vault, addressFormat) };
+}
+
+/**
+ * Resolves a token given by symbol (from the network's `tokens`) or address.
+ * @param {object} network
+ * @param {string} token
+ * @returns {string}
+ */
+function resolveToken(network, token) {
+  return (network.tokens && network.tokens[token]) || token;
+}
+
+module.exports = {
+  loadConfig,
+  resolveNetwork,
+  resolveChain,
+  deriveVaultAddress,
+  resolveToken,
+};
@@ -9,6 +9,20 @@ import {VaultFactory} from "./VaultFactory.sol";
 contract EntryPoint {
     VaultFactory public immutable factory;
 
+    /// @notice One signed send of `relayMany`
+    /// @dev `typed` picks `sendTyped` over `send`
+    struct Intent {
+        address owner;
+        address token;
+        address to;
+        uint256 amount;
+        address feeRecipient;
+        uint256 fee;
+        uint256 deadline;
+        bytes sig;
+        bool typed;
+    }
+
     event MetaTransactionExecuted(
         address indexed relayer,
         address indexed owner,
@@ -21,6 +35,25 @@ contract EntryPoint {
         uint256 deadline
     );
 
+    /// @notice A payment under allowance `id` of the owner's vault
+    event AllowanceRelayed(
+        address indexed relayer,
+        address indexed owner,
+        uint256 indexed id,
+        address vault,
+        uint256 amount,
+        uint256 fee
+    );
+
+    /// @notice Outcome of intent `index` of a `relayMany`; `reason` is the vault's revert data on failure
+    event IntentRelayed(
+        uint256 indexed index,
+        address indexed owner,
+        address vault,
+        bool success,
+        bytes reason
+    );
+
     constructor(address _factory) {
         require(_factory != address(0), "EntryPoint: zero factory address");
         factory = VaultFactory(_factory);
@@ -45,22 +78,48 @@ contract EntryPoint {
         uint256 deadline,
         bytes calldata sig
     ) external {
-        try factory.deploy(owner) {
-            // Vault freshly deployed — nothing more needed
-        } catch {
-            // Vault already deployed — that's fine, continue
-        }
+        Vault vault = _vaultFor(owner);
+        vault.send(token, to, amount, feeRecipient, fee, deadline, sig);
 
-        // Forward the call
-        address vaultAddress = factory.computeAddress(owner);
-        Vault vault = Vault(vaultAddress);
+        emit MetaTransactionExecuted(
+            msg.sender,
+            owner,
+            address(vault),
+            token,
+            to,
+            amount,
+            feeRecipient,
+            fee,
+            deadline
+        );
+    }
 
-        vault.send(token, to, amount, feeRecipient, fee, deadline, sig);
+    /// @notice Relays a TIP-712 signed sendTyped() call, deploying the Vault if necessary
+    /// @param owner Vault owner
+    /// @param token TRC20 token to transfer
+    /// @param to Recipient
+    /// @param amount Token amount
+    /// @param feeRecipient Fee recipient
+    /// @param fee Fee amount
+    /// @param deadline Signature deadline
+    /// @param sig Typed-data signature from owner, bound to the vault and chain
+    function relayTyped(
+        address owner,
+        address token,
+        address to,
+        uint256 amount,
+        address feeRecipient,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata sig
+    ) external {
+        Vault vault = _vaultFor(owner);
+        vault.sendTyped(token, to, amount, feeRecipient, fee, deadline, sig);
 
         emit MetaTransactionExecuted(
             msg.sender,
             owner,
-            vaultAddress,
+            address(vault),
             token,
             to,
             amount,
@@ -69,4 +128,154 @@ contract EntryPoint {
             deadline
         );
     }
+
+    /// @notice Relays a TIP-712 signed sendBatch() call, deploying the Vault if necessary
+    /// @dev Emits `MetaTransactionExecuted` per leg
+    /// @param owner Vault owner
+    /// @param legs Token, recipient, amount and fee of each transfer
+    /// @param feeRecipient Fee recipient of every leg
+    /// @param deadline Signature deadline
+    /// @param sig Typed-data signature from owner over the whole batch
+    function relayBatch(
+        address owner,
+        Vault.Leg[] calldata legs,
+        address feeRecipient,
+        uint256 deadline,
+        bytes calldata sig
+    ) external {
+        Vault vault = _vaultFor(owner);
+        vault.sendBatch(legs, feeRecipient, deadline, sig);
+
+        for (uint256 i = 0; i < legs.length; i++) {
+            emit MetaTransactionExecuted(
+                msg.sender,
+                owner,
+                address(vault),
+                legs[i].token,
+                legs[i].to,
+                legs[i].amount,
+                feeRecipient,
+                legs[i].fee,
+                deadline
+            );
+        }
+    }
+
+    /// @notice Pays out of a recurring allowance the owner signed earlier, no new signature needed
+    /// @dev The allowance lives in the owner's current vault, which `setAllowance` has deployed. The vault
+    /// accepts only the rule's relayer as caller, and only if the rule names this EntryPoint.
+    /// @param owner Vault owner
+    /// @param id Allowance id in the vault
+    /// @param amount Amount the payee receives
+    /// @param fee Fee amount paid to the caller, on top of `amount` within the allowance's fee cap
+    function relayAllowance(
+        address owner,
+        uint256 id,
+        uint256 amount,
+        uint256 fee
+    ) external {
+        Vault vault = Vault(payable(factory.computeAddress(owner)));
+        require(address(vault).code.length > 0, "EntryPoint: vault not deployed");
+        vault.spendAllowance(id, amount, msg.sender, fee);
+
+        emit AllowanceRelayed(
+            msg.sender,
+            owner,
+            id,
+            address(vault),
+            amount,
+            fee
+        );
+    }
+
+    /// @notice Relays signed sends of many owners in one transaction, deploying vaults as needed
+    /// @dev A failing intent does not revert the others; every intent emits `IntentRelayed`,
+    /// successful ones also `MetaTransactionExecuted`
+    /// @param intents Signed sends, relayed in order
+    function relayMany(Intent[] calldata intents) external {
+        for (uint256 i = 0; i < intents.length; i++) {
+            Intent calldata intent = intents[i];
+            Vault vault = _vaultFor(intent.owner);
+            (bool success, bytes memory reason) = _trySend(vault, intent);
+
+            if (success) _emitExecuted(vault, intent);
+            emit IntentRelayed(i, intent.owner, address(vault), success, reason);
+        }
+    }
+
+    /// @dev Calls `send` or `sendTyped`, returning the revert data instead of bubbling it up
+    function _trySend(
+        Vault vault,
+        Intent calldata intent
+    ) internal returns (bool, bytes memory) {
+        // A call to an address without code reverts before `try` could catch it
+        if (address(vault).code.length == 0) {
+            return (
+                false,
+                abi.encodeWithSignature(
+                    "Error(string)",
+                    "EntryPoint: vault not deployed"
+                )
+            );
+        }
+
+        if (intent.typed) {
+            try
+                vault.sendTyped(
+                    intent.token,
+                    intent.to,
+                    intent.amount,
+                    intent.feeRecipient,
+                    intent.fee,
+                    intent.deadline,
+                    intent.sig
+                )
+            {
+                return (true, "");
+            } catch (bytes memory reason) {
+                return (false, reason);
+            }
+        }
+
+        try
+            vault.send(
+                intent.token,
+                intent.to,
+                intent.amount,
+                intent.feeRecipient,
+                intent.fee,
+                intent.deadline,
+                intent.sig
+            )
+        {
+            return (true, "");
+        } catch (bytes memory reason) {
+            return (false, reason);
+        }
+    }
+
+    function _emitExecuted(Vault vault, Intent calldata intent) internal {
+        emit MetaTransactionExecuted(
+            msg.sender,
+            intent.owner,
+            address(vault),
+            intent.token,
+            intent.to,
+            intent.amount,
+            intent.feeRecipient,
+            intent.fee,
+            intent.deadline
+        );
+    }
+
+    /// @dev Deploys the owner's current vault if it does not exist yet
+    function _vaultFor(address owner) internal returns (Vault) {
+        try factory.deploy(owner) {
+            // Vault freshly deployed — nothing more needed
+        } catch {
+            // Vault already deployed — that's fine, continue
+        }
+
+        return Vault(payable(factory.computeAddress(owner)));
+    }
 }
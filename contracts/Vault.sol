@@ -8,8 +8,19 @@ interface ITRC20 {
     ) external returns (bool);
 }
 
+/// @notice ERC-1271 signature validation of contract accounts, e.g. a multisig owning a vault
+interface IERC1271 {
+    /// @return magicValue `0x1626ba7e` when `signature` is valid for `hash`
+    function isValidSignature(
+        bytes32 hash,
+        bytes calldata signature
+    ) external view returns (bytes4 magicValue);
+}
+
 /// @title Deterministic Vault Contract
-/// @notice Ownable, constructor-locked TRC20 vault with meta-tx `send()` support
+/// @notice Ownable TRC20 and TRX vault with meta-tx `send()` support, owner rotation, guardian recovery
+/// and recurring payment allowances
+/// @dev `token == address(0)` stands for native TRX in every send
 contract Vault {
     address public immutable factory;
 
@@ -25,6 +36,124 @@ contract Vault {
     uint256 private constant _REENTRANCY_LOCK_SLOT =
         0x0f3e2c215f3aa78a86d67e9e27415c9c8c6a5d4890caa013ac10b46ab4e7f8e1;
 
+    // keccak256("vault.proxy.guardian")
+    uint256 private constant _GUARDIAN_SLOT =
+        0xce9d6bc92017e298e220ea1d5507e2dc21a0318c6e5b860283c03f7baa6b5080;
+
+    // keccak256("vault.proxy.recoveryDelay")
+    uint256 private constant _RECOVERY_DELAY_SLOT =
+        0x07df03587e1228d7124c8284924bad37f5936e74154a6a146994d3151afcd898;
+
+    // keccak256("vault.proxy.pendingOwner")
+    uint256 private constant _PENDING_OWNER_SLOT =
+        0x65d455d87edcba819b9cc62310487520948d03dec14a4a672526736e2f1bd4ca;
+
+    // keccak256("vault.proxy.recoveryEta")
+    uint256 private constant _RECOVERY_ETA_SLOT =
+        0x2a643a29f5c58e42c424a32377b390b9ee2ee90f503414b6f7e3427aa32fa9e3;
+
+    // keccak256("vault.proxy.allowances"), base of the `id => Allowance` mapping
+    uint256 private constant _ALLOWANCES_SLOT =
+        0xd4ded3f2fe92e8a6b80b7c1bc9ffdd858284d3a5b269d32ea6b54366d8a8c9aa;
+
+    // keccak256("vault.proxy.allowanceCount")
+    uint256 private constant _ALLOWANCE_COUNT_SLOT =
+        0x4b5fb5573681c3465f29af41ad266c6580f94322fe7e1ff8c62046e92a02e6b2;
+
+    // keccak256("vault.proxy.allowanceEpoch"), bumped on every change of owner
+    uint256 private constant _ALLOWANCE_EPOCH_SLOT =
+        0x2efa7e39fb021031557e3618351de1369cebc19446006c7e37c9185304c575d2;
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+
+    bytes32 private constant _SEND_TYPEHASH =
+        keccak256(
+            "Send(address token,address to,uint256 amount,address feeRecipient,uint256 fee,uint256 deadline,uint256 nonce)"
+        );
+
+    bytes32 private constant _LEG_TYPEHASH =
+        keccak256("Leg(address token,address to,uint256 amount,uint256 fee)");
+
+    bytes32 private constant _SEND_BATCH_TYPEHASH =
+        keccak256(
+            "SendBatch(Leg[] legs,address feeRecipient,uint256 deadline,uint256 nonce)Leg(address token,address to,uint256 amount,uint256 fee)"
+        );
+
+    bytes32 private constant _TRANSFER_OWNERSHIP_TYPEHASH =
+        keccak256(
+            "TransferOwnership(address newOwner,uint256 deadline,uint256 nonce)"
+        );
+
+    bytes32 private constant _SET_GUARDIAN_TYPEHASH =
+        keccak256(
+            "SetGuardian(address guardian,uint256 delay,uint256 deadline,uint256 nonce)"
+        );
+
+    bytes32 private constant _CANCEL_NONCES_TYPEHASH =
+        keccak256(
+            "CancelNonces(uint256 newNonce,uint256 deadline,uint256 nonce)"
+        );
+
+    bytes32 private constant _SET_ALLOWANCE_TYPEHASH =
+        keccak256(
+            "SetAllowance(address token,address payee,uint256 maxAmount,uint256 maxFee,address relayer,address entryPoint,uint256 period,uint256 start,uint256 expiry,uint256 deadline,uint256 nonce)"
+        );
+
+    bytes32 private constant _REVOKE_ALLOWANCE_TYPEHASH =
+        keccak256("RevokeAllowance(uint256 id,uint256 deadline,uint256 nonce)");
+
+    // Most nonces one `cancelNonces` may skip, so a typo cannot push the nonce out of reach
+    uint256 private constant _MAX_CANCELLED_NONCES = type(uint32).max;
+
+    bytes32 private constant _NAME_HASH = keccak256("TronVault");
+    bytes32 private constant _VERSION_HASH = keccak256("1");
+
+    /// @notice One transfer of a `sendBatch`; its fee is paid in the leg's token (TRX for `address(0)`)
+    struct Leg {
+        address token;
+        address to;
+        uint256 amount;
+        uint256 fee;
+    }
+
+    /// @notice Spending rule the owner signs once: up to `maxAmount` of `token` to `payee` per period,
+    /// plus up to `maxFee` to `relayer`, the only account that may execute the payments
+    /// @dev Periods are `period` seconds long and counted from `start`; the rule ends at `expiry`.
+    /// `entryPoint` is the EntryPoint the relayer calls through, or `address(0)` when it calls the vault itself.
+    struct AllowanceRule {
+        address token;
+        address payee;
+        uint256 maxAmount;
+        uint256 maxFee;
+        address relayer;
+        address entryPoint;
+        uint256 period;
+        uint256 start;
+        uint256 expiry;
+    }
+
+    /// @notice A stored rule and what was spent under it in the period of its last payment;
+    /// it only pays while `epoch` is the vault's current allowance epoch
+    struct Allowance {
+        address token;
+        bool revoked;
+        address payee;
+        uint256 maxAmount;
+        uint256 maxFee;
+        address relayer;
+        address entryPoint;
+        uint256 period;
+        uint256 start;
+        uint256 expiry;
+        uint256 lastPeriod;
+        uint256 spent;
+        uint256 feeSpent;
+        uint256 epoch;
+    }
+
     event TokenSent(
         address indexed token,
         address indexed to,
@@ -35,6 +164,52 @@ contract Vault {
         uint256 nonce
     );
 
+    /// @notice Closes a `sendBatch`, whose legs were emitted as `TokenSent` with the same nonce
+    event BatchSent(uint256 indexed nonce, uint256 legs);
+
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+
+    /// @notice `guardian` may start a recovery that executes after `delay` seconds
+    event GuardianSet(address indexed guardian, uint256 delay);
+
+    event RecoveryInitiated(
+        address indexed guardian,
+        address indexed newOwner,
+        uint256 executableAt
+    );
+
+    event RecoveryCancelled(address indexed newOwner);
+
+    /// @notice Intents signed for nonces `fromNonce` up to, not including, `toNonce` can no longer land
+    event NoncesCancelled(uint256 fromNonce, uint256 toNonce);
+
+    event AllowanceSet(
+        uint256 indexed id,
+        address indexed token,
+        address indexed payee,
+        uint256 maxAmount,
+        uint256 maxFee,
+        address relayer,
+        uint256 period,
+        uint256 start,
+        uint256 expiry
+    );
+
+    /// @notice A payment under allowance `id`, counted against period `periodIndex`
+    event AllowanceSpent(
+        uint256 indexed id,
+        address indexed payee,
+        uint256 amount,
+        address relayer,
+        uint256 fee,
+        uint256 periodIndex
+    );
+
+    event AllowanceRevoked(uint256 indexed id);
+
     /// @notice Initializes the vault with the owner's address and the USDT token
     /// @param _factory Address of the factory that deployed the vault
     constructor(address _factory) {
@@ -50,6 +225,9 @@ contract Vault {
         _storeOwner(_owner);
     }
 
+    /// @notice Accepts TRX deposits
+    receive() external payable {}
+
     function owner() external view returns (address) {
         return _loadOwner();
     }
@@ -58,8 +236,43 @@ contract Vault {
         return _loadNonce();
     }
 
+    function guardian() external view returns (address) {
+        return _loadAddress(_GUARDIAN_SLOT);
+    }
+
+    function recoveryDelay() external view returns (uint256) {
+        return _loadUint(_RECOVERY_DELAY_SLOT);
+    }
+
+    /// @notice The owner a started recovery installs, and from when; zero when none is pending
+    function pendingRecovery()
+        external
+        view
+        returns (address newOwner, uint256 executableAt)
+    {
+        return (
+            _loadAddress(_PENDING_OWNER_SLOT),
+            _loadUint(_RECOVERY_ETA_SLOT)
+        );
+    }
+
+    /// @notice TIP-712 domain separator, bound to this vault and the current chain
+    /// @dev Computed on every call: the implementation's immutables would bind the implementation address
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    _DOMAIN_TYPEHASH,
+                    _NAME_HASH,
+                    _VERSION_HASH,
+                    block.chainid & 0xffffffff,
+                    address(this)
+                )
+            );
+    }
+
     /// @notice Sends TRC20 from the vault to a recipient, authorized by an off-chain signature
-    /// @param token Address of the token to be sent
+    /// @param token Address of the token to be sent, `address(0)` for TRX
     /// @param to Recipient address
     /// @param amount Amount of token to send
     /// @param feeRecipient Fee recipient
@@ -75,14 +288,7 @@ contract Vault {
         uint256 deadline,
         bytes calldata sig
     ) external nonReentrant {
-        require(block.timestamp < deadline, "Vault: deadline exceeded");
-        require(fee <= amount, "Vault: fee exceeds amount");
-
-        if (fee > 0) {
-            require(feeRecipient != address(0), "Vault: invalid fee recipient");
-        }
-
-        uint256 _nonce = _loadNonce();
+        uint256 _nonce = _checkSend(amount, feeRecipient, fee, deadline);
 
         bytes32 messageHash = keccak256(
             abi.encodePacked(
@@ -96,12 +302,535 @@ contract Vault {
             )
         );
 
-        address recovered = _recover(messageHash, sig);
-        require(recovered == _loadOwner(), "Vault: invalid signature");
+        require(
+            _isOwnerSignature(_messageDigest(messageHash), sig),
+            "Vault: invalid signature"
+        );
+
+        _executeSend(token, to, amount, feeRecipient, fee, deadline, _nonce);
+    }
+
+    /// @notice Same as `send`, authorized by a TIP-712 typed-data signature
+    /// @dev The digest binds this vault and the chain id, so the signature cannot be replayed on a sibling vault or another network
+    /// @param token Address of the token to be sent, `address(0)` for TRX
+    /// @param to Recipient address
+    /// @param amount Amount of token to send
+    /// @param feeRecipient Fee recipient
+    /// @param fee Fee amount
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `Send`
+    function sendTyped(
+        address token,
+        address to,
+        uint256 amount,
+        address feeRecipient,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        uint256 _nonce = _checkSend(amount, feeRecipient, fee, deadline);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                _SEND_TYPEHASH,
+                token,
+                to,
+                amount,
+                feeRecipient,
+                fee,
+                deadline,
+                _nonce
+            )
+        );
+
+        require(
+            _isOwnerSignature(_typedDigest(structHash), sig),
+            "Vault: invalid signature"
+        );
+
+        _executeSend(token, to, amount, feeRecipient, fee, deadline, _nonce);
+    }
+
+    /// @notice Sends several TRC20 transfers under one TIP-712 signature and one nonce
+    /// @dev Emits `TokenSent` per leg, in order, then `BatchSent`
+    /// @param legs Token, recipient, amount and fee of each transfer
+    /// @param feeRecipient Fee recipient of every leg
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `SendBatch`
+    function sendBatch(
+        Leg[] calldata legs,
+        address feeRecipient,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        require(legs.length > 0, "Vault: empty batch");
+
+        uint256 _nonce;
+        bytes32[] memory legHashes = new bytes32[](legs.length);
+        for (uint256 i = 0; i < legs.length; i++) {
+            Leg calldata leg = legs[i];
+            _nonce = _checkSend(leg.amount, feeRecipient, leg.fee, deadline);
+            legHashes[i] = keccak256(
+                abi.encode(
+                    _LEG_TYPEHASH,
+                    leg.token,
+                    leg.to,
+                    leg.amount,
+                    leg.fee
+                )
+            );
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                _SEND_BATCH_TYPEHASH,
+                keccak256(abi.encodePacked(legHashes)),
+                feeRecipient,
+                deadline,
+                _nonce
+            )
+        );
+
+        require(
+            _isOwnerSignature(_typedDigest(structHash), sig),
+            "Vault: invalid signature"
+        );
+
+        _storeNonce(_nonce + 1);
+        for (uint256 i = 0; i < legs.length; i++) {
+            Leg calldata leg = legs[i];
+            _pay(leg.token, leg.to, leg.amount, feeRecipient, leg.fee);
+            emit TokenSent(
+                leg.token,
+                leg.to,
+                leg.amount,
+                feeRecipient,
+                leg.fee,
+                deadline,
+                _nonce
+            );
+        }
+
+        emit BatchSent(_nonce, legs.length);
+    }
+
+    /// @notice Voids every signed intent for nonces below `newNonce`, authorized by a TIP-712 signature of the owner
+    /// @dev Unlike `VaultFactory.incrementNonce`, the owner keeps this vault and its funds
+    /// @param newNonce Nonce the next intent must be signed for, above the current one
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `CancelNonces`
+    function cancelNonces(
+        uint256 newNonce,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        uint256 _nonce = _loadNonce();
+        require(
+            newNonce > _nonce && newNonce - _nonce <= _MAX_CANCELLED_NONCES,
+            "Vault: invalid nonce"
+        );
+        _checkSigned(
+            keccak256(
+                abi.encode(_CANCEL_NONCES_TYPEHASH, newNonce, deadline, _nonce)
+            ),
+            deadline,
+            sig
+        );
+
+        _storeNonce(newNonce);
+
+        emit NoncesCancelled(_nonce, newNonce);
+    }
+
+    /// @notice Hands the vault to a new owner, authorized by a TIP-712 signature of the current owner
+    /// @dev Consumes the nonce, so intents the old key signed for it or later ones can no longer land.
+    /// Reverts while a recovery is pending, so a stolen key cannot outrun the guardian. Anyone may submit the signature.
+    /// @param newOwner Address that owns the vault from now on
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `TransferOwnership`
+    function transferOwnership(
+        address newOwner,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        require(newOwner != address(0), "Vault: zero owner");
+        _checkNoRecovery();
+        uint256 _nonce = _checkSigned(
+            keccak256(
+                abi.encode(
+                    _TRANSFER_OWNERSHIP_TYPEHASH,
+                    newOwner,
+                    deadline,
+                    _loadNonce()
+                )
+            ),
+            deadline,
+            sig
+        );
 
         _storeNonce(_nonce + 1);
+        _setOwner(newOwner);
+    }
 
+    /// @notice Sets the guardian that can recover the vault after `delay` seconds, or removes it with `address(0)`
+    /// @dev Consumes the nonce. Reverts while a recovery is pending.
+    /// @param _guardian Guardian address, `address(0)` to disable recovery
+    /// @param delay Seconds between `initiateRecovery` and `executeRecovery`
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `SetGuardian`
+    function setGuardian(
+        address _guardian,
+        uint256 delay,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        require(
+            _guardian == address(0) || delay > 0,
+            "Vault: zero recovery delay"
+        );
+        _checkNoRecovery();
+        uint256 _nonce = _checkSigned(
+            keccak256(
+                abi.encode(
+                    _SET_GUARDIAN_TYPEHASH,
+                    _guardian,
+                    delay,
+                    deadline,
+                    _loadNonce()
+                )
+            ),
+            deadline,
+            sig
+        );
+
+        _storeNonce(_nonce + 1);
+        _storeAddress(_GUARDIAN_SLOT, _guardian);
+        _storeUint(_RECOVERY_DELAY_SLOT, _guardian == address(0) ? 0 : delay);
+
+        emit GuardianSet(_guardian, delay);
+    }
+
+    /// @notice Stores a recurring payment allowance, authorized by a TIP-712 signature of the owner
+    /// @dev Consumes the nonce. The allowance lapses once the owner changes, by transfer or recovery.
+    /// @param rule Token, payee, per-period caps, relayer, period length, start and expiry
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `SetAllowance`
+    /// @return id Id of the new allowance, counting up from 0
+    function setAllowance(
+        AllowanceRule calldata rule,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant returns (uint256 id) {
+        require(
+            rule.payee != address(0) &&
+                rule.relayer != address(0) &&
+                rule.maxAmount > 0 &&
+                rule.period > 0 &&
+                rule.expiry > rule.start,
+            "Vault: invalid allowance"
+        );
+        uint256 _nonce = _checkSigned(
+            keccak256(
+                abi.encode(
+                    _SET_ALLOWANCE_TYPEHASH,
+                    rule.token,
+                    rule.payee,
+                    rule.maxAmount,
+                    rule.maxFee,
+                    rule.relayer,
+                    rule.entryPoint,
+                    rule.period,
+                    rule.start,
+                    rule.expiry,
+                    deadline,
+                    _loadNonce()
+                )
+            ),
+            deadline,
+            sig
+        );
+        _storeNonce(_nonce + 1);
+
+        id = _loadUint(_ALLOWANCE_COUNT_SLOT);
+        _storeUint(_ALLOWANCE_COUNT_SLOT, id + 1);
+
+        Allowance storage a = _allowance(id);
+        a.token = rule.token;
+        a.payee = rule.payee;
+        a.maxAmount = rule.maxAmount;
+        a.maxFee = rule.maxFee;
+        a.relayer = rule.relayer;
+        a.entryPoint = rule.entryPoint;
+        a.period = rule.period;
+        a.start = rule.start;
+        a.expiry = rule.expiry;
+        a.epoch = _loadUint(_ALLOWANCE_EPOCH_SLOT);
+
+        emit AllowanceSet(
+            id,
+            rule.token,
+            rule.payee,
+            rule.maxAmount,
+            rule.maxFee,
+            rule.relayer,
+            rule.period,
+            rule.start,
+            rule.expiry
+        );
+    }
+
+    /// @notice Ends an allowance for good, authorized by a TIP-712 signature of the owner
+    /// @dev Consumes the nonce
+    /// @param id Allowance to revoke
+    /// @param deadline Signature deadline
+    /// @param sig TIP-712 signature from the `owner` over `RevokeAllowance`
+    function revokeAllowance(
+        uint256 id,
+        uint256 deadline,
+        bytes calldata sig
+    ) external nonReentrant {
+        require(
+            id < _loadUint(_ALLOWANCE_COUNT_SLOT),
+            "Vault: unknown allowance"
+        );
+        uint256 _nonce = _checkSigned(
+            keccak256(
+                abi.encode(_REVOKE_ALLOWANCE_TYPEHASH, id, deadline, _loadNonce())
+            ),
+            deadline,
+            sig
+        );
+
+        _storeNonce(_nonce + 1);
+        _allowance(id).revoked = true;
+
+        emit AllowanceRevoked(id);
+    }
+
+    /// @notice Pays `amount` to the allowance's payee and `fee` to its relayer, within the current period's caps
+    /// @dev Only the signed relayer, directly or through the signed EntryPoint, so nobody else can time,
+    /// split or charge for the payments. Does not touch the nonce.
+    /// @param id Allowance to spend from
+    /// @param amount Amount the payee receives
+    /// @param relayer Account executing the payment: the caller, or the account the EntryPoint relays for
+    /// @param fee Fee amount paid to the relayer, on top of `amount`
+    function spendAllowance(
+        uint256 id,
+        uint256 amount,
+        address relayer,
+        uint256 fee
+    ) external nonReentrant {
+        require(
+            id < _loadUint(_ALLOWANCE_COUNT_SLOT),
+            "Vault: unknown allowance"
+        );
+
+        Allowance storage a = _allowance(id);
+        require(
+            relayer == a.relayer &&
+                msg.sender ==
+                (a.entryPoint == address(0) ? a.relayer : a.entryPoint),
+            "Vault: not the allowance relayer"
+        );
+        require(
+            !a.revoked &&
+                a.epoch == _loadUint(_ALLOWANCE_EPOCH_SLOT) &&
+                block.timestamp >= a.start &&
+                block.timestamp < a.expiry,
+            "Vault: allowance inactive"
+        );
+
+        uint256 periodIndex = (block.timestamp - a.start) / a.period;
+        if (periodIndex != a.lastPeriod) {
+            a.lastPeriod = periodIndex;
+            a.spent = 0;
+            a.feeSpent = 0;
+        }
+        require(a.spent + amount <= a.maxAmount, "Vault: allowance exceeded");
+        require(a.feeSpent + fee <= a.maxFee, "Vault: allowance fee exceeded");
+        a.spent += amount;
+        a.feeSpent += fee;
+
+        _pay(a.token, a.payee, amount + fee, relayer, fee);
+
+        emit AllowanceSpent(id, a.payee, amount, relayer, fee, periodIndex);
+    }
+
+    /// @notice Number of allowances ever set; ids run from 0 to `allowanceCount() - 1`
+    function allowanceCount() external view returns (uint256) {
+        return _loadUint(_ALLOWANCE_COUNT_SLOT);
+    }
+
+    /// @notice The stored allowance `id`; `spent` and `feeSpent` belong to period `lastPeriod`
+    function allowance(uint256 id) external view returns (Allowance memory) {
+        require(
+            id < _loadUint(_ALLOWANCE_COUNT_SLOT),
+            "Vault: unknown allowance"
+        );
+        return _allowance(id);
+    }
+
+    /// @notice What `spendAllowance` can pay out right now, zero while the allowance is revoked, not started,
+    /// expired or set by an earlier owner
+    /// @return amount Amount left for the payee in the current period
+    /// @return fee Fee left for relayers in the current period
+    function allowanceAvailable(
+        uint256 id
+    ) external view returns (uint256 amount, uint256 fee) {
+        if (id >= _loadUint(_ALLOWANCE_COUNT_SLOT)) return (0, 0);
+
+        Allowance storage a = _allowance(id);
+        if (
+            a.revoked ||
+            a.epoch != _loadUint(_ALLOWANCE_EPOCH_SLOT) ||
+            block.timestamp < a.start ||
+            block.timestamp >= a.expiry
+        ) return (0, 0);
+
+        if ((block.timestamp - a.start) / a.period != a.lastPeriod) {
+            return (a.maxAmount, a.maxFee);
+        }
+        return (a.maxAmount - a.spent, a.maxFee - a.feeSpent);
+    }
+
+    /// @notice Starts handing the vault to `newOwner`; executable once the recovery delay has passed
+    /// @dev Only the guardian; replaces a recovery it started earlier
+    /// @param newOwner Address that owns the vault after `executeRecovery`
+    function initiateRecovery(address newOwner) external {
+        address _guardian = _loadAddress(_GUARDIAN_SLOT);
+        require(
+            _guardian != address(0) && msg.sender == _guardian,
+            "Vault: only guardian"
+        );
+        require(newOwner != address(0), "Vault: zero owner");
+
+        uint256 executableAt = block.timestamp +
+            _loadUint(_RECOVERY_DELAY_SLOT);
+        _storeAddress(_PENDING_OWNER_SLOT, newOwner);
+        _storeUint(_RECOVERY_ETA_SLOT, executableAt);
+
+        emit RecoveryInitiated(_guardian, newOwner, executableAt);
+    }
+
+    /// @notice Cancels a pending recovery
+    /// @dev Only the guardian: once a recovery is pending, the owner key can neither cancel it nor
+    /// change the guardian or owner, so a stolen key cannot outrun it
+    function cancelRecovery() external {
+        address _guardian = _loadAddress(_GUARDIAN_SLOT);
+        require(
+            _guardian != address(0) && msg.sender == _guardian,
+            "Vault: only guardian"
+        );
+        require(
+            _loadAddress(_PENDING_OWNER_SLOT) != address(0),
+            "Vault: no pending recovery"
+        );
+
+        _clearRecovery();
+    }
+
+    /// @notice Completes a recovery once its delay has passed; anyone may call it
+    /// @dev Consumes the nonce, so intents signed by the old key can no longer land
+    function executeRecovery() external nonReentrant {
+        address newOwner = _loadAddress(_PENDING_OWNER_SLOT);
+        require(newOwner != address(0), "Vault: no pending recovery");
+        require(
+            block.timestamp >= _loadUint(_RECOVERY_ETA_SLOT),
+            "Vault: recovery timelocked"
+        );
+
+        _storeNonce(_loadNonce() + 1);
+        _storeAddress(_PENDING_OWNER_SLOT, address(0));
+        _storeUint(_RECOVERY_ETA_SLOT, 0);
+        _setOwner(newOwner);
+    }
+
+    /// @dev Checks the deadline and the owner's signature over a typed struct, and returns the nonce it was signed for
+    function _checkSigned(
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata sig
+    ) internal view returns (uint256) {
+        require(block.timestamp < deadline, "Vault: deadline exceeded");
+
+        require(
+            _isOwnerSignature(_typedDigest(structHash), sig),
+            "Vault: invalid signature"
+        );
+
+        return _loadNonce();
+    }
+
+    /// @dev Also lapses every allowance set so far, so none keeps paying out for an owner that lost the vault
+    function _setOwner(address newOwner) internal {
+        emit OwnershipTransferred(_loadOwner(), newOwner);
+        _storeOwner(newOwner);
+        _storeUint(_ALLOWANCE_EPOCH_SLOT, _loadUint(_ALLOWANCE_EPOCH_SLOT) + 1);
+    }
+
+    function _checkNoRecovery() internal view {
+        require(
+            _loadAddress(_PENDING_OWNER_SLOT) == address(0),
+            "Vault: recovery pending"
+        );
+    }
+
+    function _clearRecovery() internal {
+        address pending = _loadAddress(_PENDING_OWNER_SLOT);
+
+        _storeAddress(_PENDING_OWNER_SLOT, address(0));
+        _storeUint(_RECOVERY_ETA_SLOT, 0);
+        emit RecoveryCancelled(pending);
+    }
+
+    /// @dev Checks the intent fields and returns the nonce it must be signed for
+    function _checkSend(
+        uint256 amount,
+        address feeRecipient,
+        uint256 fee,
+        uint256 deadline
+    ) internal view returns (uint256) {
+        require(block.timestamp < deadline, "Vault: deadline exceeded");
+        require(fee <= amount, "Vault: fee exceeds amount");
+
+        if (fee > 0) {
+            require(feeRecipient != address(0), "Vault: invalid fee recipient");
+        }
+
+        return _loadNonce();
+    }
+
+    /// @dev Consumes the nonce, then pays the recipient and the fee
+    function _executeSend(
+        address token,
+        address to,
+        uint256 amount,
+        address feeRecipient,
+        uint256 fee,
+        uint256 deadline,
+        uint256 _nonce
+    ) internal {
+        _storeNonce(_nonce + 1);
+        _pay(token, to, amount, feeRecipient, fee);
+
+        emit TokenSent(token, to, amount, feeRecipient, fee, deadline, _nonce);
+    }
+
+    /// @dev Transfers `amount - fee` to the recipient and `fee` to the fee recipient
+    function _pay(
+        address token,
+        address to,
+        uint256 amount,
+        address feeRecipient,
+        uint256 fee
+    ) internal {
         uint256 netAmount = amount - fee;
+
+        if (token == address(0)) {
+            _sendTrx(to, netAmount);
+            if (fee > 0) _sendTrx(feeRecipient, fee);
+            return;
+        }
         require(
             ITRC20(token).transfer(to, netAmount),
             "Vault: Token transfer failed"
@@ -113,13 +842,48 @@ contract Vault {
                 "Vault: Token transfer failed"
             );
         }
+    }
 
-        emit TokenSent(token, to, amount, feeRecipient, fee, deadline, _nonce);
+    function _sendTrx(address to, uint256 amount) internal {
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "Vault: TRX transfer failed");
+    }
+
+    /// @dev TIP-712 digest of a struct hash under this vault's domain
+    function _typedDigest(bytes32 structHash) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encodePacked("\x19\x01", domainSeparator(), structHash)
+            );
     }
 
-    /// @dev Recovers signer from the hash and signature
-    function _recover(
-        bytes32 _hash,
+    /// @dev Digest of `_hash` with the TRON message prefix, as `send` signatures sign it
+    function _messageDigest(bytes32 _hash) internal pure returns (bytes32) {
+        bytes memory prefix = "\x19TRON Signed Message:\n32";
+        return keccak256(abi.encodePacked(prefix, _hash));
+    }
+
+    /// @dev Whether `sig` over `digest` is the owner's: an ECDSA signature of an account owner, or one
+    /// a contract owner accepts through ERC-1271 `isValidSignature(digest, sig)`
+    function _isOwnerSignature(
+        bytes32 digest,
+        bytes memory sig
+    ) internal view returns (bool) {
+        address _owner = _loadOwner();
+        if (_owner.code.length == 0) return _recoverDigest(digest, sig) == _owner;
+
+        (bool ok, bytes memory result) = _owner.staticcall(
+            abi.encodeCall(IERC1271.isValidSignature, (digest, sig))
+        );
+        return
+            ok &&
+            result.length == 32 &&
+            abi.decode(result, (bytes4)) == IERC1271.isValidSignature.selector;
+    }
+
+    /// @dev Recovers signer from the final digest and signature
+    function _recoverDigest(
+        bytes32 digest,
         bytes memory sig
     ) internal pure returns (address) {
         require(sig.length == 65, "Vault: invalid signature length");
@@ -144,10 +908,15 @@ contract Vault {
             "Vault: invalid s"
         );
 
-        bytes memory prefix = "\x19TRON Signed Message:\n32";
-        bytes32 prefixedHash = keccak256(abi.encodePacked(prefix, _hash));
+        return ecrecover(digest, v, r, s);
+    }
 
-        return ecrecover(prefixedHash, v, r, s);
+    /// @dev Storage of allowance `id`, at keccak256(id . _ALLOWANCES_SLOT) like a mapping entry
+    function _allowance(uint256 id) internal pure returns (Allowance storage a) {
+        bytes32 slot = keccak256(abi.encode(id, _ALLOWANCES_SLOT));
+        assembly {
+            a.slot := slot
+        }
     }
 
     function _loadOwner() internal view returns (address a) {
@@ -173,6 +942,30 @@ contract Vault {
         }
     }
 
+    function _loadAddress(uint256 slot) internal view returns (address a) {
+        assembly {
+            a := sload(slot)
+        }
+    }
+
+    function _storeAddress(uint256 slot, address a) internal {
+        assembly {
+            sstore(slot, a)
+        }
+    }
+
+    function _loadUint(uint256 slot) internal view returns (uint256 v) {
+        assembly {
+            v := sload(slot)
+        }
+    }
+
+    function _storeUint(uint256 slot, uint256 v) internal {
+        assembly {
+            sstore(slot, v)
+        }
+    }
+
     function _loadLock() internal view returns (uint256 l) {
         assembly {
             l := sload(_REENTRANCY_LOCK_SLOT)
@@ -1,13 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import {Vault} from "./Vault.sol";
+import {Vault, IERC1271} from "./Vault.sol";
 
 /// @title VaultFactory
 /// @notice Factory for deploying Vault contracts using CREATE2
 contract VaultFactory {
     address public immutable implementation;
 
+    /// @notice Leading byte of this chain's CREATE2 preimage: 0x41 on TRON, 0xff on EVM chains such as BTTC
+    bytes1 public immutable create2Prefix;
+
     mapping(address => uint64) public nonces;
 
     event VaultDeployed(
@@ -23,9 +26,25 @@ contract VaultFactory {
     );
 
     /// @notice Initializes the factory with the implementation address
-    /// @dev The implementation is a Vault contract that is deployed with the factory address
+    /// @dev The implementation is a Vault contract that is deployed with the factory address.
+    /// It is deployed with CREATE2 so that its address tells which preimage prefix the chain uses.
     constructor() {
-        implementation = address(new Vault(address(this)));
+        address logic = address(new Vault{salt: bytes32(0)}(address(this)));
+        bytes32 codeHash = keccak256(
+            abi.encodePacked(type(Vault).creationCode, abi.encode(address(this)))
+        );
+
+        bytes1 prefix;
+        if (logic == _computeCreate2Address(0x41, bytes32(0), codeHash)) {
+            prefix = 0x41;
+        } else if (logic == _computeCreate2Address(0xff, bytes32(0), codeHash)) {
+            prefix = 0xff;
+        } else {
+            revert("Vault Factory: unknown CREATE2 scheme");
+        }
+
+        implementation = logic;
+        create2Prefix = prefix;
     }
 
     /// @notice Deploys the caller’s current-nonce Vault
@@ -95,15 +114,22 @@ contract VaultFactory {
     }
 
     /// @notice Owner-signed nonce rotation
-    /// @param owner The vault owner
-    /// @param sig Owner’s signature over keccak256("VaultNonce", owner, currentNonce)
+    /// @dev Once the current vault is deployed, its owner signs: after a `transferOwnership` or a recovery
+    /// the original key can no longer move EntryPoint away from the vault it lost.
+    /// A contract owner signs through ERC-1271: it is asked to validate `sig` for the prefixed digest
+    /// @param owner The owner the vaults derive from
+    /// @param sig Current owner’s signature over keccak256("VaultNonce", owner, currentNonce)
     function incrementNonce(address owner, bytes calldata sig) external {
         uint64 oldNonce = nonces[owner];
         bytes32 _hash = keccak256(
             abi.encodePacked("VaultNonce", owner, oldNonce)
         );
+        address current = _computeAddress(owner, oldNonce);
+        address signer = _isDeployed(current)
+            ? Vault(payable(current)).owner()
+            : owner;
         require(
-            _recover(_hash, sig) == owner,
+            _isValidSignature(signer, _hash, sig),
             "Vault Factory: invalid signature"
         );
         nonces[owner] = oldNonce + 1;
@@ -121,15 +147,16 @@ contract VaultFactory {
     ) internal view returns (address) {
         bytes32 salt = keccak256(abi.encode(owner, nonce));
         bytes32 codeHash = keccak256(_minimalProxyInitCode(implementation));
-        return _computeCreate2Address(salt, codeHash);
+        return _computeCreate2Address(create2Prefix, salt, codeHash);
     }
 
     function _computeCreate2Address(
+        bytes1 prefix,
         bytes32 salt,
         bytes32 codeHash
     ) internal view returns (address) {
         bytes32 digest = keccak256(
-            abi.encodePacked(bytes1(0x41), address(this), salt, codeHash)
+            abi.encodePacked(prefix, address(this), salt, codeHash)
         );
         return address(uint160(uint256(digest)));
     }
@@ -165,6 +192,26 @@ contract VaultFactory {
             );
     }
 
+    /// @dev Whether `signer` signed `_hash` with the TRON message prefix: by ECDSA for an account, or as
+    /// its ERC-1271 `isValidSignature` accepts it for a contract
+    function _isValidSignature(
+        address signer,
+        bytes32 _hash,
+        bytes memory sig
+    ) internal view returns (bool) {
+        if (signer.code.length == 0) return _recover(_hash, sig) == signer;
+
+        bytes memory prefix = "\x19TRON Signed Message:\n32";
+        bytes32 prefixedHash = keccak256(abi.encodePacked(prefix, _hash));
+        (bool ok, bytes memory result) = signer.staticcall(
+            abi.encodeCall(IERC1271.isValidSignature, (prefixedHash, sig))
+        );
+        return
+            ok &&
+            result.length == 32 &&
+            abi.decode(result, (bytes4)) == IERC1271.isValidSignature.selector;
+    }
+
     function _recover(
         bytes32 _hash,
         bytes memory sig
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Minimal M-of-N multisig that can own a vault through ERC-1271
+/// @dev For test environments only. A signature is the members' 65-byte ECDSA signatures over the
+/// hash the vault asks about, concatenated in ascending order of member address
+contract MultisigOwner {
+    mapping(address => bool) public isMember;
+    uint256 public immutable threshold;
+
+    constructor(address[] memory members, uint256 _threshold) {
+        require(
+            _threshold > 0 && _threshold <= members.length,
+            "Multisig: invalid threshold"
+        );
+        for (uint256 i = 0; i < members.length; i++) {
+            isMember[members[i]] = true;
+        }
+        threshold = _threshold;
+    }
+
+    /// @notice ERC-1271: `0x1626ba7e` when at least `threshold` distinct members signed `hash`
+    function isValidSignature(
+        bytes32 hash,
+        bytes calldata signature
+    ) external view returns (bytes4) {
+        if (signature.length == 0 || signature.length % 65 != 0) return 0xffffffff;
+
+        uint256 count = signature.length / 65;
+        if (count < threshold) return 0xffffffff;
+
+        address last = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 r = bytes32(signature[i * 65:i * 65 + 32]);
+            bytes32 s = bytes32(signature[i * 65 + 32:i * 65 + 64]);
+            uint8 v = uint8(signature[i * 65 + 64]);
+            if (v < 27) v += 27;
+
+            address signer = ecrecover(hash, v, r, s);
+            // Ascending order rules out counting one member twice
+            if (signer <= last || !isMember[signer]) return 0xffffffff;
+            last = signer;
+        }
+        return 0x1626ba7e;
+    }
+}
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, keccak256 } = require("ethers");
+
+const { FACTORY_ABI, ENTRYPOINT_ABI } = require("./abi");
+const { entryPointContract, factoryContract, fetchChainId, fetchRuntimeCode } = require("./chain");
+const { formatAddress, toEvmAddress, CHAIN_FLAVOURS } = require("./utils");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "deployments");
+
+// Contracts a manifest records, by the config key that holds their address
+const CONTRACTS = ["factory", "implementation", "entryPoint"];
+
+/**
+ * Chain client backed by TronWeb. Any object with the same five methods can be passed
+ * to `buildDeployment` and `verifyDeployment` instead, e.g. `ethersDeploymentClient`.
+ * @param {TronWeb} tronWeb
+ */
+function tronWebDeploymentClient(tronWeb) {
+  return {
+    getChainId: () => fetchChainId(tronWeb),
+    getCode: address => fetchRuntimeCode(tronWeb, address),
+
+    async getBlockNumber(txid) {
+      const info = await tronWeb.trx.getTransactionInfo(txid);
+      return info && info.blockNumber !== undefined ? info.blockNumber : null;
+    },
+
+    async getImplementation(factory) {
+      return toEvmAddress(await factoryContract(tronWeb, factory).implementation().call());
+    },
+
+    async getEntryPointFactory(entryPoint) {
+      return toEvmAddress(await entryPointContract(tronWeb, entryPoint).factory().call());
+    },
+  };
+}
+
+/**
+ * Chain client for EVM networks such as BTTC, backed by an ethers provider.
+ * @param {import("ethers").Provider} provider
+ */
+function ethersDeploymentClient(provider) {
+  return {
+    getChainId: async () => (await provider.getNetwork()).chainId,
+    getCode: address => provider.getCode(toEvmAddress(address)),
+
+    async getBlockNumber(txid) {
+      const receipt = await provider.getTransactionReceipt(txid);
+      return receipt ? receipt.blockNumber : null;
+    },
+
+    async getImplementation(factory) {
+      return toEvmAddress(await new Contract(toEvmAddress(factory), FACTORY_ABI, provider).implementation());
+    },
+
+    async getEntryPointFactory(entryPoint) {
+      return toEvmAddress(await new Contract(toEvmAddress(entryPoint), ENTRYPOINT_ABI, provider).factory());
+    },
+  };
+}
+
+/**
+ * Describes a fresh deployment: reads the implementation the factory created, the chain
+ * id, and the block and runtime code hash of each contract.
+ * @param {object} deployment
+ * @param {string} deployment.network - network name, as in `tron-vaults.config.json`
+ * @param {string} [deployment.flavour] - "tron" (default) or "evm"
+ * @param {string} deployment.compiler - solc version the contracts were built with
+ * @param {{address: string, txid?: string}} deployment.factory
+ * @param {{address: string, txid?: string}} deployment.entryPoint
+ * @param {object} client - see `tronWebDeploymentClient`
+ * @returns {Promise<object>} the manifest, addresses in the flavour's address format
+ */
+async function buildDeployment({ network, flavour = "tron", compiler, factory, entryPoint }, client) {
+  if (!CHAIN_FLAVOURS[flavour]) throw new Error(`Unknown chain flavour "${flavour}"`);
+  const { addressFormat } = CHAIN_FLAVOURS[flavour];
+
+  // The implementation is created by the factory's constructor, in the same transaction
+  const implementation = { address: await client.getImplementation(factory.address), txid: factory.txid };
+  const deployed = { factory, implementation, entryPoint };
+
+  const contracts = {};
+  for (const name of CONTRACTS) {
+    const { address, txid = null } = deployed[name];
+    contracts[name] = {
+      address: formatAddress(address, addressFormat),
+      txid,
+      blockNumber: txid ? await client.getBlockNumber(txid) : null,
+      codeHash: keccak256(await client.getCode(address)),
+    };
+  }
+
+  return {
+    network,
+    flavour,
+    chainId: (await client.getChainId()).toString(),
+    compiler,
+    deployedAt: new Date().toISOString(),
+    contracts,
+  };
+}
+
+function deploymentFile(network, dir) {
+  if (!/^[\w.-]+$/.test(network)) throw new Error(`Invalid network name "${network}"`);
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Writes `<dir>/<network>.json`, replacing any earlier manifest of the network.
+ * @param {object} manifest - result of `buildDeployment`
+ * @param {string} [dir]
+ * @returns {string} the file written
+ */
+function writeDeployment(manifest, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentFile(manifest.network, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Loads the deployment manifest of a network.
+ * @param {string} network - network name
+ * @param {string} [dir] - defaults to `$TRON_VAULTS_DEPLOYMENTS` or ./deployments next to this file
+ * @returns {object|null} the manifest, or null when the network has none
+ */
+function loadDeployment(network, dir = process.env.TRON_VAULTS_DEPLOYMENTS || DEPLOYMENTS_DIR) {
+  const file = deploymentFile(network, dir);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @param {object} manifest
+ * @returns {{factory: string, implementation: string, entryPoint: string}}
+ */
+function deploymentAddresses(manifest) {
+  return Object.fromEntries(CONTRACTS.map(name => [name, manifest.contracts[name].address]));
+}
+
+/**
+ * Checks a manifest against the chain: the chain id, each contract's runtime code, and
+ * that `factory.implementation()` and `entryPoint.factory()` point where the manifest says.
+ * @param {object} manifest - result of `loadDeployment`
+ * @param {object} client - see `tronWebDeploymentClient`
+ * @returns {Promise<{ok: boolean, checks: {check: string, expected: string, actual: string, ok: boolean}[]}>}
+ */
+async function verifyDeployment(manifest, client) {
+  const { contracts } = manifest;
+  const checks = [];
+  const check = (name, expected, actual) => checks.push({ check: name, expected, actual, ok: expected === actual });
+
+  if (manifest.chainId) check("chainId", manifest.chainId, (await client.getChainId()).toString());
+  for (const name of CONTRACTS) {
+    const code = await client.getCode(contracts[name].address);
+    check(`${name}.codeHash`, contracts[name].codeHash, code === "0x" ? null : keccak256(code));
+  }
+  check(
+    "factory.implementation()",
+    toEvmAddress(contracts.implementation.address),
+    await client.getImplementation(contracts.factory.address)
+  );
+  check(
+    "entryPoint.factory()",
+    toEvmAddress(contracts.factory.address),
+    await client.getEntryPointFactory(contracts.entryPoint.address)
+  );
+
+  return { ok: checks.every(c => c.ok), checks };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  tronWebDeploymentClient,
+  ethersDeploymentClient,
+  buildDeployment,
+  writeDeployment,
+  loadDeployment,
+  deploymentAddresses,
+  verifyDeployment,
+};
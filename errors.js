@@ -0,0 +1,265 @@
+/**
+ * A contract revert with its decoded reason. Known reasons have a subclass below;
+ * `fields` holds the call values behind the revert (for unknown reasons, everything
+ * that was passed in).
+ */
+class RevertError extends Error {
+  static reason = null;
+  static fields = null;
+
+  /**
+   * @param {object} [context] - call values; only the class's `fields` are kept
+   * @param {string} [reason] - revert string, defaults to the class's `reason`
+   */
+  constructor(context = {}, reason = new.target.reason) {
+    super(reason || "reverted");
+    this.name = new.target.name;
+    this.reason = reason || null;
+
+    const names = new.target.fields || Object.keys(context);
+    this.fields = {};
+    for (const name of names) {
+      const value = context[name];
+      this.fields[name] = typeof value === "bigint" ? value.toString() : value;
+    }
+  }
+}
+
+class DeadlineExceededError extends RevertError {
+  static reason = "Vault: deadline exceeded";
+  static fields = ["deadline", "now"];
+}
+
+class FeeExceedsAmountError extends RevertError {
+  static reason = "Vault: fee exceeds amount";
+  static fields = ["fee", "amount"];
+}
+
+class InvalidFeeRecipientError extends RevertError {
+  static reason = "Vault: invalid fee recipient";
+  static fields = ["feeRecipient", "fee"];
+}
+
+class InvalidSignatureLengthError extends RevertError {
+  static reason = "Vault: invalid signature length";
+  static fields = ["signature", "length"];
+}
+
+class InvalidSignatureVError extends RevertError {
+  static reason = "Vault: invalid v";
+  static fields = ["signature", "v"];
+}
+
+class InvalidSignatureSError extends RevertError {
+  static reason = "Vault: invalid s";
+  static fields = ["signature", "s"];
+}
+
+class InvalidSignatureError extends RevertError {
+  static reason = "Vault: invalid signature";
+  static fields = ["owner", "vault", "nonce", "digest", "signer", "signature"];
+}
+
+class TokenTransferFailedError extends RevertError {
+  static reason = "Vault: Token transfer failed";
+  static fields = ["vault", "token", "to", "amount", "feeRecipient", "fee"];
+}
+
+class TrxTransferFailedError extends RevertError {
+  static reason = "Vault: TRX transfer failed";
+  static fields = ["vault", "to", "amount", "feeRecipient", "fee"];
+}
+
+class ReentrantError extends RevertError {
+  static reason = "Vault: reentrant";
+  static fields = ["vault"];
+}
+
+class EmptyBatchError extends RevertError {
+  static reason = "Vault: empty batch";
+  static fields = ["legs"];
+}
+
+class InvalidNonceError extends RevertError {
+  static reason = "Vault: invalid nonce";
+  static fields = ["vault", "nonce", "newNonce"];
+}
+
+class VaultZeroOwnerError extends RevertError {
+  static reason = "Vault: zero owner";
+  static fields = ["vault", "newOwner"];
+}
+
+class ZeroRecoveryDelayError extends RevertError {
+  static reason = "Vault: zero recovery delay";
+  static fields = ["vault", "guardian", "delay"];
+}
+
+class OnlyGuardianError extends RevertError {
+  static reason = "Vault: only guardian";
+  static fields = ["vault", "guardian", "caller"];
+}
+
+class NoPendingRecoveryError extends RevertError {
+  static reason = "Vault: no pending recovery";
+  static fields = ["vault"];
+}
+
+class RecoveryPendingError extends RevertError {
+  static reason = "Vault: recovery pending";
+  static fields = ["vault", "pendingOwner"];
+}
+
+class RecoveryTimelockedError extends RevertError {
+  static reason = "Vault: recovery timelocked";
+  static fields = ["vault", "executableAt", "now"];
+}
+
+class InvalidAllowanceError extends RevertError {
+  static reason = "Vault: invalid allowance";
+  static fields = ["vault", "payee", "maxAmount", "period", "start", "expiry"];
+}
+
+class UnknownAllowanceError extends RevertError {
+  static reason = "Vault: unknown allowance";
+  static fields = ["vault", "id"];
+}
+
+class AllowanceInactiveError extends RevertError {
+  static reason = "Vault: allowance inactive";
+  static fields = ["vault", "id", "revoked", "start", "expiry", "now"];
+}
+
+class AllowanceExceededError extends RevertError {
+  static reason = "Vault: allowance exceeded";
+  static fields = ["vault", "id", "amount", "available"];
+}
+
+class AllowanceFeeExceededError extends RevertError {
+  static reason = "Vault: allowance fee exceeded";
+  static fields = ["vault", "id", "fee", "availableFee"];
+}
+
+class NotAllowanceRelayerError extends RevertError {
+  static reason = "Vault: not the allowance relayer";
+  static fields = ["vault", "id", "relayer", "caller"];
+}
+
+class FactoryInvalidSignatureVError extends RevertError {
+  static reason = "Vault Factory: invalid v";
+  static fields = ["signature", "v"];
+}
+
+class FactoryInvalidSignatureSError extends RevertError {
+  static reason = "Vault Factory: invalid s";
+  static fields = ["signature", "s"];
+}
+
+class FactoryInvalidSignatureError extends RevertError {
+  static reason = "Vault Factory: invalid signature";
+  static fields = ["owner", "nonce", "digest", "signer", "signature"];
+}
+
+class ZeroOwnerError extends RevertError {
+  static reason = "Vault Factory: zero owner";
+  static fields = ["owner"];
+}
+
+class VaultAlreadyDeployedError extends RevertError {
+  static reason = "Vault Factory: vault already deployed";
+  static fields = ["owner", "vault"];
+}
+
+class VaultInitializeError extends RevertError {
+  static reason = "VaultFactory: failed to initialize";
+  static fields = ["owner", "vault"];
+}
+
+class VaultNotDeployedError extends RevertError {
+  static reason = "EntryPoint: vault not deployed";
+  static fields = ["owner", "vault"];
+}
+
+const REVERT_ERRORS = [
+  DeadlineExceededError,
+  FeeExceedsAmountError,
+  InvalidFeeRecipientError,
+  InvalidSignatureLengthError,
+  InvalidSignatureVError,
+  InvalidSignatureSError,
+  InvalidSignatureError,
+  TokenTransferFailedError,
+  TrxTransferFailedError,
+  ReentrantError,
+  EmptyBatchError,
+  InvalidNonceError,
+  VaultZeroOwnerError,
+  ZeroRecoveryDelayError,
+  OnlyGuardianError,
+  NoPendingRecoveryError,
+  RecoveryPendingError,
+  RecoveryTimelockedError,
+  InvalidAllowanceError,
+  UnknownAllowanceError,
+  AllowanceInactiveError,
+  AllowanceExceededError,
+  AllowanceFeeExceededError,
+  NotAllowanceRelayerError,
+  FactoryInvalidSignatureVError,
+  FactoryInvalidSignatureSError,
+  FactoryInvalidSignatureError,
+  ZeroOwnerError,
+  VaultAlreadyDeployedError,
+  VaultInitializeError,
+  VaultNotDeployedError,
+];
+
+const BY_REASON = new Map(REVERT_ERRORS.map(ErrorClass => [ErrorClass.reason, ErrorClass]));
+
+/**
+ * Builds the error for a revert reason.
+ * @param {string|null} reason - decoded revert string, null when the call reverted without one
+ * @param {object} [context] - call values the error picks its fields from
+ * @returns {RevertError}
+ */
+function revertError(reason, context = {}) {
+  const ErrorClass = BY_REASON.get(reason);
+  return ErrorClass ? new ErrorClass(context) : new RevertError(context, reason);
+}
+
+module.exports = {
+  RevertError,
+  DeadlineExceededError,
+  FeeExceedsAmountError,
+  InvalidFeeRecipientError,
+  InvalidSignatureLengthError,
+  InvalidSignatureVError,
+  InvalidSignatureSError,
+  InvalidSignatureError,
+  TokenTransferFailedError,
+  TrxTransferFailedError,
+  ReentrantError,
+  EmptyBatchError,
+  InvalidNonceError,
+  VaultZeroOwnerError,
+  ZeroRecoveryDelayError,
+  OnlyGuardianError,
+  NoPendingRecoveryError,
+  RecoveryPendingError,
+  RecoveryTimelockedError,
+  InvalidAllowanceError,
+  UnknownAllowanceError,
+  AllowanceInactiveError,
+  AllowanceExceededError,
+  AllowanceFeeExceededError,
+  NotAllowanceRelayerError,
+  FactoryInvalidSignatureVError,
+  FactoryInvalidSignatureSError,
+  FactoryInvalidSignatureError,
+  ZeroOwnerError,
+  VaultAlreadyDeployedError,
+  VaultInitializeError,
+  VaultNotDeployedError,
+  REVERT_ERRORS,
+  revertError,
+};
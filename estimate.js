@@ -0,0 +1,318 @@
+const { TronWeb } = require("tronweb");
+const { Wallet } = require("ethers");
+
+const { fetchVaultState, decodeRevertReason } = require("./chain");
+const { signSend, signIncrementNonce } = require("./signing");
+const { toEvmAddress, ethToTronHex, getEpoch } = require("./utils");
+
+const SELECTORS = {
+  relay: "relay(address,address,address,uint256,address,uint256,uint256,bytes)",
+  relayTyped: "relayTyped(address,address,address,uint256,address,uint256,uint256,bytes)",
+  send: "send(address,address,uint256,address,uint256,uint256,bytes)",
+  sendTyped: "sendTyped(address,address,uint256,address,uint256,uint256,bytes)",
+  relayMany: "relayMany((address,address,address,uint256,address,uint256,uint256,bytes,bool)[])",
+  relayBatch: "relayBatch(address,(address,address,uint256,uint256)[],address,uint256,bytes)",
+  sendBatch: "sendBatch((address,address,uint256,uint256)[],address,uint256,bytes)",
+  deploy: "deploy(address)",
+  incrementNonce: "incrementNonce(address,bytes)",
+  cancelNonces: "cancelNonces(uint256,uint256,bytes)",
+  transferOwnership: "transferOwnership(address,uint256,bytes)",
+  setGuardian: "setGuardian(address,uint256,uint256,bytes)",
+  initiateRecovery: "initiateRecovery(address)",
+  cancelRecovery: "cancelRecovery()",
+  executeRecovery: "executeRecovery()",
+  setAllowance: "setAllowance((address,address,uint256,uint256,address,address,uint256,uint256,uint256),uint256,bytes)",
+  revokeAllowance: "revokeAllowance(uint256,uint256,bytes)",
+  spendAllowance: "spendAllowance(uint256,uint256,address,uint256)",
+  relayAllowance: "relayAllowance(address,uint256,uint256,uint256)",
+};
+
+const SEND_PARAM_TYPES = ["address", "address", "uint256", "address", "uint256", "uint256", "bytes"];
+
+const SEND_BATCH_PARAM_TYPES = ["(address,address,uint256,uint256)[]", "address", "uint256", "bytes"];
+
+// Used when the chain does not report `getEnergyFee`
+const FALLBACK_ENERGY_PRICE = 420;
+
+/**
+ * Network client backed by TronWeb. Any object with the same three methods can be
+ * passed to the estimators instead, e.g. one replaying recorded responses.
+ * @param {TronWeb} tronWeb
+ */
+function tronWebEstimateClient(tronWeb) {
+  return {
+    async triggerConstantContract({ contract, selector, params, from }) {
+      return tronWeb.transactionBuilder.triggerConstantContract(
+        ethToTronHex(toEvmAddress(contract)), selector, {}, params, ethToTronHex(toEvmAddress(from))
+      );
+    },
+
+    async estimateEnergy({ contract, selector, params, from }) {
+      return tronWeb.transactionBuilder.estimateEnergy(
+        ethToTronHex(toEvmAddress(contract)), selector, {}, params, ethToTronHex(toEvmAddress(from))
+      );
+    },
+
+    async getChainParameters() {
+      return tronWeb.trx.getChainParameters();
+    },
+  };
+}
+
+/**
+ * Reads the current energy price.
+ * @param {object} client
+ * @returns {Promise<number>} sun per energy unit
+ */
+async function getEnergyPrice(client) {
+  const parameters = await client.getChainParameters();
+  const fee = parameters.find(p => p.key === "getEnergyFee");
+  return fee && fee.value ? Number(fee.value) : FALLBACK_ENERGY_PRICE;
+}
+
+/**
+ * Reads the revert out of a `triggerConstantContract` response.
+ * @param {object} constant
+ * @returns {{reverted: boolean, reason: string|null}}
+ */
+function constantRevert(constant) {
+  const output = constant.constant_result && constant.constant_result[0];
+  const failed = Boolean(constant.transaction && constant.transaction.ret && constant.transaction.ret[0]
+    && ["FAILED", "REVERT"].includes(constant.transaction.ret[0].ret));
+  const reason = decodeRevertReason(output);
+  return { reverted: Boolean(reason) || failed, reason };
+}
+
+/**
+ * Dry-runs one call and measures its energy. `estimateEnergy` is preferred; nodes that
+ * do not enable it fall back to the `energy_used` of a constant call.
+ * @param {object} client
+ * @param {object} call - contract, selector, params (TronWeb `{type, value}` list), from
+ * @returns {Promise<{energy: number, source: string, revert: string|null}>}
+ */
+async function simulate(client, call) {
+  const constant = await client.triggerConstantContract(call);
+  const { reverted, reason } = constantRevert(constant);
+  if (reverted) return { energy: null, source: "triggerConstantContract", revert: reason || "reverted" };
+
+  try {
+    const estimated = await client.estimateEnergy(call);
+    if (estimated && estimated.energy_required) {
+      return { energy: Number(estimated.energy_required), source: "estimateEnergy", revert: null };
+    }
+  } catch (err) {
+    // estimateEnergy is disabled on this node, use the constant call
+  }
+
+  const energy = Number(constant.energy_used || 0) + Number(constant.energy_penalty || 0);
+  return { energy, source: "triggerConstantContract", revert: null };
+}
+
+/**
+ * TronWeb parameter list for `Vault.send` and `Vault.sendTyped`.
+ * @param {Array} args - their arguments, e.g. `signSend(...).args.slice(1)`
+ */
+function sendParams(args) {
+  return args.map((value, i) => ({ type: SEND_PARAM_TYPES[i], value }));
+}
+
+/**
+ * TronWeb parameter list for `EntryPoint.relay`.
+ * @param {Array} args - `EntryPoint.relay` arguments, e.g. `signSend(...).args`
+ */
+function relayParams(args) {
+  return [{ type: "address", value: args[0] }, ...sendParams(args.slice(1))];
+}
+
+function sendBatchParams(args) {
+  return args.map((value, i) => ({ type: SEND_BATCH_PARAM_TYPES[i], value }));
+}
+
+/**
+ * TronWeb parameter list for `EntryPoint.relayBatch`.
+ * @param {Array} args - `EntryPoint.relayBatch` arguments, e.g. `signSendBatch(...).args`
+ */
+function relayBatchParams(args) {
+  return [{ type: "address", value: args[0] }, ...sendBatchParams(args.slice(1))];
+}
+
+/**
+ * TronWeb parameter list for `EntryPoint.relayMany`.
+ * @param {Array<{args: Array, typed: boolean}>} intents - `EntryPoint.relay` arguments of each intent,
+ *   e.g. `signSend(...).args`, and whether it is relayed with `sendTyped`
+ */
+function relayManyParams(intents) {
+  return [{
+    type: "(address,address,address,uint256,address,uint256,uint256,bytes,bool)[]",
+    value: intents.map(({ args, typed }) => [...args, typed]),
+  }];
+}
+
+function throwawayKey() {
+  return Wallet.createRandom().privateKey.slice(2);
+}
+
+/**
+ * Measures `EntryPoint.relay`, `Vault.send`, `VaultFactory.deploy` and
+ * `VaultFactory.incrementNonce` by simulating them against the live contracts.
+ *
+ * The "new vault" relay, deploy and incrementNonce run for a throwaway owner.
+ * The "existing vault" relay and send need an owner whose vault is deployed on this
+ * network (`sampleOwnerKey`); without one they are reported as null.
+ * Sample transfers move 0 tokens, so the vaults need no balance.
+ *
+ * @param {object} options
+ * @param {object} options.client - see `tronWebEstimateClient`
+ * @param {TronWeb} options.tronWeb - used to read vault state for the sample owner
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {string} options.token - TRC20 (or "TRX") used for the sample sends
+ * @param {string} options.from - account the simulated calls are sent from (the relayer)
+ * @param {string} [options.sampleOwnerKey] - key of an owner with a deployed vault
+ * @param {number} [options.margin] - fraction added on top of the estimate for `feeLimit`
+ * @returns {Promise<object>} JSON-serialisable report
+ */
+async function estimateAll({ client, tronWeb, factory, entryPoint, token, from, sampleOwnerKey, margin = 0.2 }) {
+  const energyPrice = await getEnergyPrice(client);
+  const deadline = getEpoch() + 3600;
+  const estimates = {};
+
+  const freshKey = throwawayKey();
+  const freshOwner = toEvmAddress(TronWeb.address.fromPrivateKey(freshKey));
+  const freshSend = await signSend(
+    { owner: freshOwner, token, to: freshOwner, amount: 0, fee: 0, deadline, nonce: 0 },
+    { privateKey: freshKey }
+  );
+
+  estimates.relayNewVault = await simulate(client, {
+    contract: entryPoint,
+    selector: SELECTORS.relay,
+    params: relayParams(freshSend.args),
+    from,
+  });
+
+  estimates.deploy = await simulate(client, {
+    contract: factory,
+    selector: SELECTORS.deploy,
+    params: [{ type: "address", value: freshOwner }],
+    from,
+  });
+
+  const rotation = await signIncrementNonce({ owner: freshOwner, nonce: 0 }, { privateKey: freshKey });
+  estimates.incrementNonce = await simulate(client, {
+    contract: factory,
+    selector: SELECTORS.incrementNonce,
+    params: [{ type: "address", value: freshOwner }, { type: "bytes", value: rotation.signature }],
+    from,
+  });
+
+  estimates.relayExistingVault = null;
+  estimates.send = null;
+  if (sampleOwnerKey) {
+    const owner = toEvmAddress(TronWeb.address.fromPrivateKey(sampleOwnerKey));
+    const vault = await fetchVaultState(tronWeb, factory, owner);
+    if (vault.deployed) {
+      const { args } = await signSend(
+        { owner, token, to: owner, amount: 0, fee: 0, deadline, nonce: vault.nonce },
+        { privateKey: sampleOwnerKey }
+      );
+      estimates.relayExistingVault = await simulate(client, {
+        contract: entryPoint,
+        selector: SELECTORS.relay,
+        params: relayParams(args),
+        from,
+      });
+      estimates.send = await simulate(client, {
+        contract: vault.vault,
+        selector: SELECTORS.send,
+        params: sendParams(args.slice(1)),
+        from,
+      });
+    }
+  }
+
+  const report = { energyPrice, margin, estimates: {} };
+  for (const [name, estimate] of Object.entries(estimates)) {
+    report.estimates[name] = estimate && withCost(estimate, energyPrice, margin);
+  }
+  return report;
+}
+
+/**
+ * Adds the TRX cost and a recommended `feeLimit` to an energy estimate.
+ * @param {{energy: number}} estimate
+ * @param {number} energyPrice - sun per energy
+ * @param {number} margin - fraction added on top of the cost
+ */
+function withCost(estimate, energyPrice, margin) {
+  if (estimate.energy === null) return { ...estimate, costSun: null, feeLimit: null };
+  const costSun = estimate.energy * energyPrice;
+  return {
+    ...estimate,
+    costSun,
+    costTrx: costSun / 1_000_000,
+    feeLimit: Math.ceil(costSun * (1 + margin)),
+  };
+}
+
+/**
+ * Measures one `EntryPoint.relay` call for already signed arguments.
+ * @param {object} options
+ * @param {object} options.client - see `tronWebEstimateClient`
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {Array} options.args - `EntryPoint.relay` arguments, e.g. `signSend(...).args`
+ * @param {string} options.from - relayer account
+ * @param {number} [options.margin] - fraction added on top of the estimate for `feeLimit`
+ */
+async function estimateRelay({ client, entryPoint, args, from, margin = 0.2 }) {
+  const energyPrice = await getEnergyPrice(client);
+  const estimate = await simulate(client, {
+    contract: entryPoint,
+    selector: SELECTORS.relay,
+    params: relayParams(args),
+    from,
+  });
+  return withCost(estimate, energyPrice, margin);
+}
+
+/**
+ * Measures one `EntryPoint.relayBatch` call for already signed arguments.
+ * @param {object} options
+ * @param {object} options.client - see `tronWebEstimateClient`
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {Array} options.args - `EntryPoint.relayBatch` arguments, e.g. `signSendBatch(...).args`
+ * @param {string} options.from - relayer account
+ * @param {number} [options.margin] - fraction added on top of the estimate for `feeLimit`
+ * @returns {Promise<object>} the estimate with `legs` and `energyPerLeg`
+ */
+async function estimateRelayBatch({ client, entryPoint, args, from, margin = 0.2 }) {
+  const energyPrice = await getEnergyPrice(client);
+  const estimate = await simulate(client, {
+    contract: entryPoint,
+    selector: SELECTORS.relayBatch,
+    params: relayBatchParams(args),
+    from,
+  });
+  const legs = args[1].length;
+  return {
+    ...withCost(estimate, energyPrice, margin),
+    legs,
+    energyPerLeg: estimate.energy === null ? null : Math.ceil(estimate.energy / legs),
+  };
+}
+
+module.exports = {
+  tronWebEstimateClient,
+  getEnergyPrice,
+  constantRevert,
+  simulate,
+  estimateAll,
+  estimateRelay,
+  estimateRelayBatch,
+  withCost,
+  sendParams,
+  relayParams,
+  relayBatchParams,
+  relayManyParams,
+  SELECTORS,
+};
@@ -0,0 +1,289 @@
+const { Interface } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI } = require("./abi");
+const { memoryCheckpoint } = require("./checkpoint");
+const { toEvmAddress } = require("./utils");
+
+const iface = new Interface([
+  ...FACTORY_ABI.filter(f => f.type === "event"),
+  ...VAULT_ABI.filter(f => f.type === "event"),
+  ...ENTRYPOINT_ABI.filter(f => f.type === "event"),
+]);
+
+// Which contract may emit each event; TokenSent and BatchSent come from any vault
+const EMITTERS = {
+  VaultDeployed: "factory",
+  VaultNonceIncremented: "factory",
+  MetaTransactionExecuted: "entryPoint",
+  TokenSent: null,
+  BatchSent: null,
+};
+
+/**
+ * Log source backed by TronWeb's `getTransactionInfoByBlockNum`.
+ * Any object with the same two methods can be passed to `createIndexer` instead.
+ * @param {TronWeb} tronWeb
+ */
+function tronWebLogClient(tronWeb) {
+  return {
+    async getLatestBlockNumber() {
+      const { block_header } = await tronWeb.trx.getCurrentBlock();
+      return block_header.raw_data.number;
+    },
+
+    async getBlockLogs(blockNumber) {
+      const infos = await tronWeb.trx.getTransactionInfoByBlockNum(blockNumber);
+      return (Array.isArray(infos) ? infos : [infos]).filter(info => info && info.id).map(info => ({
+        txid: info.id,
+        blockNumber: info.blockNumber,
+        blockTimestamp: info.blockTimeStamp,
+        logs: info.log || [],
+      }));
+    },
+  };
+}
+
+function hex(value) {
+  return value.startsWith("0x") ? value : `0x${value}`;
+}
+
+function normalizeArg(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) return toEvmAddress(value);
+  return value;
+}
+
+/**
+ * Decodes one raw TRON log into an indexed event, or null if it is not one of ours.
+ * @param {object} log - `{ address, topics, data }`, address in 41-hex, bare hex or 0x form
+ * @param {object} contracts - `{ factory, entryPoint }` ETH-style addresses
+ */
+function decodeLog(log, contracts) {
+  let parsed;
+  try {
+    parsed = iface.parseLog({ topics: log.topics.map(hex), data: hex(log.data || "") });
+  } catch (err) {
+    return null;
+  }
+  if (!parsed || !(parsed.name in EMITTERS)) return null;
+
+  const address = toEvmAddress(log.address);
+  const emitter = EMITTERS[parsed.name];
+  if (emitter && contracts[emitter] !== address) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = normalizeArg(parsed.args[i]);
+  });
+  return { event: parsed.name, address, args };
+}
+
+/**
+ * Indexes VaultDeployed, VaultNonceIncremented, TokenSent, BatchSent and MetaTransactionExecuted
+ * into a local store, block by block, with the last indexed block as checkpoint.
+ *
+ * @param {object} options
+ * @param {object} options.client - log source, see `tronWebLogClient`
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {object} [options.store] - `{ load, save }` store, see `checkpoint.js`
+ * @param {number} [options.fromBlock] - first block to index when the store is empty
+ * @param {number} [options.confirmations] - blocks to stay behind the head
+ * @param {number} [options.batchSize] - blocks indexed per `sync` call at most
+ * @param {(event: object) => void|Promise<void>} [options.onEvent] - called with every newly indexed event before
+ *   the store is saved, so a crash in between calls it again on restart: dedupe on `txid` + `logIndex`
+ */
+function createIndexer({
+  client,
+  factory,
+  entryPoint,
+  store = memoryCheckpoint(),
+  fromBlock = 0,
+  confirmations = 19,
+  batchSize = 1000,
+  onEvent = () => {},
+}) {
+  const contracts = { factory: toEvmAddress(factory), entryPoint: toEvmAddress(entryPoint) };
+  let state;
+
+  async function load() {
+    if (!state) state = (await store.load()) || { lastBlock: fromBlock - 1, events: [] };
+    return state;
+  }
+
+  /**
+   * Indexes the next batch of confirmed blocks and saves the store.
+   * @returns {Promise<{fromBlock: number, toBlock: number, indexed: number}>}
+   */
+  async function sync() {
+    await load();
+    const head = (await client.getLatestBlockNumber()) - confirmations;
+    const start = state.lastBlock + 1;
+    const end = Math.min(head, start + batchSize - 1);
+    const seen = new Set(state.events.map(e => `${e.txid}:${e.logIndex}`));
+    const added = [];
+
+    for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+      for (const tx of await client.getBlockLogs(blockNumber)) {
+        tx.logs.forEach((log, logIndex) => {
+          const decoded = decodeLog(log, contracts);
+          if (!decoded || seen.has(`${tx.txid}:${logIndex}`)) return;
+          added.push({
+            ...decoded,
+            txid: tx.txid,
+            logIndex,
+            blockNumber: tx.blockNumber,
+            blockTimestamp: tx.blockTimestamp,
+          });
+        });
+      }
+      state.lastBlock = blockNumber;
+    }
+
+    state.events.push(...added);
+    for (const event of added) await onEvent(event);
+    if (end >= start) await store.save(state);
+    return { fromBlock: start, toBlock: Math.max(end, start - 1), indexed: added.length };
+  }
+
+  function events(name) {
+    return state ? state.events.filter(e => e.event === name) : [];
+  }
+
+  // vault => owner, from deployments and relays
+  function vaultOwners() {
+    const owners = new Map();
+    for (const e of events("VaultDeployed")) owners.set(e.args.vault, e.args.owner);
+    for (const e of events("MetaTransactionExecuted")) owners.set(e.args.vault, e.args.owner);
+    return owners;
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {object[]} TokenSent events of every vault the owner has had
+   */
+  function sendsByOwner(owner) {
+    owner = toEvmAddress(owner);
+    const owners = vaultOwners();
+    return events("TokenSent").filter(e => owners.get(e.address) === owner);
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {{vault: string, nonce: string, txid: string, blockNumber: number, legs: object[]}[]}
+   *   the owner's batch sends, each with the `TokenSent` args of its legs in order
+   */
+  function batchesByOwner(owner) {
+    owner = toEvmAddress(owner);
+    const owners = vaultOwners();
+    return events("BatchSent")
+      .filter(e => owners.get(e.address) === owner)
+      .map(batch => ({
+        vault: batch.address,
+        nonce: batch.args.nonce,
+        txid: batch.txid,
+        blockNumber: batch.blockNumber,
+        legs: events("TokenSent")
+          .filter(e => e.txid === batch.txid && e.address === batch.address && e.args.nonce === batch.args.nonce)
+          .sort((x, y) => x.logIndex - y.logIndex)
+          .map(e => e.args),
+      }));
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {{nonce: string, vault: string, txid: string, blockNumber: number}[]} deployed vaults by factory nonce
+   */
+  function vaultsByOwner(owner) {
+    owner = toEvmAddress(owner);
+    return events("VaultDeployed")
+      .filter(e => e.args.owner === owner)
+      .map(e => ({ nonce: e.args.nonce, vault: e.args.vault, txid: e.txid, blockNumber: e.blockNumber }))
+      .sort((a, b) => Number(BigInt(a.nonce) - BigInt(b.nonce)));
+  }
+
+  /**
+   * @param {string} feeRecipient
+   * @returns {Object<string, string>} token => total fees earned
+   */
+  function feesEarned(feeRecipient) {
+    feeRecipient = toEvmAddress(feeRecipient);
+    const totals = {};
+    for (const e of events("TokenSent")) {
+      if (e.args.feeRecipient !== feeRecipient || e.args.fee === "0") continue;
+      totals[e.args.token] = (BigInt(totals[e.args.token] || 0) + BigInt(e.args.fee)).toString();
+    }
+    return totals;
+  }
+
+  /**
+   * @param {string} owner
+   * @returns {object[]} VaultNonceIncremented events of the owner
+   */
+  function nonceRotations(owner) {
+    owner = toEvmAddress(owner);
+    return events("VaultNonceIncremented").filter(e => e.args.owner === owner);
+  }
+
+  return {
+    load,
+    sync,
+    events,
+    sendsByOwner,
+    batchesByOwner,
+    vaultsByOwner,
+    feesEarned,
+    nonceRotations,
+  };
+}
+
+async function main() {
+  require("dotenv").config();
+  const { TronWeb } = require("tronweb");
+  const { fileCheckpoint } = require("./checkpoint");
+
+  const { loadConfig, resolveNetwork } = require("./config");
+
+  // INDEXER_NETWORK takes the node and contracts from the config and deployment manifest
+  const network = process.env.INDEXER_NETWORK ? resolveNetwork(loadConfig(), process.env.INDEXER_NETWORK) : {};
+
+  const tronWeb = new TronWeb({ fullHost: process.env.INDEXER_FULL_HOST || network.fullHost || "http://127.0.0.1:9090" });
+
+  // INDEXER_WEBHOOKS delivers every newly indexed event as a webhook: a JSON array of { url, secret, events? }
+  let notifier;
+  if (process.env.INDEXER_WEBHOOKS) {
+    const { createNotifier } = require("./notifier");
+    notifier = createNotifier({
+      endpoints: JSON.parse(process.env.INDEXER_WEBHOOKS),
+      store: fileCheckpoint(process.env.INDEXER_WEBHOOK_STORE || "data/indexer-webhooks.json"),
+    });
+    notifier.on("error", err => console.error(`Webhooks: ${err.message}`)).start();
+  }
+  const indexer = createIndexer({
+    client: tronWebLogClient(tronWeb),
+    factory: process.env.INDEXER_FACTORY || network.factory,
+    entryPoint: process.env.INDEXER_ENTRYPOINT || network.entryPoint,
+    store: fileCheckpoint(process.env.INDEXER_STORE || "data/index.json"),
+    fromBlock: Number(process.env.INDEXER_FROM_BLOCK || 0),
+    onEvent: notifier && notifier.notifyEvent,
+  });
+
+  for (;;) {
+    const { fromBlock, toBlock, indexed } = await indexer.sync();
+    if (toBlock >= fromBlock) console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${indexed} events`);
+    else await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createIndexer,
+  tronWebLogClient,
+  decodeLog,
+};
@@ -0,0 +1,252 @@
+const { encodeRlp, decodeRlp, hexlify, toUtf8Bytes, toUtf8String } = require("ethers");
+
+const INTENT_SCHEMA = require("./intent.schema.json");
+const { deriveVaultAddress } = require("./config");
+const { normalizeSend, isTypedIntent, typedSendDomain } = require("./signing");
+const { toEvmAddress, toUint256 } = require("./utils");
+
+const INTENT_VERSION = 1;
+const URI_SCHEME = "tronvault:";
+
+// Element order of the URI's RLP list — must never be reordered; chainId, last, only for typed intents
+const URI_FIELDS = [
+  "v", "network", "owner", "vault", "factoryNonce", "token", "to",
+  "amount", "fee", "feeRecipient", "deadline", "nonce", "signature",
+];
+const ADDRESS_FIELDS = new Set(["owner", "vault", "token", "to", "feeRecipient"]);
+const UINT_FIELDS = new Set(["factoryNonce", "amount", "fee", "deadline", "nonce", "chainId"]);
+
+// Follows a local `$ref` such as "#/$defs/address"
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+  return schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], INTENT_SCHEMA);
+}
+
+// Checks `value` against the subset of JSON Schema `intent.schema.json` uses
+function check(schema, value, path, errors) {
+  schema = resolveRef(schema);
+  const at = path || "intent";
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path ? `${path}.` : ""}${key} is required`);
+    }
+    for (const [key, inner] of Object.entries(value)) {
+      const property = schema.properties && schema.properties[key];
+      if (property) check(property, inner, path ? `${path}.${key}` : key, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path ? `${path}.` : ""}${key} is not allowed`);
+    }
+    return;
+  }
+  if (schema.type === "string") {
+    if (typeof value !== "string") errors.push(`${at} must be a string`);
+    else if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  }
+}
+
+/**
+ * Validates a portable intent against `intent.schema.json`.
+ * @param {*} doc
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateIntent(doc) {
+  const errors = [];
+  check(INTENT_SCHEMA, doc, "", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+// Throws with every schema error of a portable intent
+function assertValid(doc) {
+  const { valid, errors } = validateIntent(doc);
+  if (!valid) throw new Error(`Invalid intent: ${errors.join(", ")}`);
+  return doc;
+}
+
+/**
+ * Turns a signed intent into the portable, versioned form of `intent.schema.json`:
+ * checksummed 0x addresses, decimal strings and a fixed field order.
+ * @param {object} signed - `signSend` / `signTypedSend` intent plus its signature
+ * @param {object} options
+ * @param {string} options.network - config name of the network the intent is for
+ * @param {string} [options.vault] - vault the intent sends from, defaults to `signed.vault`
+ * @param {bigint|number|string} [options.factoryNonce] - factory nonce of that vault, defaults to
+ *   `signed.factoryNonce` or 0
+ * @returns {object} the portable intent
+ */
+function toPortableIntent(signed, { network = signed.network, vault = signed.vault, factoryNonce = signed.factoryNonce } = {}) {
+  if (!vault) throw new Error("A portable intent must name its vault");
+  if (typeof signed.signature !== "string") throw new Error("Missing signature");
+
+  const send = normalizeSend(signed);
+  const doc = {
+    v: INTENT_VERSION,
+    network,
+    owner: toEvmAddress(signed.owner),
+    vault: toEvmAddress(vault),
+    factoryNonce: toUint256(factoryNonce ?? 0, "factoryNonce").toString(),
+    token: send.token,
+    to: send.to,
+    amount: send.amount.toString(),
+    fee: send.fee.toString(),
+    feeRecipient: send.feeRecipient,
+    deadline: send.deadline.toString(),
+    nonce: send.nonce.toString(),
+  };
+  if (isTypedIntent(signed)) {
+    // A typed signature is bound to one vault, so the intent cannot name another
+    const domain = typedSendDomain({ vault: signed.vault || vault, chainId: signed.chainId });
+    if (domain.verifyingContract !== doc.vault) {
+      throw new Error(`Intent is signed for vault ${domain.verifyingContract}, not ${doc.vault}`);
+    }
+    doc.chainId = domain.chainId.toString();
+  }
+  doc.signature = signed.signature.toLowerCase();
+  return assertValid(doc);
+}
+
+// Minimal big-endian bytes, empty for zero
+function uintBytes(value) {
+  const hex = BigInt(value).toString(16);
+  return value === "0" ? "0x" : `0x${hex.length % 2 ? "0" : ""}${hex}`;
+}
+
+/**
+ * Encodes a portable intent as a compact `tronvault:` URI: the fields as an RLP list, in
+ * base64url. Short enough for a QR code.
+ * @param {object} doc - see `toPortableIntent`
+ * @returns {string}
+ */
+function encodeIntentUri(doc) {
+  assertValid(doc);
+  const fields = doc.chainId === undefined ? URI_FIELDS : [...URI_FIELDS, "chainId"];
+  const items = fields.map(field => {
+    const value = doc[field];
+    if (field === "v") return uintBytes(String(value));
+    if (field === "network") return hexlify(toUtf8Bytes(value));
+    if (UINT_FIELDS.has(field)) return uintBytes(value);
+    return value.toLowerCase();
+  });
+  return URI_SCHEME + Buffer.from(encodeRlp(items).slice(2), "hex").toString("base64url");
+}
+
+/**
+ * Decodes a `tronvault:` URI back into the portable intent it was encoded from.
+ * @param {string} uri
+ * @returns {object} the portable intent
+ */
+function decodeIntentUri(uri) {
+  if (typeof uri !== "string" || uri.slice(0, URI_SCHEME.length).toLowerCase() !== URI_SCHEME) {
+    throw new Error(`Invalid intent URI: expected ${URI_SCHEME}...`);
+  }
+  const payload = uri.slice(URI_SCHEME.length);
+  if (!/^[A-Za-z0-9_-]+$/.test(payload)) throw new Error("Invalid intent URI: expected base64url after the scheme");
+
+  let items;
+  try {
+    items = decodeRlp(`0x${Buffer.from(payload, "base64url").toString("hex")}`);
+  } catch (err) {
+    throw new Error(`Invalid intent URI: ${err.message}`);
+  }
+  if (!Array.isArray(items) || items.some(item => typeof item !== "string")) {
+    throw new Error("Invalid intent URI: expected a flat list of fields");
+  }
+
+  const version = items[0] === "0x" ? 0 : Number(BigInt(items[0] || "0x"));
+  if (version !== INTENT_VERSION) throw new Error(`Unsupported intent version ${version}`);
+  if (items.length !== URI_FIELDS.length && items.length !== URI_FIELDS.length + 1) {
+    throw new Error(`Invalid intent URI: expected ${URI_FIELDS.length} or ${URI_FIELDS.length + 1} fields, got ${items.length}`);
+  }
+
+  const fields = items.length === URI_FIELDS.length ? URI_FIELDS : [...URI_FIELDS, "chainId"];
+  const doc = {};
+  fields.forEach((field, i) => {
+    const item = items[i];
+    if (field === "v") {
+      doc.v = version;
+    } else if (field === "network") {
+      doc.network = toUtf8String(item);
+    } else if (UINT_FIELDS.has(field)) {
+      // Only the minimal encoding is accepted, so every intent has exactly one URI
+      if (item.startsWith("0x00")) throw new Error(`Invalid intent URI: ${field} has leading zeros`);
+      doc[field] = item === "0x" ? "0" : BigInt(item).toString();
+    } else if (ADDRESS_FIELDS.has(field)) {
+      if (item.length !== 42) throw new Error(`Invalid intent URI: ${field} is not a 20-byte address`);
+      doc[field] = toEvmAddress(item);
+    } else {
+      doc[field] = item;
+    }
+  });
+
+  // Same key order as `toPortableIntent`
+  const { signature, ...rest } = doc;
+  return assertValid({ ...rest, signature });
+}
+
+/**
+ * Reads an intent in any of its forms: a `tronvault:` URI, `{ uri }`, a portable intent
+ * (validated against the schema), JSON text of either, or an unversioned signed intent as
+ * `signSend` returns it.
+ * @param {string|object} input
+ * @returns {object} the portable intent, or the unversioned one as given
+ */
+function readIntent(input) {
+  if (typeof input === "string") {
+    const text = input.trim();
+    if (text.slice(0, URI_SCHEME.length).toLowerCase() === URI_SCHEME) return decodeIntentUri(text);
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Expected a ${URI_SCHEME} URI or a JSON intent`);
+    }
+    if (typeof parsed === "string") return decodeIntentUri(parsed);
+    return readIntent(parsed);
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("Expected a JSON object");
+  if (typeof input.uri === "string" && Object.keys(input).length === 1) return decodeIntentUri(input.uri);
+  if ("v" in input) return assertValid(input);
+  return input;
+}
+
+/**
+ * @param {object} intent
+ * @returns {boolean} whether the intent is in the portable, versioned form
+ */
+function isPortableIntent(intent) {
+  return Boolean(intent) && typeof intent === "object" && "v" in intent;
+}
+
+/**
+ * Checks offline that an intent's vault is the one `computeVaultAddress` gives for its
+ * owner and factory nonce on the network.
+ * @param {object} intent - owner, vault and optional factoryNonce (0 when omitted)
+ * @param {object} network - see `deriveVaultAddress`
+ * @returns {{ok: boolean, expected: string, actual: string}} 0x addresses
+ */
+function checkIntentVault(intent, network) {
+  if (!intent.vault) throw new Error("Intent does not name its vault");
+  const factoryNonce = toUint256(intent.factoryNonce ?? 0, "factoryNonce");
+  const { vault: expected } = deriveVaultAddress(network, intent.owner, factoryNonce);
+  const actual = toEvmAddress(intent.vault);
+  return { ok: expected === actual, expected, actual };
+}
+
+module.exports = {
+  INTENT_VERSION,
+  INTENT_SCHEMA,
+  validateIntent,
+  toPortableIntent,
+  encodeIntentUri,
+  decodeIntentUri,
+  readIntent,
+  isPortableIntent,
+  checkIntentVault,
+};
@@ -1,8 +1,42 @@
+const { TronWeb } = require('tronweb');
+const { JsonRpcProvider } = require('ethers');
+
+const {
+  tronWebDeploymentClient,
+  ethersDeploymentClient,
+  buildDeployment,
+  writeDeployment,
+} = require('../deployments');
+
 const VaultFactory = artifacts.require('./VaultFactory.sol');
 const EntryPoint = artifacts.require('./EntryPoint.sol');
 
-module.exports = function (deployer) {
+// tronbox-evm-config.js networks whose manifest is written under their tron-vaults.config.json name
+const EVM_MANIFEST_NAMES = { development: 'development-evm' };
+
+// `tronbox migrate --evm` deploys with tronbox-evm-config.js, whose network names match
+// the evm networks of tron-vaults.config.json, apart from `development`
+async function recordDeployment(network) {
+  const evm = process.argv.includes('--evm');
+  const tronboxConfig = require(evm ? '../tronbox-evm-config' : '../tronbox-config');
+  const { fullHost } = tronboxConfig.networks[network];
+  if (evm) network = EVM_MANIFEST_NAMES[network] || network;
+  const client = evm
+    ? ethersDeploymentClient(new JsonRpcProvider(fullHost))
+    : tronWebDeploymentClient(new TronWeb({ fullHost }));
+
+  const manifest = await buildDeployment({
+    network,
+    flavour: evm ? 'evm' : 'tron',
+    compiler: tronboxConfig.compilers.solc.version,
+    factory: { address: VaultFactory.address, txid: VaultFactory.transactionHash },
+    entryPoint: { address: EntryPoint.address, txid: EntryPoint.transactionHash },
+  }, client);
+  console.log(`Deployment manifest written to ${writeDeployment(manifest)}`);
+}
+
+module.exports = function (deployer, network) {
   deployer.deploy(VaultFactory).then(() => {
     return deployer.deploy(EntryPoint, VaultFactory.address);
-  });
+  }).then(() => recordDeployment(network));
 };
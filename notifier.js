@@ -0,0 +1,304 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const { memoryCheckpoint } = require("./checkpoint");
+
+// Notification types; the first four are indexer events, see `indexer.js`
+const NOTIFICATION_TYPES = [
+  "VaultDeployed",
+  "VaultNonceIncremented",
+  "TokenSent",
+  "MetaTransactionExecuted",
+  "Deposit",
+  "RelayFailed",
+];
+
+const SIGNATURE_HEADER = "x-tronvault-signature";
+const TIMESTAMP_HEADER = "x-tronvault-timestamp";
+const DELIVERY_HEADER = "x-tronvault-delivery";
+const TYPE_HEADER = "x-tronvault-event";
+
+/**
+ * HMAC-SHA256 signature of a webhook body, as sent in the `X-TronVault-Signature` header.
+ * The timestamp is signed with the body so a captured request cannot be replayed later.
+ * @param {string} secret - the endpoint's shared secret
+ * @param {number|string} timestamp - unix seconds of `X-TronVault-Timestamp`
+ * @param {string} body - the raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Checks a received webhook: for receivers, with the raw body as it arrived.
+ * @param {string} secret - the endpoint's shared secret
+ * @param {object} request
+ * @param {object} request.headers - request headers, lower-case names as Node gives them
+ * @param {string} request.body - the raw request body
+ * @param {object} [options]
+ * @param {number} [options.tolerance] - seconds the timestamp may be off from `now`
+ * @param {() => number} [options.now] - unix-seconds clock
+ * @returns {boolean}
+ */
+function verifyWebhook(secret, { headers, body }, { tolerance = 300, now = () => Math.floor(Date.now() / 1000) } = {}) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  if (typeof signature !== "string" || !Number.isInteger(timestamp)) return false;
+  if (Math.abs(now() - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates a notifier that delivers signed JSON webhooks for vault activity. Each notification
+ * has a key, `txid:logIndex` for chain events; a key already notified is dropped, so sources
+ * that re-emit after a restart deliver once. Every endpoint subscribed to the type gets its
+ * own delivery, retried with exponential backoff until it answers 2xx, or dead-lettered after
+ * `maxAttempts`. Pending deliveries, dead letters and seen keys live in `store`.
+ *
+ * A webhook POSTs `{ id, type, createdAt, data }` with the `X-TronVault-Event`, `-Delivery`
+ * (the key), `-Timestamp` and `-Signature` headers, see `verifyWebhook`.
+ *
+ * Emits `delivered` and `dead` with the delivery; errors of a started notifier's flushes are
+ * emitted as `error`.
+ *
+ * @param {object} options
+ * @param {Array<{url: string, secret: string, events?: string[]}>} options.endpoints - `events` defaults to every type
+ * @param {object} [options.store] - `{ load, save }` store, see `checkpoint.js`
+ * @param {number} [options.maxAttempts] - attempts per delivery before it is dead-lettered
+ * @param {number} [options.backoff] - ms before the first retry, doubled on each further retry
+ * @param {number} [options.maxBackoff] - ms between retries at most
+ * @param {number} [options.timeout] - ms to wait for an endpoint's answer
+ * @param {number} [options.dedupeWindow] - most recent keys remembered
+ * @param {number} [options.pollInterval] - ms between flushes once started
+ * @param {Function} [options.fetch] - defaults to the global fetch
+ * @param {() => number} [options.now] - ms clock
+ * @returns {EventEmitter & {notify: Function, notifyEvent: Function, notifyDeposit: Function,
+ *   notifyRelayFailure: Function, flush: Function, pending: Function, deadLetters: Function, redrive: Function,
+ *   start: Function, stop: Function}}
+ */
+function createNotifier({
+  endpoints,
+  store = memoryCheckpoint(),
+  maxAttempts = 8,
+  backoff = 1000,
+  maxBackoff = 300_000,
+  timeout = 10_000,
+  dedupeWindow = 10_000,
+  pollInterval = 1000,
+  fetch = globalThis.fetch,
+  now = Date.now,
+}) {
+  if (!endpoints || endpoints.length === 0) throw new Error("Notifier: at least one endpoint is required");
+  for (const endpoint of endpoints) {
+    if (!endpoint.url || !endpoint.secret) throw new Error("Notifier: every endpoint needs a url and a secret");
+    for (const type of endpoint.events || []) {
+      if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Notifier: unknown event type ${type}`);
+    }
+  }
+
+  const notifier = new EventEmitter();
+  let state;
+  let saving = Promise.resolve();
+  let flushing = null;
+  let timer = null;
+  let running = false;
+
+  async function load() {
+    if (!state) state = (await store.load()) || { seen: [], queue: [], deadLetters: [] };
+    return state;
+  }
+
+  // Saves one at a time, so a slow save never lands after a newer one
+  function save() {
+    saving = saving.then(() => store.save(state));
+    return saving;
+  }
+
+  /**
+   * Queues a notification for every endpoint subscribed to its type.
+   * @param {string} type - one of `NOTIFICATION_TYPES`
+   * @param {object} data - JSON payload
+   * @param {object} options
+   * @param {string} options.key - dedupe key, unique per notification
+   * @returns {Promise<boolean>} false when the key was already notified
+   */
+  async function notify(type, data, { key }) {
+    if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Notifier: unknown event type ${type}`);
+    if (!key) throw new Error("Notifier: a dedupe key is required");
+    await load();
+    if (state.seen.includes(key)) return false;
+
+    state.seen.push(key);
+    if (state.seen.length > dedupeWindow) state.seen.splice(0, state.seen.length - dedupeWindow);
+
+    const createdAt = now();
+    for (const endpoint of endpoints) {
+      if (endpoint.events && !endpoint.events.includes(type)) continue;
+      state.queue.push({ key, type, url: endpoint.url, data, createdAt, attempts: 0, nextAttemptAt: createdAt, error: null });
+    }
+    await save();
+    return true;
+  }
+
+  /**
+   * @param {object} event - decoded event as `createIndexer` hands it to `onEvent`
+   * @returns {Promise<boolean>}
+   */
+  function notifyEvent(event) {
+    if (!NOTIFICATION_TYPES.includes(event.event)) return Promise.resolve(false);
+    const { event: type, ...data } = event;
+    return notify(type, data, { key: `${event.txid}:${event.logIndex}` });
+  }
+
+  /**
+   * @param {object} deposit - as `createDepositWatcher` emits it
+   * @returns {Promise<boolean>}
+   */
+  function notifyDeposit(deposit) {
+    return notify("Deposit", deposit, { key: `${deposit.txid}:${deposit.logIndex}` });
+  }
+
+  /**
+   * @param {object} record - failed intent record as `createRelayer` hands it to `onFailed`
+   * @returns {Promise<boolean>}
+   */
+  function notifyRelayFailure(record) {
+    return notify("RelayFailed", record, { key: `relay:${record.id}` });
+  }
+
+  async function deliver(delivery) {
+    const endpoint = endpoints.find(e => e.url === delivery.url);
+    const timestamp = Math.floor(now() / 1000);
+    const body = JSON.stringify({ id: delivery.key, type: delivery.type, createdAt: delivery.createdAt, data: delivery.data });
+
+    const res = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        [TYPE_HEADER]: delivery.type,
+        [DELIVERY_HEADER]: delivery.key,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signWebhook(endpoint.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+
+  async function flushOnce() {
+    await load();
+    const report = { delivered: 0, retrying: 0, dead: 0 };
+    const due = state.queue.filter(d => d.nextAttemptAt <= now() && endpoints.some(e => e.url === d.url));
+
+    for (const delivery of due) {
+      delivery.attempts += 1;
+      try {
+        await deliver(delivery);
+      } catch (err) {
+        delivery.error = err.message;
+        if (delivery.attempts >= maxAttempts) {
+          state.queue = state.queue.filter(d => d !== delivery);
+          state.deadLetters.push({ ...delivery, deadAt: now() });
+          report.dead += 1;
+          notifier.emit("dead", delivery);
+        } else {
+          delivery.nextAttemptAt = now() + Math.min(backoff * 2 ** (delivery.attempts - 1), maxBackoff);
+          report.retrying += 1;
+        }
+        continue;
+      }
+      state.queue = state.queue.filter(d => d !== delivery);
+      report.delivered += 1;
+      notifier.emit("delivered", delivery);
+    }
+
+    if (due.length > 0) await save();
+    return report;
+  }
+
+  /**
+   * Attempts every delivery that is due. A flush already running is joined, not repeated.
+   * @returns {Promise<{delivered: number, retrying: number, dead: number}>}
+   */
+  function flush() {
+    if (!flushing) flushing = flushOnce().finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  /**
+   * @returns {Promise<object[]>} deliveries waiting for their next attempt
+   */
+  async function pending() {
+    await load();
+    return state.queue.slice();
+  }
+
+  /**
+   * @returns {Promise<object[]>} deliveries that ran out of attempts, with their last `error`
+   */
+  async function deadLetters() {
+    await load();
+    return state.deadLetters.slice();
+  }
+
+  /**
+   * Queues dead letters again with fresh attempts, e.g. once an endpoint is back up.
+   * @param {(delivery: object) => boolean} [filter] - which dead letters, all by default
+   * @returns {Promise<number>} dead letters queued again
+   */
+  async function redrive(filter = () => true) {
+    await load();
+    const retried = state.deadLetters.filter(filter);
+    state.deadLetters = state.deadLetters.filter(d => !retried.includes(d));
+    for (const { deadAt, ...delivery } of retried) {
+      state.queue.push({ ...delivery, attempts: 0, nextAttemptAt: now() });
+    }
+    if (retried.length > 0) await save();
+    return retried.length;
+  }
+
+  async function loop() {
+    try {
+      await flush();
+    } catch (err) {
+      if (notifier.listenerCount("error") > 0) notifier.emit("error", err);
+    }
+    if (running) timer = setTimeout(loop, pollInterval);
+  }
+
+  Object.assign(notifier, {
+    notify,
+    notifyEvent,
+    notifyDeposit,
+    notifyRelayFailure,
+    flush,
+    pending,
+    deadLetters,
+    redrive,
+  });
+  notifier.start = () => {
+    if (running) return notifier;
+    running = true;
+    loop();
+    return notifier;
+  };
+  notifier.stop = () => {
+    running = false;
+    clearTimeout(timer);
+    return notifier;
+  };
+
+  return notifier;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  createNotifier,
+  signWebhook,
+  verifyWebhook,
+};
@@ -0,0 +1,107 @@
+const { fetchVaultState } = require("./chain");
+const { constantRevert, relayParams, SELECTORS } = require("./estimate");
+const { revertError } = require("./errors");
+const {
+  buildSendDigest,
+  buildTypedSendDigest,
+  typedSendDomain,
+  normalizeSend,
+  isTypedIntent,
+  toRelayArgs,
+} = require("./signing");
+const { recoverSendSigner, recoverTypedSendSigner } = require("./verify");
+const { toEvmAddress, getEpoch } = require("./utils");
+
+/**
+ * Dry-runs `EntryPoint.relay` (or `relayTyped` for typed intents) for a signed intent
+ * with a constant call, so a relay that would revert is caught before any energy is burnt.
+ *
+ * `EntryPoint.relay` swallows `factory.deploy` failures, which then only surface as
+ * a reason-less revert when it calls the missing vault. For a vault that is not
+ * deployed yet the deploy is therefore dry-run on its own (as the EntryPoint) and
+ * its reason reported instead.
+ *
+ * @param {object} options
+ * @param {object} options.client - see `tronWebEstimateClient`
+ * @param {TronWeb} options.tronWeb - used to read the vault state
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {object} options.intent - owner, token, to, amount, feeRecipient, fee, deadline, nonce, and chainId if typed
+ * @param {string} options.signature - owner's signature over the intent
+ * @param {string} options.from - relayer account the call would be sent from
+ * @param {() => number} [options.now] - unix-seconds clock, only used for error fields
+ * @returns {Promise<{vault: string, deploys: boolean, energyUsed: number}>}
+ *   `deploys` is true when the relay would deploy the vault first
+ * @throws {RevertError} the typed revert, with the same `vault` and `deploys` attached
+ */
+async function simulateRelay({ client, tronWeb, factory, entryPoint, intent, signature, from, now = getEpoch }) {
+  const owner = toEvmAddress(intent.owner);
+  const send = normalizeSend(intent);
+  const state = await fetchVaultState(tronWeb, factory, owner);
+
+  let deployRevert = null;
+  if (!state.deployed) {
+    deployRevert = constantRevert(await client.triggerConstantContract({
+      contract: factory,
+      selector: SELECTORS.deploy,
+      params: [{ type: "address", value: owner }],
+      from: entryPoint,
+    }));
+  }
+
+  const constant = await client.triggerConstantContract({
+    contract: entryPoint,
+    selector: isTypedIntent(intent) ? SELECTORS.relayTyped : SELECTORS.relay,
+    params: relayParams(toRelayArgs({ ...send, owner }, signature)),
+    from,
+  });
+  const { reverted, reason } = constantRevert(constant);
+  const deployFailed = Boolean(deployRevert && deployRevert.reverted);
+  const result = {
+    vault: state.vault,
+    deploys: !state.deployed && !deployFailed,
+    energyUsed: Number(constant.energy_used || 0) + Number(constant.energy_penalty || 0),
+  };
+  if (!reverted) return result;
+
+  const error = revertError(
+    !reason && deployFailed ? deployRevert.reason : reason,
+    sendRevertContext({ ...send, owner, vault: state.vault, chainId: intent.chainId, signature, now: BigInt(now()) })
+  );
+  throw Object.assign(error, { vault: result.vault, deploys: result.deploys });
+}
+
+/**
+ * Adds the digest, recovered signer and signature parts to a send intent, giving
+ * every value a `Vault.send` revert error may pick its fields from.
+ * @param {object} context - normalized intent plus owner, signature and optionally vault, now and
+ *   chainId (typed intents, recovered against the vault's domain)
+ * @returns {object}
+ */
+function sendRevertContext(context) {
+  const typed = isTypedIntent(context);
+  const digest = typed ? buildTypedSendDigest(context, typedSendDomain(context)) : buildSendDigest(context);
+  let recovered = {};
+  try {
+    recovered = typed
+      ? recoverTypedSendSigner(context, context.signature, typedSendDomain(context))
+      : recoverSendSigner(context, context.signature);
+  } catch (err) {
+    // Not hex: the signature fields stay empty
+  }
+  const hex = String(context.signature).replace(/^0x/, "");
+
+  return {
+    ...context,
+    digest,
+    signer: recovered.signer || null,
+    length: hex.length / 2,
+    v: recovered.v,
+    s: recovered.s,
+  };
+}
+
+module.exports = {
+  simulateRelay,
+  sendRevertContext,
+};
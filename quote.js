@@ -0,0 +1,165 @@
+const { fetchVaultState } = require("./chain");
+const { revertError } = require("./errors");
+const { getEnergyPrice, simulate, relayParams, SELECTORS } = require("./estimate");
+const { isTypedIntent, toRelayArgs } = require("./signing");
+const { toEvmAddress, toTokenAddress, toUint256, isTrx, getEpoch } = require("./utils");
+
+// Energy of a relay into a deployed vault when there is no signed intent to simulate;
+// `tron-vaults estimate` measures it for a network as relayExistingVault
+const DEFAULT_SEND_ENERGY = 80_000;
+
+const SUN_PER_TRX = 1_000_000n;
+const MARGIN_SCALE = 10_000n;
+
+/**
+ * Price source with fixed prices, e.g. from the config or for tests.
+ * A price source is any object with `getPrice(token)` resolving to the raw token units
+ * worth 1 TRX (as a bigint, safe integer or decimal string).
+ * @param {Object<string, bigint|number|string>} prices - raw token units per TRX, keyed by token address
+ */
+function fixedPriceSource(prices) {
+  const table = new Map(
+    Object.entries(prices).map(([token, price]) => [toTokenAddress(token), toUint256(price, "price")])
+  );
+  return {
+    async getPrice(token) {
+      const price = table.get(toTokenAddress(token));
+      if (price === undefined) throw new Error(`No price for token ${token}`);
+      return price;
+    },
+  };
+}
+
+/**
+ * Remembers each token's price from another source for `maxAge` ms.
+ * @param {object} source - price source, see `fixedPriceSource`
+ * @param {object} [options]
+ * @param {number} [options.maxAge]
+ * @param {() => number} [options.clock] - ms clock
+ */
+function cachedPriceSource(source, { maxAge = 60_000, clock = Date.now } = {}) {
+  const cache = new Map();
+  return {
+    async getPrice(token) {
+      token = toTokenAddress(token);
+      const cached = cache.get(token);
+      if (cached && clock() - cached.at < maxAge) return cached.price;
+      const price = toUint256(await source.getPrice(token), "price");
+      cache.set(token, { price, at: clock() });
+      return price;
+    },
+  };
+}
+
+/**
+ * Quotes the relay fee for a send: the energy of that relay (including the vault
+ * deployment when the vault is not deployed yet), priced in TRX at the current energy
+ * price, converted into the sent token and raised by `margin`.
+ *
+ * @param {object} options
+ * @param {object} options.client - see `tronWebEstimateClient`
+ * @param {TronWeb} options.tronWeb - used to read vault state
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {object} options.priceSource - see `fixedPriceSource`; not asked for TRX
+ * @param {string} options.feeRecipient - relayer account the fee is paid to, and the simulations run from
+ * @param {number} [options.margin] - fraction added on top of the cost
+ * @param {number} [options.ttl] - seconds a quote stays valid
+ * @param {number} [options.sendEnergy] - energy of a relay into a deployed vault, see `DEFAULT_SEND_ENERGY`
+ * @param {() => number} [options.now] - unix-seconds clock
+ * @returns {{quote: Function}}
+ */
+function createFeeQuoter({
+  client,
+  tronWeb,
+  factory,
+  entryPoint,
+  priceSource,
+  feeRecipient,
+  margin = 0.2,
+  ttl = 60,
+  sendEnergy = DEFAULT_SEND_ENERGY,
+  now = getEpoch,
+}) {
+  if (!priceSource) throw new Error("Fee quoter: priceSource is required");
+  if (!feeRecipient) throw new Error("Fee quoter: feeRecipient is required");
+  factory = toEvmAddress(factory);
+  entryPoint = toEvmAddress(entryPoint);
+  feeRecipient = toEvmAddress(feeRecipient);
+
+  async function measure(call) {
+    const { energy, revert } = await simulate(client, { ...call, from: feeRecipient });
+    if (revert) throw revertError(revert);
+    return energy;
+  }
+
+  // A signed intent is simulated as is; otherwise the deployment is simulated and the send assumed
+  async function relayEnergy(owner, vault, intent) {
+    if (intent && intent.signature) {
+      const { energy, revert } = await simulate(client, {
+        contract: entryPoint,
+        selector: isTypedIntent(intent) ? SELECTORS.relayTyped : SELECTORS.relay,
+        params: relayParams(toRelayArgs(intent, intent.signature)),
+        from: feeRecipient,
+      });
+      if (!revert) return energy;
+    }
+    const deployEnergy = vault.deployed
+      ? 0
+      : await measure({ contract: factory, selector: SELECTORS.deploy, params: [{ type: "address", value: owner }] });
+    return deployEnergy + sendEnergy;
+  }
+
+  /**
+   * @param {object} request
+   * @param {string} [request.owner] - vault owner, any address form
+   * @param {string} [request.token] - token sent (and paid in), "TRX" for native TRX
+   * @param {object} [request.intent] - a normalised signed intent, quoted by simulating its exact relay;
+   *   supplies `owner` and `token`
+   * @param {number} [request.margin] - overrides the quoter's margin
+   * @param {boolean} [request.deployed] - price the relay as going into a deployed vault, e.g. when
+   *   an earlier relay still in flight deploys it
+   * @returns {Promise<object>} JSON-serialisable quote; `fee` and `feeRecipient` go into the intent as they are
+   */
+  async function quote({ owner, token, intent, margin: quoteMargin = margin, deployed = false }) {
+    owner = toEvmAddress(intent ? intent.owner : owner);
+    token = toTokenAddress(intent ? intent.token : token);
+
+    const state = await fetchVaultState(tronWeb, factory, owner);
+    const vault = deployed ? { ...state, deployed: true } : state;
+    const energy = await relayEnergy(owner, vault, intent);
+    const energyPrice = await getEnergyPrice(client);
+    const price = isTrx(token) ? SUN_PER_TRX : toUint256(await priceSource.getPrice(token), "price");
+
+    const costSun = BigInt(energy) * BigInt(energyPrice);
+    const scaled = costSun * price * (MARGIN_SCALE + BigInt(Math.round(quoteMargin * Number(MARGIN_SCALE))));
+    const divisor = SUN_PER_TRX * MARGIN_SCALE;
+    const fee = (scaled + divisor - 1n) / divisor;
+
+    const quotedAt = now();
+    return {
+      owner,
+      vault: vault.vault,
+      deploys: !vault.deployed,
+      token,
+      feeRecipient,
+      fee: fee.toString(),
+      energy,
+      energyPrice,
+      costSun: costSun.toString(),
+      price: price.toString(),
+      margin: quoteMargin,
+      quotedAt,
+      expiresAt: quotedAt + ttl,
+    };
+  }
+
+  return { quote };
+}
+
+module.exports = {
+  createFeeQuoter,
+  fixedPriceSource,
+  cachedPriceSource,
+  DEFAULT_SEND_ENERGY,
+};
@@ -0,0 +1,528 @@
+const http = require("http");
+const crypto = require("crypto");
+
+const { entryPointContract, fetchVaultState, fetchTokenBalance, fetchChainId } = require("./chain");
+const { RevertError } = require("./errors");
+const { tronWebEstimateClient, relayParams, SELECTORS } = require("./estimate");
+const { cancelPendingIntents } = require("./cancel");
+const { readIntent } = require("./intents");
+const { simulateRelay } = require("./preflight");
+const { createTxTracker, contractTransaction, EXPIRED } = require("./tracker");
+const { typedSendDomain, normalizeSignedIntent, isTypedIntent, toRelayArgs } = require("./signing");
+const { verifySendIntentOnChain } = require("./verify");
+const { toEvmAddress, toTokenAddress, getEpoch } = require("./utils");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Statuses an intent moves through; the last two are final
+const QUEUED = "queued";
+const SUBMITTED = "submitted";
+const CONFIRMED = "confirmed";
+const FAILED = "failed";
+
+class RelayerError extends Error {
+  /**
+   * @param {number} status - HTTP status to answer with
+   * @param {string} message
+   * @param {object} [details] - extra fields returned to the client (e.g. `revert`, `expectedNonce`)
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates a relayer that validates signed send intents and submits them through
+ * `EntryPoint.relay` (`relayTyped` for typed intents), one at a time per owner so
+ * vault nonces land in order.
+ *
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance holding the relayer key
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {string} options.factory - VaultFactory address the EntryPoint uses
+ * @param {number} [options.feeLimit] - fee limit per relay, in sun
+ * @param {number} [options.deadlineSlack] - seconds an intent must stay valid after it is accepted
+ * @param {number} [options.pollInterval] - ms before the first `getTransactionInfo` poll, backing off from there
+ * @param {number} [options.confirmTimeout] - ms to wait for a relay to be mined
+ * @param {number} [options.confirmations] - blocks on top of a relay before it counts as confirmed
+ * @param {() => number} [options.now] - unix-seconds clock
+ * @param {boolean} [options.preflight] - dry-run each relay with `simulateRelay` before broadcasting it
+ * @param {object} [options.client] - constant-call client for the dry run, see `tronWebEstimateClient`
+ * @param {bigint|number|string} [options.chainId] - chain id typed intents must be signed for, fetched when omitted
+ * @param {object} [options.quoter] - see `createFeeQuoter`; when set, intents must pay its fee recipient at least
+ *   a fresh quote, and `GET /quote` serves quotes
+ * @param {number} [options.minFeeMargin] - margin of the fresh quote intents are held to, below the quoter's own
+ *   so that a quote handed out earlier survives small price moves
+ * @param {string} [options.network] - config name of the relayer's network; portable intents for another
+ *   network are refused
+ * @param {(record: object) => void} [options.onFailed] - called with the public record of every accepted intent
+ *   that fails, e.g. `notifier.notifyRelayFailure`
+ * @param {number} [options.retention] - ms a confirmed or failed intent stays readable through `getIntent`
+ */
+function createRelayer({
+  tronWeb,
+  entryPoint,
+  factory,
+  feeLimit = 100_000_000,
+  deadlineSlack = 30,
+  pollInterval = 3000,
+  confirmTimeout = 60_000,
+  confirmations = 0,
+  now = getEpoch,
+  preflight = true,
+  client = tronWeb && tronWebEstimateClient(tronWeb),
+  chainId,
+  quoter,
+  minFeeMargin = 0,
+  network,
+  onFailed = () => {},
+  retention = 24 * 60 * 60 * 1000,
+}) {
+  if (!tronWeb) throw new Error("Relayer: tronWeb is required");
+  entryPoint = toEvmAddress(entryPoint);
+  factory = toEvmAddress(factory);
+  // A relay that expired unmined can be re-sent: the vault nonce still guards against replays
+  const tracker = createTxTracker({ tronWeb, pollInterval, timeout: confirmTimeout, confirmations, resendExpired: true });
+
+  let chainIdLookup = chainId === undefined ? null : Promise.resolve(BigInt(chainId));
+  const getChainId = () => (chainIdLookup = chainIdLookup || fetchChainId(tronWeb));
+
+  const records = new Map();
+  // Confirmed and failed records in the order they settled, forgotten `retention` ms later
+  const settled = [];
+  // owner => { admitting: Promise, relaying: Promise, inflight: record[], executing: record|null }
+  const owners = new Map();
+
+  function ownerState(owner) {
+    if (!owners.has(owner)) {
+      owners.set(owner, { admitting: Promise.resolve(), relaying: Promise.resolve(), inflight: [], executing: null });
+    }
+    return owners.get(owner);
+  }
+
+  // Runs `fn` after every earlier task on the same owner's `lane` has settled
+  function enqueue(state, lane, fn) {
+    const run = state[lane].then(fn);
+    state[lane] = run.catch(() => {});
+    return run;
+  }
+
+  function parseIntent(body) {
+    let signed;
+    try {
+      signed = readIntent(body);
+    } catch (err) {
+      throw new RelayerError(400, err.message);
+    }
+    if (network && signed.network && signed.network !== network) {
+      throw new RelayerError(400, `Intent is for network "${signed.network}", not "${network}"`);
+    }
+    try {
+      return normalizeSignedIntent(signed);
+    } catch (err) {
+      throw new RelayerError(400, err.message);
+    }
+  }
+
+  async function validate(intent, state) {
+    const typed = isTypedIntent(intent);
+    const domain = typed ? typedSendDomain(intent) : undefined;
+    // Checked against the vault's current owner, through ERC-1271 for a contract owner
+    const check = await verifySendIntentOnChain(tronWeb, factory, intent, intent.signature, {
+      now: now() + deadlineSlack,
+      domain,
+    });
+    if (!check.valid) {
+      throw new RelayerError(422, check.revert, { revert: check.revert });
+    }
+
+    const vault = await fetchVaultState(tronWeb, factory, intent.owner);
+    if (intent.vault && intent.vault !== vault.vault) {
+      const bound = typed ? "signed for" : "for";
+      throw new RelayerError(422, `Intent is ${bound} vault ${intent.vault}, not the current vault ${vault.vault}`, {
+        vault: vault.vault,
+      });
+    }
+    if (typed) {
+      const expectedChainId = await getChainId();
+      if (intent.chainId !== expectedChainId) {
+        throw new RelayerError(422, `Intent is signed for chain ${intent.chainId}, not ${expectedChainId}`);
+      }
+    }
+
+    const last = state.inflight[state.inflight.length - 1];
+    const expectedNonce = last ? last.intent.nonce + 1n : vault.nonce;
+    if (intent.nonce !== expectedNonce) {
+      throw new RelayerError(409, `Nonce mismatch: expected ${expectedNonce}`, {
+        expectedNonce: expectedNonce.toString(),
+      });
+    }
+
+    const reserved = state.inflight
+      .filter(r => r.intent.token === intent.token)
+      .reduce((sum, r) => sum + r.intent.amount, 0n);
+    const balance = await fetchTokenBalance(tronWeb, intent.token, vault.vault);
+    if (balance < reserved + intent.amount) {
+      throw new RelayerError(422, "Insufficient vault balance", {
+        vault: vault.vault,
+        balance: balance.toString(),
+        reserved: reserved.toString(),
+      });
+    }
+
+    if (quoter) {
+      const quote = await quoter.quote({ intent, margin: minFeeMargin, deployed: state.inflight.length > 0 });
+      if (intent.feeRecipient !== quote.feeRecipient) {
+        throw new RelayerError(422, `Fee must be paid to ${quote.feeRecipient}`, { quote });
+      }
+      if (intent.fee < BigInt(quote.fee)) {
+        throw new RelayerError(422, `Fee ${intent.fee} is below the quoted ${quote.fee}`, { quote });
+      }
+    }
+
+    return vault.vault;
+  }
+
+  function forgetSettled() {
+    const cutoff = Date.now() - retention;
+    while (settled.length > 0 && settled[0].updatedAt < cutoff) records.delete(settled.shift().id);
+  }
+
+  function settle(record, status, fields = {}) {
+    Object.assign(record, fields, { status, updatedAt: Date.now() });
+    settled.push(record);
+    forgetSettled();
+    const state = ownerState(record.intent.owner);
+    state.inflight = state.inflight.filter(r => r !== record);
+    if (status === FAILED) {
+      try {
+        onFailed(serialize(record));
+      } catch (err) {
+        // A failing listener must not take the relay queue down with it
+      }
+    }
+  }
+
+  async function execute(record) {
+    const state = ownerState(record.intent.owner);
+    if (record.status !== QUEUED) return;
+    state.executing = record;
+
+    try {
+      if (preflight) {
+        const simulation = await simulateRelay({
+          client,
+          tronWeb,
+          factory,
+          entryPoint,
+          intent: record.intent,
+          signature: record.intent.signature,
+          from: tronWeb.defaultAddress.hex,
+          now,
+        });
+        record.deploys = simulation.deploys;
+      }
+
+      const build = contractTransaction(tronWeb, {
+        contract: entryPoint,
+        selector: isTypedIntent(record.intent) ? SELECTORS.relayTyped : SELECTORS.relay,
+        params: relayParams(toRelayArgs(record.intent, record.intent.signature)),
+        feeLimit,
+      });
+      const receipt = await tracker.send(build, {
+        onBroadcast: txid => Object.assign(record, { status: SUBMITTED, txid, updatedAt: Date.now() }),
+      });
+
+      if (receipt.status === CONFIRMED) {
+        settle(record, CONFIRMED, { blockNumber: receipt.blockNumber, energyUsed: receipt.energyUsed });
+        return;
+      }
+      if (receipt.status === EXPIRED) {
+        settle(record, FAILED, { error: `Relay expired after ${receipt.resends} re-sends` });
+      } else {
+        const { blockNumber, revert, result } = receipt;
+        settle(record, FAILED, { blockNumber, error: revert || result, revert, energyUsed: receipt.energyUsed });
+      }
+    } catch (err) {
+      const revert = err instanceof RevertError
+        ? { revert: err.reason, revertFields: err.fields, deploys: err.deploys }
+        : {};
+      settle(record, FAILED, { error: err.message, ...revert });
+    } finally {
+      state.executing = null;
+    }
+
+    // Later intents of this owner were signed for nonces that can no longer land
+    for (const next of state.inflight.slice()) {
+      settle(next, FAILED, { error: `Previous intent ${record.id} failed` });
+    }
+  }
+
+  /**
+   * Validates and queues an intent.
+   * @param {object|string} body - a portable intent, `{ uri }` or its `tronvault:` URI, or owner, token, to,
+   *   amount, feeRecipient, fee, deadline, nonce, signature, see `readIntent`
+   * @returns {Promise<object>} the public intent record
+   * @throws {RelayerError} when the intent would not go through
+   */
+  async function submit(body) {
+    const intent = parseIntent(body);
+    const state = ownerState(intent.owner);
+
+    const record = await enqueue(state, "admitting", async () => {
+      const vault = await validate(intent, state);
+      const rec = {
+        id: crypto.randomUUID(),
+        status: QUEUED,
+        intent,
+        vault,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      records.set(rec.id, rec);
+      state.inflight.push(rec);
+      return rec;
+    });
+
+    // Queue behind this owner's earlier relays without blocking the caller
+    enqueue(state, "relaying", () => execute(record));
+    return serialize(record);
+  }
+
+  /**
+   * Drops the owner's queued intents and voids their signatures with `cancelPendingIntents`,
+   * once the relay being broadcast, if any, has settled. Intents submitted meanwhile wait for it.
+   * @param {string} owner - any address form
+   * @param {object} options - `privateKey` or `signer` and the other `cancelPendingIntents` options; `upTo`
+   *   defaults to just past the highest dropped nonce
+   * @returns {Promise<object>} the `cancelPendingIntents` result plus `cancelled`, the ids of the dropped intents
+   */
+  async function cancel(owner, options) {
+    owner = toEvmAddress(owner);
+    const state = ownerState(owner);
+
+    return enqueue(state, "admitting", async () => {
+      const dropped = state.inflight.filter(r => r.status === QUEUED && r !== state.executing);
+      for (const record of dropped) settle(record, FAILED, { error: "Cancelled by owner" });
+
+      const highest = dropped.reduce((max, r) => (r.intent.nonce > max ? r.intent.nonce : max), -1n);
+      const result = await enqueue(state, "relaying", async () => cancelPendingIntents(owner, {
+        tronWeb,
+        factory,
+        tracker,
+        chainId: await getChainId(),
+        upTo: highest >= 0n ? highest + 1n : undefined,
+        ...options,
+      }));
+      return { ...result, cancelled: dropped.map(r => r.id) };
+    });
+  }
+
+  /**
+   * Quotes the fee for a relay with the relayer's quoter.
+   * @param {{owner: string, token: string}} request
+   * @returns {Promise<object>} see `createFeeQuoter`
+   * @throws {RelayerError} when the relayer has no quoter or the request is invalid
+   */
+  async function quote({ owner, token }) {
+    if (!quoter) throw new RelayerError(404, "Fee quotes are not enabled");
+    try {
+      toEvmAddress(owner);
+      toTokenAddress(token);
+    } catch (err) {
+      throw new RelayerError(400, err.message);
+    }
+    return quoter.quote({ owner, token });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} the public intent record, null when unknown or settled more than `retention` ms ago
+   */
+  function getIntent(id) {
+    forgetSettled();
+    const record = records.get(id);
+    return record ? serialize(record) : null;
+  }
+
+  async function handle(req, res) {
+    try {
+      const url = new URL(req.url, "http://relayer");
+      const match = url.pathname.match(/^\/intents\/([^/]+)$/);
+
+      if (req.method === "POST" && url.pathname === "/intents") {
+        return reply(res, 202, await submit(await readJson(req)));
+      }
+      if (req.method === "GET" && match) {
+        const record = getIntent(decodeURIComponent(match[1]));
+        if (!record) throw new RelayerError(404, "Intent not found");
+        return reply(res, 200, record);
+      }
+      if (req.method === "GET" && url.pathname === "/quote" && quoter) {
+        const owner = url.searchParams.get("owner");
+        const token = url.searchParams.get("token");
+        if (!owner || !token) throw new RelayerError(400, "Expected owner and token query parameters");
+        return reply(res, 200, await quote({ owner, token }));
+      }
+      if (req.method === "GET" && url.pathname === "/health") {
+        return reply(res, 200, { ok: true, entryPoint, factory });
+      }
+      throw new RelayerError(404, "Not found");
+    } catch (err) {
+      const status = err instanceof RelayerError ? err.status : 500;
+      const details = err instanceof RelayerError ? err.details : {};
+      return reply(res, status, { error: err.message, ...details });
+    }
+  }
+
+  /**
+   * Starts the HTTP API.
+   * @param {number} [port]
+   * @returns {Promise<http.Server>}
+   */
+  function listen(port = 0) {
+    const server = http.createServer(handle);
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => resolve(server));
+    });
+  }
+
+  return { submit, cancel, quote, getIntent, handle, listen };
+}
+
+function serialize(record) {
+  const { intent } = record;
+  return {
+    id: record.id,
+    status: record.status,
+    vault: record.vault,
+    intent: {
+      owner: intent.owner,
+      token: intent.token,
+      to: intent.to,
+      amount: intent.amount.toString(),
+      feeRecipient: intent.feeRecipient,
+      fee: intent.fee.toString(),
+      deadline: intent.deadline.toString(),
+      nonce: intent.nonce.toString(),
+      ...(isTypedIntent(intent) && { chainId: intent.chainId.toString() }),
+    },
+    txid: record.txid || null,
+    blockNumber: record.blockNumber || null,
+    energyUsed: record.energyUsed || null,
+    deploys: record.deploys === undefined ? null : record.deploys,
+    error: record.error || null,
+    revert: record.revert || null,
+    revertFields: record.revertFields || null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayerError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(new RelayerError(400, "Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function main() {
+  require("dotenv").config();
+  const { TronWeb } = require("tronweb");
+
+  const { loadConfig, resolveNetwork, resolveToken } = require("./config");
+
+  // RELAYER_NETWORK takes the node and contracts from the config and deployment manifest
+  const network = process.env.RELAYER_NETWORK ? resolveNetwork(loadConfig(), process.env.RELAYER_NETWORK) : {};
+
+  const tronWeb = new TronWeb({
+    fullHost: process.env.RELAYER_FULL_HOST || network.fullHost || "http://127.0.0.1:9090",
+    privateKey: process.env.RELAYER_PRIVATE_KEY,
+  });
+
+  const entryPoint = process.env.RELAYER_ENTRYPOINT || network.entryPoint;
+  const factory = process.env.RELAYER_FACTORY || network.factory
+    || await entryPointContract(tronWeb, entryPoint).factory().call();
+
+  // RELAYER_PRICES enables fee quotes: raw token units per TRX, keyed by token address or config symbol
+  let quoter;
+  if (process.env.RELAYER_PRICES) {
+    const { createFeeQuoter, fixedPriceSource } = require("./quote");
+    const prices = Object.entries(JSON.parse(process.env.RELAYER_PRICES))
+      .map(([token, price]) => [resolveToken(network, token), price]);
+    quoter = createFeeQuoter({
+      client: tronWebEstimateClient(tronWeb),
+      tronWeb,
+      factory,
+      entryPoint,
+      priceSource: fixedPriceSource(Object.fromEntries(prices)),
+      feeRecipient: tronWeb.defaultAddress.base58,
+      margin: Number(process.env.RELAYER_FEE_MARGIN || 0.2),
+    });
+  }
+
+  // RELAYER_WEBHOOKS enables RelayFailed webhooks: a JSON array of { url, secret }
+  let notifier;
+  if (process.env.RELAYER_WEBHOOKS) {
+    const { createNotifier } = require("./notifier");
+    const { fileCheckpoint } = require("./checkpoint");
+    notifier = createNotifier({
+      endpoints: JSON.parse(process.env.RELAYER_WEBHOOKS),
+      store: fileCheckpoint(process.env.RELAYER_WEBHOOK_STORE || "data/relayer-webhooks.json"),
+    });
+    notifier.on("error", err => console.error(`Webhooks: ${err.message}`)).start();
+  }
+
+  const relayer = createRelayer({
+    tronWeb,
+    entryPoint,
+    factory,
+    feeLimit: Number(process.env.RELAYER_FEE_LIMIT || 100_000_000),
+    confirmations: Number(process.env.RELAYER_CONFIRMATIONS || 0),
+    quoter,
+    network: network.name,
+    onFailed: notifier && (record => notifier.notifyRelayFailure(record).catch(err => console.error(`Webhooks: ${err.message}`))),
+  });
+
+  const port = Number(process.env.RELAYER_PORT || 8080);
+  await relayer.listen(port);
+  console.log(`Relayer ${tronWeb.defaultAddress.base58} listening on :${port}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRelayer,
+  RelayerError,
+};
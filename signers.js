@@ -0,0 +1,204 @@
+const fs = require("fs");
+const { Trx } = require("tronweb");
+const {
+  SigningKey,
+  TypedDataEncoder,
+  computeAddress,
+  concat,
+  decryptKeystoreJson,
+  encryptKeystoreJson,
+  getBytes,
+  hexlify,
+  keccak256,
+  recoverAddress,
+  toUtf8Bytes,
+} = require("ethers");
+
+const { toEvmAddress } = require("./utils");
+
+/**
+ * Signers sign for one address, and are handed what they sign rather than a bare hash,
+ * so a remote signer can check it against its own policy before signing:
+ *
+ * - `getAddress()` resolves to the signing address (0x form).
+ * - `signTypedData({domain, types, primaryType, message})` resolves to the TIP-712 signature
+ *   of `Vault.sendTyped`, `sendBatch` and the owner actions.
+ * - `signMessage({primaryType, message, digest})` resolves to the signature over `digest` with the
+ *   TRON message prefix, for `Vault.send` (primaryType "Send", message: owner and the `normalizeSend`
+ *   fields) and `VaultFactory.incrementNonce` ("VaultNonce", message: owner and nonce).
+ *
+ * The signing helpers in `signing.js` take one as `options.signer`.
+ */
+
+// Prefix `Trx.signMessageV2` and both contracts put in front of a 32-byte digest
+const TRON_MESSAGE_PREFIX = "\x19TRON Signed Message:\n32";
+
+/**
+ * In-memory signer, e.g. for tests and scripts.
+ * @param {string} privateKey - hex, with or without 0x
+ */
+function privateKeySigner(privateKey) {
+  if (!privateKey) throw new Error("A privateKey is required to sign");
+  const hex = privateKey.replace(/^0x/, "");
+  const key = new SigningKey(`0x${hex}`);
+  const address = computeAddress(key.publicKey);
+
+  return {
+    getAddress: async () => address,
+    signTypedData: async ({ domain, types, message }) => key.sign(TypedDataEncoder.hash(domain, types, message)).serialized,
+    signMessage: async ({ digest }) => Trx.signMessageV2(getBytes(digest), hex),
+  };
+}
+
+/**
+ * Signer for an encrypted JSON keystore (Web3 Secret Storage, as written by `encryptKeystore`,
+ * geth or most wallets). The key is decrypted once, here.
+ * @param {string|object} keystore - file path, JSON text or parsed JSON
+ * @param {string} password
+ * @returns {Promise<object>} the signer
+ */
+async function keystoreSigner(keystore, password) {
+  let json = keystore;
+  if (typeof keystore === "object") json = JSON.stringify(keystore);
+  else if (!keystore.trim().startsWith("{")) json = fs.readFileSync(keystore, "utf8");
+
+  if (typeof password !== "string") throw new Error("A password is required to open the keystore");
+  const { privateKey } = await decryptKeystoreJson(json, password);
+  return privateKeySigner(privateKey);
+}
+
+/**
+ * Encrypts a private key into keystore JSON for `keystoreSigner`.
+ * @param {string} privateKey - hex, with or without 0x
+ * @param {string} password
+ * @param {object} [options] - ethers `EncryptOptions`, e.g. lighter `scrypt` parameters
+ * @returns {Promise<string>}
+ */
+async function encryptKeystore(privateKey, password, options) {
+  const key = `0x${privateKey.replace(/^0x/, "")}`;
+  return encryptKeystoreJson({ address: computeAddress(key), privateKey: key }, password, options);
+}
+
+/**
+ * Signer that asks an HTTP service to sign. Each request is a POST of `{method, params}`
+ * with `method` one of "getAddress", "signTypedData" and "signMessage" and `params` the
+ * payload described at the top of this file (bigints as decimal strings). The service
+ * answers `{address}` or `{signature}`, or a non-2xx status with `{error}` to refuse.
+ * Returned signatures are checked against the signer's address.
+ *
+ * @param {object} options
+ * @param {string} options.url
+ * @param {string} [options.address] - signing address, asked from the service when omitted
+ * @param {Object<string, string>} [options.headers] - e.g. an authorization header
+ * @param {Function} [options.fetch] - defaults to the global fetch
+ */
+function remoteSigner({ url, address, headers = {}, fetch = globalThis.fetch }) {
+  if (!url) throw new Error("Remote signer: url is required");
+
+  async function request(method, params) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({ method, params }, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Remote signer refused ${method}: ${body.error || `HTTP ${res.status}`}`);
+    return body;
+  }
+
+  let lookup = address ? Promise.resolve(toEvmAddress(address)) : null;
+  function getAddress() {
+    if (!lookup) {
+      lookup = request("getAddress").then(body => toEvmAddress(body.address));
+      lookup.catch(() => { lookup = null; });
+    }
+    return lookup;
+  }
+
+  async function checked(hash, signature) {
+    const expected = await getAddress();
+    let signer;
+    try {
+      signer = recoverAddress(hash, signature);
+    } catch (err) {
+      throw new Error(`Remote signer returned an invalid signature: ${err.message}`);
+    }
+    if (signer !== expected) throw new Error(`Remote signer signed as ${signer}, not ${expected}`);
+    return signature;
+  }
+
+  return {
+    getAddress,
+
+    async signTypedData(data) {
+      const { signature } = await request("signTypedData", data);
+      return checked(TypedDataEncoder.hash(data.domain, data.types, data.message), signature);
+    },
+
+    async signMessage(payload) {
+      const { signature } = await request("signMessage", payload);
+      return checked(keccak256(concat([toUtf8Bytes(TRON_MESSAGE_PREFIX), getBytes(payload.digest)])), signature);
+    },
+  };
+}
+
+/**
+ * Joins members' signatures into one signature of a multisig owner such as `contracts/test/MultisigOwner.sol`,
+ * which a vault or the factory hands to the owner's ERC-1271 `isValidSignature`: the 65-byte signatures
+ * concatenated in ascending order of member address.
+ * @param {Array<{signer: string, signature: string}>} parts - each member's address and signature over the same digest
+ * @returns {string} 0x-prefixed signature
+ */
+function assembleMultisigSignature(parts) {
+  if (parts.length === 0) throw new Error("No member signatures to assemble");
+  const sorted = parts
+    .map(({ signer, signature }) => {
+      const bytes = getBytes(signature);
+      if (bytes.length !== 65) throw new Error(`Signature of ${signer} is ${bytes.length} bytes, expected 65`);
+      return { signer: toEvmAddress(signer), bytes };
+    })
+    .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+
+  sorted.forEach(({ signer }, i) => {
+    if (i > 0 && signer === sorted[i - 1].signer) throw new Error(`${signer} signed twice`);
+  });
+  return hexlify(concat(sorted.map(part => part.bytes)));
+}
+
+/**
+ * Signer for a contract owner that validates signatures like `contracts/test/MultisigOwner.sol`: every
+ * member signs what the vault hands the owner to validate, and the signatures are assembled with
+ * `assembleMultisigSignature`. Members are signers themselves, e.g. `remoteSigner`s of the key holders.
+ * @param {object} options
+ * @param {string} options.address - the multisig contract, i.e. the vault owner
+ * @param {object[]} options.signers - signers of at least the multisig's threshold of members
+ */
+function multisigSigner({ address, signers }) {
+  if (!address) throw new Error("Multisig signer: address is required");
+  if (!signers || signers.length === 0) throw new Error("Multisig signer: at least one member signer is required");
+  address = toEvmAddress(address);
+
+  // The vault checks both kinds of signature against the final digest, so members sign as they would for an account
+  async function collect(sign) {
+    const parts = await Promise.all(signers.map(async signer => ({
+      signer: await signer.getAddress(),
+      signature: await sign(signer),
+    })));
+    return assembleMultisigSignature(parts);
+  }
+
+  return {
+    getAddress: async () => address,
+    signTypedData: data => collect(signer => signer.signTypedData(data)),
+    signMessage: payload => collect(signer => signer.signMessage(payload)),
+  };
+}
+
+module.exports = {
+  privateKeySigner,
+  keystoreSigner,
+  encryptKeystore,
+  remoteSigner,
+  multisigSigner,
+  assembleMultisigSignature,
+};
@@ -0,0 +1,715 @@
+const { solidityPackedKeccak256, ZeroAddress, TypedDataEncoder } = require("ethers");
+
+const { fetchVaultState, fetchChainId } = require("./chain");
+const { privateKeySigner } = require("./signers");
+const { toEvmAddress, toTokenAddress, toUint256 } = require("./utils");
+
+// Field order of `Vault.send`'s abi.encodePacked(...) — must never be reordered
+const SEND_TYPES = ["address", "address", "uint256", "address", "uint256", "uint256", "uint256"];
+
+// Field order of `VaultFactory.incrementNonce`'s abi.encodePacked(...)
+const NONCE_TYPES = ["string", "address", "uint64"];
+
+const MAX_UINT64 = 2n ** 64n - 1n;
+
+// TIP-712 domain and struct of `Vault.sendTyped` — must match `_NAME_HASH`, `_VERSION_HASH` and `_SEND_TYPEHASH`
+const TYPED_DOMAIN = { name: "TronVault", version: "1" };
+const TYPED_SEND_TYPES = {
+  Send: [
+    { name: "token", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "feeRecipient", type: "address" },
+    { name: "fee", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// TIP-712 struct of `Vault.sendBatch` — must match `_SEND_BATCH_TYPEHASH` and `_LEG_TYPEHASH`
+const TYPED_SEND_BATCH_TYPES = {
+  SendBatch: [
+    { name: "legs", type: "Leg[]" },
+    { name: "feeRecipient", type: "address" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+  Leg: [
+    { name: "token", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "fee", type: "uint256" },
+  ],
+};
+
+// TIP-712 structs of the owner's own actions on `Vault` — must match `_TRANSFER_OWNERSHIP_TYPEHASH`,
+// `_SET_GUARDIAN_TYPEHASH`, `_CANCEL_NONCES_TYPEHASH`, `_SET_ALLOWANCE_TYPEHASH` and `_REVOKE_ALLOWANCE_TYPEHASH`
+const TYPED_OWNER_ACTION_TYPES = {
+  TransferOwnership: [
+    { name: "newOwner", type: "address" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+  SetGuardian: [
+    { name: "guardian", type: "address" },
+    { name: "delay", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+  CancelNonces: [
+    { name: "newNonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+  SetAllowance: [
+    { name: "token", type: "address" },
+    { name: "payee", type: "address" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "maxFee", type: "uint256" },
+    { name: "relayer", type: "address" },
+    { name: "entryPoint", type: "address" },
+    { name: "period", type: "uint256" },
+    { name: "start", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+  RevokeAllowance: [
+    { name: "id", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * Normalise a send intent into the exact values `Vault.send` hashes.
+ * @param {object} intent
+ * @returns {{token: string, to: string, amount: bigint, feeRecipient: string, fee: bigint, deadline: bigint, nonce: bigint}}
+ */
+function normalizeSend(intent) {
+  const fee = toUint256(intent.fee ?? 0, "fee");
+  return {
+    token: toTokenAddress(intent.token),
+    to: toEvmAddress(intent.to),
+    amount: toUint256(intent.amount, "amount"),
+    feeRecipient: intent.feeRecipient ? toEvmAddress(intent.feeRecipient) : ZeroAddress,
+    fee,
+    deadline: toUint256(intent.deadline, "deadline"),
+    nonce: toUint256(intent.nonce, "nonce"),
+  };
+}
+
+/**
+ * Normalise a batch into the exact values `Vault.sendBatch` hashes.
+ * @param {object} batch - legs (token, to, amount, fee), feeRecipient, deadline, nonce
+ * @returns {{legs: Array<{token: string, to: string, amount: bigint, fee: bigint}>, feeRecipient: string, deadline: bigint, nonce: bigint}}
+ */
+function normalizeSendBatch(batch) {
+  if (!Array.isArray(batch.legs) || batch.legs.length === 0) throw new Error("A batch needs at least one leg");
+  return {
+    legs: batch.legs.map(leg => ({
+      token: toTokenAddress(leg.token),
+      to: toEvmAddress(leg.to),
+      amount: toUint256(leg.amount, "amount"),
+      fee: toUint256(leg.fee ?? 0, "fee"),
+    })),
+    feeRecipient: batch.feeRecipient ? toEvmAddress(batch.feeRecipient) : ZeroAddress,
+    deadline: toUint256(batch.deadline, "deadline"),
+    nonce: toUint256(batch.nonce, "nonce"),
+  };
+}
+
+/**
+ * Digest signed by the vault owner for `Vault.send`.
+ * @param {object} intent - token, to, amount, feeRecipient, fee, deadline, nonce
+ * @returns {string} 0x-prefixed keccak256 digest (before the TRON message prefix)
+ */
+function buildSendDigest(intent) {
+  const { token, to, amount, feeRecipient, fee, deadline, nonce } = normalizeSend(intent);
+  return solidityPackedKeccak256(SEND_TYPES, [token, to, amount, feeRecipient, fee, deadline, nonce]);
+}
+
+/**
+ * Digest signed by the owner for `VaultFactory.incrementNonce`.
+ * @param {object} params
+ * @param {string} params.owner - vault owner, any address form
+ * @param {bigint|number|string} params.nonce - the owner's current factory nonce
+ * @returns {string} 0x-prefixed keccak256 digest (before the TRON message prefix)
+ */
+function buildNonceDigest({ owner, nonce }) {
+  const n = toUint256(nonce, "nonce");
+  if (n > MAX_UINT64) throw new Error(`Invalid nonce: ${nonce} is out of uint64 range`);
+  return solidityPackedKeccak256(NONCE_TYPES, ["VaultNonce", toEvmAddress(owner), n]);
+}
+
+/**
+ * TIP-712 domain of one vault.
+ * @param {object} params
+ * @param {string} params.vault - vault address, any form
+ * @param {bigint|number|string} params.chainId - see `fetchChainId`; a full genesis block id is cut to its last 4 bytes
+ * @returns {{name: string, version: string, chainId: bigint, verifyingContract: string}}
+ */
+function typedSendDomain({ vault, chainId }) {
+  return {
+    ...TYPED_DOMAIN,
+    chainId: toUint256(chainId, "chainId") & 0xffffffffn,
+    verifyingContract: toEvmAddress(vault),
+  };
+}
+
+/**
+ * Builds the TIP-712 payload for `Vault.sendTyped`, e.g. for a wallet's `signTypedData`.
+ * @param {object} intent - token, to, amount, feeRecipient, fee, deadline, nonce
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {{domain: object, types: object, primaryType: string, message: object}}
+ */
+function buildTypedSendData(intent, domain) {
+  const { token, to, amount, feeRecipient, fee, deadline, nonce } = normalizeSend(intent);
+  return {
+    domain,
+    types: TYPED_SEND_TYPES,
+    primaryType: "Send",
+    message: { token, to, amount, feeRecipient, fee, deadline, nonce },
+  };
+}
+
+/**
+ * Builds the digest `Vault.sendTyped` recovers the signer from (no TRON message prefix).
+ * @param {object} intent - token, to, amount, feeRecipient, fee, deadline, nonce
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {string} 0x-prefixed 32-byte hash
+ */
+function buildTypedSendDigest(intent, domain) {
+  const { types, message } = buildTypedSendData(intent, domain);
+  return TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Builds the TIP-712 payload for `Vault.sendBatch`.
+ * @param {object} batch - legs, feeRecipient, deadline, nonce
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {{domain: object, types: object, primaryType: string, message: object}}
+ */
+function buildSendBatchData(batch, domain) {
+  return {
+    domain,
+    types: TYPED_SEND_BATCH_TYPES,
+    primaryType: "SendBatch",
+    message: normalizeSendBatch(batch),
+  };
+}
+
+/**
+ * Builds the digest `Vault.sendBatch` recovers the signer from.
+ * @param {object} batch - legs, feeRecipient, deadline, nonce
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {string} 0x-prefixed 32-byte hash
+ */
+function buildSendBatchDigest(batch, domain) {
+  const { types, message } = buildSendBatchData(batch, domain);
+  return TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Normalise an owner action into the exact values its `Vault` function hashes.
+ * @param {string} primaryType - "TransferOwnership", "SetGuardian", "CancelNonces", "SetAllowance" or
+ *   "RevokeAllowance"
+ * @param {object} action - the struct's fields (newOwner / guardian, delay / newNonce / the allowance rule / id),
+ *   deadline, nonce
+ * @returns {object}
+ */
+function normalizeOwnerAction(primaryType, action) {
+  const common = { deadline: toUint256(action.deadline, "deadline"), nonce: toUint256(action.nonce, "nonce") };
+  switch (primaryType) {
+    case "TransferOwnership":
+      return { newOwner: toEvmAddress(action.newOwner), ...common };
+    case "SetGuardian":
+      return {
+        guardian: action.guardian ? toEvmAddress(action.guardian) : ZeroAddress,
+        delay: toUint256(action.delay ?? 0, "delay"),
+        ...common,
+      };
+    case "CancelNonces":
+      return { newNonce: toUint256(action.newNonce, "newNonce"), ...common };
+    case "SetAllowance":
+      return {
+        token: toTokenAddress(action.token),
+        payee: toEvmAddress(action.payee),
+        maxAmount: toUint256(action.maxAmount, "maxAmount"),
+        maxFee: toUint256(action.maxFee ?? 0, "maxFee"),
+        relayer: toEvmAddress(action.relayer),
+        entryPoint: action.entryPoint ? toEvmAddress(action.entryPoint) : ZeroAddress,
+        period: toUint256(action.period, "period"),
+        start: toUint256(action.start, "start"),
+        expiry: toUint256(action.expiry, "expiry"),
+        ...common,
+      };
+    case "RevokeAllowance":
+      return { id: toUint256(action.id, "id"), ...common };
+    default:
+      throw new Error(`Unknown owner action: ${primaryType}`);
+  }
+}
+
+/**
+ * Builds the TIP-712 payload of an owner action: `Vault.transferOwnership`, `setGuardian`, `cancelNonces`,
+ * `setAllowance` or `revokeAllowance`.
+ * @param {string} primaryType - "TransferOwnership", "SetGuardian", "CancelNonces", "SetAllowance" or
+ *   "RevokeAllowance"
+ * @param {object} action - see `normalizeOwnerAction`
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {{domain: object, types: object, primaryType: string, message: object}}
+ */
+function buildOwnerActionData(primaryType, action, domain) {
+  return {
+    domain,
+    types: { [primaryType]: TYPED_OWNER_ACTION_TYPES[primaryType] },
+    primaryType,
+    message: normalizeOwnerAction(primaryType, action),
+  };
+}
+
+/**
+ * Builds the digest the vault recovers the owner from for an owner action.
+ * @param {string} primaryType - "TransferOwnership", "SetGuardian", "CancelNonces", "SetAllowance" or
+ *   "RevokeAllowance"
+ * @param {object} action - see `normalizeOwnerAction`
+ * @param {object} domain - see `typedSendDomain`
+ * @returns {string} 0x-prefixed 32-byte hash
+ */
+function buildOwnerActionDigest(primaryType, action, domain) {
+  const { types, message } = buildOwnerActionData(primaryType, action, domain);
+  return TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Reads the owner's current nonce from `VaultFactory.nonces`.
+ * @param {TronWeb} tronWeb
+ * @param {string} factoryAddress - any address form
+ * @param {string} owner - any address form
+ * @returns {Promise<bigint>}
+ */
+async function fetchFactoryNonce(tronWeb, factoryAddress, owner) {
+  const { factoryNonce } = await fetchVaultState(tronWeb, factoryAddress, owner);
+  return factoryNonce;
+}
+
+/**
+ * Reads the `Vault.nonce` of the owner's current vault, or 0 if it is not deployed yet.
+ * @param {TronWeb} tronWeb
+ * @param {string} factoryAddress - any address form
+ * @param {string} owner - any address form
+ * @returns {Promise<bigint>}
+ */
+async function fetchVaultNonce(tronWeb, factoryAddress, owner) {
+  const { nonce } = await fetchVaultState(tronWeb, factoryAddress, owner);
+  return nonce;
+}
+
+// Takes `options.signer`, or wraps `options.privateKey`, and checks it signs for `owner`
+async function resolveSigner({ signer, privateKey }, owner) {
+  signer = signer || privateKeySigner(privateKey);
+  const address = toEvmAddress(await signer.getAddress());
+  if (address !== toEvmAddress(owner)) {
+    throw new Error(`Signing key ${address} does not match owner ${toEvmAddress(owner)}`);
+  }
+  return signer;
+}
+
+/**
+ * Signs a `Vault.send` intent and returns the exact `EntryPoint.relay` arguments.
+ * @param {object} intent - owner, token, to, amount, feeRecipient, fee, deadline and optional nonce
+ * @param {object} options
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {TronWeb} [options.tronWeb] - used to fetch the vault nonce when `intent.nonce` is omitted
+ * @param {string} [options.factory] - VaultFactory address, required with `tronWeb`
+ * @param {string} [options.currentOwner] - owner of a vault whose ownership was transferred, defaults to `owner`
+ * @returns {Promise<{intent: object, digest: string, signature: string, args: Array}>}
+ */
+async function signSend(intent, { privateKey, signer, tronWeb, factory, currentOwner } = {}) {
+  const owner = toEvmAddress(intent.owner);
+  signer = await resolveSigner({ signer, privateKey }, currentOwner || owner);
+
+  let nonce = intent.nonce;
+  if (nonce === undefined || nonce === null) {
+    if (!tronWeb || !factory) {
+      throw new Error("Nonce not given: tronWeb and factory are required to fetch it");
+    }
+    nonce = await fetchVaultNonce(tronWeb, factory, owner);
+  }
+
+  const send = normalizeSend({ ...intent, nonce });
+  const digest = buildSendDigest(send);
+  const signature = await signer.signMessage({ primaryType: "Send", message: { owner, ...send }, digest });
+
+  return {
+    intent: {
+      owner,
+      token: send.token,
+      to: send.to,
+      amount: send.amount.toString(),
+      feeRecipient: send.feeRecipient,
+      fee: send.fee.toString(),
+      deadline: send.deadline.toString(),
+      nonce: send.nonce.toString(),
+    },
+    digest,
+    signature,
+    args: toRelayArgs({ ...send, owner }, signature),
+  };
+}
+
+// Fills in the vault, its nonce and the chain id a typed signature is bound to
+async function resolveTypedDomain(owner, { vault, nonce }, { chainId, tronWeb, factory }) {
+  if (!vault || nonce === undefined || nonce === null) {
+    if (!tronWeb || !factory) {
+      throw new Error("Vault or nonce not given: tronWeb and factory are required to fetch them");
+    }
+    const state = await fetchVaultState(tronWeb, factory, owner);
+    vault = vault || state.vault;
+    nonce = nonce ?? state.nonce;
+  }
+  if (chainId === undefined || chainId === null) {
+    if (!tronWeb) throw new Error("chainId not given: tronWeb is required to fetch it");
+    chainId = await fetchChainId(tronWeb);
+  }
+  return { domain: typedSendDomain({ vault, chainId }), nonce };
+}
+
+/**
+ * Signs a `Vault.sendTyped` intent, bound to one vault on one chain.
+ * @param {object} intent - owner, token, to, amount, feeRecipient, fee, deadline and optional vault, nonce
+ * @param {object} options
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {bigint|number|string} [options.chainId] - fetched with `tronWeb` when omitted
+ * @param {TronWeb} [options.tronWeb] - used to fetch the vault, its nonce and the chain id when omitted
+ * @param {string} [options.factory] - VaultFactory address, required to fetch the vault or nonce
+ * @param {string} [options.currentOwner] - owner of a vault whose ownership was transferred, defaults to `owner`
+ * @returns {Promise<{intent: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `EntryPoint.relayTyped` arguments
+ */
+async function signTypedSend(intent, { privateKey, signer, chainId, tronWeb, factory, currentOwner } = {}) {
+  const owner = toEvmAddress(intent.owner);
+  signer = await resolveSigner({ signer, privateKey }, currentOwner || owner);
+
+  const { domain, nonce } = await resolveTypedDomain(owner, intent, { chainId, tronWeb, factory });
+  const send = normalizeSend({ ...intent, nonce });
+  const data = buildTypedSendData(send, domain);
+  const digest = TypedDataEncoder.hash(data.domain, data.types, data.message);
+  const signature = await signer.signTypedData(data);
+
+  return {
+    intent: {
+      owner,
+      vault: domain.verifyingContract,
+      chainId: domain.chainId.toString(),
+      token: send.token,
+      to: send.to,
+      amount: send.amount.toString(),
+      feeRecipient: send.feeRecipient,
+      fee: send.fee.toString(),
+      deadline: send.deadline.toString(),
+      nonce: send.nonce.toString(),
+    },
+    domain,
+    digest,
+    signature,
+    args: toRelayArgs({ ...send, owner }, signature),
+  };
+}
+
+/**
+ * Signs a `Vault.sendBatch`: several transfers under one signature and one vault nonce,
+ * bound to one vault on one chain like `signTypedSend`.
+ * @param {object} batch - owner, legs (token, to, amount, fee), feeRecipient, deadline and optional vault, nonce
+ * @param {object} options
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {bigint|number|string} [options.chainId] - fetched with `tronWeb` when omitted
+ * @param {TronWeb} [options.tronWeb] - used to fetch the vault, its nonce and the chain id when omitted
+ * @param {string} [options.factory] - VaultFactory address, required to fetch the vault or nonce
+ * @param {string} [options.currentOwner] - owner of a vault whose ownership was transferred, defaults to `owner`
+ * @returns {Promise<{batch: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `EntryPoint.relayBatch` arguments
+ */
+async function signSendBatch(batch, { privateKey, signer, chainId, tronWeb, factory, currentOwner } = {}) {
+  const owner = toEvmAddress(batch.owner);
+  signer = await resolveSigner({ signer, privateKey }, currentOwner || owner);
+
+  const { domain, nonce } = await resolveTypedDomain(owner, batch, { chainId, tronWeb, factory });
+  const normalized = normalizeSendBatch({ ...batch, nonce });
+  const data = buildSendBatchData(normalized, domain);
+  const digest = TypedDataEncoder.hash(data.domain, data.types, data.message);
+  const signature = await signer.signTypedData(data);
+
+  return {
+    batch: {
+      owner,
+      vault: domain.verifyingContract,
+      chainId: domain.chainId.toString(),
+      legs: normalized.legs.map(leg => ({
+        token: leg.token,
+        to: leg.to,
+        amount: leg.amount.toString(),
+        fee: leg.fee.toString(),
+      })),
+      feeRecipient: normalized.feeRecipient,
+      deadline: normalized.deadline.toString(),
+      nonce: normalized.nonce.toString(),
+    },
+    domain,
+    digest,
+    signature,
+    args: toRelayBatchArgs({ ...normalized, owner }, signature),
+  };
+}
+
+// Signs an owner action for the vault `action.owner` derives, bound to that vault and chain
+async function signOwnerAction(primaryType, action, { privateKey, signer, chainId, tronWeb, factory, currentOwner }) {
+  const owner = toEvmAddress(action.owner);
+  signer = await resolveSigner({ signer, privateKey }, currentOwner || owner);
+
+  const { domain, nonce } = await resolveTypedDomain(owner, action, { chainId, tronWeb, factory });
+  const normalized = normalizeOwnerAction(primaryType, { ...action, nonce });
+  const data = buildOwnerActionData(primaryType, normalized, domain);
+  const digest = TypedDataEncoder.hash(data.domain, data.types, data.message);
+  const signature = await signer.signTypedData(data);
+
+  const fields = Object.fromEntries(Object.entries(normalized).map(([key, value]) => [key, value.toString()]));
+  return {
+    action: { owner, vault: domain.verifyingContract, chainId: domain.chainId.toString(), ...fields },
+    domain,
+    digest,
+    signature,
+  };
+}
+
+/**
+ * Signs a `Vault.transferOwnership`. It consumes the vault nonce, so once it lands every intent the
+ * old key signed for that nonce or later fails; whichever of it and a competing intent lands first wins.
+ * @param {object} rotation - owner (the address the vault was derived for), newOwner, deadline and optional vault, nonce
+ * @param {object} options
+ * @param {string} [options.privateKey] - current owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {bigint|number|string} [options.chainId] - fetched with `tronWeb` when omitted
+ * @param {TronWeb} [options.tronWeb] - used to fetch the vault, its nonce and the chain id when omitted
+ * @param {string} [options.factory] - VaultFactory address, required to fetch the vault or nonce
+ * @param {string} [options.currentOwner] - owner after an earlier transfer, defaults to `owner`
+ * @returns {Promise<{rotation: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `Vault.transferOwnership` arguments
+ */
+async function signTransferOwnership(rotation, options = {}) {
+  const { action, ...signed } = await signOwnerAction("TransferOwnership", rotation, options);
+  return { rotation: action, ...signed, args: [action.newOwner, action.deadline, signed.signature] };
+}
+
+/**
+ * Signs a `Vault.setGuardian`: `guardian` may recover the vault `delay` seconds after starting a recovery,
+ * unless it cancels it in between. A zero guardian disables recovery.
+ * @param {object} params - owner, guardian, delay, deadline and optional vault, nonce
+ * @param {object} options - see `signTransferOwnership`
+ * @returns {Promise<{guardian: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `Vault.setGuardian` arguments
+ */
+async function signSetGuardian(params, options = {}) {
+  const { action, ...signed } = await signOwnerAction("SetGuardian", params, options);
+  return { guardian: action, ...signed, args: [action.guardian, action.delay, action.deadline, signed.signature] };
+}
+
+/**
+ * Signs a `Vault.cancelNonces`, which voids every intent signed for the vault's current nonce
+ * up to, not including, `newNonce`, and keeps the vault.
+ * @param {object} params - owner, deadline and optional newNonce (defaults to the current nonce + 1), vault, nonce
+ * @param {object} options - see `signTransferOwnership`
+ * @returns {Promise<{cancel: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `Vault.cancelNonces` arguments
+ */
+async function signCancelNonces(params, options = {}) {
+  const { domain, nonce } = await resolveTypedDomain(toEvmAddress(params.owner), params, options);
+  const newNonce = params.newNonce ?? toUint256(nonce, "nonce") + 1n;
+  const { action, ...signed } = await signOwnerAction(
+    "CancelNonces",
+    { ...params, vault: domain.verifyingContract, nonce, newNonce },
+    { ...options, chainId: domain.chainId }
+  );
+  return { cancel: action, ...signed, args: [action.newNonce, action.deadline, signed.signature] };
+}
+
+/**
+ * Signs a `Vault.setAllowance`: once it lands, `relayer` may pay up to `maxAmount` of `token` to `payee`
+ * per `period` seconds counted from `start`, plus up to `maxFee` to itself, until `expiry`. It calls the
+ * vault directly, or only through `entryPoint` when one is given.
+ * @param {object} params - owner, token (or "TRX"), payee, maxAmount, maxFee, relayer, entryPoint, period,
+ *   start, expiry, deadline and optional vault, nonce
+ * @param {object} options - see `signTransferOwnership`
+ * @returns {Promise<{allowance: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `Vault.setAllowance` arguments, the rule as a tuple
+ */
+async function signSetAllowance(params, options = {}) {
+  const { action, ...signed } = await signOwnerAction("SetAllowance", params, options);
+  const { token, payee, maxAmount, maxFee, relayer, entryPoint, period, start, expiry } = action;
+  return {
+    allowance: action,
+    ...signed,
+    args: [
+      [token, payee, maxAmount, maxFee, relayer, entryPoint, period, start, expiry],
+      action.deadline,
+      signed.signature,
+    ],
+  };
+}
+
+/**
+ * Signs a `Vault.revokeAllowance`, which ends allowance `id` for good.
+ * @param {object} params - owner, id, deadline and optional vault, nonce
+ * @param {object} options - see `signTransferOwnership`
+ * @returns {Promise<{revoke: object, domain: object, digest: string, signature: string, args: Array}>}
+ *   `args` are the `Vault.revokeAllowance` arguments
+ */
+async function signRevokeAllowance(params, options = {}) {
+  const { action, ...signed } = await signOwnerAction("RevokeAllowance", params, options);
+  return { revoke: action, ...signed, args: [action.id, action.deadline, signed.signature] };
+}
+
+/**
+ * Whether an intent is signed for `Vault.sendTyped` (it names its chain id) rather than `Vault.send`.
+ * @param {object} intent
+ * @returns {boolean}
+ */
+function isTypedIntent(intent) {
+  return intent.chainId !== undefined && intent.chainId !== null;
+}
+
+/**
+ * Normalises a signed intent as it arrives over the wire, e.g. in a relayer request.
+ * @param {object} body - owner, token, to, amount, feeRecipient, fee, deadline, nonce, signature,
+ *   and vault and chainId for typed intents; any other intent may name its vault too
+ * @returns {object} owner, the `normalizeSend` fields and signature, plus the vault if named and chainId
+ *   (bigint) if typed
+ * @throws {Error} when a field is missing or malformed
+ */
+function normalizeSignedIntent(body) {
+  if (typeof body.signature !== "string") throw new Error("Missing signature");
+  if (body.nonce === undefined || body.nonce === null) throw new Error("Missing nonce");
+
+  const intent = { owner: toEvmAddress(body.owner), ...normalizeSend(body), signature: body.signature };
+  if (isTypedIntent(body)) {
+    if (!body.vault) throw new Error("Typed intents must name their vault");
+    const domain = typedSendDomain(body);
+    Object.assign(intent, { vault: domain.verifyingContract, chainId: domain.chainId });
+  } else if (body.vault) {
+    intent.vault = toEvmAddress(body.vault);
+  }
+  return intent;
+}
+
+/**
+ * Orders an intent into the `EntryPoint.relay` argument tuple.
+ * @param {object} intent - owner, token, to, amount, feeRecipient, fee, deadline
+ * @param {string} signature - owner's signature over `buildSendDigest(intent)`
+ * @returns {Array} [owner, token, to, amount, feeRecipient, fee, deadline, sig], also the `relayTyped` tuple
+ */
+function toRelayArgs(intent, signature) {
+  const fee = toUint256(intent.fee ?? 0, "fee");
+  return [
+    toEvmAddress(intent.owner),
+    toTokenAddress(intent.token),
+    toEvmAddress(intent.to),
+    toUint256(intent.amount, "amount").toString(),
+    intent.feeRecipient ? toEvmAddress(intent.feeRecipient) : ZeroAddress,
+    fee.toString(),
+    toUint256(intent.deadline, "deadline").toString(),
+    signature,
+  ];
+}
+
+/**
+ * Orders a batch into the `EntryPoint.relayBatch` argument tuple.
+ * @param {object} batch - owner, legs, feeRecipient, deadline
+ * @param {string} signature - owner's signature over `buildSendBatchDigest(batch, domain)`
+ * @returns {Array} [owner, [[token, to, amount, fee], ...], feeRecipient, deadline, sig]
+ */
+function toRelayBatchArgs(batch, signature) {
+  const { legs, feeRecipient, deadline } = normalizeSendBatch({ ...batch, nonce: 0 });
+  return [
+    toEvmAddress(batch.owner),
+    legs.map(leg => [leg.token, leg.to, leg.amount.toString(), leg.fee.toString()]),
+    feeRecipient,
+    deadline.toString(),
+    signature,
+  ];
+}
+
+/**
+ * Signs a `VaultFactory.incrementNonce` authorisation.
+ * @param {object} params
+ * @param {string} params.owner - vault owner, any address form
+ * @param {bigint|number|string} [params.nonce] - current factory nonce, fetched when omitted
+ * @param {object} options
+ * @param {string} [options.privateKey] - owner's private key (hex)
+ * @param {object} [options.signer] - signs instead of `privateKey`, see `signers.js`
+ * @param {TronWeb} [options.tronWeb] - used to fetch the factory nonce when `nonce` is omitted
+ * @param {string} [options.factory] - VaultFactory address, required with `tronWeb`
+ * @param {string} [options.currentOwner] - owner of the current vault if its ownership was transferred, who
+ *   signs in place of `owner`
+ * @returns {Promise<{owner: string, nonce: string, digest: string, signature: string, args: Array}>}
+ */
+async function signIncrementNonce({ owner, nonce }, { privateKey, signer, tronWeb, factory, currentOwner } = {}) {
+  owner = toEvmAddress(owner);
+  signer = await resolveSigner({ signer, privateKey }, currentOwner || owner);
+
+  if (nonce === undefined || nonce === null) {
+    if (!tronWeb || !factory) {
+      throw new Error("Nonce not given: tronWeb and factory are required to fetch it");
+    }
+    nonce = await fetchFactoryNonce(tronWeb, factory, owner);
+  }
+
+  const digest = buildNonceDigest({ owner, nonce });
+  const signature = await signer.signMessage({
+    primaryType: "VaultNonce",
+    message: { owner, nonce: toUint256(nonce, "nonce") },
+    digest,
+  });
+
+  return {
+    owner,
+    nonce: toUint256(nonce, "nonce").toString(),
+    digest,
+    signature,
+    // VaultFactory.incrementNonce(owner, sig)
+    args: [owner, signature],
+  };
+}
+
+module.exports = {
+  buildSendDigest,
+  buildNonceDigest,
+  typedSendDomain,
+  buildTypedSendData,
+  buildTypedSendDigest,
+  buildSendBatchData,
+  buildSendBatchDigest,
+  buildOwnerActionData,
+  buildOwnerActionDigest,
+  signSend,
+  signTypedSend,
+  signSendBatch,
+  signTransferOwnership,
+  signSetGuardian,
+  signCancelNonces,
+  signSetAllowance,
+  signRevokeAllowance,
+  signIncrementNonce,
+  fetchVaultNonce,
+  fetchFactoryNonce,
+  normalizeSend,
+  normalizeSendBatch,
+  normalizeOwnerAction,
+  normalizeSignedIntent,
+  isTypedIntent,
+  toRelayArgs,
+  toRelayBatchArgs,
+};
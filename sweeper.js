@@ -0,0 +1,258 @@
+const { fetchVaultState, fetchTokenBalance } = require("./chain");
+const { RevertError } = require("./errors");
+const { relayParams, tronWebEstimateClient, SELECTORS } = require("./estimate");
+const { simulateRelay } = require("./preflight");
+const { privateKeySigner } = require("./signers");
+const { signSend, toRelayArgs } = require("./signing");
+const { createTxTracker, contractTransaction, CONFIRMED, EXPIRED } = require("./tracker");
+const { verifySendIntentOnChain } = require("./verify");
+const { toEvmAddress, toTokenAddress, toUint256, getEpoch } = require("./utils");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Signer that signs every sweep freshly with the owners' keys.
+ * @param {Object<string, string|object>} keys - owner address (any form) => private key, or a signer from `signers.js`
+ * @param {object} [options]
+ * @param {number} [options.ttl] - seconds until the signed intent's deadline
+ */
+function localKeySigner(keys, { ttl = 600 } = {}) {
+  const signers = new Map(Object.entries(keys).map(([owner, key]) => [
+    toEvmAddress(owner),
+    typeof key === "string" ? privateKeySigner(key) : key,
+  ]));
+  return {
+    async sign(request) {
+      const signer = signers.get(request.owner);
+      if (!signer) return null;
+      const { intent, signature } = await signSend({ ...request, deadline: getEpoch() + ttl }, { signer });
+      return { ...intent, signature };
+    },
+  };
+}
+
+/**
+ * Signer backed by intents the owners signed ahead of time.
+ * Picks the intent matching owner, token and the vault's current nonce.
+ * @param {object[]} intents - signed intents (owner, token, to, amount, feeRecipient, fee, deadline, nonce, signature)
+ */
+function preauthorizedSigner(intents) {
+  return {
+    async sign(request) {
+      return intents.find(intent =>
+        toEvmAddress(intent.owner) === request.owner
+        && toTokenAddress(intent.token) === request.token
+        && toUint256(intent.nonce, "nonce") === request.nonce
+      ) || null;
+    },
+  };
+}
+
+/**
+ * Creates a sweeper that relays vault balances above a per-token threshold to a treasury.
+ *
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb - TronWeb instance holding the relayer key
+ * @param {string} options.entryPoint - EntryPoint address
+ * @param {string} options.factory - VaultFactory address
+ * @param {string} options.treasury - recipient of swept funds
+ * @param {string} [options.feeRecipient] - recipient of the relay fee
+ * @param {Object<string, bigint|string|number>} options.thresholds - token (or "TRX") => minimum balance worth sweeping
+ * @param {Object<string, bigint|string|number>} [options.fees] - token => fee taken from each sweep
+ * @param {{sign: Function}} options.signer - returns a signed intent for a sweep request, or null to skip it
+ * @param {boolean} [options.dryRun] - report what would move without broadcasting
+ * @param {bigint|number} [options.energyBudget] - energy the run may spend, unlimited when omitted
+ * @param {object} [options.client] - constant-call client for the dry runs, see `tronWebEstimateClient`
+ * @param {(request: object, intent: object) => Promise<bigint|number>|bigint|number} [options.estimateEnergy] -
+ *   expected energy of relaying the signed intent, by default its `simulateRelay` dry run; a `RevertError`
+ *   skips the sweep with its reason
+ * @param {number} [options.maxRetries] - retries per sweep after a failed relay
+ * @param {number} [options.backoff] - ms before the first retry, doubled on each further retry
+ * @param {number} [options.feeLimit] - fee limit per relay, in sun
+ * @param {number} [options.pollInterval] - ms before the first receipt poll, backing off from there
+ */
+function createSweeper({
+  tronWeb,
+  entryPoint,
+  factory,
+  treasury,
+  feeRecipient,
+  thresholds,
+  fees = {},
+  signer,
+  dryRun = false,
+  energyBudget,
+  client = tronWebEstimateClient(tronWeb),
+  estimateEnergy = async (request, intent) => (await simulateRelay({
+    client,
+    tronWeb,
+    factory,
+    entryPoint,
+    intent,
+    signature: intent.signature,
+    from: tronWeb.defaultAddress.hex,
+  })).energyUsed,
+  maxRetries = 2,
+  backoff = 5000,
+  feeLimit = 100_000_000,
+  pollInterval = 3000,
+}) {
+  treasury = toEvmAddress(treasury);
+  feeRecipient = feeRecipient ? toEvmAddress(feeRecipient) : undefined;
+  const tokens = Object.entries(thresholds).map(([token, threshold]) => ({
+    token: toTokenAddress(token),
+    threshold: toUint256(threshold, "threshold"),
+    fee: toUint256(fees[token] ?? 0, "fee"),
+  }));
+  const budget = energyBudget === undefined ? null : BigInt(energyBudget);
+  // Expired relays are retried by `run` with a fresh signature, not re-sent as is
+  const tracker = createTxTracker({ tronWeb, pollInterval });
+
+  async function relayOnce(intent) {
+    const receipt = await tracker.send(contractTransaction(tronWeb, {
+      contract: entryPoint,
+      selector: SELECTORS.relay,
+      params: relayParams(toRelayArgs(intent, intent.signature)),
+      feeLimit,
+    }));
+    const { txid } = receipt;
+    const energyUsed = BigInt(receipt.energyUsed || 0);
+
+    if (receipt.status === CONFIRMED) return { txid, energyUsed };
+    const reason = receipt.status === EXPIRED ? "relay expired" : receipt.revert || receipt.result;
+    throw Object.assign(new Error(reason), { txid, energyUsed });
+  }
+
+  // Builds the request for the vault's current state, or a skip reason
+  async function prepare(owner, { token, threshold, fee }) {
+    const vault = await fetchVaultState(tronWeb, factory, owner);
+    const balance = await fetchTokenBalance(tronWeb, token, vault.vault);
+    const base = { owner, vault: vault.vault, token, balance: balance.toString() };
+
+    if (balance === 0n || balance < threshold) return { skip: { ...base, reason: "below threshold" } };
+    if (fee > balance) return { skip: { ...base, reason: "fee exceeds balance" } };
+
+    const request = {
+      owner,
+      vault: vault.vault,
+      deployed: vault.deployed,
+      token,
+      to: treasury,
+      amount: balance,
+      feeRecipient,
+      fee,
+      nonce: vault.nonce,
+    };
+    const intent = await signer.sign(request);
+    if (!intent) return { skip: { ...base, reason: "no signed intent" } };
+
+    // Checked against the vault's current owner, through ERC-1271 for a contract owner
+    const check = await verifySendIntentOnChain(tronWeb, factory, intent, intent.signature);
+    if (!check.valid) return { skip: { ...base, reason: check.revert } };
+
+    // Measured for this vault, so a deploying relay is charged what it will really cost
+    let expected;
+    try {
+      expected = BigInt(await estimateEnergy(request, intent));
+    } catch (err) {
+      if (err instanceof RevertError) return { skip: { ...base, reason: err.reason || err.message } };
+      throw err;
+    }
+    return { request, intent, expected };
+  }
+
+  /**
+   * Scans the owners' current vaults once and sweeps every token above its threshold.
+   * @param {Iterable<string>} owners - vault owners to scan
+   * @returns {Promise<object>} report of what moved, was skipped or failed
+   */
+  async function run(owners) {
+    const report = {
+      dryRun,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      energyBudget: budget === null ? null : budget.toString(),
+      energyUsed: "0",
+      swept: [],
+      skipped: [],
+      failed: [],
+      totals: {},
+    };
+    let energyUsed = 0n;
+
+    for (const owner of [...owners].map(toEvmAddress)) {
+      for (const token of tokens) {
+        let attempt = 0;
+        for (;;) {
+          let prepared;
+          try {
+            prepared = await prepare(owner, token);
+          } catch (err) {
+            report.failed.push({ owner, token: token.token, error: err.message, attempts: attempt });
+            break;
+          }
+          if (prepared.skip) {
+            if (attempt === 0) report.skipped.push(prepared.skip);
+            break;
+          }
+
+          const { request, intent, expected } = prepared;
+          const entry = {
+            owner,
+            vault: request.vault,
+            token: request.token,
+            to: toEvmAddress(intent.to),
+            amount: toUint256(intent.amount, "amount").toString(),
+            fee: toUint256(intent.fee ?? 0, "fee").toString(),
+            nonce: toUint256(intent.nonce, "nonce").toString(),
+            deployed: request.deployed,
+            estimatedEnergy: expected.toString(),
+          };
+
+          if (budget !== null && energyUsed + expected > budget) {
+            report.skipped.push({ ...entry, reason: "energy budget exhausted" });
+            break;
+          }
+
+          if (dryRun) {
+            report.swept.push(entry);
+            addTotal(report.totals, entry);
+            break;
+          }
+
+          attempt += 1;
+          try {
+            const result = await relayOnce(intent);
+            energyUsed += result.energyUsed;
+            report.swept.push({ ...entry, txid: result.txid, energyUsed: result.energyUsed.toString(), attempts: attempt });
+            addTotal(report.totals, entry);
+            break;
+          } catch (err) {
+            energyUsed += err.energyUsed || 0n;
+            if (attempt > maxRetries) {
+              report.failed.push({ ...entry, txid: err.txid || null, error: err.message, attempts: attempt });
+              break;
+            }
+            await sleep(backoff * 2 ** (attempt - 1));
+          }
+        }
+      }
+    }
+
+    report.energyUsed = energyUsed.toString();
+    report.finishedAt = new Date().toISOString();
+    return report;
+  }
+
+  return { run };
+}
+
+function addTotal(totals, { token, amount }) {
+  totals[token] = (BigInt(totals[token] || 0) + BigInt(amount)).toString();
+}
+
+module.exports = {
+  createSweeper,
+  localKeySigner,
+  preauthorizedSigner,
+};
@@ -0,0 +1,207 @@
+const { TronWeb } = require("tronweb");
+
+const Vault = artifacts.require("Vault");
+
+const { createAllowance, revokeAllowance, createAllowanceScheduler } = require('../allowances');
+const { fetchAllowance } = require('../chain');
+const { SELECTORS } = require('../estimate');
+const { signSetAllowance, signSetGuardian, signTransferOwnership } = require('../signing');
+const { toEvmAddress, getEpoch } = require('../utils');
+const fixtures = require('./fixtures');
+
+const { keyOf } = fixtures;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Argument types of the calls made here, in order
+const PARAM_TYPES = {
+  [SELECTORS.setAllowance]: ["(address,address,uint256,uint256,address,address,uint256,uint256,uint256)", "uint256", "bytes"],
+  [SELECTORS.spendAllowance]: ["uint256", "uint256", "address", "uint256"],
+  [SELECTORS.relayAllowance]: ["address", "uint256", "uint256", "uint256"],
+  [SELECTORS.transferOwnership]: ["address", "uint256", "bytes"],
+  [SELECTORS.setGuardian]: ["address", "uint256", "uint256", "bytes"],
+  [SELECTORS.executeRecovery]: [],
+};
+
+const toParams = (selector, args) => args.map((value, i) => ({ type: PARAM_TYPES[selector][i], value }));
+
+contract("Vault allowances", accounts => {
+  let system;
+  let token;
+  let factory;
+  let entrypoint;
+
+  let relayer;
+  let stranger;
+  let payee;
+
+  const dryRun = (contract, selector, args, from = relayer) => fixtures.dryRun(contract, selector, toParams(selector, args), from);
+  const transact = (contract, selector, args) => fixtures.transact(contract, selector, toParams(selector, args));
+
+  // Pays the payee up to 10 tokens every `period` seconds, plus a fee of up to 1 token to the
+  // relayer, which calls through the EntryPoint. Its second period starts now, since the latest
+  // block's timestamp trails the local clock.
+  const rule = (period = 600) => ({
+    token: token.address,
+    payee,
+    maxAmount: TronWeb.toSun(10),
+    maxFee: TronWeb.toSun(1),
+    relayer,
+    entryPoint: entrypoint.address,
+    period,
+    start: getEpoch() - period,
+    expiry: getEpoch() + 3600,
+  });
+
+  before(async () => {
+    // The scheduler and `fixtures.transact` send from TronBox's default account
+    relayer = tronWeb.defaultAddress.base58;
+    [, , stranger, payee] = accounts;
+    system = await fixtures.deploySystem();
+    ({ token, factory, entrypoint } = system);
+  });
+
+  it("pays the payee once per period through the EntryPoint until revoked", async () => {
+    const owner = accounts[5];
+    const options = { tronWeb, factory: factory.address, privateKey: keyOf(owner) };
+    await fixtures.fundVault(system, owner, TronWeb.toSun(100));
+
+    const created = await createAllowance(owner, rule(30), options);
+    assert.include(created, { id: "0", deployed: true });
+    const { vault } = created;
+    assert.include(await fetchAllowance(tronWeb, vault, 0), { available: BigInt(TronWeb.toSun(10)), revoked: false });
+
+    const scheduler = createAllowanceScheduler({
+      tronWeb,
+      entryPoint: entrypoint.address,
+      factory: factory.address,
+      payments: [{ owner, id: 0 }],
+      fee: TronWeb.toSun(1),
+    });
+    const payments = [];
+    scheduler.on("payment", payment => payments.push(payment));
+
+    const first = await scheduler.poll();
+    const paidAt = getEpoch();
+    assert.lengthOf(first.paid, 1);
+    assert.include(first.paid[0], { vault, payee: toEvmAddress(payee), amount: TronWeb.toSun(10).toString() });
+    assert.deepEqual(payments, first.paid);
+    assert.equal(await token.balanceOf(payee), BigInt(TronWeb.toSun(10)));
+    assert.equal(await token.balanceOf(vault), BigInt(TronWeb.toSun(89)));
+
+    // Nothing is left until the next period
+    assert.deepEqual((await scheduler.poll()).skipped.map(s => s.reason), ["not due"]);
+    const over = [toEvmAddress(owner), 0, 1, 0];
+    assert.equal(await dryRun(entrypoint.address, SELECTORS.relayAllowance, over), "Vault: allowance exceeded");
+
+    while ((await fetchAllowance(tronWeb, vault, 0)).available === 0n) {
+      assert.isBelow(getEpoch(), paidAt + 45, "Next period never started");
+      await sleep(3000);
+    }
+    assert.lengthOf((await scheduler.poll()).paid, 1);
+    assert.equal(await token.balanceOf(payee), BigInt(TronWeb.toSun(20)));
+
+    await revokeAllowance(owner, 0, options);
+    const revoked = await fetchAllowance(tronWeb, vault, 0);
+    assert.include(revoked, { revoked: true, available: 0n, availableFee: 0n });
+    assert.equal(await dryRun(entrypoint.address, SELECTORS.relayAllowance, over), "Vault: allowance inactive");
+  });
+
+  it("holds the relayer to the signed rule", async () => {
+    const owner = accounts[6];
+    const options = { tronWeb, factory: factory.address, privateKey: keyOf(owner) };
+    await fixtures.fundVault(system, owner, TronWeb.toSun(100));
+    const { vault } = await createAllowance(owner, rule(), options);
+
+    const relay = (amount, fee) => dryRun(entrypoint.address, SELECTORS.relayAllowance, [toEvmAddress(owner), 0, amount, fee]);
+    assert.isNull(await relay(TronWeb.toSun(10), TronWeb.toSun(1)));
+    assert.equal(await relay(TronWeb.toSun(1), TronWeb.toSun(2)), "Vault: allowance fee exceeded");
+    // The rule names the EntryPoint, so the relayer cannot bypass it
+    assert.equal(
+      await dryRun(vault, SELECTORS.spendAllowance, [0, 1, toEvmAddress(relayer), 0]),
+      "Vault: not the allowance relayer"
+    );
+    assert.equal(
+      await dryRun(vault, SELECTORS.spendAllowance, [1, 1, toEvmAddress(relayer), 0]),
+      "Vault: unknown allowance"
+    );
+    assert.equal(
+      await dryRun(entrypoint.address, SELECTORS.relayAllowance, [toEvmAddress(accounts[7]), 0, 1, 0]),
+      "EntryPoint: vault not deployed"
+    );
+
+    // Rules without a period or a relayer are refused, and a signed rule cannot be replayed
+    const nonce = 1;
+    for (const fields of [{ period: 0 }, { relayer: "0x0000000000000000000000000000000000000000" }]) {
+      const invalid = await signSetAllowance(
+        { ...rule(), ...fields, owner, vault, nonce, deadline: getEpoch() + 1000 },
+        { privateKey: keyOf(owner), chainId: system.chainId }
+      );
+      assert.equal(await dryRun(vault, SELECTORS.setAllowance, invalid.args), "Vault: invalid allowance");
+    }
+    const replayed = await signSetAllowance(
+      { ...rule(), owner, vault, nonce: 0, deadline: getEpoch() + 1000 },
+      { privateKey: keyOf(owner), chainId: system.chainId }
+    );
+    assert.equal(await dryRun(vault, SELECTORS.setAllowance, replayed.args), "Vault: invalid signature");
+  });
+
+  it("lets a stranger neither collect the fee nor trigger payments", async () => {
+    const owner = accounts[8];
+    const options = { tronWeb, factory: factory.address, privateKey: keyOf(owner) };
+    await fixtures.fundVault(system, owner, TronWeb.toSun(100));
+    const { vault } = await createAllowance(owner, rule(), options);
+    // A second rule the relayer executes on the vault itself
+    await createAllowance(owner, { ...rule(), entryPoint: undefined }, options);
+
+    const amount = TronWeb.toSun(4);
+    const fee = TronWeb.toSun(1);
+    const front = [toEvmAddress(owner), 0, amount, fee];
+    assert.equal(await dryRun(entrypoint.address, SELECTORS.relayAllowance, front, stranger), "Vault: not the allowance relayer");
+    for (const recipient of [stranger, relayer]) {
+      assert.equal(
+        await dryRun(vault, SELECTORS.spendAllowance, [1, amount, toEvmAddress(recipient), fee], stranger),
+        "Vault: not the allowance relayer"
+      );
+    }
+
+    const before = { relayer: BigInt(await token.balanceOf(relayer)), stranger: BigInt(await token.balanceOf(stranger)) };
+    await fixtures.transact(entrypoint.address, SELECTORS.relayAllowance, toParams(SELECTORS.relayAllowance, front));
+    await fixtures.transact(vault, SELECTORS.spendAllowance, toParams(SELECTORS.spendAllowance, [1, amount, toEvmAddress(relayer), fee]));
+
+    assert.equal(await token.balanceOf(relayer), before.relayer + 2n * BigInt(fee));
+    assert.equal(await token.balanceOf(stranger), before.stranger);
+    assert.equal(await token.balanceOf(vault), BigInt(TronWeb.toSun(90)));
+  });
+
+  it("lapses the allowances of a vault that changes owner", async () => {
+    const owner = accounts[9];
+    const [guardian, newOwner] = [accounts[1], accounts[4]];
+    const options = { tronWeb, factory: factory.address, privateKey: keyOf(owner) };
+    await fixtures.fundVault(system, owner, TronWeb.toSun(100));
+    const { vault } = await createAllowance(owner, rule(), options);
+    const relay = id => dryRun(entrypoint.address, SELECTORS.relayAllowance, [toEvmAddress(owner), id, 1, 0]);
+    assert.isNull(await relay(0));
+
+    // The guardian recovers the vault from a stolen key, and what that key signed stops paying
+    const setup = await signSetGuardian({ owner, guardian, delay: 3, deadline: getEpoch() + 1000 }, options);
+    await transact(vault, SELECTORS.setGuardian, setup.args);
+    await (await Vault.at(vault)).initiateRecovery(newOwner, { from: guardian });
+    const startedAt = getEpoch();
+    while ((await dryRun(vault, SELECTORS.executeRecovery, [])) !== null) {
+      assert.isBelow(getEpoch(), startedAt + 30, "Recovery never became executable");
+      await sleep(3000);
+    }
+    await transact(vault, SELECTORS.executeRecovery, []);
+    assert.equal(await relay(0), "Vault: allowance inactive");
+    assert.include(await fetchAllowance(tronWeb, vault, 0), { revoked: false, available: 0n, availableFee: 0n });
+
+    // The new owner's own allowances pay until it hands the vault on
+    const current = { ...options, privateKey: keyOf(newOwner), currentOwner: newOwner };
+    assert.include(await createAllowance(owner, rule(), current), { id: "1" });
+    assert.isNull(await relay(1));
+    const { args } = await signTransferOwnership({ owner, newOwner: owner, deadline: getEpoch() + 1000 }, current);
+    await transact(vault, SELECTORS.transferOwnership, args);
+    assert.equal(await relay(1), "Vault: allowance inactive");
+  });
+});
@@ -0,0 +1,107 @@
+const { TronWeb } = require("tronweb");
+
+const Vault = artifacts.require("Vault");
+
+const { tronWebEstimateClient, estimateRelayBatch, relayBatchParams, SELECTORS } = require('../estimate');
+const { signSendBatch } = require('../signing');
+const { getEpoch } = require('../utils');
+const { deploySystem, transact, dryRun, vaultOf, fundVault, keyOf } = require('./fixtures');
+
+contract("Vault batch send", accounts => {
+  let system;
+  let tokens;
+  let factory;
+  let entrypoint;
+  let vault;
+  let chainId;
+
+  let owner;
+  let alice;
+  let bob;
+  let relayer;
+  let privateKey;
+
+  const dryRunBatch = args => dryRun(entrypoint.address, SELECTORS.relayBatch, relayBatchParams(args), relayer);
+
+  function legs() {
+    return [
+      { token: tokens[0].address, to: alice, amount: TronWeb.toSun(10), fee: TronWeb.toSun(1) },
+      { token: tokens[1].address, to: bob, amount: TronWeb.toSun(20), fee: TronWeb.toSun(2) },
+      { token: tokens[0].address, to: bob, amount: TronWeb.toSun(5) },
+    ];
+  }
+
+  before(async () => {
+    [owner, alice, bob, relayer] = accounts;
+    privateKey = keyOf(owner);
+    system = await deploySystem({ tokens: 2 });
+    ({ tokens, factory, entrypoint, chainId } = system);
+
+    vault = await vaultOf(system, owner);
+    for (const token of tokens) await fundVault(system, owner, TronWeb.toSun(100), { token });
+  });
+
+  it("estimates a batch for a vault that is not deployed yet", async () => {
+    const { args } = await signSendBatch({
+      owner, legs: legs(), feeRecipient: relayer, deadline: getEpoch() + 1000,
+    }, { privateKey, chainId, tronWeb, factory: factory.address });
+
+    const estimate = await estimateRelayBatch({
+      client: tronWebEstimateClient(tronWeb), entryPoint: entrypoint.address, args, from: relayer,
+    });
+    assert.isNull(estimate.revert);
+    assert.equal(estimate.legs, 3);
+    assert.isAbove(estimate.energyPerLeg, 0);
+  });
+
+  it("rejects a batch whose legs were changed after signing", async () => {
+    const { args } = await signSendBatch({
+      owner, legs: legs(), feeRecipient: relayer, deadline: getEpoch() + 1000,
+    }, { privateKey, chainId, tronWeb, factory: factory.address });
+
+    const tampered = [args[0], [...args[1]], ...args.slice(2)];
+    tampered[1][2] = [args[1][2][0], relayer, args[1][2][2], args[1][2][3]];
+    assert.equal(await dryRunBatch(tampered), "Vault: invalid signature");
+
+    const dropped = [args[0], args[1].slice(0, 2), ...args.slice(2)];
+    assert.equal(await dryRunBatch(dropped), "Vault: invalid signature");
+  });
+
+  it("rejects an empty batch", async () => {
+    const { args } = await signSendBatch({
+      owner, legs: legs(), feeRecipient: relayer, deadline: getEpoch() + 1000,
+    }, { privateKey, chainId, tronWeb, factory: factory.address });
+
+    assert.equal(await dryRunBatch([args[0], [], ...args.slice(2)]), "Vault: empty batch");
+  });
+
+  it("sends every leg under one signature and one nonce", async () => {
+    const { batch, args } = await signSendBatch({
+      owner, legs: legs(), feeRecipient: relayer, deadline: getEpoch() + 1000,
+    }, { privateKey, chainId, tronWeb, factory: factory.address });
+    assert.equal(batch.nonce, "0");
+
+    const receipt = await transact(entrypoint.address, SELECTORS.relayBatch, relayBatchParams(args));
+
+    // One TokenSent per leg, in order, then BatchSent
+    const sent = receipt.events.filter(e => e.event === "TokenSent" && e.address === vault);
+    assert.deepEqual(
+      sent.map(e => [e.args.token, e.args.to, e.args.amount, e.args.fee, e.args.nonce]),
+      batch.legs.map(leg => [leg.token, leg.to, leg.amount, leg.fee, "0"])
+    );
+    const closed = receipt.events.find(e => e.event === "BatchSent");
+    assert.deepEqual([closed.address, closed.args.nonce, closed.args.legs], [vault, "0", "3"]);
+    assert.equal(receipt.events.filter(e => e.event === "MetaTransactionExecuted").length, 3);
+
+    assert.equal(await tokens[0].balanceOf(alice), BigInt(TronWeb.toSun(9)));
+    assert.equal(await tokens[0].balanceOf(bob), BigInt(TronWeb.toSun(5)));
+    assert.equal(await tokens[1].balanceOf(bob), BigInt(TronWeb.toSun(18)));
+    assert.equal(await tokens[0].balanceOf(relayer), BigInt(TronWeb.toSun(1)));
+    assert.equal(await tokens[1].balanceOf(relayer), BigInt(TronWeb.toSun(2)));
+    assert.equal(await tokens[0].balanceOf(vault), BigInt(TronWeb.toSun(85)));
+    assert.equal(await (await Vault.at(vault)).nonce(), 1n);
+
+    // The nonce moved once, so the same batch cannot be replayed
+    assert.equal(await dryRunBatch(args), "Vault: invalid signature");
+  });
+});
@@ -0,0 +1,151 @@
+const { TronWeb } = require("tronweb");
+const { AbiCoder, Interface } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI } = require('../abi');
+const { createBundler } = require('../bundler');
+const { SELECTORS } = require('../estimate');
+const { signSend } = require('../signing');
+const { toEvmAddress, getEpoch } = require('../utils');
+
+const KEYS = ["01", "02", "03"].map(k => k.padStart(64, "0"));
+const [ALICE, BOB, CAROL] = KEYS.map(key => toEvmAddress(TronWeb.address.fromPrivateKey(key)));
+const VAULTS = {
+  [ALICE]: toEvmAddress("0x00000000000000000000000000000000000000a1"),
+  [BOB]: toEvmAddress("0x00000000000000000000000000000000000000a2"),
+  [CAROL]: toEvmAddress("0x00000000000000000000000000000000000000a3"),
+};
+
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000e0");
+
+const iface = new Interface(ENTRYPOINT_ABI);
+const encodeRevert = reason => "0x08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+const call = value => ({ call: async () => value });
+
+// In-memory chain with deployed vaults at nonce 0. Dry-running `relay` costs `relayEnergy`, unless the
+// owner is in `simulatedReverts`; a `relayMany` costs the sum plus `bundleOverhead`. On chain, the
+// owners in `onChainReverts` fail inside the bundle.
+function mockChain({ relayEnergy = 100_000, bundleOverhead = 0, simulatedReverts = {}, onChainReverts = {} } = {}) {
+  const chain = { bundles: [], simulations: [], infos: new Map(), built: 0 };
+
+  const client = {
+    triggerConstantContract: async ({ selector, params }) => {
+      chain.simulations.push(selector);
+      if (selector === SELECTORS.relayMany) {
+        return { energy_used: params[0].value.length * relayEnergy + bundleOverhead, constant_result: [""] };
+      }
+      const revert = simulatedReverts[params[0].value];
+      if (revert) return { energy_used: 1000, constant_result: [encodeRevert(revert).slice(2)] };
+      return { energy_used: relayEnergy, constant_result: [""] };
+    },
+    getChainParameters: async () => [{ key: "getEnergyFee", value: 210 }],
+  };
+
+  const contracts = new Map([
+    [FACTORY_ABI, {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": owner => call(VAULTS[toEvmAddress(owner)]) },
+      isComputedDeployed: () => call(true),
+    }],
+    [VAULT_ABI, { nonce: () => call(0n) }],
+  ]);
+
+  const tronWeb = {
+    defaultAddress: { hex: `41${RELAYER.slice(2)}` },
+    contract: abi => contracts.get(abi),
+    transactionBuilder: {
+      triggerSmartContract: async (contract, selector, options, params) => ({
+        result: { result: true },
+        transaction: { txID: `tx${chain.built++}`, raw_data: { expiration: Date.now() + 60_000 }, params, options },
+      }),
+    },
+    trx: {
+      sign: async transaction => transaction,
+      sendRawTransaction: async ({ txID: txid, params, options }) => {
+        const intents = params[0].value;
+        chain.bundles.push({ intents, feeLimit: options.feeLimit });
+        const logs = intents.map(([owner], index) => {
+          const revert = onChainReverts[owner];
+          const { topics, data } = iface.encodeEventLog("IntentRelayed", [
+            index, owner, VAULTS[owner], !revert, revert ? encodeRevert(revert) : "0x",
+          ]);
+          return { address: `41${ENTRYPOINT.slice(2)}`, topics: topics.map(t => t.slice(2)), data: data.slice(2) };
+        });
+        chain.infos.set(txid, { id: txid, blockNumber: 1, receipt: { result: "SUCCESS", energy_usage_total: 250_000 }, log: logs });
+        return { result: true, txid };
+      },
+      getTransactionInfo: async txid => chain.infos.get(txid) || {},
+    },
+  };
+
+  return { chain, client, tronWeb };
+}
+
+async function signed(key, fields = {}) {
+  const owner = TronWeb.address.fromPrivateKey(key);
+  const { intent, signature } = await signSend({
+    owner, token: TOKEN, to: RELAYER, amount: 100, feeRecipient: RELAYER, fee: 1, deadline: getEpoch() + 600, nonce: 0,
+    ...fields,
+  }, { privateKey: key });
+  return { ...intent, signature };
+}
+
+function newBundler({ client, tronWeb }, options = {}) {
+  return createBundler({ tronWeb, client, entryPoint: ENTRYPOINT, factory: FACTORY, pollInterval: 1, ...options });
+}
+
+describe("bundler", () => {
+  it("relays intents of several owners in one transaction and reports each outcome", async () => {
+    const mock = mockChain({ onChainReverts: { [CAROL]: "Vault: Token transfer failed" } });
+    const bundler = newBundler(mock);
+    const ids = [];
+    for (const key of KEYS) ids.push(bundler.add(await signed(key)));
+
+    const report = await bundler.flush();
+
+    assert.lengthOf(mock.chain.bundles, 1);
+    assert.deepEqual(mock.chain.bundles[0].intents.map(intent => intent[0]), [ALICE, BOB, CAROL]);
+    assert.equal(mock.chain.bundles[0].feeLimit, Math.ceil(300_000 * 210 * 1.2));
+    assert.deepEqual(report.landed, [{ id: ids[0], vault: VAULTS[ALICE] }, { id: ids[1], vault: VAULTS[BOB] }]);
+    assert.lengthOf(report.failed, 1);
+    assert.equal(report.failed[0].id, ids[2]);
+    assert.equal(report.failed[0].revert, "Vault: Token transfer failed");
+    assert.include(report.failed[0].fields, { vault: VAULTS[CAROL], amount: "100", fee: "1" });
+    assert.deepEqual(report.deferred, []);
+    assert.equal(report.txid, "tx0");
+  });
+
+  it("rejects intents whose dry run reverts and defers an owner's later intents", async () => {
+    const mock = mockChain({ simulatedReverts: { [BOB]: "Vault: invalid signature" } });
+    const bundler = newBundler(mock);
+    const first = bundler.add(await signed(KEYS[0], { nonce: 0 }));
+    const second = bundler.add(await signed(KEYS[0], { nonce: 1 }));
+    const forged = bundler.add(await signed(KEYS[1]));
+
+    const report = await bundler.flush();
+
+    assert.deepEqual(report.landed.map(l => l.id), [first]);
+    assert.deepEqual(report.rejected.map(r => [r.id, r.revert]), [[forged, "Vault: invalid signature"]]);
+    assert.deepEqual(report.deferred, [second]);
+    assert.deepEqual(bundler.pending(), [second]);
+  });
+
+  it("keeps each bundle within the energy budget", async () => {
+    // Two relays fit the budget on their own, but not with the bundle's overhead
+    const mock = mockChain({ bundleOverhead: 60_000 });
+    const bundler = newBundler(mock, { energyBudget: 250_000 });
+    const ids = [];
+    for (const key of KEYS) ids.push(bundler.add(await signed(key)));
+
+    const { entries, energy } = await bundler.plan();
+    assert.deepEqual(entries.map(e => e.id), [ids[0]]);
+    assert.equal(energy, 160_000);
+    assert.equal(mock.chain.simulations.filter(s => s === SELECTORS.relayMany).length, 2);
+
+    const flushed = [];
+    while (bundler.pending().length) flushed.push((await bundler.flush()).landed.map(l => l.id));
+    assert.deepEqual(flushed, [[ids[0]], [ids[1]], [ids[2]]]);
+  });
+});
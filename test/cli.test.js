@@ -0,0 +1,275 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AbiCoder, ZeroAddress } = require("ethers");
+
+const { FACTORY_ABI, ERC1271_ABI } = require('../abi');
+const { run, EXIT_CODES } = require('../cli');
+const { encryptKeystore } = require('../signers');
+const { verifySendIntent } = require('../verify');
+const { computeVaultAddress, toEvmAddress, ethToBase58 } = require('../utils');
+
+const KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf"; // address of KEY
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const IMPLEMENTATION = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const NEW_KEY = "0000000000000000000000000000000000000000000000000000000000000002";
+const NEW_OWNER = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF"; // address of NEW_KEY
+
+const encodeRevert = reason => "0x08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// A node where OWNER's first vault is deployed, at nonce 3 and owned by `vaultOwner`; relays revert
+// with "Vault: Token transfer failed". A `contractOwner` accepts the signatures in `accepts`.
+function fakeNode(vaultOwner, { contractOwner = false, accepts = [] } = {}) {
+  const vault = computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0n);
+  const call = value => ({ call: async () => value });
+  return {
+    defaultAddress: { base58: ethToBase58(OWNER) },
+    fullNode: {
+      request: async (url, { value }) => ({ runtimecode: contractOwner && toEvmAddress(value) === vaultOwner ? "6080" : "" }),
+    },
+    contract: abi => (abi === ERC1271_ABI
+      ? { isValidSignature: (hash, signature) => call(accepts.includes(signature) ? "0x1626ba7e" : "0xffffffff") }
+      : abi === FACTORY_ABI
+      ? {
+        nonces: () => call(0n),
+        methods: { "computeAddress(address,uint64)": () => call(vault) },
+        isComputedDeployed: () => call(true),
+      }
+      : {
+        nonce: () => call(3n),
+        owner: () => call(vaultOwner),
+        guardian: () => call(ZeroAddress),
+        recoveryDelay: () => call(0n),
+        pendingRecovery: () => call([ZeroAddress, 0n]),
+      }),
+    transactionBuilder: {
+      triggerConstantContract: async () => ({ constant_result: [encodeRevert("Vault: Token transfer failed").slice(2)] }),
+    },
+  };
+}
+
+describe("tron-vaults cli", () => {
+  let dir, config;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tron-vaults-cli-"));
+    config = path.join(dir, "config.json");
+    fs.writeFileSync(config, JSON.stringify({
+      defaultNetwork: "test",
+      networks: {
+        test: {
+          fullHost: "http://127.0.0.1:1",
+          privateKeyEnv: "TEST_KEY",
+          factory: ethToBase58(FACTORY),
+          implementation: ethToBase58(IMPLEMENTATION),
+          entryPoint: ethToBase58(toEvmAddress("0x00000000000000000000000000000000000000dd")),
+          tokens: { TST: ethToBase58(TOKEN) },
+        },
+        // TRON, shown in 0x form
+        hexed: {
+          fullHost: "http://127.0.0.1:1",
+          addressFormat: "hex",
+          factory: ethToBase58(FACTORY),
+          implementation: ethToBase58(IMPLEMENTATION),
+        },
+        evm: {
+          flavour: "evm",
+          fullHost: "http://127.0.0.1:1",
+          factory: FACTORY,
+          implementation: IMPLEMENTATION,
+        },
+      },
+    }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const cli = (...argv) => cliWith({}, ...argv);
+
+  // Runs the CLI against `node`, if any, with `key` in TEST_KEY
+  async function cliWith({ node, key = KEY }, ...argv) {
+    const lines = [];
+    const code = await run([...argv, "--config", config, "--json"], {
+      env: { TEST_KEY: key, TRON_VAULTS_KEYSTORE_PASSWORD: "hunter2" },
+      print: line => lines.push(line),
+      createTronWeb: () => {
+        if (!node) throw new Error("no node in this test");
+        return node;
+      },
+    });
+    return { code, out: JSON.parse(lines.join("\n")) };
+  }
+
+  it("derives the vault address offline", async () => {
+    const { code, out } = await cli("address", ethToBase58(OWNER), "--nonce", "3");
+
+    assert.equal(code, 0);
+    assert.equal(out.vault.evm, computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 3n));
+    assert.equal(out.nonce, "3");
+  });
+
+  it("derives 0x vault addresses on EVM networks", async () => {
+    const { code, out } = await cli("address", OWNER, "--nonce", "3", "--network", "evm");
+
+    assert.equal(code, 0);
+    assert.deepEqual(out.vault, { evm: computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 3n, "0xff") });
+    assert.equal(out.owner, OWNER);
+    assert.equal((await cli("address", OWNER, "--network", "evm")).code, 2);
+  });
+
+  it("shows vault status in the network's address format", async () => {
+    const vault = computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0n);
+    const { code, out } = await cliWith({ node: fakeNode(OWNER) }, "status", ethToBase58(OWNER), "--network", "hexed");
+
+    assert.equal(code, 0);
+    assert.equal(out.owner, OWNER);
+    assert.deepEqual(out.vault, { evm: vault });
+  });
+
+  it("exits with 2 on usage errors", async () => {
+    assert.equal((await cli("bogus")).code, 2);
+    assert.equal((await cli("address")).code, 2);
+    assert.equal((await cli("address", OWNER, "--network", "nowhere")).code, 1);
+  });
+
+  it("signs an intent and maps the relay revert to its exit code", async () => {
+    const file = path.join(dir, "intent.json");
+    const signed = await cli(
+      "sign-send", "--token", "TST", "--to", OWNER, "--amount", "100", "--fee", "1",
+      "--fee-recipient", OWNER, "--nonce", "0", "--ttl=-60", "--out", file
+    );
+
+    assert.equal(signed.code, 0);
+    assert.equal(signed.out.owner, OWNER);
+    assert.equal(signed.out.token, TOKEN);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), signed.out);
+
+    // The deadline has passed, so the offline check fails before any node is contacted
+    const relayed = await cli("relay", file);
+    assert.equal(relayed.code, EXIT_CODES["Vault: deadline exceeded"]);
+    assert.equal(relayed.out.revert, "Vault: deadline exceeded");
+  });
+
+  it("binds typed intents to their vault", async () => {
+    const file = path.join(dir, "typed.json");
+    const vault = computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0n);
+    const signed = await cli(
+      "sign-send", "--typed", "--vault", vault, "--chain-id", "728126428", "--token", "TST", "--to", OWNER,
+      "--amount", "100", "--nonce", "0", "--out", file
+    );
+    assert.equal(signed.code, 0);
+    assert.include(signed.out, { vault, chainId: "728126428" });
+
+    // Pointed at a sibling vault, the signature no longer verifies
+    const sibling = { ...signed.out, vault: TOKEN };
+    fs.writeFileSync(file, JSON.stringify(sibling));
+    const relayed = await cliWith({ node: fakeNode(OWNER) }, "relay", file);
+    assert.equal(relayed.code, EXIT_CODES["Vault: invalid signature"]);
+    assert.equal(relayed.out.fields.vault, TOKEN);
+  });
+
+  it("writes portable intents for the owner's vault and reads them back from a URI", async () => {
+    const args = ["sign-send", "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "4"];
+    const signed = await cli(...args, "--factory-nonce", "2");
+    assert.equal(signed.code, 0);
+    assert.include(signed.out, {
+      v: 1,
+      network: "test",
+      vault: computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 2n),
+      factoryNonce: "2",
+      nonce: "4",
+    });
+
+    const file = path.join(dir, "intent.uri");
+    const { out } = await cli(...args, "--factory-nonce", "2", "--uri", "--out", file);
+    assert.match(out.uri, /^tronvault:[\w-]+$/);
+    assert.equal(fs.readFileSync(file, "utf8").trim(), out.uri);
+
+    // JSON and URI convert into each other without loss
+    const decoded = await cli("intent", file);
+    assert.equal(decoded.code, 0);
+    assert.equal(decoded.out.vault, signed.out.vault);
+    assert.isTrue(verifySendIntent(decoded.out, decoded.out.signature).valid);
+    fs.writeFileSync(file, JSON.stringify(decoded.out));
+    assert.deepEqual((await cli("intent", file, "--uri")).out, out);
+  });
+
+  it("refuses intents whose vault is not their owner's", async () => {
+    const args = ["sign-send", "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "0"];
+    const refused = await cli(...args, "--vault", TOKEN);
+    assert.equal(refused.code, 3);
+    assert.equal(refused.out.vault, computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0n));
+
+    const file = path.join(dir, "moved.json");
+    const { out } = await cli(...args);
+    fs.writeFileSync(file, JSON.stringify({ ...out, factoryNonce: "1" }));
+    assert.equal((await cli("intent", file)).code, 3);
+
+    fs.writeFileSync(file, JSON.stringify({ ...out, extra: true }));
+    const invalid = await cli("intent", file);
+    assert.equal(invalid.code, 2);
+    assert.include(invalid.out.error, "extra is not allowed");
+    assert.equal((await cli("intent", "tronvault:AAAA")).code, 2);
+  });
+
+  it("relays intents that a contract owner accepts", async () => {
+    const file = path.join(dir, "contract-owner.json");
+    const multisig = toEvmAddress("0x00000000000000000000000000000000000000ab");
+    const signed = await cli("sign-send", "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "3", "--out", file);
+    // Two members' signatures, which no ECDSA check accepts
+    const signature = `${signed.out.signature}${signed.out.signature.slice(2)}`;
+    fs.writeFileSync(file, JSON.stringify({ ...signed.out, signature }));
+
+    const accepting = fakeNode(multisig, { contractOwner: true, accepts: [signature] });
+    assert.equal((await cliWith({ node: accepting }, "relay", file)).code, EXIT_CODES["Vault: Token transfer failed"]);
+    const refusing = fakeNode(multisig, { contractOwner: true });
+    assert.equal((await cliWith({ node: refusing }, "relay", file)).code, EXIT_CODES["Vault: invalid signature"]);
+  });
+
+  it("signs and relays with the owner of a transferred vault", async () => {
+    const file = path.join(dir, "transferred.json");
+    const transferred = fakeNode(NEW_OWNER);
+    const signed = await cliWith(
+      { node: transferred, key: NEW_KEY },
+      "sign-send", "--owner", OWNER, "--token", "TST", "--to", OWNER, "--amount", "100", "--out", file
+    );
+    assert.equal(signed.code, 0);
+    assert.include(signed.out, { owner: OWNER, nonce: "3" });
+    assert.isTrue(verifySendIntent(signed.out, signed.out.signature, { currentOwner: NEW_OWNER }).valid);
+
+    // Past the signature check, the relay reaches the simulation
+    const relayed = await cliWith({ node: transferred }, "relay", file);
+    assert.equal(relayed.code, EXIT_CODES["Vault: Token transfer failed"]);
+    const untransferred = await cliWith({ node: fakeNode(OWNER) }, "relay", file);
+    assert.equal(untransferred.code, EXIT_CODES["Vault: invalid signature"]);
+
+    // Offline, the signer names the current owner
+    const offline = await cliWith(
+      { key: NEW_KEY },
+      "sign-send", "--owner", OWNER, "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "3",
+      "--current-owner", NEW_OWNER
+    );
+    assert.equal(offline.code, 0);
+    assert.isTrue(verifySendIntent(offline.out, offline.out.signature, { currentOwner: NEW_OWNER }).valid);
+    const unnamed = await cliWith(
+      { key: NEW_KEY },
+      "sign-send", "--owner", OWNER, "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "3"
+    );
+    assert.equal(unnamed.code, 1);
+  });
+
+  it("signs with an encrypted keystore", async () => {
+    const keystore = path.join(dir, "owner.json");
+    fs.writeFileSync(keystore, await encryptKeystore(KEY, "hunter2", { scrypt: { N: 1024 } }));
+    const args = ["sign-send", "--token", "TST", "--to", OWNER, "--amount", "100", "--nonce", "0", "--ttl", "600"];
+
+    const fromKeystore = await cli(...args, "--keystore", keystore);
+    assert.equal(fromKeystore.code, 0);
+    assert.equal(fromKeystore.out.owner, OWNER);
+    assert.isTrue(verifySendIntent(fromKeystore.out, fromKeystore.out.signature).valid);
+
+    assert.equal((await cli(...args, "--keystore", keystore, "--password-env", "UNSET")).code, 2);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { keccak256 } = require("ethers");
+
+const { buildDeployment, writeDeployment, loadDeployment, verifyDeployment } = require('../deployments');
+const { resolveNetwork } = require('../config');
+const { ethToBase58, toEvmAddress } = require('../utils');
+
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const IMPLEMENTATION = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+
+// Fake chain holding the three contracts; tests swap code or pointers to break it
+function fakeClient() {
+  const code = { [FACTORY]: "0xfac0", [IMPLEMENTATION]: "0x1a1a", [ENTRYPOINT]: "0xe0e0" };
+  const client = {
+    code,
+    implementation: IMPLEMENTATION,
+    factory: FACTORY,
+    getChainId: async () => 3448148188n,
+    getCode: async address => code[toEvmAddress(address)] || "0x",
+    getBlockNumber: async txid => ({ tx1: 100, tx2: 101 })[txid] ?? null,
+    getImplementation: async () => client.implementation,
+    getEntryPointFactory: async () => client.factory,
+  };
+  return client;
+}
+
+describe("deployment manifest", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tron-vaults-deployments-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function deploy(client) {
+    return buildDeployment({
+      network: "nile",
+      compiler: "0.8.20",
+      factory: { address: `41${FACTORY.slice(2)}`, txid: "tx1" },
+      entryPoint: { address: ENTRYPOINT, txid: "tx2" },
+    }, client);
+  }
+
+  it("records addresses, transactions and code hashes and reads them back", async () => {
+    const file = writeDeployment(await deploy(fakeClient()), dir);
+    assert.equal(file, path.join(dir, "nile.json"));
+
+    const manifest = loadDeployment("nile", dir);
+    assert.include(manifest, { network: "nile", flavour: "tron", chainId: "3448148188", compiler: "0.8.20" });
+    assert.deepEqual(manifest.contracts.factory, {
+      address: ethToBase58(FACTORY), txid: "tx1", blockNumber: 100, codeHash: keccak256("0xfac0"),
+    });
+    // Created by the factory's constructor
+    assert.deepEqual(manifest.contracts.implementation, {
+      address: ethToBase58(IMPLEMENTATION), txid: "tx1", blockNumber: 100, codeHash: keccak256("0x1a1a"),
+    });
+    assert.equal(manifest.contracts.entryPoint.blockNumber, 101);
+    assert.isNull(loadDeployment("shasta", dir));
+  });
+
+  it("resolves a network's contracts from its manifest unless the config sets them", async () => {
+    writeDeployment(await deploy(fakeClient()), dir);
+    const config = {
+      deploymentsDir: dir,
+      networks: { nile: { fullHost: "http://127.0.0.1:1" }, shasta: { fullHost: "http://127.0.0.1:1" } },
+    };
+
+    assert.include(resolveNetwork(config, "nile"), {
+      factory: ethToBase58(FACTORY),
+      implementation: ethToBase58(IMPLEMENTATION),
+      entryPoint: ethToBase58(ENTRYPOINT),
+      chainId: "3448148188",
+    });
+    config.networks.nile.factory = "TUzSRJ2XTBGZbLFsCaDjwVPpbJB7zvNpV6";
+    assert.equal(resolveNetwork(config, "nile").factory, "TUzSRJ2XTBGZbLFsCaDjwVPpbJB7zvNpV6");
+    assert.isNull(resolveNetwork(config, "shasta").deployment);
+    assert.notProperty(resolveNetwork(config, "shasta"), "factory");
+  });
+
+  it("verifies code and contract pointers against the chain", async () => {
+    const client = fakeClient();
+    const manifest = await deploy(client);
+    assert.isTrue((await verifyDeployment(manifest, client)).ok);
+
+    client.code[ENTRYPOINT] = "0xbad0";
+    client.implementation = toEvmAddress("0x00000000000000000000000000000000000000ab");
+    delete client.code[IMPLEMENTATION];
+
+    const { ok, checks } = await verifyDeployment(manifest, client);
+    assert.isFalse(ok);
+    assert.deepEqual(checks.filter(c => !c.ok).map(c => c.check), [
+      "implementation.codeHash",
+      "entryPoint.codeHash",
+      "factory.implementation()",
+    ]);
+    assert.isNull(checks.find(c => c.check === "implementation.codeHash").actual);
+  });
+});
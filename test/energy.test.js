@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const { TronWeb } = require("tronweb");
+
+const { relayParams, sendParams, SELECTORS } = require('../estimate');
+const { signIncrementNonce } = require('../signing');
+const { toEvmAddress } = require('../utils');
+const { deploySystem, transact, vaultOf, fundVault, signedSend, keyOf } = require('./fixtures');
+
+// Energy each call used when the snapshot was recorded. A contract change that moves one of
+// them by more than `tolerance`, or a call the snapshot lacks, fails here; record the new costs
+// with UPDATE_ENERGY_SNAPSHOT=1.
+const SNAPSHOT = path.join(__dirname, "fixtures", "energy.json");
+
+contract("Energy usage", accounts => {
+  const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT, "utf8"));
+  const update = process.env.UPDATE_ENERGY_SNAPSHOT === "1";
+  const measured = {};
+
+  let system;
+  let owner;
+  let rotator;
+  let relayer;
+
+  // Checks a confirmed call's energy against the snapshot, or records it when updating
+  function expectEnergy(name, receipt) {
+    measured[name] = receipt.energyUsed;
+    if (update) return;
+
+    const expected = snapshot.energy[name];
+    assert.isNumber(expected, `No energy recorded for ${name} in the snapshot; run with UPDATE_ENERGY_SNAPSHOT=1 to record it`);
+
+    const drift = Math.abs(receipt.energyUsed - expected) / expected;
+    assert.isAtMost(
+      drift,
+      snapshot.tolerance,
+      `${name} used ${receipt.energyUsed} energy, ${expected} in the snapshot; rerun with UPDATE_ENERGY_SNAPSHOT=1 if intended`
+    );
+  }
+
+  before(async () => {
+    // Fresh contracts and accounts that hold none of the token, so every run starts from the same state
+    [, , relayer, owner, rotator] = accounts;
+    system = await deploySystem();
+    await fundVault(system, owner, TronWeb.toSun(100));
+  });
+
+  after(() => {
+    if (!update) return;
+    fs.writeFileSync(SNAPSHOT, `${JSON.stringify({ ...snapshot, energy: { ...snapshot.energy, ...measured } }, null, 2)}\n`);
+  });
+
+  const relay = args => transact(system.entrypoint.address, SELECTORS.relay, relayParams(args));
+  const send = { amount: TronWeb.toSun(10), fee: TronWeb.toSun(1) };
+
+  it("relays into a new vault", async () => {
+    const { args } = await signedSend(system, { owner, ...send, feeRecipient: relayer });
+    expectEnergy("relayNewVault", await relay(args));
+  });
+
+  it("relays into an existing vault", async () => {
+    const { args } = await signedSend(system, { owner, ...send, feeRecipient: relayer });
+    expectEnergy("relayExistingVault", await relay(args));
+  });
+
+  it("sends directly from the vault", async () => {
+    const { args } = await signedSend(system, { owner, ...send, feeRecipient: relayer });
+    const vault = await vaultOf(system, owner);
+    expectEnergy("send", await transact(vault, SELECTORS.send, sendParams(args.slice(1))));
+  });
+
+  it("deploys a vault", async () => {
+    const params = [{ type: "address", value: toEvmAddress(rotator) }];
+    expectEnergy("deploy", await transact(system.factory.address, SELECTORS.deploy, params));
+  });
+
+  it("rotates the factory nonce", async () => {
+    const { signature } = await signIncrementNonce({ owner: rotator, nonce: 0 }, { privateKey: keyOf(rotator) });
+    const params = [{ type: "address", value: toEvmAddress(rotator) }, { type: "bytes", value: signature }];
+    expectEnergy("incrementNonce", await transact(system.factory.address, SELECTORS.incrementNonce, params));
+  });
+});
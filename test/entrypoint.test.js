@@ -1,31 +1,14 @@
 const { TronWeb } = require("tronweb");
-const { ethers } = require("ethers");
 
-const TRC20 = artifacts.require("TRC20");
-
-const VaultFactory = artifacts.require("VaultFactory");
-const EntryPoint = artifacts.require("EntryPoint");
 const Vault = artifacts.require("Vault");
 
-function getEpoch() {
-  return Math.floor(Date.now() / 1000);
-}
-
-function base58ToHexAddr(address) {
-  return TronWeb.address.toHex(address);
-}
-
-function toEthAddress(tronHex) {
-  if (tronHex.startsWith("0x")) {
-    tronHex = tronHex.slice(2);
-  }
-  if (!tronHex.startsWith("41")) {
-    throw new Error("Invalid TRON address prefix");
-  }
-  return "0x" + tronHex.slice(2);
-}
+const { relayManyParams, SELECTORS } = require("../estimate");
+const { decodeRevertReason } = require("../chain");
+const { toEvmAddress, ethToBase58, TRX } = require("../utils");
+const { deploySystem, transact, fundVault, signedSend } = require("./fixtures");
 
 contract("EntryPoint", async (accounts) => {
+  let system;
   let token;
   let factory;
   let entrypoint;
@@ -36,53 +19,21 @@ contract("EntryPoint", async (accounts) => {
 
   before(async () => {
     [owner, feeRecipient, relayer] = accounts;
-    token = await TRC20.new();
-    factory = await VaultFactory.new();
-    entrypoint = await EntryPoint.new(factory.address);
+    system = await deploySystem();
+    ({ token, factory, entrypoint } = system);
   });
 
   it("transfers TRC20 from the vault using entrypoint", async () => {
-    const vaultAddress = await factory.computeAddress(owner);
-
-    await token.mint(vaultAddress, TronWeb.toSun(100));
+    const vaultAddress = await fundVault(system, owner, TronWeb.toSun(100));
     const balance = await token.balanceOf(vaultAddress);
 
-    // sign the send transaction
-    const nonce = 0; // Vault not deployed yet
-    const deadline = getEpoch() + 1000;
+    // sign the send transaction; the nonce is read from chain (vault not deployed yet => 0)
     const fee = TronWeb.toSun(1);
+    const { intent, args } = await signedSend(system, { owner, amount: balance, feeRecipient, fee });
 
-    const hash = ethers.solidityPackedKeccak256(
-      ["address", "address", "uint256", "address", "uint256", "uint256", "uint256"],
-      [
-        toEthAddress(token.address),
-        toEthAddress(base58ToHexAddr(owner)),
-        balance,
-        toEthAddress(base58ToHexAddr(feeRecipient)),
-        fee,
-        deadline,
-        nonce
-      ]
-    );
-
-    const bytes = ethers.getBytes(hash);
-
-    const privateKey = tronWrap._privateKeyByAccount[owner];
-    const sig = await tronWrap.trx.signMessageV2(bytes, privateKey);
-
-    await entrypoint.relay(
-      owner,
-      toEthAddress(token.address),
-      toEthAddress(base58ToHexAddr(owner)),
-      balance,
-      toEthAddress(base58ToHexAddr(feeRecipient)),
-      fee,
-      deadline,
-      sig,
-      {
-        from: relayer
-      }
-    );
+    assert.equal(intent.nonce, "0", "Undeployed vault should sign nonce 0");
+
+    await entrypoint.relay(...args, { from: relayer });
 
     assert.equal(await token.balanceOf(vaultAddress), 0, "Vault Balance not transferred");
     assert.equal(await token.balanceOf(owner), BigInt(balance) - BigInt(fee), "Owner Balance not transferred");
@@ -91,4 +42,54 @@ contract("EntryPoint", async (accounts) => {
     const vault = await Vault.at(vaultAddress);
     assert.equal(await vault.nonce(), 1n, "Nonce not incremented");
   });
+
+  it("sends native TRX from the vault and pays the fee in TRX", async () => {
+    // The first test deployed the owner's vault
+    const vaultAddress = await fundVault(system, owner, TronWeb.toSun(20), { token: "TRX" });
+    const recipient = accounts[5];
+    const recipientBefore = BigInt(await tronWeb.trx.getBalance(recipient));
+    const feeRecipientBefore = BigInt(await tronWeb.trx.getBalance(feeRecipient));
+
+    const { args } = await signedSend(system, {
+      owner,
+      token: "TRX",
+      to: recipient,
+      amount: TronWeb.toSun(20),
+      feeRecipient,
+      fee: TronWeb.toSun(1)
+    });
+    assert.equal(args[1], TRX);
+
+    await entrypoint.relay(...args, { from: relayer });
+
+    assert.equal(await tronWeb.trx.getBalance(ethToBase58(vaultAddress)), 0, "Vault TRX not transferred");
+    assert.equal(BigInt(await tronWeb.trx.getBalance(recipient)) - recipientBefore, BigInt(TronWeb.toSun(19)));
+    assert.equal(BigInt(await tronWeb.trx.getBalance(feeRecipient)) - feeRecipientBefore, BigInt(TronWeb.toSun(1)));
+  });
+
+  it("relays many owners' intents and isolates a failing one", async () => {
+    const [alice, bob] = accounts.slice(3, 5);
+    const intents = [];
+    for (const account of [alice, bob]) {
+      await fundVault(system, account, TronWeb.toSun(10));
+      const { args } = await signedSend(system, { owner: account, amount: TronWeb.toSun(10) });
+      intents.push({ args, typed: false });
+    }
+    // Bob's amount no longer matches his signature
+    intents[1].args[3] = TronWeb.toSun(5).toString();
+
+    // The bundle must not revert
+    const receipt = await transact(entrypoint.address, SELECTORS.relayMany, relayManyParams(intents));
+
+    const outcomes = receipt.events.filter(e => e.event === "IntentRelayed");
+    assert.deepEqual(outcomes.map(e => [e.args.index, e.args.owner, e.args.success]), [
+      ["0", toEvmAddress(alice), true],
+      ["1", toEvmAddress(bob), false]
+    ]);
+    assert.equal(decodeRevertReason(outcomes[1].args.reason), "Vault: invalid signature");
+    assert.lengthOf(receipt.events.filter(e => e.event === "MetaTransactionExecuted"), 1);
+
+    assert.equal(await token.balanceOf(alice), BigInt(TronWeb.toSun(10)), "Alice's intent did not land");
+    assert.equal(await token.balanceOf(await factory.computeAddress(bob)), BigInt(TronWeb.toSun(10)));
+  });
 });
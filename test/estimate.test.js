@@ -0,0 +1,115 @@
+const { AbiCoder } = require("ethers");
+
+const { estimateAll, estimateRelay, getEnergyPrice, SELECTORS } = require('../estimate');
+const { FACTORY_ABI, VAULT_ABI } = require('../abi');
+const { toEvmAddress } = require('../utils');
+
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000e0");
+const SAMPLE_KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+
+const revert = reason => "08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// Responses recorded from a local node, keyed by selector
+const recorded = {
+  chainParameters: [{ key: "getTransactionFee", value: 1000 }, { key: "getEnergyFee", value: 210 }],
+  constant: {
+    [SELECTORS.relay]: { result: { result: true }, energy_used: 151_000, constant_result: [""] },
+    [SELECTORS.deploy]: { result: { result: true }, energy_used: 98_000, energy_penalty: 2_000, constant_result: ["00"] },
+    [SELECTORS.incrementNonce]: { result: { result: true }, energy_used: 15_000, constant_result: [""] },
+    [SELECTORS.send]: { result: { result: true }, energy_used: 30_000, constant_result: [""] },
+  },
+  estimate: {
+    [SELECTORS.relay]: { result: { result: true }, energy_required: 160_000 },
+  },
+};
+
+function recordedClient(responses = recorded) {
+  const calls = [];
+  return {
+    calls,
+    triggerConstantContract: async call => {
+      calls.push(call);
+      return responses.constant[call.selector];
+    },
+    estimateEnergy: async call => {
+      if (!responses.estimate[call.selector]) throw new Error("this node does not support estimate energy");
+      return responses.estimate[call.selector];
+    },
+    getChainParameters: async () => responses.chainParameters,
+  };
+}
+
+// Enough TronWeb for fetchVaultState: the sample owner's vault is deployed at nonce 4
+const call = value => ({ call: async () => value });
+const tronWeb = {
+  contract: abi => abi === FACTORY_ABI
+    ? {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": () => call("0x00000000000000000000000000000000000000f0") },
+      isComputedDeployed: () => call(true),
+    }
+    : abi === VAULT_ABI && { nonce: () => call(4n) },
+};
+
+describe("estimate", () => {
+  it("reads the energy price from chain parameters", async () => {
+    assert.equal(await getEnergyPrice(recordedClient()), 210);
+    assert.equal(await getEnergyPrice(recordedClient({ ...recorded, chainParameters: [] })), 420);
+  });
+
+  it("estimates every call and recommends a fee limit", async () => {
+    const client = recordedClient();
+    const report = await estimateAll({
+      client,
+      tronWeb,
+      factory: FACTORY,
+      entryPoint: ENTRYPOINT,
+      token: TOKEN,
+      from: RELAYER,
+      sampleOwnerKey: SAMPLE_KEY,
+      margin: 0.5,
+    });
+
+    assert.equal(report.energyPrice, 210);
+    assert.include(report.estimates.relayNewVault, { energy: 160_000, source: "estimateEnergy" });
+    assert.include(report.estimates.deploy, { energy: 100_000, source: "triggerConstantContract", costSun: 21_000_000 });
+    assert.equal(report.estimates.deploy.feeLimit, 31_500_000);
+    assert.include(report.estimates.relayExistingVault, { energy: 160_000 });
+    assert.include(report.estimates.send, { energy: 30_000, costTrx: 6.3 });
+    assert.equal(report.estimates.incrementNonce.energy, 15_000);
+
+    // The existing-vault send is signed for the vault's current nonce and sent to the vault itself
+    const send = client.calls.find(c => c.selector === SELECTORS.send);
+    assert.equal(send.contract, toEvmAddress("0x00000000000000000000000000000000000000f0"));
+    assert.equal(send.from, RELAYER);
+    assert.doesNotThrow(() => JSON.stringify(report));
+  });
+
+  it("leaves the existing-vault cases out without a sample owner", async () => {
+    const report = await estimateAll({
+      client: recordedClient(), tronWeb, factory: FACTORY, entryPoint: ENTRYPOINT, token: TOKEN, from: RELAYER,
+    });
+
+    assert.isNull(report.estimates.relayExistingVault);
+    assert.isNull(report.estimates.send);
+  });
+
+  it("reports the revert instead of an estimate", async () => {
+    const client = recordedClient({
+      ...recorded,
+      constant: { [SELECTORS.relay]: { result: { result: true }, energy_used: 9_000, constant_result: [revert("Vault: deadline exceeded")] } },
+    });
+
+    const estimate = await estimateRelay({
+      client,
+      entryPoint: ENTRYPOINT,
+      args: [RELAYER, TOKEN, RELAYER, "1", RELAYER, "0", "1", "0x"],
+      from: RELAYER,
+    });
+
+    assert.include(estimate, { energy: null, revert: "Vault: deadline exceeded", feeLimit: null });
+  });
+});
@@ -0,0 +1,169 @@
+const { TronWeb } = require("tronweb");
+
+const { fetchChainId, factoryContract } = require('../../chain');
+const { tronWebEstimateClient, simulate, SELECTORS } = require('../../estimate');
+const { signSend, signTypedSend } = require('../../signing');
+const { createTxTracker, contractTransaction, CONFIRMED } = require('../../tracker');
+const { toEvmAddress, ethToBase58, getEpoch } = require('../../utils');
+
+// Shared setup of the contract tests. Uses the globals TronBox gives them: `artifacts`,
+// `tronWeb` and `tronWrap`, so it only loads under `tronbox test`.
+
+// Private key TronBox holds for one of its accounts
+const keyOf = account => tronWrap._privateKeyByAccount[account];
+
+/**
+ * Deploys fresh TRC20 tokens, a VaultFactory (which deploys the Vault implementation)
+ * and an EntryPoint for it.
+ * @param {object} [options]
+ * @param {number} [options.tokens] - number of tokens to deploy
+ * @returns {Promise<{token: object, tokens: object[], factory: object, entrypoint: object, chainId: bigint}>}
+ *   `token` is the first of `tokens`
+ */
+async function deploySystem({ tokens = 1 } = {}) {
+  const TRC20 = artifacts.require("TRC20");
+  const VaultFactory = artifacts.require("VaultFactory");
+  const EntryPoint = artifacts.require("EntryPoint");
+
+  const deployed = [];
+  for (let i = 0; i < tokens; i++) deployed.push(await TRC20.new());
+  const factory = await VaultFactory.new();
+  const entrypoint = await EntryPoint.new(factory.address);
+
+  return { token: deployed[0], tokens: deployed, factory, entrypoint, chainId: await fetchChainId(tronWeb) };
+}
+
+/**
+ * Broadcasts a contract call and follows it with `createTxTracker`.
+ * @param {string} contract - any address form
+ * @param {string} selector - e.g. `SELECTORS.relay`
+ * @param {Array<{type: string, value: *}>} params
+ * @returns {Promise<object>} the receipt, whatever its status
+ */
+function broadcast(contract, selector, params) {
+  return createTxTracker({ tronWeb }).send(contractTransaction(tronWeb, { contract, selector, params }));
+}
+
+/**
+ * Like `broadcast`, but fails the test unless the call is confirmed.
+ * @returns {Promise<object>} the receipt
+ */
+async function transact(contract, selector, params) {
+  const receipt = await broadcast(contract, selector, params);
+  assert.equal(receipt.status, CONFIRMED, `${selector} failed: ${receipt.revert}`);
+  return receipt;
+}
+
+/**
+ * Constant-calls a contract.
+ * @param {string} contract - any address form
+ * @param {string} selector
+ * @param {Array<{type: string, value: *}>} params
+ * @param {string} [from] - caller, defaults to TronBox's default account
+ * @returns {Promise<string|null>} the revert reason, or null if the call would succeed
+ */
+async function dryRun(contract, selector, params, from = tronWeb.defaultAddress.base58) {
+  const { revert } = await simulate(tronWebEstimateClient(tronWeb), { contract, selector, params, from });
+  return revert;
+}
+
+/**
+ * Asserts that a call reverts with `reason`.
+ * @param {Promise} pending - a `dryRun`, a `broadcast`, or a TronBox contract call
+ * @param {string} reason - e.g. "Vault: invalid signature"
+ */
+async function expectRevert(pending, reason) {
+  let outcome;
+  try {
+    outcome = await pending;
+  } catch (err) {
+    assert.include(String(err && err.message ? err.message : err), reason, "Reverted for another reason");
+    return;
+  }
+  const revert = outcome === null || typeof outcome === "string"
+    ? outcome
+    : outcome && outcome.status !== CONFIRMED ? outcome.revert : null;
+  assert.equal(revert, reason, "Expected the call to revert");
+}
+
+/**
+ * Vault of `owner` for a factory nonce, whether it is deployed or not.
+ * @param {object} system - see `deploySystem`
+ * @param {string} owner - any address form
+ * @param {number|bigint} [nonce] - factory nonce, the owner's current one by default
+ * @returns {Promise<string>} 0x address
+ */
+async function vaultOf({ factory }, owner, nonce) {
+  if (nonce === undefined) return toEvmAddress(await factory.computeAddress(owner));
+  const computeAddress = factoryContract(tronWeb, factory.address).methods["computeAddress(address,uint64)"];
+  return toEvmAddress(await computeAddress(toEvmAddress(owner), nonce).call());
+}
+
+/**
+ * Deploys the owner's current vault.
+ * @param {object} system - see `deploySystem`
+ * @param {string} owner - any address form
+ * @returns {Promise<string>} the vault's 0x address
+ */
+async function deployVault(system, owner) {
+  await transact(system.factory.address, SELECTORS.deploy, [{ type: "address", value: toEvmAddress(owner) }]);
+  return vaultOf(system, owner);
+}
+
+/**
+ * Mints tokens (or sends TRX) into a vault of `owner`, deployed or not.
+ * @param {object} system - see `deploySystem`
+ * @param {string} owner - any address form
+ * @param {bigint|number|string} amount - raw token units, sun for TRX
+ * @param {object} [options]
+ * @param {object|string} [options.token] - TRC20 contract or "TRX", defaults to `system.token`
+ * @param {number|bigint} [options.nonce] - factory nonce of the vault, see `vaultOf`
+ * @returns {Promise<string>} the vault's 0x address
+ */
+async function fundVault(system, owner, amount, { token = system.token, nonce } = {}) {
+  const vault = await vaultOf(system, owner, nonce);
+  if (token === "TRX") await tronWeb.trx.sendTransaction(ethToBase58(vault), amount);
+  else await token.mint(vault, amount);
+  return vault;
+}
+
+/**
+ * Signs a send from the owner's vault with the owner's TronBox key. Unless overridden it sends
+ * 1 `system.token` back to the owner without a fee, expires in 1000 s, and reads the vault and
+ * nonce from chain.
+ * @param {object} system - see `deploySystem`
+ * @param {object} intent - owner and any other `signSend` fields
+ * @param {object} [options] - `signSend` options; `typed` signs with `signTypedSend` for `system.chainId`,
+ *   and `currentOwner` signs with that account's key
+ * @returns {Promise<object>} the `signSend` / `signTypedSend` result
+ */
+function signedSend(system, { owner, ...fields }, { typed = false, ...options } = {}) {
+  const sign = typed ? signTypedSend : signSend;
+  return sign({
+    owner,
+    token: system.token.address,
+    to: owner,
+    amount: TronWeb.toSun(1),
+    deadline: getEpoch() + 1000,
+    ...fields,
+  }, {
+    privateKey: keyOf(options.currentOwner || owner),
+    tronWeb,
+    factory: system.factory.address,
+    chainId: system.chainId,
+    ...options,
+  });
+}
+
+module.exports = {
+  keyOf,
+  deploySystem,
+  broadcast,
+  transact,
+  dryRun,
+  expectRevert,
+  vaultOf,
+  deployVault,
+  fundVault,
+  signedSend,
+};
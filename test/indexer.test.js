@@ -0,0 +1,137 @@
+const { Interface } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI } = require('../abi');
+const { createIndexer } = require('../indexer');
+const { memoryCheckpoint } = require('../checkpoint');
+const { toEvmAddress } = require('../utils');
+
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const OWNER = toEvmAddress("0x00000000000000000000000000000000000000a1");
+const VAULT_0 = toEvmAddress("0x00000000000000000000000000000000000000f0");
+const VAULT_1 = toEvmAddress("0x00000000000000000000000000000000000000f1");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000e0");
+const FEE_RECIPIENT = toEvmAddress("0x00000000000000000000000000000000000000ef");
+
+const iface = new Interface([...FACTORY_ABI, ...VAULT_ABI, ...ENTRYPOINT_ABI].filter(f => f.type === "event"));
+
+// Encodes a log the way a TRON node returns it: bare hex topics and a 41-prefixed or bare address
+function tronLog(address, event, args, addressForm = "41") {
+  const { topics, data } = iface.encodeEventLog(event, args);
+  const bare = address.slice(2).toLowerCase();
+  return {
+    address: addressForm === "41" ? `41${bare}` : bare,
+    topics: topics.map(t => t.slice(2)),
+    data: data.slice(2),
+  };
+}
+
+function fakeClient(blocks) {
+  return {
+    getLatestBlockNumber: async () => Math.max(...Object.keys(blocks).map(Number)),
+    getBlockLogs: async n => (blocks[n] || []).map(tx => ({ ...tx, blockNumber: n, blockTimestamp: n * 3000 })),
+  };
+}
+
+function sent(vault, amount, fee, nonce) {
+  return tronLog(vault, "TokenSent", [TOKEN, OWNER, amount, FEE_RECIPIENT, fee, 9999999999, nonce], "bare");
+}
+
+const blocks = {
+  1: [{
+    txid: "deploy",
+    logs: [tronLog(FACTORY, "VaultDeployed", [OWNER, 0, VAULT_0])],
+  }],
+  2: [{
+    txid: "relay",
+    logs: [
+      tronLog(TOKEN, "VaultDeployed", [OWNER, 7, VAULT_1]), // not the factory: ignored
+      sent(VAULT_0, 100, 1, 0),
+      tronLog(ENTRYPOINT, "MetaTransactionExecuted", [RELAYER, OWNER, VAULT_0, TOKEN, OWNER, 100, FEE_RECIPIENT, 1, 9999999999], "bare"),
+    ],
+  }],
+  3: [{
+    txid: "rotate",
+    logs: [tronLog(FACTORY, "VaultNonceIncremented", [OWNER, 0, 1])],
+  }],
+  4: [{
+    txid: "deploy-1",
+    logs: [tronLog(FACTORY, "VaultDeployed", [OWNER, 1, VAULT_1]), sent(VAULT_1, 50, 2, 0)],
+  }],
+};
+
+function newIndexer(store, client = fakeClient(blocks), options = {}) {
+  return createIndexer({
+    client,
+    factory: FACTORY,
+    entryPoint: ENTRYPOINT,
+    store,
+    fromBlock: 1,
+    confirmations: 0,
+    ...options,
+  });
+}
+
+describe("indexer", () => {
+  it("decodes all four events from TRON logs", async () => {
+    const indexer = newIndexer();
+    const { indexed } = await indexer.sync();
+
+    assert.equal(indexed, 6);
+    const [deployed] = indexer.events("VaultDeployed");
+    assert.deepEqual(deployed.args, { owner: OWNER, nonce: "0", vault: VAULT_0 });
+    assert.equal(deployed.address, FACTORY);
+    assert.equal(indexer.events("MetaTransactionExecuted")[0].args.relayer, RELAYER);
+    assert.equal(indexer.nonceRotations(OWNER)[0].args.newNonce, "1");
+  });
+
+  it("answers owner and fee queries", async () => {
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    assert.deepEqual(indexer.sendsByOwner(OWNER).map(e => e.args.amount), ["100", "50"]);
+    assert.deepEqual(indexer.vaultsByOwner(OWNER).map(v => [v.nonce, v.vault]), [["0", VAULT_0], ["1", VAULT_1]]);
+    assert.deepEqual(indexer.feesEarned(FEE_RECIPIENT), { [TOKEN]: "3" });
+  });
+
+  it("groups the legs of a batch send", async () => {
+    const batch = {
+      txid: "batch",
+      logs: [
+        sent(VAULT_1, 30, 1, 1),
+        tronLog(VAULT_1, "TokenSent", [FEE_RECIPIENT, RELAYER, 20, FEE_RECIPIENT, 0, 9999999999, 1], "bare"),
+        tronLog(VAULT_1, "BatchSent", [1, 2], "bare"),
+      ],
+    };
+    const indexer = newIndexer(memoryCheckpoint(), fakeClient({ ...blocks, 5: [batch] }));
+    await indexer.sync();
+
+    const [found] = indexer.batchesByOwner(OWNER);
+    assert.deepEqual([found.vault, found.nonce, found.txid], [VAULT_1, "1", "batch"]);
+    assert.deepEqual(found.legs.map(leg => [leg.token, leg.to, leg.amount, leg.fee]), [
+      [TOKEN, OWNER, "30", "1"],
+      [FEE_RECIPIENT, RELAYER, "20", "0"],
+    ]);
+    assert.deepEqual(indexer.feesEarned(FEE_RECIPIENT), { [TOKEN]: "4" });
+  });
+
+  it("resumes from the last indexed block", async () => {
+    const store = memoryCheckpoint();
+    const partial = { 1: blocks[1], 2: blocks[2] };
+    await newIndexer(store, fakeClient(partial)).sync();
+
+    const added = [];
+    const resumed = newIndexer(store, fakeClient(blocks), { onEvent: event => added.push(event) });
+    const result = await resumed.sync();
+
+    assert.deepEqual(result, { fromBlock: 3, toBlock: 4, indexed: 3 });
+    assert.equal(resumed.events("TokenSent").length, 2);
+    // Only what this sync indexed
+    assert.deepEqual(added.map(e => [e.event, e.txid, e.logIndex]), [
+      ["VaultNonceIncremented", "rotate", 0],
+      ["VaultDeployed", "deploy-1", 0],
+      ["TokenSent", "deploy-1", 1],
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+const { encodeRlp } = require("ethers");
+
+const {
+  validateIntent,
+  toPortableIntent,
+  encodeIntentUri,
+  decodeIntentUri,
+  readIntent,
+  checkIntentVault,
+} = require('../intents');
+const { signSend, signTypedSend } = require('../signing');
+const { verifySendIntent } = require('../verify');
+const { computeVaultAddress, toEvmAddress, ethToBase58 } = require('../utils');
+
+const KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf"; // address of KEY
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const IMPLEMENTATION = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const NETWORK = { name: "nile", factory: ethToBase58(FACTORY), implementation: ethToBase58(IMPLEMENTATION) };
+
+const SEND = { owner: OWNER, token: TOKEN, to: OWNER, amount: "1000000", fee: "100", feeRecipient: TOKEN, deadline: 1900000000, nonce: 7 };
+
+async function portable({ typed = false, factoryNonce = 2 } = {}) {
+  const vault = computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, BigInt(factoryNonce));
+  const { intent, signature } = typed
+    ? await signTypedSend({ ...SEND, vault }, { privateKey: KEY, chainId: 728126428 })
+    : await signSend(SEND, { privateKey: KEY });
+  return toPortableIntent({ ...intent, signature }, { network: "nile", vault, factoryNonce });
+}
+
+describe("portable intents", () => {
+  it("writes canonical fields that still verify", async () => {
+    const doc = await portable();
+
+    assert.deepEqual(Object.keys(doc), [
+      "v", "network", "owner", "vault", "factoryNonce", "token", "to",
+      "amount", "fee", "feeRecipient", "deadline", "nonce", "signature",
+    ]);
+    assert.include(doc, { v: 1, network: "nile", factoryNonce: "2", amount: "1000000", deadline: "1900000000", nonce: "7" });
+    assert.isTrue(validateIntent(doc).valid);
+    assert.isTrue(verifySendIntent(doc, doc.signature, { now: 0 }).valid);
+  });
+
+  it("round-trips through a tronvault: URI", async () => {
+    for (const typed of [false, true]) {
+      const doc = await portable({ typed });
+      const uri = encodeIntentUri(doc);
+
+      assert.match(uri, /^tronvault:[A-Za-z0-9_-]+$/);
+      assert.deepEqual(decodeIntentUri(uri), doc);
+      assert.deepEqual(readIntent(uri), doc);
+      assert.deepEqual(readIntent(JSON.stringify({ uri })), doc);
+      assert.deepEqual(readIntent(JSON.stringify(doc)), doc);
+    }
+    assert.equal((await portable({ typed: true })).chainId, "728126428");
+
+    // A contract owner's signature can be longer, e.g. two multisig members' signatures
+    const multisig = { ...(await portable()), signature: `0x${"ab".repeat(130)}` };
+    assert.isTrue(validateIntent(multisig).valid);
+    assert.deepEqual(decodeIntentUri(encodeIntentUri(multisig)), multisig);
+  });
+
+  it("reports every schema violation", async () => {
+    const doc = await portable();
+    const { nonce, ...missing } = doc;
+
+    assert.deepEqual(validateIntent({ ...missing, v: 2, amount: "-1", owner: ethToBase58(OWNER), memo: "hi" }).errors, [
+      "nonce is required",
+      "v must be 1",
+      "owner must match ^0x[0-9a-fA-F]{40}$",
+      "amount must match ^(0|[1-9][0-9]*)$",
+      "memo is not allowed",
+    ]);
+    assert.throws(() => readIntent({ ...doc, fee: 1 }), "Invalid intent: fee must be a string");
+    for (const signature of ["0x", "0xabc"]) {
+      assert.deepEqual(validateIntent({ ...doc, signature }).errors, ["signature must match ^0x([0-9a-fA-F]{2})+$"]);
+    }
+    assert.deepEqual(readIntent({ ...SEND, signature: doc.signature }), { ...SEND, signature: doc.signature });
+  });
+
+  it("rejects malformed URIs", async () => {
+    const doc = await portable();
+    const uri = encodeIntentUri(doc);
+    const reencode = items => `tronvault:${Buffer.from(encodeRlp(items).slice(2), "hex").toString("base64url")}`;
+
+    assert.throws(() => decodeIntentUri("tronvault:not base64"), "expected base64url");
+    assert.throws(() => decodeIntentUri(uri.slice(0, -4)), "Invalid intent URI");
+    assert.throws(() => decodeIntentUri(reencode(["0x02"])), "Unsupported intent version 2");
+    assert.throws(() => decodeIntentUri(reencode(["0x01", "0x00"])), "expected 13 or 14 fields, got 2");
+  });
+
+  it("checks the vault against the owner and factory nonce", async () => {
+    const doc = await portable();
+
+    assert.deepEqual(checkIntentVault(doc, NETWORK), { ok: true, expected: doc.vault, actual: doc.vault });
+    const rotated = checkIntentVault({ ...doc, factoryNonce: "3" }, NETWORK);
+    assert.isFalse(rotated.ok);
+    assert.equal(rotated.expected, computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 3n));
+    // The same factory on an EVM chain derives other addresses
+    assert.isFalse(checkIntentVault(doc, { ...NETWORK, flavour: "evm" }).ok);
+  });
+
+  it("refuses a vault other than the one a typed intent is signed for", async () => {
+    const vault = computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0n);
+    const { intent, signature } = await signTypedSend({ ...SEND, vault }, { privateKey: KEY, chainId: 728126428 });
+
+    assert.throws(
+      () => toPortableIntent({ ...intent, signature }, { network: "nile", vault: TOKEN }),
+      `Intent is signed for vault ${vault}, not ${TOKEN}`
+    );
+  });
+});
@@ -0,0 +1,82 @@
+const { TronWeb } = require("tronweb");
+
+const MultisigOwner = artifacts.require("MultisigOwner");
+
+const { SELECTORS } = require('../estimate');
+const { signIncrementNonce } = require('../signing');
+const { privateKeySigner, multisigSigner } = require('../signers');
+const { toEvmAddress } = require('../utils');
+const fixtures = require('./fixtures');
+
+const { keyOf } = fixtures;
+
+const toParams = (types, args) => args.map((value, i) => ({ type: types[i], value }));
+const RELAY_TYPES = ["address", "address", "address", "uint256", "address", "uint256", "uint256", "bytes"];
+
+contract("Multisig vault owner", accounts => {
+  let system;
+  let token;
+  let factory;
+  let entrypoint;
+
+  let multisig;
+  let members;
+  let relayer;
+  let recipient;
+
+  // A signer of the multisig backed by the given members' keys
+  const signerOf = (...signers) => multisigSigner({ address: multisig, signers: signers.map(a => privateKeySigner(keyOf(a))) });
+
+  before(async () => {
+    members = accounts.slice(0, 3);
+    [, , , relayer, recipient] = accounts;
+    system = await fixtures.deploySystem();
+    ({ token, factory, entrypoint } = system);
+
+    // 2-of-3
+    const contract = await MultisigOwner.new(members, 2);
+    multisig = toEvmAddress(contract.address);
+  });
+
+  it("sends from a vault once two members sign", async () => {
+    const vault = await fixtures.fundVault(system, multisig, TronWeb.toSun(10));
+    const amount = TronWeb.toSun(2);
+
+    const { args } = await fixtures.signedSend(system, { owner: multisig, to: recipient, amount }, { signer: signerOf(members[0], members[2]) });
+    await entrypoint.relay(...args, { from: relayer });
+    assert.equal(await token.balanceOf(recipient), BigInt(amount));
+
+    const typed = await fixtures.signedSend(system, { owner: multisig, to: recipient, amount }, { typed: true, signer: signerOf(members[1], members[2]) });
+    await entrypoint.relayTyped(...typed.args, { from: relayer });
+    assert.equal(await token.balanceOf(recipient), BigInt(amount) * 2n);
+    assert.equal(await token.balanceOf(vault), BigInt(TronWeb.toSun(6)));
+  });
+
+  it("refuses fewer members than the threshold, or outsiders", async () => {
+    const alone = await fixtures.signedSend(system, { owner: multisig }, { signer: signerOf(members[0]) });
+    assert.equal(
+      await fixtures.dryRun(entrypoint.address, SELECTORS.relay, toParams(RELAY_TYPES, alone.args), relayer),
+      "Vault: invalid signature"
+    );
+
+    const outsider = await fixtures.signedSend(system, { owner: multisig }, { signer: signerOf(members[0], recipient) });
+    assert.equal(
+      await fixtures.dryRun(entrypoint.address, SELECTORS.relay, toParams(RELAY_TYPES, outsider.args), relayer),
+      "Vault: invalid signature"
+    );
+  });
+
+  it("rotates to a fresh vault with the members' signatures", async () => {
+    const nonce = await factory.nonces(multisig);
+
+    const alone = await signIncrementNonce({ owner: multisig, nonce }, { signer: signerOf(members[1]) });
+    assert.equal(
+      await fixtures.dryRun(factory.address, SELECTORS.incrementNonce, toParams(["address", "bytes"], alone.args), relayer),
+      "Vault Factory: invalid signature"
+    );
+
+    const { args } = await signIncrementNonce({ owner: multisig, nonce }, { signer: signerOf(members[0], members[1]) });
+    await factory.incrementNonce(...args, { from: relayer });
+    assert.equal(await factory.nonces(multisig), BigInt(nonce) + 1n);
+  });
+});
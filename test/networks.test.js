@@ -0,0 +1,82 @@
+const { getCreate2Address, keccak256, AbiCoder, Contract, JsonRpcProvider } = require("ethers");
+
+const { FACTORY_ABI } = require('../abi');
+const { loadConfig, resolveNetwork, resolveChain, deriveVaultAddress } = require('../config');
+const { computeVaultAddress, ethToBase58, toEvmAddress } = require('../utils');
+
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const IMPLEMENTATION = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const OWNER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf";
+
+// The factory's salt and minimal proxy init code, written out independently of utils.js
+const salt = nonce => keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint64"], [OWNER, nonce]));
+const INIT_HASH = keccak256(
+  `0x3d602d80600a3d3981f3363d3d373d3d3d363d73${IMPLEMENTATION.slice(2).toLowerCase()}5af43d82803e903d91602b57fd5bf3`
+);
+
+describe("network registry", () => {
+  const config = {
+    defaultNetwork: "tron",
+    networks: {
+      tron: { factory: ethToBase58(FACTORY), implementation: ethToBase58(IMPLEMENTATION) },
+      bttc: { flavour: "evm", factory: FACTORY, implementation: IMPLEMENTATION },
+    },
+  };
+
+  it("derives EVM vault addresses with the standard 0xff CREATE2 scheme", () => {
+    for (const nonce of [0, 7]) {
+      assert.equal(
+        computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, nonce, "0xff"),
+        getCreate2Address(FACTORY, salt(nonce), INIT_HASH)
+      );
+    }
+    // TRON's 0x41 prefix, the default, lands somewhere else
+    assert.notEqual(computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER), getCreate2Address(FACTORY, salt(0), INIT_HASH));
+    assert.throws(() => computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 0, "0x4"), /Invalid CREATE2 prefix/);
+  });
+
+  it("fills prefix and address format in from the network's flavour", () => {
+    assert.include(resolveNetwork(config), { name: "tron", flavour: "tron", create2Prefix: "0x41", addressFormat: "base58" });
+    assert.include(resolveNetwork(config, "bttc"), { flavour: "evm", create2Prefix: "0xff", addressFormat: "hex" });
+    assert.include(resolveChain({ flavour: "evm", addressFormat: "base58" }), { create2Prefix: "0xff", addressFormat: "base58" });
+    assert.throws(() => resolveChain({ flavour: "solana" }), /Unknown chain flavour "solana"/);
+  });
+
+  it("returns vault addresses in the chain's own format", () => {
+    const tron = deriveVaultAddress(resolveNetwork(config), ethToBase58(OWNER), 3n);
+    assert.equal(tron.vault, computeVaultAddress(FACTORY, IMPLEMENTATION, OWNER, 3n));
+    assert.equal(tron.address, ethToBase58(tron.vault));
+
+    const bttc = deriveVaultAddress(config.networks.bttc, OWNER, 3n);
+    assert.equal(bttc.vault, getCreate2Address(FACTORY, salt(3), INIT_HASH));
+    assert.equal(bttc.address, bttc.vault);
+
+    assert.throws(() => deriveVaultAddress({ factory: FACTORY }, OWNER), /Missing implementation/);
+  });
+});
+
+// Runs against the factory of an EVM network migrated with `tronbox migrate --evm --network development-evm`
+// (or $TRON_VAULTS_EVM_NETWORK), through its deployment manifest; skipped while there is none
+describe("network registry on an EVM node", () => {
+  const name = process.env.TRON_VAULTS_EVM_NETWORK || "development-evm";
+  let network;
+  let factory;
+
+  before(function () {
+    network = resolveNetwork(loadConfig(), name);
+    if (!network.deployment) this.skip();
+    factory = new Contract(toEvmAddress(network.factory), FACTORY_ABI, new JsonRpcProvider(network.fullHost));
+  });
+
+  it("derives what VaultFactory.computeAddress computes on chain", async () => {
+    assert.equal(network.flavour, "evm");
+    assert.equal(await factory.create2Prefix(), "0xff");
+    assert.equal(toEvmAddress(await factory.implementation()), toEvmAddress(network.implementation));
+
+    for (const nonce of [0, 1, 5]) {
+      const { vault, address } = deriveVaultAddress(network, OWNER, nonce);
+      assert.equal(toEvmAddress(await factory["computeAddress(address,uint64)"](OWNER, nonce)), vault);
+      assert.equal(address, vault);
+    }
+  });
+});
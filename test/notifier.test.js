@@ -0,0 +1,138 @@
+const http = require("http");
+
+const { createNotifier, signWebhook, verifyWebhook } = require('../notifier');
+const { memoryCheckpoint } = require('../checkpoint');
+
+const SECRET = "whsec_test";
+
+// Local webhook endpoint; answers `failures` requests with 503 before accepting
+async function receiver({ failures = 0 } = {}) {
+  const received = [];
+  let attempts = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      attempts += 1;
+      const body = Buffer.concat(chunks).toString("utf8");
+      if (attempts <= failures) {
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ headers: req.headers, body, valid: verifyWebhook(SECRET, { headers: req.headers, body }) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    attempts: () => attempts,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+const EVENT = {
+  event: "TokenSent",
+  address: "0x00000000000000000000000000000000000000F0",
+  args: { token: "0x00000000000000000000000000000000000000bB", amount: "100", fee: "1", nonce: "0" },
+  txid: "ab".repeat(32),
+  logIndex: 1,
+  blockNumber: 10,
+  blockTimestamp: 30000,
+};
+
+describe("webhook notifier", () => {
+  let endpoint;
+  afterEach(async () => {
+    if (endpoint) await endpoint.close();
+    endpoint = null;
+  });
+
+  it("delivers signed webhooks once per event and endpoint subscription", async () => {
+    endpoint = await receiver();
+    const notifier = createNotifier({
+      endpoints: [
+        { url: endpoint.url, secret: SECRET },
+        { url: `${endpoint.url}?deposits`, secret: SECRET, events: ["Deposit"] },
+      ],
+    });
+
+    assert.isTrue(await notifier.notifyEvent(EVENT));
+    // The indexer or watcher re-emitting after a restart
+    assert.isFalse(await notifier.notifyEvent({ ...EVENT }));
+    assert.isTrue(await notifier.notifyDeposit({ owner: "0x01", vault: "0x02", amount: "5", txid: "cd".repeat(32), logIndex: 0 }));
+
+    assert.deepEqual(await notifier.flush(), { delivered: 3, retrying: 0, dead: 0 });
+    assert.lengthOf(endpoint.received, 3);
+    assert.isTrue(endpoint.received.every(r => r.valid));
+
+    const [sent] = endpoint.received;
+    assert.equal(sent.headers["x-tronvault-event"], "TokenSent");
+    assert.equal(sent.headers["x-tronvault-delivery"], `${EVENT.txid}:1`);
+    const body = JSON.parse(sent.body);
+    assert.include(body, { id: `${EVENT.txid}:1`, type: "TokenSent" });
+    assert.deepEqual(body.data.args, EVENT.args);
+
+    // A tampered body or an old timestamp does not verify
+    assert.isFalse(verifyWebhook(SECRET, { headers: sent.headers, body: sent.body.replace("100", "900") }));
+    const timestamp = Number(sent.headers["x-tronvault-timestamp"]);
+    assert.isFalse(verifyWebhook(SECRET, { headers: sent.headers, body: sent.body }, { now: () => timestamp + 301 }));
+    assert.equal(sent.headers["x-tronvault-signature"], signWebhook(SECRET, timestamp, sent.body));
+  });
+
+  it("retries with exponential backoff until the endpoint accepts", async () => {
+    endpoint = await receiver({ failures: 2 });
+    let clock = 1_000_000;
+    const notifier = createNotifier({ endpoints: [{ url: endpoint.url, secret: SECRET }], backoff: 1000, now: () => clock });
+
+    await notifier.notifyRelayFailure({ id: "intent-1", status: "failed", error: "Vault: invalid signature" });
+    assert.deepEqual(await notifier.flush(), { delivered: 0, retrying: 1, dead: 0 });
+    assert.include((await notifier.pending())[0], { attempts: 1, nextAttemptAt: clock + 1000, error: "HTTP 503" });
+
+    // Not due yet
+    clock += 999;
+    assert.deepEqual(await notifier.flush(), { delivered: 0, retrying: 0, dead: 0 });
+    clock += 1;
+    await notifier.flush();
+    assert.equal((await notifier.pending())[0].nextAttemptAt, clock + 2000);
+
+    clock += 2000;
+    assert.deepEqual(await notifier.flush(), { delivered: 1, retrying: 0, dead: 0 });
+    assert.equal(endpoint.attempts(), 3);
+    assert.equal(JSON.parse(endpoint.received[0].body).id, "relay:intent-1");
+    assert.lengthOf(await notifier.pending(), 0);
+  });
+
+  it("dead-letters deliveries that run out of attempts and redrives them", async () => {
+    endpoint = await receiver({ failures: 3 });
+    const store = memoryCheckpoint();
+    const options = { endpoints: [{ url: endpoint.url, secret: SECRET }], store, maxAttempts: 3, backoff: 0 };
+    const notifier = createNotifier(options);
+    const dead = [];
+    notifier.on("dead", delivery => dead.push(delivery));
+
+    await notifier.notifyEvent(EVENT);
+    for (let i = 0; i < 3; i++) await notifier.flush();
+    assert.lengthOf(dead, 1);
+    assert.lengthOf(await notifier.pending(), 0);
+
+    // Dead letters, and the key, survive a restart
+    const restarted = createNotifier(options);
+    assert.include((await restarted.deadLetters())[0], { key: `${EVENT.txid}:1`, attempts: 3, error: "HTTP 503" });
+    assert.isFalse(await restarted.notifyEvent(EVENT));
+
+    assert.equal(await restarted.redrive(), 1);
+    assert.deepEqual(await restarted.flush(), { delivered: 1, retrying: 0, dead: 0 });
+    assert.lengthOf(await restarted.deadLetters(), 0);
+    assert.isTrue(endpoint.received[0].valid);
+  });
+
+  it("refuses endpoints without a secret or with unknown event types", () => {
+    assert.throws(() => createNotifier({ endpoints: [{ url: "http://127.0.0.1/" }] }), "needs a url and a secret");
+    assert.throws(
+      () => createNotifier({ endpoints: [{ url: "http://127.0.0.1/", secret: SECRET, events: ["Transfer"] }] }),
+      "unknown event type Transfer"
+    );
+  });
+});
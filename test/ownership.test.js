@@ -0,0 +1,222 @@
+const { TronWeb } = require("tronweb");
+
+const Vault = artifacts.require("Vault");
+
+const { toEvmAddress, getEpoch } = require('../utils');
+const { fetchOwnership } = require('../chain');
+const { relayParams, SELECTORS } = require('../estimate');
+const { signTransferOwnership, signSetGuardian, signIncrementNonce } = require('../signing');
+const fixtures = require('./fixtures');
+
+const { keyOf, signedSend } = fixtures;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Argument types of the non-relay calls made here, in order
+const PARAM_TYPES = {
+  [SELECTORS.transferOwnership]: ["address", "uint256", "bytes"],
+  [SELECTORS.setGuardian]: ["address", "uint256", "uint256", "bytes"],
+  [SELECTORS.initiateRecovery]: ["address"],
+  [SELECTORS.cancelRecovery]: [],
+  [SELECTORS.executeRecovery]: [],
+  [SELECTORS.incrementNonce]: ["address", "bytes"],
+};
+
+const toParams = (selector, args) => (selector in PARAM_TYPES
+  ? args.map((value, i) => ({ type: PARAM_TYPES[selector][i], value }))
+  : relayParams(args));
+
+contract("Vault ownership", accounts => {
+  let system;
+  let token;
+  let factory;
+  let entrypoint;
+  let chainId;
+
+  let relayer;
+  let guardian;
+  let newOwner;
+  let newOwnerKey;
+
+  const transact = (contract, selector, args) => fixtures.transact(contract, selector, toParams(selector, args));
+
+  // Constant-calls `selector` and returns the revert reason, or null if it would succeed
+  const dryRun = (contract, selector, args, from = relayer) => fixtures.dryRun(contract, selector, toParams(selector, args), from);
+
+  // Deploys the owner's vault and funds it with 100 tokens
+  async function deployVault(owner) {
+    const vault = await fixtures.deployVault(system, owner);
+    await fixtures.fundVault(system, owner, TronWeb.toSun(100));
+    return vault;
+  }
+
+  // Signs a send of 1 token to the relayer, by the owner or by `options.currentOwner`
+  const sendArgs = (owner, nonce, options = {}) => signedSend(system, { owner, to: relayer, nonce }, options);
+
+  before(async () => {
+    [, , relayer, guardian, newOwner] = accounts;
+    newOwnerKey = keyOf(newOwner);
+    system = await fixtures.deploySystem();
+    ({ token, factory, entrypoint, chainId } = system);
+  });
+
+  it("hands the vault to a new owner and locks out the old key", async () => {
+    const owner = accounts[5];
+    const vault = await deployVault(owner);
+
+    const { rotation, args } = await signTransferOwnership(
+      { owner, newOwner, deadline: getEpoch() + 1000 },
+      { privateKey: keyOf(owner), tronWeb, factory: factory.address }
+    );
+    assert.equal(rotation.vault, vault);
+    assert.equal(rotation.nonce, "0");
+
+    const receipt = await transact(vault, SELECTORS.transferOwnership, args);
+    const transferred = receipt.events.find(e => e.event === "OwnershipTransferred");
+    assert.deepEqual([transferred.args.previousOwner, transferred.args.newOwner], [toEvmAddress(owner), toEvmAddress(newOwner)]);
+    assert.equal((await fetchOwnership(tronWeb, vault)).owner, toEvmAddress(newOwner));
+    assert.equal(await (await Vault.at(vault)).nonce(), 1n);
+
+    // The old key cannot sign for the new nonce
+    const stale = await sendArgs(owner, 1);
+    assert.equal(await dryRun(entrypoint.address, SELECTORS.relay, stale.args), "Vault: invalid signature");
+
+    // The vault keeps its address, and EntryPoint still finds it by the owner it was derived for
+    const fresh = await sendArgs(owner, 1, { currentOwner: newOwner });
+    await transact(entrypoint.address, SELECTORS.relay, fresh.args);
+    assert.equal(await token.balanceOf(vault), BigInt(TronWeb.toSun(99)));
+  });
+
+  it("lets whichever of a rotation and a competing send lands first win", async () => {
+    const owner = accounts[6];
+    const vault = await deployVault(owner);
+
+    // Both signed for nonce 0, e.g. by the owner and by someone holding a leaked key
+    const rotation = await signTransferOwnership(
+      { owner, newOwner, deadline: getEpoch() + 1000, vault, nonce: 0 },
+      { privateKey: keyOf(owner), chainId }
+    );
+    const drain = await sendArgs(owner, 0);
+    assert.isNull(await dryRun(vault, SELECTORS.transferOwnership, rotation.args));
+    assert.isNull(await dryRun(entrypoint.address, SELECTORS.relay, drain.args));
+
+    await transact(entrypoint.address, SELECTORS.relay, drain.args);
+
+    assert.equal(await dryRun(vault, SELECTORS.transferOwnership, rotation.args), "Vault: invalid signature");
+    assert.equal((await fetchOwnership(tronWeb, vault)).owner, toEvmAddress(owner));
+  });
+
+  it("rejects a replayed or foreign rotation", async () => {
+    const owner = accounts[7];
+    const vault = await deployVault(owner);
+    const other = await deployVault(accounts[8]);
+
+    const rotation = await signTransferOwnership(
+      { owner, newOwner, deadline: getEpoch() + 1000 },
+      { privateKey: keyOf(owner), tronWeb, factory: factory.address }
+    );
+
+    // Bound to its vault and chain
+    assert.equal(await dryRun(other, SELECTORS.transferOwnership, rotation.args), "Vault: invalid signature");
+    const otherChain = await signTransferOwnership(
+      { ...rotation.rotation, nonce: 0 },
+      { privateKey: keyOf(owner), chainId: chainId + 1n }
+    );
+    assert.equal(await dryRun(vault, SELECTORS.transferOwnership, otherChain.args), "Vault: invalid signature");
+
+    await transact(vault, SELECTORS.transferOwnership, rotation.args);
+    assert.equal(await dryRun(vault, SELECTORS.transferOwnership, rotation.args), "Vault: invalid signature");
+
+    const expired = await signTransferOwnership(
+      { owner, newOwner: owner, deadline: getEpoch() - 1, vault, nonce: 1 },
+      { privateKey: newOwnerKey, chainId, currentOwner: newOwner }
+    );
+    assert.equal(await dryRun(vault, SELECTORS.transferOwnership, expired.args), "Vault: deadline exceeded");
+  });
+
+  it("lets only the current owner rotate the factory nonce after a transfer", async () => {
+    const owner = accounts[0];
+    const vault = await deployVault(owner);
+    const { args } = await signTransferOwnership(
+      { owner, newOwner, deadline: getEpoch() + 1000 },
+      { privateKey: keyOf(owner), tronWeb, factory: factory.address }
+    );
+    await transact(vault, SELECTORS.transferOwnership, args);
+
+    // The old key cannot point EntryPoint away from the vault it lost
+    const stale = await signIncrementNonce({ owner, nonce: 0 }, { privateKey: keyOf(owner) });
+    assert.equal(await dryRun(factory.address, SELECTORS.incrementNonce, stale.args), "Vault Factory: invalid signature");
+
+    const rotation = await signIncrementNonce({ owner, nonce: 0 }, { privateKey: newOwnerKey, currentOwner: newOwner });
+    await transact(factory.address, SELECTORS.incrementNonce, rotation.args);
+    assert.equal(await factory.nonces(owner), 1n);
+
+    // The fresh vault is not deployed yet, so the original owner signs for the next rotation
+    const next = await signIncrementNonce({ owner, nonce: 1 }, { privateKey: keyOf(owner) });
+    assert.isNull(await dryRun(factory.address, SELECTORS.incrementNonce, next.args));
+  });
+
+  it("lets a pending recovery win against a leaked owner key", async () => {
+    const owner = accounts[1];
+    const vault = await deployVault(owner);
+    const options = { privateKey: keyOf(owner), tronWeb, factory: factory.address };
+    const setup = await signSetGuardian({ owner, guardian, delay: 3600, deadline: getEpoch() + 1000 }, options);
+    await transact(vault, SELECTORS.setGuardian, setup.args);
+    const instance = await Vault.at(vault);
+    await instance.initiateRecovery(newOwner, { from: guardian });
+
+    // The key can neither hand the vault to itself, swap the guardian nor cancel
+    const thief = accounts[6];
+    const transfer = await signTransferOwnership({ owner, newOwner: thief, deadline: getEpoch() + 1000 }, options);
+    assert.equal(await dryRun(vault, SELECTORS.transferOwnership, transfer.args), "Vault: recovery pending");
+    const swap = await signSetGuardian({ owner, guardian: thief, delay: 1, deadline: getEpoch() + 1000 }, options);
+    assert.equal(await dryRun(vault, SELECTORS.setGuardian, swap.args), "Vault: recovery pending");
+    assert.equal(await dryRun(vault, SELECTORS.cancelRecovery, [], owner), "Vault: only guardian");
+    assert.equal(await dryRun(vault, SELECTORS.cancelRecovery, [], thief), "Vault: only guardian");
+    assert.equal((await fetchOwnership(tronWeb, vault)).pendingOwner, toEvmAddress(newOwner));
+
+    // Only the guardian calls it off, after which owner actions work again
+    assert.isNull(await dryRun(vault, SELECTORS.cancelRecovery, [], guardian));
+    await instance.cancelRecovery({ from: guardian });
+    assert.isNull((await fetchOwnership(tronWeb, vault)).pendingOwner);
+    assert.isNull(await dryRun(vault, SELECTORS.transferOwnership, transfer.args));
+  });
+
+  it("recovers the vault through the guardian after the delay unless the guardian cancels", async () => {
+    const owner = accounts[9];
+    const vault = await deployVault(owner);
+    const privateKey = keyOf(owner);
+    const options = { privateKey, tronWeb, factory: factory.address };
+    const delay = 6;
+
+    const setup = await signSetGuardian({ owner, guardian, delay, deadline: getEpoch() + 1000 }, options);
+    await transact(vault, SELECTORS.setGuardian, setup.args);
+    assert.include(await fetchOwnership(tronWeb, vault), { guardian: toEvmAddress(guardian), recoveryDelay: 6n, pendingOwner: null });
+
+    const instance = await Vault.at(vault);
+    assert.equal(await dryRun(vault, SELECTORS.initiateRecovery, [toEvmAddress(newOwner)]), "Vault: only guardian");
+
+    // The owner still holds the key, and the guardian calls the recovery off
+    await instance.initiateRecovery(newOwner, { from: guardian });
+    assert.equal((await fetchOwnership(tronWeb, vault)).pendingOwner, toEvmAddress(newOwner));
+    assert.equal(await dryRun(vault, SELECTORS.executeRecovery, []), "Vault: recovery timelocked");
+
+    await instance.cancelRecovery({ from: guardian });
+    assert.equal(await dryRun(vault, SELECTORS.executeRecovery, []), "Vault: no pending recovery");
+
+    // The owner lost the key: the guardian's recovery goes through once the delay has passed
+    await instance.initiateRecovery(newOwner, { from: guardian });
+    const { executableAt } = await fetchOwnership(tronWeb, vault);
+    while ((await dryRun(vault, SELECTORS.executeRecovery, [])) !== null) {
+      assert.isBelow(getEpoch(), Number(executableAt) + 30, "Recovery never became executable");
+      await sleep(3000);
+    }
+    await transact(vault, SELECTORS.executeRecovery, []);
+
+    const ownership = await fetchOwnership(tronWeb, vault);
+    assert.equal(ownership.owner, toEvmAddress(newOwner));
+    assert.isNull(ownership.pendingOwner);
+    // Intents the lost key signed before the recovery are void
+    assert.equal(await instance.nonce(), 2n);
+  });
+});
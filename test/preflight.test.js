@@ -0,0 +1,145 @@
+const { AbiCoder } = require("ethers");
+
+const { simulateRelay } = require('../preflight');
+const { SELECTORS } = require('../estimate');
+const { FACTORY_ABI, VAULT_ABI } = require('../abi');
+const { signSend } = require('../signing');
+const {
+  RevertError,
+  DeadlineExceededError,
+  InvalidSignatureError,
+  VaultInitializeError,
+  REVERT_ERRORS,
+  revertError,
+} = require('../errors');
+const { toEvmAddress, getEpoch } = require('../utils');
+
+const OWNER_KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = toEvmAddress("0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf");
+const VAULT = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000e0");
+
+const encodeRevert = reason => "08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// Constant-call client answering per selector; `null` means success
+function fakeClient(reverts = {}) {
+  const calls = [];
+  return {
+    calls,
+    triggerConstantContract: async call => {
+      calls.push(call);
+      const revert = reverts[call.selector];
+      if (revert === undefined || revert === null) return { energy_used: 50_000, constant_result: [""] };
+      return {
+        energy_used: 1_000,
+        constant_result: [revert ? encodeRevert(revert) : ""],
+        transaction: { ret: [{ ret: "REVERT" }] },
+      };
+    },
+  };
+}
+
+const call = value => ({ call: async () => value });
+const fakeTronWeb = deployed => ({
+  contract: abi => abi === FACTORY_ABI
+    ? {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": () => call(VAULT) },
+      isComputedDeployed: () => call(deployed),
+    }
+    : abi === VAULT_ABI && { nonce: () => call(0n) },
+});
+
+async function signed(fields = {}) {
+  const { intent, signature } = await signSend({
+    owner: OWNER, token: TOKEN, to: RELAYER, amount: 100, feeRecipient: RELAYER, fee: 1,
+    deadline: getEpoch() + 600, nonce: 0, ...fields,
+  }, { privateKey: OWNER_KEY });
+  return { intent, signature };
+}
+
+function preflight({ client, deployed = true, intent, signature }) {
+  return simulateRelay({
+    client, tronWeb: fakeTronWeb(deployed), factory: FACTORY, entryPoint: ENTRYPOINT, intent, signature, from: RELAYER,
+  });
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  assert.fail("Expected the simulation to revert");
+}
+
+describe("simulateRelay", () => {
+  it("maps every known revert reason to its own error class", () => {
+    assert.equal(new Set(REVERT_ERRORS.map(E => E.reason)).size, REVERT_ERRORS.length);
+    for (const ErrorClass of REVERT_ERRORS) {
+      const err = revertError(ErrorClass.reason, {});
+      assert.instanceOf(err, ErrorClass);
+      assert.instanceOf(err, RevertError);
+      assert.equal(err.message, ErrorClass.reason);
+    }
+
+    const unknown = revertError("Something else", { a: 1n });
+    assert.equal(unknown.constructor, RevertError);
+    assert.deepEqual(unknown.fields, { a: "1" });
+  });
+
+  it("reports whether the relay deploys the vault", async () => {
+    const { intent, signature } = await signed();
+
+    const fresh = fakeClient();
+    assert.deepEqual(await preflight({ client: fresh, deployed: false, intent, signature }),
+      { vault: VAULT, deploys: true, energyUsed: 50_000 });
+    assert.deepEqual(fresh.calls.map(c => [c.selector, c.from]), [[SELECTORS.deploy, ENTRYPOINT], [SELECTORS.relay, RELAYER]]);
+
+    const existing = fakeClient();
+    assert.isFalse((await preflight({ client: existing, intent, signature })).deploys);
+    assert.lengthOf(existing.calls, 1);
+  });
+
+  it("throws the typed revert with the offending fields", async () => {
+    const { intent, signature } = await signed({ deadline: 1000 });
+    const err = await rejection(preflight({
+      client: fakeClient({ [SELECTORS.relay]: "Vault: deadline exceeded" }), intent, signature,
+    }));
+
+    assert.instanceOf(err, DeadlineExceededError);
+    assert.equal(err.fields.deadline, "1000");
+    assert.isString(err.fields.now);
+    assert.include(err, { vault: VAULT, deploys: false });
+  });
+
+  it("names the signer behind an invalid signature", async () => {
+    const { intent, signature } = await signed();
+    const err = await rejection(preflight({
+      client: fakeClient({ [SELECTORS.relay]: "Vault: invalid signature" }),
+      intent: { ...intent, amount: "99" },
+      signature,
+    }));
+
+    assert.instanceOf(err, InvalidSignatureError);
+    assert.include(err.fields, { owner: OWNER, vault: VAULT, nonce: "0", signature });
+    assert.notEqual(err.fields.signer, OWNER);
+  });
+
+  it("surfaces the deploy failure the EntryPoint swallows", async () => {
+    const { intent, signature } = await signed();
+    const err = await rejection(preflight({
+      client: fakeClient({ [SELECTORS.deploy]: "VaultFactory: failed to initialize", [SELECTORS.relay]: "" }),
+      deployed: false,
+      intent,
+      signature,
+    }));
+
+    assert.instanceOf(err, VaultInitializeError);
+    assert.deepEqual(err.fields, { owner: OWNER, vault: VAULT });
+    assert.isFalse(err.deploys);
+  });
+});
@@ -0,0 +1,111 @@
+const { createFeeQuoter, fixedPriceSource, cachedPriceSource, DEFAULT_SEND_ENERGY } = require('../quote');
+const { FACTORY_ABI, VAULT_ABI } = require('../abi');
+const { SELECTORS } = require('../estimate');
+const { signSend } = require('../signing');
+const { toEvmAddress, TRX } = require('../utils');
+
+const OWNER_KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf"; // address of OWNER_KEY
+const VAULT = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000ee");
+
+const call = value => ({ call: async () => value });
+
+function fakeTronWeb(chain) {
+  const contracts = new Map([
+    [FACTORY_ABI, {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": () => call(VAULT) },
+      isComputedDeployed: () => call(chain.deployed),
+    }],
+    [VAULT_ABI, { nonce: () => call(0n) }],
+  ]);
+  return { contract: abi => contracts.get(abi) };
+}
+
+// Energy per selector at 100 sun per energy; `estimateEnergy` is disabled like on most nodes
+function fakeClient(energy) {
+  return {
+    calls: [],
+    async triggerConstantContract({ selector }) {
+      this.calls.push(selector);
+      return { energy_used: energy[selector], constant_result: [""] };
+    },
+    estimateEnergy: async () => { throw new Error("disabled"); },
+    getChainParameters: async () => [{ key: "getEnergyFee", value: 100 }],
+  };
+}
+
+function newQuoter({ deployed = false, energy = {}, prices = { [TOKEN]: 300_000 } } = {}) {
+  const client = fakeClient({ [SELECTORS.deploy]: 200_000, ...energy });
+  const quoter = createFeeQuoter({
+    client,
+    tronWeb: fakeTronWeb({ deployed }),
+    factory: FACTORY,
+    entryPoint: ENTRYPOINT,
+    priceSource: fixedPriceSource(prices),
+    feeRecipient: RELAYER,
+    now: () => 1000,
+  });
+  return { quoter, client };
+}
+
+describe("fee quotes", () => {
+  it("prices a relay that deploys the vault in the sent token, with the margin", async () => {
+    const { quoter } = newQuoter();
+    const quote = await quoter.quote({ owner: OWNER, token: TOKEN });
+
+    assert.equal(quote.energy, 200_000 + DEFAULT_SEND_ENERGY);
+    // 280k energy * 100 sun = 28 TRX, at 300k units per TRX, plus 20%
+    assert.include(quote, {
+      vault: VAULT, deploys: true, feeRecipient: RELAYER, costSun: "28000000", fee: "10080000", quotedAt: 1000, expiresAt: 1060,
+    });
+  });
+
+  it("prices TRX sends into deployed vaults without a price source", async () => {
+    const { quoter, client } = newQuoter({ deployed: true, prices: {} });
+    const quote = await quoter.quote({ owner: OWNER, token: "TRX", margin: 0 });
+
+    assert.include(quote, { token: TRX, deploys: false, price: "1000000", fee: String(DEFAULT_SEND_ENERGY * 100) });
+    assert.deepEqual(client.calls, []);
+    await assertRejects(quoter.quote({ owner: OWNER, token: TOKEN }), /No price for token/);
+  });
+
+  it("simulates the exact relay of a signed intent", async () => {
+    const { quoter } = newQuoter({ energy: { [SELECTORS.relay]: 250_000 } });
+    const { intent, signature } = await signSend({
+      owner: OWNER, token: TOKEN, to: RELAYER, amount: 100, feeRecipient: RELAYER, fee: 1, deadline: 2000, nonce: 0,
+    }, { privateKey: OWNER_KEY });
+
+    const quote = await quoter.quote({ intent: { ...intent, signature }, margin: 0 });
+    assert.include(quote, { energy: 250_000, fee: "7500000" });
+  });
+
+  it("caches prices for their max age", async () => {
+    let fetched = 0;
+    let time = 0;
+    const source = cachedPriceSource(
+      { getPrice: async () => ++fetched * 1000 },
+      { maxAge: 100, clock: () => time }
+    );
+
+    assert.equal(await source.getPrice(TOKEN), 1000n);
+    time = 99;
+    assert.equal(await source.getPrice(TOKEN), 1000n);
+    time = 100;
+    assert.equal(await source.getPrice(TOKEN), 2000n);
+  });
+});
+
+async function assertRejects(promise, pattern) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.match(err.message, pattern);
+    return;
+  }
+  assert.fail(`Expected rejection matching ${pattern}`);
+}
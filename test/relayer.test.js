@@ -0,0 +1,391 @@
+const { TronWeb } = require("tronweb");
+const { AbiCoder, getBytes, hexlify, recoverAddress } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, TRC20_ABI, ERC1271_ABI } = require('../abi');
+const { SELECTORS, tronWebEstimateClient } = require('../estimate');
+const { createRelayer } = require('../relayer');
+const { createFeeQuoter, fixedPriceSource } = require('../quote');
+const { toPortableIntent, encodeIntentUri } = require('../intents');
+const { signSend, signTypedSend } = require('../signing');
+const { privateKeySigner, multisigSigner } = require('../signers');
+const { toEvmAddress, getEpoch } = require('../utils');
+
+const OWNER_KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = TronWeb.address.fromPrivateKey(OWNER_KEY);
+
+const VAULT = "0x00000000000000000000000000000000000000aa";
+const TOKEN = "0x00000000000000000000000000000000000000bb";
+const FACTORY = "0x00000000000000000000000000000000000000cc";
+const ENTRYPOINT = "0x00000000000000000000000000000000000000dd";
+const RECIPIENT = "0x00000000000000000000000000000000000000ee";
+const MULTISIG = toEvmAddress("0x00000000000000000000000000000000000000ab");
+
+const call = value => ({ call: async () => value });
+const encodeRevert = reason => "08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// Minimal in-memory chain: one vault, one token, receipts show up after `pendingPolls` polls.
+// Constant calls of `relay` return `simulatedRevert`, if set. `cancelNonces` moves the vault nonce.
+// Addresses in `code` are contracts, which answer `isValidSignature` with `validSignature`.
+function mockTronWeb({ balance = 1000n, revert = null, simulatedRevert = null, pendingPolls = 0 } = {}) {
+  const chain = { nonce: 0n, deployed: false, owner: toEvmAddress(OWNER), balance, built: 0, relays: [], selectors: [], simulations: [], infos: new Map(), revert };
+  Object.assign(chain, { code: new Set(), validSignature: () => false });
+
+  const contracts = new Map([
+    [FACTORY_ABI, {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": () => call(`41${VAULT.slice(2)}`) },
+      isComputedDeployed: () => call(chain.deployed),
+    }],
+    [VAULT_ABI, { nonce: () => call(chain.nonce), owner: () => call(chain.owner) }],
+    [TRC20_ABI, { balanceOf: () => call(chain.balance) }],
+    [ERC1271_ABI, {
+      isValidSignature: (hash, signature) => call(chain.validSignature(hash, signature) ? "0x1626ba7e" : "0xffffffff"),
+    }],
+  ]);
+
+  return {
+    chain,
+    defaultAddress: { hex: `41${RECIPIENT.slice(2)}` },
+    contract: abi => contracts.get(abi),
+    fullNode: {
+      request: async (url, { value }) => ({ runtimecode: chain.code.has(toEvmAddress(value)) ? "6080" : "" }),
+    },
+    transactionBuilder: {
+      triggerSmartContract: async (contract, selector, options, params) => ({
+        result: { result: true },
+        transaction: { txID: `tx${chain.built++}`, raw_data: { expiration: Date.now() + 60_000 }, params, selector },
+      }),
+      triggerConstantContract: async (contract, selector) => {
+        chain.simulations.push(selector);
+        const reverts = selector.startsWith("relay(") && simulatedRevert;
+        return { energy_used: 1000, constant_result: [reverts ? simulatedRevert : ""] };
+      },
+    },
+    trx: {
+      sign: async transaction => ({ ...transaction, signature: ["00"] }),
+      sendRawTransaction: async ({ txID: txid, params, selector }) => {
+        const args = params.map(p => p.value);
+        chain.relays.push(args);
+        chain.selectors.push(selector);
+        if (chain.revert) {
+          chain.infos.set(txid, {
+            id: txid,
+            polls: 0,
+            blockNumber: chain.relays.length,
+            receipt: { result: "REVERT" },
+            contractResult: [chain.revert],
+          });
+        } else {
+          if (selector === SELECTORS.cancelNonces) {
+            chain.nonce = BigInt(args[0]);
+          } else {
+            chain.deployed = true;
+            chain.nonce += 1n;
+            chain.balance -= BigInt(args[3]);
+          }
+          chain.infos.set(txid, {
+            id: txid,
+            polls: 0,
+            blockNumber: chain.relays.length,
+            receipt: { result: "SUCCESS", energy_usage_total: 42 },
+          });
+        }
+        return { result: true, txid };
+      },
+      getTransactionInfo: async txid => {
+        const info = chain.infos.get(txid);
+        if (!info || info.polls++ < pendingPolls) return {};
+        return info;
+      },
+    },
+  };
+}
+
+async function signedIntent(fields = {}) {
+  const { intent, signature } = await signSend({
+    owner: OWNER,
+    token: TOKEN,
+    to: RECIPIENT,
+    amount: 100,
+    feeRecipient: RECIPIENT,
+    fee: 1,
+    deadline: getEpoch() + 600,
+    nonce: 0,
+    ...fields,
+  }, { privateKey: OWNER_KEY });
+  return { ...intent, signature };
+}
+
+async function settled(relayer, id) {
+  for (let i = 0; i < 100; i++) {
+    const record = relayer.getIntent(id);
+    if (record.status === "confirmed" || record.status === "failed") return record;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Intent ${id} never settled`);
+}
+
+const CHAIN_ID = 728126428n;
+
+function newRelayer(tronWeb, options = {}) {
+  return createRelayer({ tronWeb, entryPoint: ENTRYPOINT, factory: FACTORY, pollInterval: 5, chainId: CHAIN_ID, ...options });
+}
+
+describe("relayer", () => {
+  it("relays consecutive intents of one owner in nonce order", async () => {
+    const tronWeb = mockTronWeb();
+    const relayer = newRelayer(tronWeb);
+
+    const intents = [await signedIntent({ nonce: 0 }), await signedIntent({ nonce: 1 })];
+    const [first, second] = await Promise.all(intents.map(intent => relayer.submit(intent)));
+
+    assert.equal((await settled(relayer, first.id)).status, "confirmed");
+    assert.equal((await settled(relayer, second.id)).status, "confirmed");
+    assert.deepEqual(tronWeb.chain.relays.map(args => args[7]), intents.map(intent => intent.signature));
+  });
+
+  it("forgets settled intents once their retention has passed", async () => {
+    const relayer = newRelayer(mockTronWeb(), { retention: 50 });
+
+    const first = await relayer.submit(await signedIntent({ nonce: 0 }));
+    assert.equal((await settled(relayer, first.id)).status, "confirmed");
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.isNull(relayer.getIntent(first.id));
+
+    // Queued intents are kept whatever their age
+    const tronWeb = mockTronWeb({ pendingPolls: 1000 });
+    const slow = newRelayer(tronWeb, { retention: 0 });
+    const pending = await slow.submit(await signedIntent({ nonce: 0 }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(slow.getIntent(pending.id).status, "submitted");
+  });
+
+  it("rejects intents that would revert or cannot be funded", async () => {
+    const relayer = newRelayer(mockTronWeb({ balance: 150n }));
+
+    const expired = await signedIntent({ deadline: getEpoch() - 1 });
+    await assertRejects(relayer.submit(expired), 422, "Vault: deadline exceeded");
+
+    const forged = { ...(await signedIntent()), amount: "101" };
+    await assertRejects(relayer.submit(forged), 422, "Vault: invalid signature");
+
+    await assertRejects(relayer.submit(await signedIntent({ nonce: 3 })), 409, "Nonce mismatch: expected 0");
+
+    await relayer.submit(await signedIntent({ nonce: 0 }));
+    await assertRejects(relayer.submit(await signedIntent({ nonce: 1 })), 422, "Insufficient vault balance");
+  });
+
+  it("reports on-chain reverts and fails the owner's later intents", async () => {
+    const failures = [];
+    const relayer = newRelayer(
+      mockTronWeb({ revert: encodeRevert("Vault: Token transfer failed"), pendingPolls: 3 }),
+      { onFailed: record => failures.push(record) }
+    );
+
+    const first = await relayer.submit(await signedIntent({ nonce: 0, amount: 10 }));
+    const second = await relayer.submit(await signedIntent({ nonce: 1, amount: 10 }));
+
+    const failed = await settled(relayer, first.id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.revert, "Vault: Token transfer failed");
+    assert.equal((await settled(relayer, second.id)).error, `Previous intent ${first.id} failed`);
+    assert.deepEqual(failures.map(r => [r.id, r.status]), [[first.id, "failed"], [second.id, "failed"]]);
+  });
+
+  it("does not broadcast relays whose dry run reverts", async () => {
+    const tronWeb = mockTronWeb({ simulatedRevert: encodeRevert("Vault: Token transfer failed") });
+    const relayer = newRelayer(tronWeb);
+
+    const failed = await settled(relayer, (await relayer.submit(await signedIntent({ amount: 10 }))).id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.revert, "Vault: Token transfer failed");
+    assert.include(failed.revertFields, { vault: toEvmAddress(VAULT), amount: "10", fee: "1" });
+    assert.isNull(failed.txid);
+    assert.lengthOf(tronWeb.chain.relays, 0);
+    // The vault is not deployed yet, so the deploy is dry-run too
+    assert.deepEqual(tronWeb.chain.simulations, ["deploy(address)", SELECTORS.relay]);
+  });
+
+  it("relays typed intents through relayTyped and only for the owner's current vault", async () => {
+    const tronWeb = mockTronWeb();
+    const relayer = newRelayer(tronWeb);
+    const typed = async (vault, chainId = CHAIN_ID) => {
+      const { intent, signature } = await signTypedSend({
+        owner: OWNER, vault, token: TOKEN, to: RECIPIENT, amount: 100, feeRecipient: RECIPIENT, fee: 1,
+        deadline: getEpoch() + 600, nonce: 0,
+      }, { privateKey: OWNER_KEY, chainId });
+      return { ...intent, signature };
+    };
+
+    const sibling = "0x00000000000000000000000000000000000000a1";
+    await assertRejects(relayer.submit(await typed(sibling)), 422,
+      `Intent is signed for vault ${toEvmAddress(sibling)}, not the current vault ${toEvmAddress(VAULT)}`);
+    await assertRejects(relayer.submit(await typed(VAULT, 1n)), 422, `Intent is signed for chain 1, not ${CHAIN_ID}`);
+
+    const record = await relayer.submit(await typed(VAULT));
+    assert.equal(record.intent.chainId, CHAIN_ID.toString());
+    assert.equal((await settled(relayer, record.id)).status, "confirmed");
+    assert.deepEqual(tronWeb.chain.simulations.slice(-1), [SELECTORS.relayTyped]);
+    assert.equal(tronWeb.chain.selectors[0], SELECTORS.relayTyped);
+  });
+
+  it("accepts portable intents and their URIs for its own network and vault", async () => {
+    const tronWeb = mockTronWeb();
+    const relayer = createRelayer({
+      tronWeb, entryPoint: ENTRYPOINT, factory: FACTORY, pollInterval: 5, chainId: CHAIN_ID, network: "nile",
+    });
+    const portable = async (fields, options) => toPortableIntent(await signedIntent(fields), {
+      network: "nile", vault: VAULT, ...options,
+    });
+
+    await assertRejects(relayer.submit(await portable({}, { network: "mainnet" })), 400,
+      'Intent is for network "mainnet", not "nile"');
+    const sibling = "0x00000000000000000000000000000000000000a1";
+    await assertRejects(relayer.submit(await portable({}, { vault: sibling, factoryNonce: 1 })), 422,
+      `Intent is for vault ${toEvmAddress(sibling)}, not the current vault ${toEvmAddress(VAULT)}`);
+    await assertRejects(relayer.submit({ ...(await portable()), v: 2 }), 400, "Invalid intent: v must be 1");
+
+    const first = await relayer.submit(await portable({ nonce: 0 }));
+    const second = await relayer.submit({ uri: encodeIntentUri(await portable({ nonce: 1 })) });
+    assert.equal((await settled(relayer, first.id)).status, "confirmed");
+    assert.equal((await settled(relayer, second.id)).status, "confirmed");
+    assert.lengthOf(tronWeb.chain.relays, 2);
+  });
+
+  it("checks intents for a vault with a transferred owner against its current owner", async () => {
+    const tronWeb = mockTronWeb();
+    const newKey = "0000000000000000000000000000000000000000000000000000000000000002";
+    Object.assign(tronWeb.chain, { deployed: true, owner: toEvmAddress(TronWeb.address.fromPrivateKey(newKey)) });
+    const relayer = newRelayer(tronWeb);
+
+    const { intent, signature } = await signSend({
+      owner: OWNER, token: TOKEN, to: RECIPIENT, amount: 100, deadline: getEpoch() + 600, nonce: 0,
+    }, { privateKey: newKey, currentOwner: tronWeb.chain.owner });
+    const record = await relayer.submit({ ...intent, signature });
+    assert.equal((await settled(relayer, record.id)).status, "confirmed");
+  });
+
+  it("checks intents of a contract owner with its isValidSignature", async () => {
+    const tronWeb = mockTronWeb();
+    // A 2-of-3 multisig like contracts/test/MultisigOwner.sol, over the digest the vault hands it
+    const members = ["03", "04", "05"].map(n => privateKeySigner(n.padStart(64, "0")));
+    const addresses = await Promise.all(members.map(member => member.getAddress()));
+    tronWeb.chain.code.add(MULTISIG);
+    tronWeb.chain.validSignature = (hash, signature) => {
+      const bytes = getBytes(signature);
+      const signers = [];
+      for (let i = 0; i < bytes.length; i += 65) signers.push(recoverAddress(hash, hexlify(bytes.slice(i, i + 65))));
+      return signers.length >= 2 && signers.every(signer => addresses.includes(signer));
+    };
+    const relayer = newRelayer(tronWeb, { network: "nile" });
+
+    const fields = { owner: MULTISIG, token: TOKEN, to: RECIPIENT, amount: 100, deadline: getEpoch() + 600 };
+    const signed = async (sign, signers, nonce) => {
+      const { intent, signature } = await sign({ ...fields, vault: VAULT, nonce }, {
+        signer: multisigSigner({ address: MULTISIG, signers }),
+        chainId: CHAIN_ID,
+      });
+      return { ...intent, signature };
+    };
+
+    await assertRejects(relayer.submit(await signed(signSend, members.slice(0, 1), 0)), 422, "Vault: invalid signature");
+
+    // Two members' signatures, in a portable intent's URI as well
+    const intent = await signed(signSend, members.slice(1), 0);
+    assert.lengthOf(getBytes(intent.signature), 130);
+    const first = await relayer.submit({ uri: encodeIntentUri(toPortableIntent(intent, { network: "nile", vault: VAULT })) });
+    const second = await relayer.submit(await signed(signTypedSend, [members[0], members[2]], 1));
+    assert.equal((await settled(relayer, first.id)).status, "confirmed");
+    assert.equal((await settled(relayer, second.id)).status, "confirmed");
+    assert.equal(tronWeb.chain.relays[0][7], intent.signature);
+  });
+
+  it("cancels an owner's queued intents on chain without touching the one in flight", async () => {
+    const tronWeb = mockTronWeb({ pendingPolls: 2 });
+    const relayer = newRelayer(tronWeb);
+
+    const first = await relayer.submit(await signedIntent({ nonce: 0, amount: 10 }));
+    const second = await relayer.submit(await signedIntent({ nonce: 1, amount: 10 }));
+    const third = await relayer.submit(await signedIntent({ nonce: 2, amount: 10 }));
+    const result = await relayer.cancel(OWNER, { privateKey: OWNER_KEY });
+
+    assert.equal((await settled(relayer, first.id)).status, "confirmed");
+    assert.deepEqual(result.cancelled, [second.id, third.id]);
+    assert.equal(relayer.getIntent(third.id).error, "Cancelled by owner");
+    assert.include(result, { vault: toEvmAddress(VAULT), deployed: false, fromNonce: "1", toNonce: "3" });
+    assert.deepEqual(tronWeb.chain.selectors, [SELECTORS.relay, SELECTORS.cancelNonces]);
+    assert.equal(tronWeb.chain.nonce, 3n);
+
+    // The owner signs on from the new nonce
+    const next = await relayer.submit(await signedIntent({ nonce: 3, amount: 10 }));
+    assert.equal((await settled(relayer, next.id)).status, "confirmed");
+  });
+
+  it("refuses intents paying less than a fresh quote, or paying someone else", async () => {
+    const tronWeb = mockTronWeb();
+    const quoter = createFeeQuoter({
+      // Every simulated call takes 1000 energy at 100 sun: 0.1 TRX, or 100 token units at 1000 per TRX
+      client: { ...tronWebEstimateClient(tronWeb), getChainParameters: async () => [{ key: "getEnergyFee", value: 100 }] },
+      tronWeb,
+      factory: FACTORY,
+      entryPoint: ENTRYPOINT,
+      priceSource: fixedPriceSource({ [TOKEN]: 1000 }),
+      feeRecipient: RECIPIENT,
+      sendEnergy: 1000,
+    });
+    const relayer = createRelayer({
+      tronWeb, entryPoint: ENTRYPOINT, factory: FACTORY, pollInterval: 5, chainId: CHAIN_ID, quoter,
+    });
+
+    // Before signing: deployment plus send, with the quoter's 20% margin
+    const quote = await relayer.quote({ owner: OWNER, token: TOKEN });
+    assert.include(quote, { fee: "240", feeRecipient: toEvmAddress(RECIPIENT), deploys: true });
+
+    // Signed intents: their exact relay, without the margin
+    await assertRejects(relayer.submit(await signedIntent({ amount: 500, fee: 99 })), 422, "Fee 99 is below the quoted 100");
+    await assertRejects(
+      relayer.submit(await signedIntent({ amount: 500, fee: 240, feeRecipient: OWNER })), 422, `Fee must be paid to ${toEvmAddress(RECIPIENT)}`
+    );
+    const record = await relayer.submit(await signedIntent({ amount: 500, fee: quote.fee }));
+    assert.equal((await settled(relayer, record.id)).status, "confirmed");
+  });
+
+  it("serves the JSON API", async () => {
+    const relayer = newRelayer(mockTronWeb());
+    const server = await relayer.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const posted = await fetch(`${base}/intents`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(await signedIntent()),
+      });
+      assert.equal(posted.status, 202);
+      const { id, intent } = await posted.json();
+      assert.equal(intent.owner, toEvmAddress(OWNER));
+
+      await settled(relayer, id);
+      const status = await (await fetch(`${base}/intents/${id}`)).json();
+      assert.equal(status.status, "confirmed");
+      assert.equal(status.txid, "tx0");
+      assert.isTrue(status.deploys);
+
+      assert.equal((await fetch(`${base}/intents/unknown`)).status, 404);
+      assert.equal((await fetch(`${base}/intents`, { method: "POST", body: "{" })).status, 400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+async function assertRejects(promise, status, message) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.equal(err.status, status);
+    assert.equal(err.message, message);
+    return;
+  }
+  assert.fail(`Expected rejection with "${message}"`);
+}
@@ -0,0 +1,140 @@
+const { TronWeb } = require("tronweb");
+
+const { FACTORY_ABI, VAULT_ABI } = require('../abi');
+const { createAllowanceScheduler } = require('../allowances');
+const { createTxTracker } = require('../tracker');
+const { toEvmAddress } = require('../utils');
+
+const KEYS = [
+  "0000000000000000000000000000000000000000000000000000000000000001",
+  "0000000000000000000000000000000000000000000000000000000000000002",
+];
+const [ALICE, BOB] = KEYS.map(key => toEvmAddress(TronWeb.address.fromPrivateKey(key)));
+
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const PAYEE = toEvmAddress("0x00000000000000000000000000000000000000ee");
+const RELAYER = toEvmAddress("0x00000000000000000000000000000000000000ef");
+
+const call = value => ({ call: async () => value });
+
+// In-memory chain where each deployed owner's vault holds allowance 0 of 100 per period, fee
+// capped at 5, for `relayer` through ENTRYPOINT; `revert` makes relays fail with that reason
+function mockTronWeb({ deployed, revert = null, relayer = RELAYER }) {
+  const vaultOf = owner => toEvmAddress(`0x${owner.slice(-38)}aa`.toLowerCase());
+  const chain = { spent: new Map(), built: 0, relays: [], infos: new Map() };
+  for (const owner of deployed) chain.spent.set(vaultOf(owner), { amount: 0n, fee: 0n });
+
+  const factory = {
+    nonces: () => call(0n),
+    methods: { "computeAddress(address,uint64)": owner => call(vaultOf(owner)) },
+    isComputedDeployed: vault => call(chain.spent.has(toEvmAddress(vault))),
+  };
+  const vault = address => {
+    const spent = chain.spent.get(toEvmAddress(address));
+    return {
+      nonce: () => call(0n),
+      allowance: () => call([{
+        token: TOKEN, revoked: false, payee: PAYEE, maxAmount: 100n, maxFee: 5n, relayer, entryPoint: ENTRYPOINT,
+        period: 60n, start: 0n, expiry: 2n ** 40n,
+      }]),
+      allowanceAvailable: () => call({ amount: 100n - spent.amount, fee: 5n - spent.fee }),
+    };
+  };
+
+  return {
+    chain,
+    contract: (abi, address) => (abi === FACTORY_ABI ? factory : abi === VAULT_ABI ? vault(address) : null),
+    defaultAddress: { hex: `41${RELAYER.slice(2)}` },
+    transactionBuilder: {
+      triggerSmartContract: async (contract, selector, options, params) => ({
+        result: { result: true },
+        transaction: { txID: `tx${chain.built++}`, raw_data: { expiration: Date.now() + 60_000 }, params },
+      }),
+    },
+    trx: {
+      sign: async transaction => ({ ...transaction, signature: ["00"] }),
+      sendRawTransaction: async ({ txID: txid, params }) => {
+        const [owner, , amount, fee] = params.map(p => p.value);
+        chain.relays.push(params.map(p => p.value));
+        if (revert) {
+          const resMessage = Buffer.from(revert).toString("hex");
+          chain.infos.set(txid, { id: txid, resMessage, receipt: { result: "REVERT" } });
+        } else {
+          const spent = chain.spent.get(vaultOf(toEvmAddress(owner)));
+          spent.amount += BigInt(amount);
+          spent.fee += BigInt(fee);
+          chain.infos.set(txid, { id: txid, blockNumber: 7, receipt: { result: "SUCCESS" } });
+        }
+        return { result: true, txid };
+      },
+      getTransactionInfo: async txid => chain.infos.get(txid) || {},
+    },
+  };
+}
+
+function newScheduler(tronWeb, options = {}) {
+  return createAllowanceScheduler({
+    tronWeb,
+    entryPoint: ENTRYPOINT,
+    factory: FACTORY,
+    payments: [{ owner: ALICE, id: 0 }, { owner: BOB, id: 0 }],
+    fee: 1n,
+    tracker: createTxTracker({ tronWeb, pollInterval: 1 }),
+    ...options,
+  });
+}
+
+describe("allowance scheduler", () => {
+  it("pays what is left in the period once, then waits for the next one", async () => {
+    const tronWeb = mockTronWeb({ deployed: [ALICE] });
+    const scheduler = newScheduler(tronWeb);
+    const payments = [];
+    scheduler.on("payment", payment => payments.push(payment));
+
+    const report = await scheduler.poll();
+    assert.lengthOf(report.paid, 1);
+    assert.include(report.paid[0], { owner: ALICE, id: "0", payee: PAYEE, amount: "100", fee: "1", txid: "tx0", blockNumber: 7 });
+    assert.deepEqual(payments, report.paid);
+    assert.deepEqual(report.skipped.map(s => [s.owner, s.reason]), [[BOB, "vault not deployed"]]);
+    assert.deepEqual(tronWeb.chain.relays[0], [ALICE, "0", "100", "1"]);
+
+    const again = await scheduler.poll();
+    assert.lengthOf(again.paid, 0);
+    assert.deepEqual(again.skipped.map(s => s.reason), ["not due", "vault not deployed"]);
+  });
+
+  it("pays fixed amounts until the period's cap, within the fee cap", async () => {
+    const tronWeb = mockTronWeb({ deployed: [ALICE] });
+    const scheduler = newScheduler(tronWeb, { payments: [{ owner: ALICE, id: 0, amount: 40n, fee: 2n }] });
+
+    assert.lengthOf((await scheduler.poll()).paid, 1);
+    assert.lengthOf((await scheduler.poll()).paid, 1);
+    // 20 left, less than the payment
+    assert.deepEqual((await scheduler.poll()).skipped.map(s => s.reason), ["not due"]);
+
+    const greedy = newScheduler(mockTronWeb({ deployed: [ALICE] }), { payments: [{ owner: ALICE, id: 0, fee: 6n }] });
+    assert.deepEqual((await greedy.poll()).skipped.map(s => s.reason), ["fee cap reached"]);
+  });
+
+  it("leaves allowances of other relayers alone", async () => {
+    const tronWeb = mockTronWeb({ deployed: [ALICE], relayer: PAYEE });
+    const report = await newScheduler(tronWeb, { payments: [{ owner: ALICE, id: 0 }] }).poll();
+
+    assert.deepEqual(report.skipped.map(s => s.reason), ["not the relayer"]);
+    assert.lengthOf(tronWeb.chain.relays, 0);
+  });
+
+  it("reports reverted payments as failures", async () => {
+    const tronWeb = mockTronWeb({ deployed: [ALICE], revert: "Vault: allowance inactive" });
+    const scheduler = newScheduler(tronWeb, { payments: [{ owner: ALICE, id: 0 }] });
+    const failures = [];
+    scheduler.on("failure", failure => failures.push(failure));
+
+    const report = await scheduler.poll();
+    assert.lengthOf(report.paid, 0);
+    assert.include(report.failed[0], { owner: ALICE, txid: "tx0", error: "Vault: allowance inactive" });
+    assert.deepEqual(failures, report.failed);
+  });
+});
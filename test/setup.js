@@ -0,0 +1,2 @@
+// `mocha` runs the suites that need no node; give them the `assert` global TronBox provides
+global.assert = require("chai").assert;
@@ -0,0 +1,204 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const {
+  privateKeySigner,
+  keystoreSigner,
+  encryptKeystore,
+  remoteSigner,
+  multisigSigner,
+  assembleMultisigSignature,
+} = require('../signers');
+const { signSend, signTypedSend, signIncrementNonce, typedSendDomain } = require('../signing');
+const { verifySendIntent, verifyIncrementNonce } = require('../verify');
+const { toEvmAddress } = require('../utils');
+
+const KEY = "0000000000000000000000000000000000000000000000000000000000000001";
+const OWNER = "0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf"; // address of KEY
+const OTHER_KEY = "0000000000000000000000000000000000000000000000000000000000000002";
+const VAULT = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const RECIPIENT = toEvmAddress("0x00000000000000000000000000000000000000ee");
+
+// Keeps the keystore tests fast; real keystores use ethers' default scrypt cost
+const LIGHT_SCRYPT = { scrypt: { N: 1024 } };
+
+const intent = (amount, fields = {}) => ({
+  owner: OWNER,
+  token: TOKEN,
+  to: RECIPIENT,
+  amount,
+  deadline: 4_000_000_000,
+  nonce: 0,
+  ...fields,
+});
+
+describe("signers", () => {
+  it("signs exactly as the raw private key does", async () => {
+    const signer = privateKeySigner(KEY);
+    assert.equal(await signer.getAddress(), OWNER);
+
+    const byKey = await signSend(intent(100), { privateKey: KEY });
+    const bySigner = await signSend(intent(100), { signer });
+    assert.equal(bySigner.signature, byKey.signature);
+    assert.isTrue(verifySendIntent(bySigner.intent, bySigner.signature).valid);
+
+    const typed = await signTypedSend(intent(100, { vault: VAULT }), { signer, chainId: 1 });
+    assert.equal(typed.signature, (await signTypedSend(intent(100, { vault: VAULT }), { privateKey: KEY, chainId: 1 })).signature);
+
+    await assertRejects(signSend(intent(100), { signer: privateKeySigner(OTHER_KEY) }), /does not match owner/);
+  });
+
+  it("opens encrypted keystores", async () => {
+    const json = await encryptKeystore(KEY, "correct horse", LIGHT_SCRYPT);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tron-vaults-keystore-"));
+    const file = path.join(dir, "owner.json");
+    fs.writeFileSync(file, json);
+
+    try {
+      for (const keystore of [json, JSON.parse(json), file]) {
+        const signer = await keystoreSigner(keystore, "correct horse");
+        assert.equal(await signer.getAddress(), OWNER);
+      }
+      const { signature } = await signSend(intent(100), { signer: await keystoreSigner(file, "correct horse") });
+      assert.equal(signature, (await signSend(intent(100), { privateKey: KEY })).signature);
+
+      await assertRejects(keystoreSigner(file, "wrong"), /password/i);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe("remote signer", () => {
+    let server, url, requests, signingKey;
+
+    // Signs with `signingKey`, refusing typed sends above 1000 and any sign request without the token
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", async () => {
+          const { method, params } = JSON.parse(body);
+          requests.push({ method, params, headers: req.headers });
+          const signer = privateKeySigner(signingKey);
+          const reply = (status, payload) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(payload));
+          };
+
+          if (method === "getAddress") return reply(200, { address: await signer.getAddress() });
+          if (req.headers.authorization !== "Bearer s3cret") return reply(401, { error: "unauthorized" });
+          if (method === "signTypedData") {
+            if (BigInt(params.message.amount) > 1000n) return reply(403, { error: "amount over policy limit" });
+            return reply(200, { signature: await signer.signTypedData(params) });
+          }
+          if (method === "signMessage") return reply(200, { signature: await signer.signMessage(params) });
+          return reply(400, { error: `unknown method ${method}` });
+        });
+      });
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    beforeEach(() => {
+      requests = [];
+      signingKey = KEY;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const signer = () => remoteSigner({ url, headers: { Authorization: "Bearer s3cret" } });
+
+    it("sends the typed intent, not a bare hash", async () => {
+      const signed = await signTypedSend(intent(500, { vault: VAULT }), { signer: signer(), chainId: 1 });
+
+      const { params } = requests.find(r => r.method === "signTypedData");
+      assert.equal(params.primaryType, "Send");
+      assert.equal(params.domain.verifyingContract, VAULT);
+      assert.deepInclude(params.message, { token: TOKEN, to: RECIPIENT, amount: "500", nonce: "0" });
+      const domain = typedSendDomain({ vault: VAULT, chainId: 1 });
+      assert.isTrue(verifySendIntent(signed.intent, signed.signature, { domain }).valid);
+    });
+
+    it("sends the intent behind message digests", async () => {
+      const signed = await signSend(intent(500), { signer: signer() });
+      const { params } = requests.find(r => r.method === "signMessage");
+      assert.equal(params.primaryType, "Send");
+      assert.deepInclude(params.message, { owner: OWNER, amount: "500" });
+      assert.equal(params.digest, signed.digest);
+      assert.isTrue(verifySendIntent(signed.intent, signed.signature).valid);
+
+      const rotation = await signIncrementNonce({ owner: OWNER, nonce: 4 }, { signer: signer() });
+      assert.deepEqual(requests.at(-1).params.message, { owner: OWNER, nonce: "4" });
+      assert.isTrue(verifyIncrementNonce({ owner: OWNER, nonce: 4 }, rotation.signature).valid);
+    });
+
+    it("surfaces the signer's refusals", async () => {
+      await assertRejects(
+        signTypedSend(intent(5000, { vault: VAULT }), { signer: signer(), chainId: 1 }),
+        /Remote signer refused signTypedData: amount over policy limit/
+      );
+      await assertRejects(signSend(intent(500), { signer: remoteSigner({ url }) }), /refused signMessage: unauthorized/);
+    });
+
+    it("rejects signatures from another key", async () => {
+      const remote = remoteSigner({ url, address: OWNER, headers: { Authorization: "Bearer s3cret" } });
+      signingKey = OTHER_KEY;
+      await assertRejects(signSend(intent(500), { signer: remote }), /Remote signer signed as 0x[0-9a-fA-F]{40}, not/);
+    });
+  });
+
+  describe("multisig signer", () => {
+    const MULTISIG = toEvmAddress("0x00000000000000000000000000000000000000f1");
+    const THIRD_KEY = "0000000000000000000000000000000000000000000000000000000000000003";
+    const members = [KEY, OTHER_KEY, THIRD_KEY].map(privateKeySigner);
+
+    it("concatenates the members' signatures in ascending address order", async () => {
+      const multisig = multisigSigner({ address: MULTISIG, signers: members });
+      const signed = await signSend(intent(100, { owner: MULTISIG }), { signer: multisig });
+
+      const payload = { primaryType: "Send", message: {}, digest: signed.digest };
+      const parts = await Promise.all(members.map(async signer => ({
+        signer: await signer.getAddress(),
+        signature: await signer.signMessage(payload),
+      })));
+      parts.sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+      assert.equal(signed.signature, `0x${parts.map(p => p.signature.slice(2)).join("")}`);
+      assert.equal(assembleMultisigSignature(parts.slice().reverse()), signed.signature);
+
+      // Typed intents and nonce rotations work the same way
+      const typed = await signTypedSend(intent(100, { owner: MULTISIG, vault: VAULT }), { signer: multisig, chainId: 1 });
+      assert.lengthOf(typed.signature, 2 + 3 * 130);
+      const rotation = await signIncrementNonce({ owner: MULTISIG, nonce: 0 }, { signer: multisig });
+      assert.equal(rotation.args[1], rotation.signature);
+
+      await assertRejects(signSend(intent(100), { signer: multisig }), /does not match owner/);
+    });
+
+    it("refuses malformed or repeated member signatures", () => {
+      const signature = `0x${"11".repeat(65)}`;
+      assert.throws(() => assembleMultisigSignature([]), "No member signatures");
+      assert.throws(
+        () => assembleMultisigSignature([{ signer: OWNER, signature: `0x${"11".repeat(64)}` }]),
+        `Signature of ${OWNER} is 64 bytes, expected 65`
+      );
+      assert.throws(
+        () => assembleMultisigSignature([{ signer: OWNER, signature }, { signer: OWNER.toLowerCase(), signature }]),
+        `${OWNER} signed twice`
+      );
+      assert.throws(() => multisigSigner({ address: MULTISIG, signers: [] }), "at least one member signer");
+    });
+  });
+});
+
+async function assertRejects(promise, pattern) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.match(err.message, pattern);
+    return;
+  }
+  assert.fail(`Expected rejection matching ${pattern}`);
+}
@@ -0,0 +1,174 @@
+const { TronWeb } = require("tronweb");
+const { AbiCoder } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, TRC20_ABI } = require('../abi');
+const { signSend } = require('../signing');
+const { createSweeper, localKeySigner, preauthorizedSigner } = require('../sweeper');
+const { toEvmAddress, getEpoch } = require('../utils');
+
+const KEYS = [
+  "0000000000000000000000000000000000000000000000000000000000000001",
+  "0000000000000000000000000000000000000000000000000000000000000002",
+];
+const [ALICE, BOB] = KEYS.map(key => toEvmAddress(TronWeb.address.fromPrivateKey(key)));
+
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const ENTRYPOINT = toEvmAddress("0x00000000000000000000000000000000000000dd");
+const TREASURY = toEvmAddress("0x00000000000000000000000000000000000000ee");
+const FEE_RECIPIENT = toEvmAddress("0x00000000000000000000000000000000000000ef");
+
+const call = value => ({ call: async () => value });
+const encodeRevert = reason => "08c379a0" + AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+
+// In-memory chain with one vault per owner; `failures` relays revert before one lands.
+// Vaults in `transferred` (original owner => current owner) are deployed and owned by the latter.
+// Dry runs use `energy` (per owner, or for all) or revert with `revert`.
+function mockTronWeb({ balances, failures = 0, transferred = {}, energy = 1000, revert = null }) {
+  const vaultOf = owner => `0x${owner.slice(-38)}aa`.toLowerCase();
+  const chain = { balances: new Map(), nonces: new Map(), owners: new Map(), built: 0, relays: [], infos: new Map(), failures };
+  for (const [owner, balance] of Object.entries(balances)) chain.balances.set(vaultOf(owner), balance);
+  for (const [owner, current] of Object.entries(transferred)) chain.owners.set(vaultOf(owner), current);
+
+  const contracts = new Map([
+    [FACTORY_ABI, {
+      nonces: () => call(0n),
+      methods: { "computeAddress(address,uint64)": owner => call(vaultOf(owner)) },
+      isComputedDeployed: vault => call(chain.nonces.has(vault.toLowerCase()) || chain.owners.has(vault.toLowerCase())),
+    }],
+    [TRC20_ABI, { balanceOf: vault => call(chain.balances.get(vault.toLowerCase()) || 0n) }],
+  ]);
+
+  return {
+    chain,
+    contract: (abi, address) => abi === VAULT_ABI
+      ? {
+        nonce: () => call(chain.nonces.get(toEvmAddress(address).toLowerCase()) || 0n),
+        owner: () => call(chain.owners.get(toEvmAddress(address).toLowerCase())),
+      }
+      : contracts.get(abi),
+    // Every owner is an account without code
+    fullNode: { request: async () => ({}) },
+    defaultAddress: { hex: `41${ENTRYPOINT.slice(2)}` },
+    transactionBuilder: {
+      triggerConstantContract: async (contract, selector, options, params) => {
+        if (revert) return { energy_used: 500, constant_result: [encodeRevert(revert)] };
+        const owner = toEvmAddress(params[0].value);
+        return { energy_used: typeof energy === "object" ? energy[owner] : energy, constant_result: [""] };
+      },
+      triggerSmartContract: async (contract, selector, options, params) => ({
+        result: { result: true },
+        transaction: { txID: `tx${chain.built++}`, raw_data: { expiration: Date.now() + 60_000 }, params },
+      }),
+    },
+    trx: {
+      sign: async transaction => ({ ...transaction, signature: ["00"] }),
+      sendRawTransaction: async ({ txID: txid, params }) => {
+        const args = params.map(p => p.value);
+        chain.relays.push(args);
+        if (chain.failures > 0) {
+          chain.failures -= 1;
+          chain.infos.set(txid, { id: txid, receipt: { result: "OUT_OF_ENERGY", energy_usage_total: 10 } });
+        } else {
+          const vault = vaultOf(args[0]);
+          chain.balances.set(vault, chain.balances.get(vault) - BigInt(args[3]));
+          chain.nonces.set(vault, (chain.nonces.get(vault) || 0n) + 1n);
+          chain.infos.set(txid, { id: txid, receipt: { result: "SUCCESS", energy_usage_total: 1000 } });
+        }
+        return { result: true, txid };
+      },
+      getTransactionInfo: async txid => chain.infos.get(txid) || {},
+    },
+  };
+}
+
+function newSweeper(tronWeb, options = {}) {
+  return createSweeper({
+    tronWeb,
+    entryPoint: ENTRYPOINT,
+    factory: FACTORY,
+    treasury: TREASURY,
+    feeRecipient: FEE_RECIPIENT,
+    thresholds: { [TOKEN]: 100n },
+    fees: { [TOKEN]: 1n },
+    signer: localKeySigner({ [ALICE]: KEYS[0], [BOB]: KEYS[1] }),
+    backoff: 1,
+    pollInterval: 1,
+    ...options,
+  });
+}
+
+describe("sweeper", () => {
+  it("sweeps vaults above the threshold and reports what moved", async () => {
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n, [BOB]: 50n } });
+
+    const report = await newSweeper(tronWeb).run([ALICE, BOB]);
+
+    assert.equal(report.swept.length, 1);
+    assert.include(report.swept[0], { owner: ALICE, to: TREASURY, amount: "500", fee: "1", txid: "tx0" });
+    assert.deepEqual(report.skipped.map(s => [s.owner, s.reason]), [[BOB, "below threshold"]]);
+    assert.deepEqual(report.totals, { [TOKEN]: "500" });
+    assert.equal(report.energyUsed, "1000");
+  });
+
+  it("broadcasts nothing in dry-run mode", async () => {
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n, [BOB]: 200n } });
+
+    const report = await newSweeper(tronWeb, { dryRun: true }).run([ALICE, BOB]);
+
+    assert.equal(report.swept.length, 2);
+    assert.equal(tronWeb.chain.relays.length, 0);
+  });
+
+  it("stops relaying once the energy budget is spent", async () => {
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n, [BOB]: 200n } });
+
+    const report = await newSweeper(tronWeb, { energyBudget: 1500, estimateEnergy: () => 1000n }).run([ALICE, BOB]);
+
+    assert.equal(report.swept.length, 1);
+    assert.equal(report.skipped[0].reason, "energy budget exhausted");
+    assert.equal(tronWeb.chain.relays.length, 1);
+  });
+
+  it("charges the budget with each vault's simulated relay", async () => {
+    // Bob's relay would cost more than the 500 left after Alice's
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n, [BOB]: 200n }, energy: { [ALICE]: 900, [BOB]: 600 } });
+
+    const report = await newSweeper(tronWeb, { energyBudget: 1500 }).run([ALICE, BOB]);
+
+    assert.include(report.swept[0], { owner: ALICE, estimatedEnergy: "900", energyUsed: "1000" });
+    assert.include(report.skipped[0], { owner: BOB, estimatedEnergy: "600", reason: "energy budget exhausted" });
+    assert.equal(tronWeb.chain.relays.length, 1);
+  });
+
+  it("skips sweeps whose relay would revert", async () => {
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n }, revert: "Vault: Token transfer failed" });
+
+    const report = await newSweeper(tronWeb).run([ALICE]);
+
+    assert.deepEqual(report.skipped.map(s => [s.owner, s.reason]), [[ALICE, "Vault: Token transfer failed"]]);
+    assert.equal(tronWeb.chain.relays.length, 0);
+  });
+
+  it("sweeps with intents the current owner of a transferred vault signed", async () => {
+    const tronWeb = mockTronWeb({ balances: { [ALICE]: 500n }, transferred: { [ALICE]: BOB } });
+    const sweep = { owner: ALICE, token: TOKEN, to: TREASURY, amount: 500n, feeRecipient: FEE_RECIPIENT, fee: 1n, nonce: 0 };
+    const { intent, signature } = await signSend({ ...sweep, deadline: getEpoch() + 600 }, { privateKey: KEYS[1], currentOwner: BOB });
+
+    const report = await newSweeper(tronWeb, { signer: preauthorizedSigner([{ ...intent, signature }]) }).run([ALICE]);
+
+    assert.include(report.swept[0], { owner: ALICE, amount: "500", txid: "tx0" });
+    assert.isEmpty(report.skipped);
+  });
+
+  it("retries failed relays with backoff, then gives up", async () => {
+    const flaky = mockTronWeb({ balances: { [ALICE]: 500n }, failures: 2 });
+    const recovered = await newSweeper(flaky, { maxRetries: 2 }).run([ALICE]);
+    assert.equal(recovered.swept[0].attempts, 3);
+
+    const broken = mockTronWeb({ balances: { [ALICE]: 500n }, failures: 5 });
+    const report = await newSweeper(broken, { maxRetries: 1 }).run([ALICE]);
+    assert.equal(report.swept.length, 0);
+    assert.include(report.failed[0], { owner: ALICE, error: "OUT_OF_ENERGY", attempts: 2 });
+  });
+});
@@ -0,0 +1,131 @@
+const { Interface, AbiCoder } = require("ethers");
+
+const { createTxTracker, contractTransaction } = require('../tracker');
+const { TRC20_ABI } = require('../abi');
+const { toEvmAddress } = require('../utils');
+
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const FROM = toEvmAddress("0x00000000000000000000000000000000000000aa");
+const TO = toEvmAddress("0x00000000000000000000000000000000000000ee");
+
+const bare = hex => hex.replace(/^0x/, "");
+
+function transferLog(amount) {
+  const { topics, data } = new Interface(TRC20_ABI).encodeEventLog("Transfer", [FROM, TO, amount]);
+  return { address: bare(TOKEN), topics: topics.map(bare), data: bare(data) };
+}
+
+// Chain that mines every broadcast after `pendingPolls` polls, except the first `expiring` copies
+function mockTronWeb({ pendingPolls = 0, expiring = 0, info = {}, head = 100 } = {}) {
+  const chain = { built: 0, broadcasts: [], polls: 0, head, infos: new Map() };
+
+  return {
+    chain,
+    defaultAddress: { hex: `41${FROM.slice(2)}` },
+    transactionBuilder: {
+      triggerSmartContract: async (contract, selector, options, params) => {
+        const n = chain.built++;
+        const expiration = n < expiring ? Date.now() - 1 : Date.now() + 60_000;
+        return { result: { result: true }, transaction: { txID: `tx${n}`, raw_data: { expiration }, selector, params } };
+      },
+    },
+    trx: {
+      sign: async transaction => ({ ...transaction, signature: ["00"] }),
+      sendRawTransaction: async signed => {
+        chain.broadcasts.push(signed.txID);
+        if (chain.broadcasts.length > expiring) {
+          chain.infos.set(signed.txID, { id: signed.txID, blockNumber: chain.head, blockTimeStamp: 1_700_000_000_000, ...info });
+        }
+        return { result: true, txid: signed.txID };
+      },
+      getTransactionInfo: async txid => {
+        chain.polls += 1;
+        return chain.polls > pendingPolls ? chain.infos.get(txid) || {} : {};
+      },
+      getCurrentBlock: async () => ({
+        block_header: { raw_data: { number: chain.head++, timestamp: Date.now() + 60_000 } },
+      }),
+    },
+  };
+}
+
+const call = { contract: TOKEN, selector: "transfer(address,uint256)", params: [] };
+
+function newTracker(tronWeb, options = {}) {
+  const delays = [];
+  const tracker = createTxTracker({
+    tronWeb,
+    pollInterval: 100,
+    maxPollInterval: 300,
+    backoffFactor: 2,
+    sleep: async ms => { delays.push(ms); },
+    ...options,
+  });
+  return { tracker, delays };
+}
+
+describe("tracker", () => {
+  it("polls with backoff and normalises the receipt", async () => {
+    const tronWeb = mockTronWeb({
+      pendingPolls: 3,
+      info: { fee: 345_000, receipt: { result: "SUCCESS", energy_usage_total: 29_650, energy_fee: 345_000 }, log: [transferLog(5n)] },
+    });
+    const { tracker, delays } = newTracker(tronWeb);
+
+    const receipt = await tracker.send(contractTransaction(tronWeb, call));
+
+    assert.deepEqual(delays, [100, 200, 300, 300]);
+    assert.include(receipt, {
+      txid: "tx0", status: "confirmed", result: "SUCCESS", blockNumber: 100, energyUsed: 29_650, feeSun: 345_000, revert: null, resends: 0,
+    });
+    assert.deepEqual(receipt.events, [{ event: "Transfer", address: TOKEN, logIndex: 0, args: { from: FROM, to: TO, value: "5" } }]);
+  });
+
+  it("decodes the revert reason of a failed transaction", async () => {
+    const reason = "08c379a0" + bare(AbiCoder.defaultAbiCoder().encode(["string"], ["Vault: deadline exceeded"]));
+    const tronWeb = mockTronWeb({
+      info: { result: "FAILED", receipt: { result: "REVERT", energy_usage_total: 900 }, contractResult: [reason] },
+    });
+
+    const receipt = await newTracker(tronWeb).tracker.send(contractTransaction(tronWeb, call));
+
+    assert.include(receipt, { status: "failed", result: "REVERT", revert: "Vault: deadline exceeded", energyUsed: 900 });
+  });
+
+  it("reports expired transactions and optionally re-sends them", async () => {
+    const once = mockTronWeb({ expiring: 1 });
+    const expired = await newTracker(once).tracker.send(contractTransaction(once, call));
+    assert.include(expired, { txid: "tx0", status: "expired", resends: 0 });
+
+    const tronWeb = mockTronWeb({ expiring: 2 });
+    const { tracker } = newTracker(tronWeb, { resendExpired: true });
+    const receipt = await tracker.send(contractTransaction(tronWeb, call));
+
+    assert.include(receipt, { txid: "tx2", status: "confirmed", resends: 2 });
+    assert.deepEqual(receipt.txids, ["tx0", "tx1", "tx2"]);
+    assert.deepEqual(tronWeb.chain.broadcasts, ["tx0", "tx1", "tx2"]);
+  });
+
+  it("waits for the configured confirmation depth", async () => {
+    const tronWeb = mockTronWeb({ head: 100 });
+    const { tracker } = newTracker(tronWeb, { confirmations: 5 });
+
+    const receipt = await tracker.send(contractTransaction(tronWeb, call));
+
+    assert.equal(receipt.blockNumber, 100);
+    assert.isAtLeast(tronWeb.chain.head - 1, 105);
+  });
+
+  it("gives up after the timeout", async () => {
+    const tronWeb = mockTronWeb({ pendingPolls: Infinity });
+    const { tracker } = newTracker(tronWeb, { timeout: 5, sleep: ms => new Promise(resolve => setTimeout(resolve, 2)) });
+
+    try {
+      await tracker.track("tx-unknown");
+    } catch (err) {
+      assert.equal(err.message, "Transaction tx-unknown not confirmed after 5ms");
+      return;
+    }
+    assert.fail("Expected a timeout");
+  });
+});
@@ -0,0 +1,92 @@
+const { TronWeb } = require("tronweb");
+const { TypedDataEncoder } = require("ethers");
+
+const Vault = artifacts.require("Vault");
+
+const { toEvmAddress } = require('../utils');
+const { relayParams, sendParams, SELECTORS } = require('../estimate');
+const { signIncrementNonce, typedSendDomain } = require('../signing');
+const { verifySendIntent } = require('../verify');
+const { deploySystem, transact, dryRun, fundVault, signedSend, keyOf } = require('./fixtures');
+
+contract("Vault typed send", accounts => {
+  let system;
+  let token;
+  let factory;
+  let entrypoint;
+  let siblings;
+  let chainId;
+
+  let owner;
+  let feeRecipient;
+  let relayer;
+
+  // Constant-calls `selector` on `vault` and returns the revert reason, or null if it would succeed
+  const dryRunSend = (vault, selector, args) => dryRun(vault, selector, sendParams(args.slice(1)), relayer);
+
+  before(async () => {
+    [owner, feeRecipient, relayer] = accounts;
+    system = await deploySystem();
+    ({ token, factory, entrypoint, chainId } = system);
+
+    // Two vaults of the same owner: factory nonce 0, then nonce 1 after a rotation
+    const ownerParam = [{ type: "address", value: toEvmAddress(owner) }];
+    await transact(factory.address, SELECTORS.deploy, ownerParam);
+    const rotation = await signIncrementNonce({ owner }, { privateKey: keyOf(owner), tronWeb, factory: factory.address });
+    await transact(factory.address, SELECTORS.incrementNonce, [...ownerParam, { type: "bytes", value: rotation.signature }]);
+    await transact(factory.address, SELECTORS.deploy, ownerParam);
+
+    siblings = [];
+    for (const nonce of [0, 1]) {
+      siblings.push(await fundVault(system, owner, TronWeb.toSun(100), { nonce }));
+    }
+  });
+
+  it("derives the same domain separator as the JS helpers", async () => {
+    for (const vault of siblings) {
+      const onChain = await (await Vault.at(vault)).domainSeparator();
+      assert.equal(onChain, TypedDataEncoder.hashDomain(typedSendDomain({ vault, chainId })));
+    }
+  });
+
+  it("accepts a legacy send signature on every sibling vault", async () => {
+    const { args } = await signedSend(system, { owner, nonce: 0 });
+
+    // The replay the typed path closes: both vaults are at nonce 0 with the same owner
+    assert.isNull(await dryRunSend(siblings[0], SELECTORS.send, args));
+    assert.isNull(await dryRunSend(siblings[1], SELECTORS.send, args));
+  });
+
+  it("rejects a typed signature for one vault on its sibling", async () => {
+    const { intent, signature, args } = await signedSend(system, { owner, vault: siblings[0], nonce: 0 }, { typed: true });
+
+    assert.isNull(await dryRunSend(siblings[0], SELECTORS.sendTyped, args));
+    assert.equal(await dryRunSend(siblings[1], SELECTORS.sendTyped, args), "Vault: invalid signature");
+    assert.equal(
+      verifySendIntent(intent, signature, { domain: typedSendDomain({ vault: siblings[1], chainId }) }).revert,
+      "Vault: invalid signature"
+    );
+
+    // Nor is it accepted as a legacy signature or for another chain
+    assert.equal(await dryRunSend(siblings[0], SELECTORS.send, args), "Vault: invalid signature");
+    const otherChain = await signedSend(system, { ...intent, nonce: 0 }, { typed: true, chainId: chainId + 1n });
+    assert.equal(await dryRunSend(siblings[0], SELECTORS.sendTyped, otherChain.args), "Vault: invalid signature");
+  });
+
+  it("relays a typed intent through EntryPoint.relayTyped", async () => {
+    // The owner's current vault is the nonce-1 sibling; vault, nonce and chain id are read from chain
+    const { intent, args } = await signedSend(system, {
+      owner, to: feeRecipient, amount: TronWeb.toSun(10), fee: TronWeb.toSun(1), feeRecipient: relayer,
+    }, { typed: true, chainId: undefined });
+    assert.equal(intent.vault, siblings[1]);
+
+    const receipt = await transact(entrypoint.address, SELECTORS.relayTyped, relayParams(args));
+
+    const sent = receipt.events.find(e => e.event === "TokenSent");
+    assert.equal(sent.address, siblings[1]);
+    assert.equal(sent.args.nonce, "0");
+    assert.equal(await token.balanceOf(feeRecipient), BigInt(TronWeb.toSun(9)));
+    assert.equal(await (await Vault.at(siblings[1])).nonce(), 1n);
+    assert.equal(await (await Vault.at(siblings[0])).nonce(), 0n);
+  });
+});
@@ -1,14 +1,17 @@
 const { TronWeb } = require("tronweb");
 const { ethers } = require("ethers");
 
-const TRC20 = artifacts.require("TRC20");
-
 const Vault = artifacts.require("Vault");
-const VaultFactory = artifacts.require("VaultFactory");
 
-const { computeVaultAddress, base58ToHexAddr, hexToBase58, toEthAddress, getEpoch } = require('../utils');
+const { computeVaultAddress, hexToBase58, toEvmAddress, formatAddress, CHAIN_FLAVOURS } = require('../utils');
+const { deriveVaultAddress } = require('../config');
+const { signIncrementNonce } = require('../signing');
+const { sendParams, SELECTORS } = require('../estimate');
+const { cancelPendingIntents } = require('../cancel');
+const { deploySystem, transact, dryRun, expectRevert, vaultOf, fundVault, signedSend, keyOf } = require('./fixtures');
 
 contract("Vault", accounts => {
+  let system;
   let token;
   let factory;
   let owner;
@@ -17,11 +20,9 @@ contract("Vault", accounts => {
 
   before(async () => {
     [owner, feeRecipient, relayer] = accounts;
-    token = await TRC20.new();
+    system = await deploySystem();
+    ({ token, factory } = system);
     console.log("Token deployed at:", token.address);
-
-    // Deploy factory and check implementation
-    factory = await VaultFactory.new();
     console.log("Factory deployed at:", factory.address);
 
     const implementation = await factory.implementation();
@@ -36,18 +37,14 @@ contract("Vault", accounts => {
     const computedAddress = await factory.computeAddress(owner);
     console.log("Computed address:", hexToBase58(computedAddress));
 
-    const syncCompute = computeVaultAddress(
-      toEthAddress(factory.address),
-      toEthAddress(await factory.implementation()),
-      toEthAddress(base58ToHexAddr(owner))
-    );
+    const syncCompute = computeVaultAddress(factory.address, await factory.implementation(), owner);
 
-    assert.equal(toEthAddress(computedAddress).toLowerCase(), syncCompute.toLowerCase(), "Computed address does not match");
+    assert.equal(toEvmAddress(computedAddress), syncCompute, "Computed address does not match");
 
     // deploy the vault and wait for it
-    const deployTx = await factory.deploy(owner);
-    console.log("Deployment tx:", deployTx.tx);
-    await new Promise(resolve => setTimeout(resolve, 10000));
+    const deployTx = await transact(factory.address, SELECTORS.deploy, [{ type: "address", value: toEvmAddress(owner) }]);
+    console.log("Deployment tx:", deployTx.txid);
+    assert.equal(deployTx.events.find(e => e.event === "VaultDeployed").args.vault, toEvmAddress(computedAddress));
 
     // check the vault is deployed
     const isDeployed = await factory.isDeployed(owner);
@@ -69,52 +66,33 @@ contract("Vault", accounts => {
     }
   });
 
+  it("detects the chain's CREATE2 prefix and matches the offline derivation", async () => {
+    const prefix = String(await factory.create2Prefix()).toLowerCase();
+    const flavour = Object.keys(CHAIN_FLAVOURS).find(name => CHAIN_FLAVOURS[name].create2Prefix === prefix);
+    assert.isDefined(flavour, `Unexpected CREATE2 prefix ${prefix}`);
+
+    const network = { flavour, factory: factory.address, implementation: await factory.implementation() };
+    for (const nonce of [0, 1, 5]) {
+      const { vault, address } = deriveVaultAddress(network, feeRecipient, nonce);
+      assert.equal(await vaultOf(system, feeRecipient, nonce), vault);
+      assert.equal(address, formatAddress(vault, CHAIN_FLAVOURS[flavour].addressFormat));
+    }
+  });
+
   it("transfers TRC20 from the vault", async () => {
-    const vaultAddress = await factory.computeAddress(owner);
+    const vaultAddress = await fundVault(system, owner, TronWeb.toSun(100));
     const vault = await Vault.at(vaultAddress);
-
-    await token.mint(vaultAddress, TronWeb.toSun(100));
     const balance = await token.balanceOf(vaultAddress);
 
     // sign the send transaction
     const nonce = await vault.nonce();
-    const deadline = getEpoch() + 1000;
     const fee = TronWeb.toSun(1);
+    const { digest, signature: sig, args } = await signedSend(system, { owner, amount: balance, feeRecipient, fee, nonce });
 
-    const hash = ethers.solidityPackedKeccak256(
-      ["address", "address", "uint256", "address", "uint256", "uint256", "uint256"],
-      [
-        toEthAddress(token.address),
-        toEthAddress(base58ToHexAddr(owner)),
-        balance,
-        toEthAddress(base58ToHexAddr(feeRecipient)),
-        fee,
-        deadline,
-        nonce
-      ]
-    );
-
-    const bytes = ethers.getBytes(hash);
-
-    const privateKey = tronWrap._privateKeyByAccount[owner];
-    const sig = await tronWrap.trx.signMessageV2(bytes, privateKey);
-
-
-    const recovered = await tronWeb.trx.verifyMessageV2(bytes, sig);
+    const recovered = await tronWeb.trx.verifyMessageV2(ethers.getBytes(digest), sig);
     assert.equal(recovered, owner);
 
-    await vault.send(
-      toEthAddress(token.address),
-      toEthAddress(base58ToHexAddr(owner)),
-      balance,
-      toEthAddress(base58ToHexAddr(feeRecipient)),
-      fee,
-      deadline,
-      sig,
-      {
-        from: relayer
-      }
-    );
+    await vault.send(...args.slice(1), { from: relayer });
 
     assert.equal(await token.balanceOf(vaultAddress), 0, "Vault Balance not transferred");
     assert.equal(await token.balanceOf(owner), BigInt(balance) - BigInt(fee), "Owner Balance not transferred");
@@ -122,20 +100,36 @@ contract("Vault", accounts => {
     assert.equal(await vault.nonce(), nonce + 1n, "Nonce not incremented");
   });
 
+  it("cancels outstanding intents without moving the vault", async () => {
+    const vaultAddress = await vaultOf(system, owner);
+    const vault = await Vault.at(vaultAddress);
+    const nonce = await vault.nonce();
+
+    // Two intents signed ahead for the next nonces
+    const pending = [];
+    for (const n of [nonce, nonce + 1n]) {
+      const { args } = await signedSend(system, { owner, amount: 0, nonce: n });
+      pending.push(args.slice(1));
+    }
+
+    const result = await cancelPendingIntents(owner, { tronWeb, factory: factory.address, privateKey: keyOf(owner), upTo: nonce + 2n });
+    assert.include(result, { vault: vaultAddress, deployed: false });
+    assert.deepEqual([result.fromNonce, result.toNonce], [nonce.toString(), (nonce + 2n).toString()]);
+    assert.equal(await vault.nonce(), nonce + 2n, "Nonce not moved past the cancelled intents");
+    assert.equal(await vaultOf(system, owner), vaultAddress, "The owner must keep the vault");
+
+    for (const args of pending) {
+      await expectRevert(dryRun(vaultAddress, SELECTORS.send, sendParams(args), relayer), "Vault: invalid signature");
+    }
+  });
+
   it("should increment nonce of vault with signed message", async () => {
     const nonce = await factory.nonces(owner);
     assert.equal(nonce, 0n, "Initial nonce should be 0");
 
-    const hash = ethers.solidityPackedKeccak256(
-      ["string", "address", "uint64"],
-      ["VaultNonce", toEthAddress(base58ToHexAddr(owner)), nonce]
-    );
-
-    const bytes = ethers.getBytes(hash);
-
-    // Sign using TronWrap
-    const privateKey = tronWrap._privateKeyByAccount[owner];
-    const sig = await tronWrap.trx.signMessageV2(bytes, privateKey);
+    // Sign using the owner's key
+    const { digest, signature: sig } = await signIncrementNonce({ owner, nonce }, { privateKey: keyOf(owner) });
+    const bytes = ethers.getBytes(digest);
 
     // Confirm the signature verifies correctly
     const recovered = await tronWeb.trx.verifyMessageV2(bytes, sig);
@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const { TronWeb } = require("tronweb");
+const { ethers } = require("ethers");
+
+const Vault = artifacts.require("Vault");
+
+const { base58ToHexAddr, toEvmAddress, getEpoch } = require('../utils');
+const { signSend, signIncrementNonce } = require('../signing');
+const { verifySendIntent, verifyIncrementNonce } = require('../verify');
+const { deploySystem, deployVault, fundVault, keyOf } = require('./fixtures');
+
+const SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+const FUZZ_RUNS = 40;
+
+// Mutations applied to a valid 65-byte signature; each returns a new hex string
+const mutations = [
+  ["valid", sig => sig],
+  ["v = 0", sig => setV(sig, 0)],
+  ["v = 1", sig => setV(sig, 1)],
+  ["v flipped", sig => setV(sig, getBytes(sig)[64] === 27 ? 28 : 27)],
+  ["v = 29", sig => setV(sig, 29)],
+  ["v = 255", sig => setV(sig, 255)],
+  ["high s", sig => {
+    const bytes = getBytes(sig);
+    const s = BigInt(ethers.hexlify(bytes.slice(32, 64)));
+    bytes.set(ethers.getBytes(ethers.toBeHex(SECP256K1_N - s, 32)), 32);
+    bytes[64] = bytes[64] === 27 ? 28 : 27;
+    return ethers.hexlify(bytes);
+  }],
+  ["zero r", sig => {
+    const bytes = getBytes(sig);
+    bytes.fill(0, 0, 32);
+    return ethers.hexlify(bytes);
+  }],
+  ["truncated", sig => ethers.hexlify(getBytes(sig).slice(0, crypto.randomInt(0, 65)))],
+  ["extended", sig => ethers.hexlify(ethers.concat([sig, crypto.randomBytes(crypto.randomInt(1, 40))]))],
+  ["random bytes", () => ethers.hexlify(crypto.randomBytes(65))],
+  ["bit flip", sig => {
+    const bytes = getBytes(sig);
+    const i = crypto.randomInt(0, 64);
+    bytes[i] ^= 1 << crypto.randomInt(0, 8);
+    return ethers.hexlify(bytes);
+  }],
+];
+
+function getBytes(hex) {
+  return Uint8Array.from(ethers.getBytes(hex));
+}
+
+function setV(sig, v) {
+  const bytes = getBytes(sig);
+  bytes[64] = v;
+  return ethers.hexlify(bytes);
+}
+
+function pickMutation(i) {
+  return i < mutations.length ? mutations[i] : mutations[crypto.randomInt(0, mutations.length)];
+}
+
+// Runs the call as a constant call and returns its `Error(string)` reason, if any
+async function constantRevert(contractAddress, functionSelector, params, from) {
+  const { constant_result } = await tronWeb.transactionBuilder.triggerConstantContract(
+    contractAddress,
+    functionSelector,
+    {},
+    params,
+    base58ToHexAddr(from)
+  );
+  const output = (constant_result && constant_result[0]) || "";
+  if (!output.startsWith("08c379a0")) return null;
+  return ethers.AbiCoder.defaultAbiCoder().decode(["string"], `0x${output.slice(8)}`)[0];
+}
+
+contract("verify", accounts => {
+  let token;
+  let factory;
+  let vault;
+  let owner;
+  let feeRecipient;
+  let relayer;
+
+  before(async () => {
+    [owner, feeRecipient, relayer] = accounts;
+    const system = await deploySystem();
+    ({ token, factory } = system);
+
+    vault = await Vault.at(await deployVault(system, owner));
+    await fundVault(system, owner, TronWeb.toSun(100));
+  });
+
+  it("predicts the Vault.send revert for fuzzed signatures", async () => {
+    const privateKey = keyOf(owner);
+    const nonce = await vault.nonce();
+
+    for (let i = 0; i < FUZZ_RUNS; i++) {
+      const intent = {
+        owner,
+        token: token.address,
+        to: owner,
+        amount: TronWeb.toSun(crypto.randomInt(1, 50)),
+        feeRecipient,
+        fee: 0,
+        deadline: getEpoch() + 1000,
+        nonce,
+      };
+      const { signature } = await signSend(intent, { privateKey });
+      const [name, mutate] = pickMutation(i);
+      const sig = mutate(signature);
+
+      const predicted = verifySendIntent(intent, sig);
+      const onChain = await constantRevert(
+        vault.address,
+        "send(address,address,uint256,address,uint256,uint256,bytes)",
+        [
+          { type: "address", value: toEvmAddress(intent.token) },
+          { type: "address", value: toEvmAddress(intent.to) },
+          { type: "uint256", value: intent.amount },
+          { type: "address", value: toEvmAddress(intent.feeRecipient) },
+          { type: "uint256", value: intent.fee },
+          { type: "uint256", value: intent.deadline },
+          { type: "bytes", value: sig },
+        ],
+        relayer
+      );
+
+      assert.equal(predicted.revert, onChain, `${name}: prediction differs for ${sig}`);
+      assert.equal(predicted.valid, onChain === null, `${name}: validity differs for ${sig}`);
+    }
+  });
+
+  it("predicts the VaultFactory.incrementNonce revert for fuzzed signatures", async () => {
+    const privateKey = keyOf(owner);
+    const nonce = await factory.nonces(owner);
+    const { signature } = await signIncrementNonce({ owner, nonce }, { privateKey });
+
+    for (let i = 0; i < FUZZ_RUNS; i++) {
+      const [name, mutate] = pickMutation(i);
+      const sig = mutate(signature);
+
+      const predicted = verifyIncrementNonce({ owner, nonce }, sig);
+      const onChain = await constantRevert(
+        factory.address,
+        "incrementNonce(address,bytes)",
+        [
+          { type: "address", value: toEvmAddress(owner) },
+          { type: "bytes", value: sig },
+        ],
+        relayer
+      );
+
+      assert.equal(predicted.revert, onChain, `${name}: prediction differs for ${sig}`);
+      assert.equal(predicted.valid, onChain === null, `${name}: validity differs for ${sig}`);
+    }
+  });
+});
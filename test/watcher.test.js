@@ -0,0 +1,165 @@
+const { createDepositWatcher, tronWebDepositClient } = require('../watcher');
+const { memoryCheckpoint } = require('../checkpoint');
+const { computeVaultAddress, toEvmAddress, TRX } = require('../utils');
+
+const FACTORY = toEvmAddress("0x00000000000000000000000000000000000000cc");
+const IMPLEMENTATION = toEvmAddress("0x00000000000000000000000000000000000000c1");
+const TOKEN = toEvmAddress("0x00000000000000000000000000000000000000bb");
+const ALICE = toEvmAddress("0x00000000000000000000000000000000000000a1");
+const BOB = toEvmAddress("0x00000000000000000000000000000000000000b0");
+const SENDER = toEvmAddress("0x00000000000000000000000000000000000000ee");
+
+// Fake event source: transfers are appended by the test, nonces can be rotated
+function fakeClient() {
+  const nonces = new Map();
+  const transfers = [];
+  return {
+    transfers,
+    nonces,
+    getImplementation: async () => IMPLEMENTATION,
+    getCreate2Prefix: async () => "0x41",
+    getFactoryNonce: async owner => nonces.get(owner) || 0n,
+    getLatestBlock: async () => ({ number: 1, timestamp: 1000 }),
+    getTransferEvents: async (token, { fromTimestamp }) =>
+      transfers.filter(t => t.token === token && t.blockTimestamp >= fromTimestamp),
+    getTrxTransfers: async (address, { fromTimestamp }) =>
+      transfers.filter(t => t.token === TRX && t.to === address && t.blockTimestamp >= fromTimestamp),
+  };
+}
+
+function transfer(client, to, value, blockNumber, logIndex = 0, token = TOKEN) {
+  const event = {
+    token,
+    txid: `tx${client.transfers.length}`,
+    logIndex,
+    blockNumber,
+    blockTimestamp: blockNumber * 3000,
+    from: SENDER,
+    to,
+    value: String(value),
+  };
+  client.transfers.push(event);
+  return event;
+}
+
+function newWatcher(client, checkpoint) {
+  return createDepositWatcher({
+    client,
+    factory: FACTORY,
+    owners: [ALICE, BOB],
+    tokens: [TOKEN],
+    checkpoint,
+    fromBlock: 0,
+  });
+}
+
+describe("deposit watcher", () => {
+  it("derives each owner's vault for its current factory nonce", async () => {
+    const client = fakeClient();
+    client.nonces.set(BOB, 2n);
+
+    const vaults = await newWatcher(client).addresses();
+
+    assert.deepEqual([...vaults.keys()], [
+      computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0),
+      computeVaultAddress(FACTORY, IMPLEMENTATION, BOB, 2),
+    ]);
+  });
+
+  it("derives 0xff vault addresses on EVM chains", async () => {
+    const client = { ...fakeClient(), getCreate2Prefix: async () => "0xff" };
+    const vaults = await newWatcher(client).addresses();
+    assert.deepEqual([...vaults.keys()], [
+      computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0, "0xff"),
+      computeVaultAddress(FACTORY, IMPLEMENTATION, BOB, 0, "0xff"),
+    ]);
+
+    // Given by the caller, the prefix is not read from the chain
+    const given = await createDepositWatcher({
+      client: fakeClient(), factory: FACTORY, owners: [ALICE], tokens: [TOKEN], create2Prefix: "0xff",
+    }).addresses();
+    assert.deepEqual([...given.keys()], [computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0, "0xff")]);
+  });
+
+  it("takes the CREATE2 prefix from the network instead of the factory", async () => {
+    // Like a factory deployed before `create2Prefix()` existed
+    const client = { ...fakeClient(), getCreate2Prefix: async () => { throw new Error("REVERT opcode executed"); } };
+    for (const [network, prefix] of [[{ flavour: "tron" }, "0x41"], [{ flavour: "evm" }, "0xff"], [{}, "0x41"]]) {
+      const vaults = await createDepositWatcher({ client, factory: FACTORY, network, owners: [ALICE], tokens: [TOKEN] }).addresses();
+      assert.deepEqual([...vaults.keys()], [computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0, prefix)]);
+    }
+
+    // Without a network, the TronWeb client falls back to TRON's prefix when the factory reverts
+    const tronWeb = { contract: () => ({ create2Prefix: () => ({ call: async () => { throw new Error("REVERT opcode executed"); } }) }) };
+    assert.equal(await tronWebDepositClient(tronWeb, FACTORY).getCreate2Prefix(), "0x41");
+  });
+
+  it("emits deposits into watched vaults only", async () => {
+    const client = fakeClient();
+    const aliceVault = computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0);
+    transfer(client, aliceVault, 5_000_000n, 10);
+    transfer(client, SENDER, 1, 10, 1);
+
+    const watcher = newWatcher(client);
+    const emitted = [];
+    watcher.on("deposit", deposit => emitted.push(deposit));
+
+    const deposits = await watcher.poll();
+
+    assert.deepEqual(emitted, deposits);
+    assert.equal(deposits.length, 1);
+    assert.include(deposits[0], {
+      owner: ALICE,
+      vault: aliceVault,
+      token: TOKEN,
+      amount: "5000000",
+      txid: "tx0",
+      blockNumber: 10,
+    });
+  });
+
+  it("reports plain TRX transfers into the vaults when watching TRX", async () => {
+    const client = fakeClient();
+    const bobVault = computeVaultAddress(FACTORY, IMPLEMENTATION, BOB, 0);
+    transfer(client, bobVault, 3_000_000n, 12, 0, TRX);
+    transfer(client, SENDER, 1, 12, 0, TRX);
+
+    const deposits = await createDepositWatcher({
+      client, factory: FACTORY, owners: [ALICE, BOB], tokens: [TOKEN, "trx"], fromBlock: 0,
+    }).poll();
+
+    assert.lengthOf(deposits, 1);
+    assert.include(deposits[0], { owner: BOB, vault: bobVault, token: TRX, amount: "3000000" });
+  });
+
+  it("resumes from its checkpoint without re-emitting", async () => {
+    const client = fakeClient();
+    const checkpoint = memoryCheckpoint();
+    const bobVault = computeVaultAddress(FACTORY, IMPLEMENTATION, BOB, 0);
+    transfer(client, bobVault, 1, 10);
+
+    assert.equal((await newWatcher(client, checkpoint).poll()).length, 1);
+
+    // A second transfer in the same block and one in a later block, seen by a fresh process
+    transfer(client, bobVault, 2, 10, 1);
+    transfer(client, bobVault, 3, 11);
+    const restarted = await newWatcher(client, checkpoint).poll();
+
+    assert.deepEqual(restarted.map(d => d.amount), ["2", "3"]);
+    assert.deepEqual(await newWatcher(client, checkpoint).poll(), []);
+  });
+
+  it("follows an owner to a new vault after a nonce rotation", async () => {
+    const client = fakeClient();
+    const watcher = newWatcher(client);
+    await watcher.poll();
+
+    client.nonces.set(ALICE, 1n);
+    transfer(client, computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 0), 1, 20);
+    transfer(client, computeVaultAddress(FACTORY, IMPLEMENTATION, ALICE, 1), 2, 20, 1);
+
+    const deposits = await watcher.poll();
+    assert.equal(deposits.length, 1);
+    assert.equal(deposits[0].factoryNonce, "1");
+  });
+});
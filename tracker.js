@@ -0,0 +1,236 @@
+const { Interface } = require("ethers");
+
+const { FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI, TRC20_ABI } = require("./abi");
+const { decodeRevertReason } = require("./chain");
+const { toEvmAddress, ethToTronHex } = require("./utils");
+
+// Terminal statuses of a tracked transaction
+const CONFIRMED = "confirmed";
+const FAILED = "failed";
+const EXPIRED = "expired";
+
+const DEFAULT_ABIS = [FACTORY_ABI, VAULT_ABI, ENTRYPOINT_ABI, TRC20_ABI];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns a function that builds and signs a fresh `triggerSmartContract` transaction
+ * with the TronWeb default account. Every call picks a new reference block, so the
+ * result can be re-sent once an earlier copy expired.
+ * @param {TronWeb} tronWeb
+ * @param {object} call
+ * @param {string} call.contract - contract address, any form
+ * @param {string} call.selector - e.g. `relay(address,...)`
+ * @param {Array<{type: string, value: *}>} call.params
+ * @param {number} [call.feeLimit] - in sun
+ * @param {number} [call.callValue] - TRX sent along, in sun
+ * @returns {() => Promise<object>} signed transaction
+ */
+function contractTransaction(tronWeb, { contract, selector, params, feeLimit = 100_000_000, callValue = 0 }) {
+  return async () => {
+    const built = await tronWeb.transactionBuilder.triggerSmartContract(
+      ethToTronHex(toEvmAddress(contract)), selector, { feeLimit, callValue }, params, tronWeb.defaultAddress.hex
+    );
+    if (!built.result || !built.result.result) {
+      throw new Error(`Could not build ${selector}: ${JSON.stringify(built.result || built)}`);
+    }
+    return tronWeb.trx.sign(built.transaction);
+  };
+}
+
+/**
+ * Decodes the logs of a transaction info with the given ABIs. Logs no ABI knows are
+ * kept raw with `event: null`.
+ * @param {Array<{address: string, topics: string[], data: string}>} logs
+ * @param {Array<Array<object>>} [abis]
+ * @returns {Array<{event: string|null, address: string, logIndex: number, args: object}>}
+ */
+function decodeEvents(logs = [], abis = DEFAULT_ABIS) {
+  const iface = new Interface(abis.flat().filter(f => f.type === "event"));
+  return logs.map((log, logIndex) => {
+    const address = toEvmAddress(log.address);
+    let parsed = null;
+    try {
+      parsed = iface.parseLog({ topics: log.topics.map(hex), data: hex(log.data || "") });
+    } catch (err) {
+      // Not one of ours, kept raw below
+    }
+    if (!parsed) return { event: null, address, logIndex, args: { topics: log.topics, data: log.data || "" } };
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = normalizeArg(parsed.args[i]);
+    });
+    return { event: parsed.name, address, logIndex, args };
+  });
+}
+
+function hex(value) {
+  return value.startsWith("0x") ? value : `0x${value}`;
+}
+
+function normalizeArg(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) return toEvmAddress(value);
+  return value;
+}
+
+/**
+ * Turns a raw `getTransactionInfo` result into a receipt.
+ * @param {object} info
+ * @param {Array<Array<object>>} [abis] - used to decode the logs
+ * @returns {object} txid, status, result, blockNumber, blockTimestamp, energyUsed,
+ *   energyFee, netFee, feeSun, revert and events
+ */
+function normalizeReceipt(info, abis = DEFAULT_ABIS) {
+  const receipt = info.receipt || {};
+  // Plain transfers carry no receipt result; FAILED marks a contract that did not run
+  const result = receipt.result || (info.result === "FAILED" ? "FAILED" : "SUCCESS");
+  const success = result === "SUCCESS";
+  const message = info.resMessage ? Buffer.from(info.resMessage, "hex").toString("utf8") : null;
+
+  return {
+    txid: info.id,
+    status: success ? CONFIRMED : FAILED,
+    result,
+    blockNumber: info.blockNumber,
+    blockTimestamp: info.blockTimeStamp,
+    energyUsed: receipt.energy_usage_total || 0,
+    energyFee: receipt.energy_fee || 0,
+    netFee: receipt.net_fee || 0,
+    feeSun: info.fee || 0,
+    revert: success ? null : decodeRevertReason(info.contractResult && info.contractResult[0]) || message,
+    events: decodeEvents(info.log, abis),
+  };
+}
+
+/**
+ * Creates a tracker that broadcasts transactions and follows them until they are
+ * confirmed, fail, or expire, polling `getTransactionInfo` with exponential backoff.
+ *
+ * @param {object} options
+ * @param {TronWeb} options.tronWeb
+ * @param {number} [options.pollInterval] - ms before the first poll
+ * @param {number} [options.maxPollInterval] - ms between polls at most
+ * @param {number} [options.backoffFactor] - growth of the poll interval per attempt
+ * @param {number} [options.timeout] - ms to wait for one transaction, re-sends included
+ * @param {number} [options.confirmations] - blocks on top of the transaction's block before it counts as final
+ * @param {boolean} [options.resendExpired] - rebuild and re-send transactions that expired unmined
+ * @param {number} [options.maxResends] - re-sends per transaction at most
+ * @param {Array<Array<object>>} [options.abis] - ABIs used to decode events
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ */
+function createTxTracker({
+  tronWeb,
+  pollInterval = 1000,
+  maxPollInterval = 15_000,
+  backoffFactor = 1.5,
+  timeout = 120_000,
+  confirmations = 0,
+  resendExpired = false,
+  maxResends = 3,
+  abis = DEFAULT_ABIS,
+  sleep: wait = sleep,
+}) {
+  if (!tronWeb) throw new Error("Tracker: tronWeb is required");
+
+  async function headBlock() {
+    const { block_header } = await tronWeb.trx.getCurrentBlock();
+    return { number: block_header.raw_data.number, timestamp: block_header.raw_data.timestamp };
+  }
+
+  /**
+   * Broadcasts a signed transaction.
+   * @param {object} signed
+   * @returns {Promise<{txid: string, expiration: number|null}>}
+   */
+  async function broadcast(signed) {
+    const result = await tronWeb.trx.sendRawTransaction(signed);
+    if (!result.result) {
+      const message = result.message ? Buffer.from(result.message, "hex").toString("utf8") : "";
+      throw Object.assign(new Error(`Broadcast failed: ${result.code || "unknown"} ${message}`.trim()), {
+        code: result.code,
+      });
+    }
+    return { txid: signed.txID, expiration: (signed.raw_data && signed.raw_data.expiration) || null };
+  }
+
+  // Resolves with the receipt, or null once the chain is past `expiration` without it
+  async function follow(txid, expiration, deadline) {
+    let delay = pollInterval;
+    for (;;) {
+      await wait(delay);
+      delay = Math.min(delay * backoffFactor, maxPollInterval);
+
+      const info = await tronWeb.trx.getTransactionInfo(txid);
+      if (info && info.id) {
+        const receipt = normalizeReceipt(info, abis);
+        if (confirmations > 0) await waitForDepth(receipt.blockNumber, deadline);
+        return receipt;
+      }
+
+      // The local clock only says when to ask; the head block decides
+      if (expiration && Date.now() > expiration && (await headBlock()).timestamp > expiration) return null;
+      if (Date.now() > deadline) throw new Error(`Transaction ${txid} not confirmed after ${timeout}ms`);
+    }
+  }
+
+  async function waitForDepth(blockNumber, deadline) {
+    let delay = pollInterval;
+    while ((await headBlock()).number < blockNumber + confirmations) {
+      if (Date.now() > deadline) {
+        throw new Error(`Block ${blockNumber} did not reach ${confirmations} confirmations after ${timeout}ms`);
+      }
+      await wait(delay);
+      delay = Math.min(delay * backoffFactor, maxPollInterval);
+    }
+  }
+
+  /**
+   * Follows an already broadcast transaction.
+   * @param {string} txid
+   * @param {object} [options]
+   * @param {number} [options.expiration] - `raw_data.expiration` in ms; without it only `timeout` ends the wait
+   * @returns {Promise<object>} receipt (see `normalizeReceipt`) with status confirmed, failed or expired
+   */
+  async function track(txid, { expiration = null } = {}) {
+    const receipt = await follow(txid, expiration, Date.now() + timeout);
+    return receipt || { txid, status: EXPIRED, expiration };
+  }
+
+  /**
+   * Builds, broadcasts and follows a transaction, re-building it after expiry if
+   * `resendExpired` is set.
+   * @param {() => Promise<object>} build - returns a signed transaction, see `contractTransaction`
+   * @param {object} [options]
+   * @param {(txid: string) => void} [options.onBroadcast] - called for every broadcast, re-sends included
+   * @returns {Promise<object>} receipt with `resends` and every broadcast `txids`
+   */
+  async function send(build, { onBroadcast = () => {} } = {}) {
+    const deadline = Date.now() + timeout;
+    const txids = [];
+
+    for (;;) {
+      const { txid, expiration } = await broadcast(await build());
+      txids.push(txid);
+      onBroadcast(txid);
+
+      const receipt = await follow(txid, expiration, deadline);
+      const resends = txids.length - 1;
+      if (receipt) return { ...receipt, resends, txids };
+      if (!resendExpired || resends >= maxResends) return { txid, status: EXPIRED, expiration, resends, txids };
+    }
+  }
+
+  return { broadcast, track, send };
+}
+
+module.exports = {
+  createTxTracker,
+  contractTransaction,
+  normalizeReceipt,
+  decodeEvents,
+  CONFIRMED,
+  FAILED,
+  EXPIRED,
+};
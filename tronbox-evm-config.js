@@ -1,3 +1,9 @@
+const development = {
+  privateKey: process.env.PRIVATE_KEY_DEV,
+  fullHost: 'http://127.0.0.1:8545',
+  network_id: '9'
+};
+
 module.exports = {
   networks: {
     bttc: {
@@ -22,15 +28,13 @@ module.exports = {
       fullHost: 'https://pre-rpc.bt.io',
       network_id: '2'
     },
-    development: {
-      privateKey: process.env.PRIVATE_KEY_DEV,
-      fullHost: 'http://127.0.0.1:8545',
-      network_id: '9'
-    }
+    development,
+    // The name of this node in tron-vaults.config.json, where `development` is the TRON one
+    'development-evm': { ...development }
   },
   compilers: {
     solc: {
-      version: '0.8.7',
+      version: '0.8.20',
       // An object with the same schema as the settings entry in the Input JSON.
       // See https://docs.soliditylang.org/en/latest/using-the-compiler.html#input-description
       settings: {
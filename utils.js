@@ -7,15 +7,26 @@ const {
   getAddress,
 } = require("ethers");
 
+// Token address the contracts read as native TRX
+const TRX = "0x0000000000000000000000000000000000000000";
+
+// CREATE2 preimage prefix and display format of each kind of chain the factory runs on
+const CHAIN_FLAVOURS = {
+  tron: { create2Prefix: "0x41", addressFormat: "base58" },
+  evm: { create2Prefix: "0xff", addressFormat: "hex" },
+};
+
 /**
- * Compute EVM-style CREATE2 address used by VaultFactory on TRON.
+ * Compute EVM-style CREATE2 address used by VaultFactory.
  * @param {string} factoryAddress  - ETH-style (0x...) factory address (20 bytes)
  * @param {string} implementationAddress - ETH-style logic address (20 bytes)
  * @param {string} owner - ETH-style owner address (20 bytes)
  * @param {number} nonce - vault nonce (uint64)
+ * @param {string} [create2Prefix] - preimage prefix, "0x41" on TRON (default) or "0xff" on EVM chains
  * @returns {string} Ethereum-style 0x-prefixed address (checksummed)
  */
-function computeVaultAddress(factoryAddress, implementationAddress, owner, nonce = 0) {
+function computeVaultAddress(factoryAddress, implementationAddress, owner, nonce = 0, create2Prefix = CHAIN_FLAVOURS.tron.create2Prefix) {
+  if (!/^0x[0-9a-fA-F]{2}$/.test(create2Prefix)) throw new Error(`Invalid CREATE2 prefix: ${create2Prefix}`);
   const logic = implementationAddress.toLowerCase().replace(/^0x/, "");
   if (logic.length !== 40) throw new Error("Invalid logic address length");
 
@@ -34,10 +45,10 @@ function computeVaultAddress(factoryAddress, implementationAddress, owner, nonce
     AbiCoder.defaultAbiCoder().encode(["address", "uint64"], [owner, nonce])
   );
 
-  // 3. Build preimage with TRON prefix 0x41 (instead of 0xff)
+  // 3. Build preimage with the chain's prefix (0x41 on TRON instead of 0xff)
   const preImage = solidityPacked(
     ["bytes1", "address", "bytes32", "bytes32"],
-    ["0x41", factoryAddress, salt, initHash]
+    [create2Prefix, factoryAddress, salt, initHash]
   );
 
   const digest = keccak256(preImage); // 32-byte hash
@@ -88,6 +99,91 @@ function ethToBase58(ethAddress) {
   return TronWeb.address.fromHex(ethToTronHex(ethAddress));
 }
 
+/**
+ * Normalise any TRON address form to the 20-byte ETH-style form the contracts hash.
+ * @param {string} address - base58 (T...), 41-prefixed hex (with or without 0x) or 0x ETH-style
+ * @returns {string} Ethereum-style 0x-prefixed address (checksummed)
+ */
+function toEvmAddress(address) {
+  if (typeof address !== "string") {
+    throw new Error("Invalid address: expected a string");
+  }
+
+  const hex = address.replace(/^0x/i, "");
+  if (/^[0-9a-fA-F]{40}$/.test(hex)) {
+    return getAddress(`0x${hex}`);
+  }
+  if (/^41[0-9a-fA-F]{40}$/.test(hex)) {
+    return getAddress(`0x${hex.slice(2)}`);
+  }
+  if (TronWeb.isAddress(address)) {
+    return getAddress(toEthAddress(base58ToHexAddr(address)));
+  }
+
+  throw new Error(`Invalid address: ${address}`);
+}
+
+/**
+ * Renders an address the way the chain's wallets and explorers show it.
+ * @param {string} address - any form accepted by `toEvmAddress`
+ * @param {"base58"|"hex"} format - `addressFormat` of the chain flavour, see `CHAIN_FLAVOURS`
+ * @returns {string} base58 (T...) for "base58", checksummed 0x for "hex"
+ */
+function formatAddress(address, format) {
+  const evm = toEvmAddress(address);
+  if (format === "base58") return ethToBase58(evm);
+  if (format === "hex") return evm;
+  throw new Error(`Invalid address format: ${format}`);
+}
+
+/**
+ * Normalise a token to the address the contracts take, with "TRX" (any case) for native TRX.
+ * @param {string} token - "TRX" or a TRC20 address in any form
+ * @returns {string} Ethereum-style 0x-prefixed address, `TRX` for native TRX
+ */
+function toTokenAddress(token) {
+  if (typeof token === "string" && token.toUpperCase() === "TRX") return TRX;
+  return toEvmAddress(token);
+}
+
+/**
+ * @param {string} token - "TRX" or a token address in any form
+ * @returns {boolean} whether the token is native TRX
+ */
+function isTrx(token) {
+  return toTokenAddress(token) === TRX;
+}
+
+/**
+ * Coerce an amount to a uint256 BigInt without going through floating point.
+ * @param {bigint|number|string} value - integer amount (decimal or 0x-hex string)
+ * @param {string} [name] - field name used in error messages
+ * @returns {bigint}
+ */
+function toUint256(value, name = "value") {
+  let n;
+  if (typeof value === "bigint") {
+    n = value;
+  } else if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Invalid ${name}: ${value} is not a safe integer, pass a string or BigInt`);
+    }
+    n = BigInt(value);
+  } else if (typeof value === "string" && /^(0x[0-9a-fA-F]+|\d+)$/.test(value.trim())) {
+    n = BigInt(value.trim());
+  } else if (value && typeof value.toString === "function" && /^\d+$/.test(value.toString())) {
+    // BigNumber-like values returned by TronWeb
+    n = BigInt(value.toString());
+  } else {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+
+  if (n < 0n || n >= 2n ** 256n) {
+    throw new Error(`Invalid ${name}: ${value} is out of uint256 range`);
+  }
+  return n;
+}
+
 module.exports = { 
   computeVaultAddress,
   getEpoch,
@@ -96,4 +192,11 @@ module.exports = {
   toEthAddress,
   ethToTronHex,
   ethToBase58,
+  toEvmAddress,
+  formatAddress,
+  toTokenAddress,
+  isTrx,
+  toUint256,
+  TRX,
+  CHAIN_FLAVOURS,
 }
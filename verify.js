@@ -0,0 +1,234 @@
+const {
+  getBytes,
+  hexlify,
+  keccak256,
+  concat,
+  toUtf8Bytes,
+  zeroPadValue,
+  toBeHex,
+  recoverAddress,
+  ZeroAddress,
+} = require("ethers");
+
+const { vaultContract, fetchVaultState, fetchRuntimeCode, fetchSignatureValidity } = require("./chain");
+const { buildSendDigest, buildNonceDigest, buildTypedSendDigest, normalizeSend } = require("./signing");
+const { toEvmAddress, getEpoch } = require("./utils");
+
+// Same prefix both contracts prepend before ecrecover
+const TRON_MESSAGE_PREFIX = "\x19TRON Signed Message:\n32";
+
+// secp256k1 group order and the `s <= n/2` bound hardcoded in both contracts
+const SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+const MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0n;
+
+/**
+ * `Vault._recover` rejects anything but 65 bytes. `VaultFactory._recover` has no
+ * length check: it reads the first 65 bytes of the memory copy, which solidity
+ * zero-fills past the end of a short signature.
+ */
+const VAULT_RULES = {
+  checkLength: true,
+  prefixed: true,
+  reverts: {
+    length: "Vault: invalid signature length",
+    v: "Vault: invalid v",
+    s: "Vault: invalid s",
+    signature: "Vault: invalid signature",
+  },
+};
+
+// `Vault.sendTyped` recovers from the TIP-712 digest as is
+const VAULT_TYPED_RULES = { ...VAULT_RULES, prefixed: false };
+
+// Reverts of an ECDSA check that a contract owner's `isValidSignature` may still overturn
+const SIGNATURE_REVERTS = new Set(Object.values(VAULT_RULES.reverts));
+
+const FACTORY_RULES = {
+  checkLength: false,
+  prefixed: true,
+  reverts: {
+    v: "Vault Factory: invalid v",
+    s: "Vault Factory: invalid s",
+    signature: "Vault Factory: invalid signature",
+  },
+};
+
+function prefixedDigest(digest) {
+  return keccak256(concat([toUtf8Bytes(TRON_MESSAGE_PREFIX), getBytes(digest)]));
+}
+
+/**
+ * Emulates the `ecrecover` precompile: address(0) instead of throwing on bad input.
+ */
+function ecrecover(hash, v, r, s) {
+  if (r === 0n || r >= SECP256K1_N || s === 0n || s >= SECP256K1_N) return ZeroAddress;
+  try {
+    return recoverAddress(hash, {
+      r: zeroPadValue(toBeHex(r), 32),
+      s: zeroPadValue(toBeHex(s), 32),
+      v,
+    });
+  } catch (err) {
+    return ZeroAddress;
+  }
+}
+
+/**
+ * Reproduces a contract `_recover(hash, sig)` step by step.
+ * @param {string} digest - 0x-prefixed 32-byte digest, before the TRON prefix if `rules.prefixed`
+ * @param {string|Uint8Array} signature
+ * @param {object} rules - VAULT_RULES, VAULT_TYPED_RULES or FACTORY_RULES
+ * @returns {{signer: string|null, revert: string|null, r: string, s: string, v: number}}
+ */
+function recoverWithRules(digest, signature, rules) {
+  let bytes;
+  try {
+    bytes = getBytes(signature);
+  } catch (err) {
+    throw new Error(`Invalid signature encoding: ${err.message}`);
+  }
+
+  if (rules.checkLength && bytes.length !== 65) {
+    return { signer: null, revert: rules.reverts.length, r: null, s: null, v: null };
+  }
+
+  const word = new Uint8Array(65);
+  word.set(bytes.slice(0, 65));
+
+  const r = BigInt(hexlify(word.slice(0, 32)));
+  const s = BigInt(hexlify(word.slice(32, 64)));
+  let v = word[64];
+  const parts = { r: toBeHex(r, 32), s: toBeHex(s, 32), v };
+
+  // uint8 arithmetic: v < 27 never overflows
+  if (v < 27) v += 27;
+  parts.v = v;
+  if (v !== 27 && v !== 28) {
+    return { signer: null, revert: rules.reverts.v, ...parts };
+  }
+
+  if (s > MAX_S) {
+    return { signer: null, revert: rules.reverts.s, ...parts };
+  }
+
+  const hash = rules.prefixed ? prefixedDigest(digest) : digest;
+  return { signer: ecrecover(hash, v, r, s), revert: null, ...parts };
+}
+
+/**
+ * Recovers the signer `Vault.send` would see for an intent.
+ * @param {object} intent - token, to, amount, feeRecipient, fee, deadline, nonce
+ * @param {string|Uint8Array} signature
+ * @returns {{digest: string, signer: string|null, revert: string|null, r: string, s: string, v: number}}
+ */
+function recoverSendSigner(intent, signature) {
+  const digest = buildSendDigest(intent);
+  return { digest, ...recoverWithRules(digest, signature, VAULT_RULES) };
+}
+
+/**
+ * Recovers the signer `Vault.sendTyped` would see for an intent.
+ * @param {object} intent - token, to, amount, feeRecipient, fee, deadline, nonce
+ * @param {string|Uint8Array} signature
+ * @param {object} domain - the vault's domain, see `typedSendDomain`
+ * @returns {{digest: string, signer: string|null, revert: string|null, r: string, s: string, v: number}}
+ */
+function recoverTypedSendSigner(intent, signature, domain) {
+  const digest = buildTypedSendDigest(intent, domain);
+  return { digest, ...recoverWithRules(digest, signature, VAULT_TYPED_RULES) };
+}
+
+/**
+ * Recovers the signer `VaultFactory.incrementNonce` would see.
+ * @param {object} params - owner and the current factory nonce
+ * @param {string|Uint8Array} signature
+ * @returns {{digest: string, signer: string|null, revert: string|null, r: string, s: string, v: number}}
+ */
+function recoverNonceSigner({ owner, nonce }, signature) {
+  const digest = buildNonceDigest({ owner, nonce });
+  return { digest, ...recoverWithRules(digest, signature, FACTORY_RULES) };
+}
+
+/**
+ * Predicts whether `Vault.send` would accept an intent, in the order the contract checks.
+ * @param {object} intent - owner, token, to, amount, feeRecipient, fee, deadline, nonce (the vault's current nonce)
+ * @param {string|Uint8Array} signature
+ * @param {object} [options]
+ * @param {number|bigint} [options.now] - block timestamp to check the deadline against, defaults to the local clock
+ * @param {object} [options.domain] - check as a `Vault.sendTyped` signature for this domain, see `typedSendDomain`
+ * @param {string} [options.currentOwner] - the vault's owner after a `transferOwnership`, defaults to `intent.owner`
+ * @returns {{valid: boolean, revert: string|null, signer: string|null, owner: string, digest: string}}
+ */
+function verifySendIntent(intent, signature, { now = getEpoch(), domain, currentOwner } = {}) {
+  const owner = toEvmAddress(currentOwner || intent.owner);
+  const send = normalizeSend(intent);
+  const fail = (revert, recovered = { signer: null, digest: null }) => ({ ...recovered, valid: false, revert, owner });
+
+  if (!(BigInt(now) < send.deadline)) return fail("Vault: deadline exceeded");
+  if (send.fee > send.amount) return fail("Vault: fee exceeds amount");
+  if (send.fee > 0n && send.feeRecipient === ZeroAddress) return fail("Vault: invalid fee recipient");
+
+  const recovered = domain ? recoverTypedSendSigner(send, signature, domain) : recoverSendSigner(send, signature);
+  if (recovered.revert) return fail(recovered.revert, recovered);
+  if (recovered.signer !== owner) return fail(VAULT_RULES.reverts.signature, recovered);
+
+  return { ...recovered, valid: true, owner };
+}
+
+/**
+ * Like `verifySendIntent`, but checks the signature against the owner the vault sees on chain: the
+ * current owner of a transferred vault, and a contract owner through its ERC-1271 `isValidSignature`,
+ * with the digest `Vault.send` or `sendTyped` hands it. Only reads the chain when the offline check
+ * fails on the signature.
+ * @param {TronWeb} tronWeb
+ * @param {string} factory - VaultFactory address
+ * @param {object} intent - see `verifySendIntent`
+ * @param {string|Uint8Array} signature
+ * @param {object} [options]
+ * @param {number|bigint} [options.now] - see `verifySendIntent`
+ * @param {object} [options.domain] - see `verifySendIntent`
+ * @returns {Promise<{valid: boolean, revert: string|null, signer: string|null, owner: string, digest: string}>}
+ *   `signer` is the contract owner when it accepts the signature
+ */
+async function verifySendIntentOnChain(tronWeb, factory, intent, signature, { now = getEpoch(), domain } = {}) {
+  const check = verifySendIntent(intent, signature, { now, domain });
+  if (check.valid || !SIGNATURE_REVERTS.has(check.revert)) return check;
+
+  const state = await fetchVaultState(tronWeb, factory, intent.owner);
+  const owner = state.deployed ? toEvmAddress(await vaultContract(tronWeb, state.vault).owner().call()) : check.owner;
+  if ((await fetchRuntimeCode(tronWeb, owner)) === "0x") {
+    return owner === check.owner ? check : verifySendIntent(intent, signature, { now, domain, currentOwner: owner });
+  }
+
+  const hash = domain ? check.digest : prefixedDigest(check.digest);
+  const valid = await fetchSignatureValidity(tronWeb, owner, hash, hexlify(signature));
+  return { ...check, valid, revert: valid ? null : VAULT_RULES.reverts.signature, signer: valid ? owner : null, owner };
+}
+
+/**
+ * Predicts whether `VaultFactory.incrementNonce` would accept a signature.
+ * @param {object} params - owner and the current factory nonce
+ * @param {string|Uint8Array} signature
+ * @param {object} [options]
+ * @param {string} [options.currentOwner] - owner of the deployed current vault, which signs in place of `owner`
+ * @returns {{valid: boolean, revert: string|null, signer: string|null, owner: string, digest: string}}
+ */
+function verifyIncrementNonce({ owner, nonce }, signature, { currentOwner } = {}) {
+  const recovered = recoverNonceSigner({ owner: toEvmAddress(owner), nonce }, signature);
+  owner = toEvmAddress(currentOwner || owner);
+
+  if (recovered.revert) return { ...recovered, valid: false, owner };
+  if (recovered.signer !== owner) {
+    return { ...recovered, valid: false, revert: FACTORY_RULES.reverts.signature, owner };
+  }
+  return { ...recovered, valid: true, revert: null, owner };
+}
+
+module.exports = {
+  recoverSendSigner,
+  recoverTypedSendSigner,
+  recoverNonceSigner,
+  verifySendIntent,
+  verifySendIntentOnChain,
+  verifyIncrementNonce,
+};
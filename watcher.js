@@ -0,0 +1,268 @@
+const { EventEmitter } = require("events");
+
+const { factoryContract } = require("./chain");
+const { memoryCheckpoint } = require("./checkpoint");
+const { resolveChain } = require("./config");
+const {
+  computeVaultAddress,
+  ethToBase58,
+  isTrx,
+  toEvmAddress,
+  toTokenAddress,
+  toUint256,
+  CHAIN_FLAVOURS,
+} = require("./utils");
+
+const EVENT_PAGE_SIZE = 200;
+
+/**
+ * Chain client backed by TronWeb and its event server (TronGrid `/v1/contracts/:address/events`
+ * and `/v1/accounts/:address/transactions`).
+ * Any object with the same six methods can be passed to `createDepositWatcher` instead.
+ * @param {TronWeb} tronWeb
+ * @param {string} factory - VaultFactory address
+ */
+function tronWebDepositClient(tronWeb, factory) {
+  return {
+    async getImplementation() {
+      return toEvmAddress(await factoryContract(tronWeb, factory).implementation().call());
+    },
+
+    // "0x41" on TRON, as `VaultFactory` detected it at deployment. Factories deployed before
+    // `create2Prefix()` existed revert on it, and only ever ran on TRON.
+    async getCreate2Prefix() {
+      try {
+        return String(await factoryContract(tronWeb, factory).create2Prefix().call()).toLowerCase();
+      } catch {
+        return CHAIN_FLAVOURS.tron.create2Prefix;
+      }
+    },
+
+    async getFactoryNonce(owner) {
+      return toUint256(await factoryContract(tronWeb, factory).nonces(toEvmAddress(owner)).call(), "nonce");
+    },
+
+    async getLatestBlock() {
+      const { block_header } = await tronWeb.trx.getCurrentBlock();
+      return { number: block_header.raw_data.number, timestamp: block_header.raw_data.timestamp };
+    },
+
+    // Transfer events at or after `fromTimestamp`, oldest first
+    async getTransferEvents(token, { fromTimestamp }) {
+      const events = [];
+      let fingerprint;
+      do {
+        const page = await tronWeb.event.getEventsByContractAddress(toEvmAddress(token).replace(/^0x/, "41"), {
+          eventName: "Transfer",
+          onlyConfirmed: true,
+          minBlockTimestamp: fromTimestamp,
+          orderBy: "block_timestamp,asc",
+          limit: EVENT_PAGE_SIZE,
+          fingerprint,
+        });
+        for (const event of page.data || []) {
+          events.push({
+            txid: event.transaction_id,
+            logIndex: event.event_index,
+            blockNumber: event.block_number,
+            blockTimestamp: event.block_timestamp,
+            from: event.result.from,
+            to: event.result.to,
+            value: event.result.value,
+          });
+        }
+        fingerprint = page.meta && page.meta.fingerprint;
+      } while (fingerprint);
+      return events;
+    },
+
+    // Plain TRX transfers into `address` at or after `fromTimestamp`, oldest first
+    async getTrxTransfers(address, { fromTimestamp }) {
+      const transfers = [];
+      let fingerprint;
+      do {
+        const query = new URLSearchParams({
+          only_to: "true",
+          only_confirmed: "true",
+          search_internal: "false",
+          min_timestamp: String(fromTimestamp),
+          order_by: "block_timestamp,asc",
+          limit: String(EVENT_PAGE_SIZE),
+          ...(fingerprint && { fingerprint }),
+        });
+        const account = ethToBase58(toEvmAddress(address));
+        const page = await tronWeb.eventServer.request(`v1/accounts/${account}/transactions?${query}`);
+        for (const tx of page.data || []) {
+          const [contract] = tx.raw_data.contract;
+          if (contract.type !== "TransferContract") continue;
+          transfers.push({
+            txid: tx.txID,
+            logIndex: 0,
+            blockNumber: tx.blockNumber,
+            blockTimestamp: tx.block_timestamp,
+            from: contract.parameter.value.owner_address,
+            to: contract.parameter.value.to_address,
+            value: contract.parameter.value.amount,
+          });
+        }
+        fingerprint = page.meta && page.meta.fingerprint;
+      } while (fingerprint);
+      return transfers;
+    },
+  };
+}
+
+/**
+ * Watches the counterfactual vault addresses of a set of owners for incoming TRC20
+ * transfers, whether or not `VaultFactory.deploy` has run for them. With "TRX" among
+ * the tokens, plain TRX transfers into the vaults are reported too (as token `TRX`,
+ * log index 0); TRX sent by contracts is not, but still shows in the vault balance.
+ *
+ * Emits `deposit` once per Transfer into a watched vault, then saves the checkpoint,
+ * so a crash between the two re-emits on restart: dedupe on `txid` + `logIndex`.
+ *
+ * @param {object} options
+ * @param {object} options.client - chain client, see `tronWebDepositClient`
+ * @param {string} options.factory - VaultFactory address
+ * @param {object} [options.network] - the factory's network, a `resolveNetwork` result or config entry; its
+ *   flavour gives the CREATE2 prefix and its `implementation`, if set, the Vault implementation
+ * @param {string} [options.implementation] - Vault implementation, defaults to `network.implementation`,
+ *   read from the client when neither is set
+ * @param {string} [options.create2Prefix] - the chain's CREATE2 prefix, "0x41" on TRON and "0xff" on EVM chains;
+ *   defaults to the network's, read from the client without a network
+ * @param {Iterable<string>} options.owners - vault owners to watch
+ * @param {Iterable<string>} options.tokens - TRC20 tokens to watch, "TRX" for native TRX
+ * @param {object} [options.checkpoint] - `{ load, save }` store, see `checkpoint.js`
+ * @param {number} [options.fromBlock] - first block to scan when there is no checkpoint, defaults to the latest block
+ * @param {number} [options.pollInterval] - ms between polls once started
+ * @returns {EventEmitter & {poll: Function, start: Function, stop: Function, addresses: Function}}
+ */
+function createDepositWatcher({
+  client,
+  factory,
+  network,
+  implementation = network && network.implementation,
+  create2Prefix = network && resolveChain(network).create2Prefix,
+  owners,
+  tokens,
+  checkpoint = memoryCheckpoint(),
+  fromBlock,
+  pollInterval = 10_000,
+}) {
+  const watcher = new EventEmitter();
+  factory = toEvmAddress(factory);
+  owners = [...owners].map(toEvmAddress);
+  tokens = [...tokens].map(toTokenAddress);
+
+  let state;
+  let timer = null;
+  let running = false;
+
+  /**
+   * Derives each owner's vault address for its current factory nonce.
+   * @returns {Promise<Map<string, {owner: string, factoryNonce: bigint}>>} keyed by vault address
+   */
+  async function addresses() {
+    if (!implementation) implementation = await client.getImplementation();
+    if (!create2Prefix) create2Prefix = await client.getCreate2Prefix();
+    const vaults = new Map();
+    for (const owner of owners) {
+      const factoryNonce = await client.getFactoryNonce(owner);
+      const vault = computeVaultAddress(factory, toEvmAddress(implementation), owner, factoryNonce, create2Prefix);
+      vaults.set(vault, { owner, factoryNonce });
+    }
+    return vaults;
+  }
+
+  async function startingPoint() {
+    if (fromBlock !== undefined) return { blockNumber: fromBlock, blockTimestamp: 0, seen: [] };
+    const latest = await client.getLatestBlock();
+    return { blockNumber: latest.number, blockTimestamp: latest.timestamp, seen: [] };
+  }
+
+  /**
+   * Scans every token once from its checkpoint.
+   * @returns {Promise<object[]>} deposits found in this poll
+   */
+  async function poll() {
+    if (!state) state = (await checkpoint.load()) || {};
+    const vaults = await addresses();
+    const deposits = [];
+
+    for (const token of tokens) {
+      let cp = state[token] || (await startingPoint());
+      const range = { fromBlock: cp.blockNumber, fromTimestamp: cp.blockTimestamp };
+      const events = [];
+      if (isTrx(token)) {
+        for (const vault of vaults.keys()) events.push(...(await client.getTrxTransfers(vault, range)));
+      } else {
+        events.push(...(await client.getTransferEvents(token, range)));
+      }
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      for (const event of events) {
+        const key = `${event.txid}:${event.logIndex}`;
+        if (event.blockNumber < cp.blockNumber) continue;
+        if (event.blockNumber === cp.blockNumber && cp.seen.includes(key)) continue;
+
+        if (event.blockNumber > cp.blockNumber) {
+          cp = { blockNumber: event.blockNumber, blockTimestamp: event.blockTimestamp, seen: [] };
+        }
+        cp.seen.push(key);
+
+        const vault = toEvmAddress(event.to);
+        const match = vaults.get(vault);
+        if (!match) continue;
+
+        deposits.push({
+          owner: match.owner,
+          factoryNonce: match.factoryNonce.toString(),
+          vault,
+          token,
+          from: toEvmAddress(event.from),
+          amount: toUint256(event.value, "value").toString(),
+          txid: event.txid,
+          logIndex: event.logIndex,
+          blockNumber: event.blockNumber,
+          blockTimestamp: event.blockTimestamp,
+        });
+      }
+
+      state[token] = cp;
+    }
+
+    for (const deposit of deposits) watcher.emit("deposit", deposit);
+    await checkpoint.save(state);
+    return deposits;
+  }
+
+  async function loop() {
+    try {
+      await poll();
+    } catch (err) {
+      if (watcher.listenerCount("error") > 0) watcher.emit("error", err);
+    }
+    if (running) timer = setTimeout(loop, pollInterval);
+  }
+
+  watcher.addresses = addresses;
+  watcher.poll = poll;
+  watcher.start = () => {
+    if (running) return watcher;
+    running = true;
+    loop();
+    return watcher;
+  };
+  watcher.stop = () => {
+    running = false;
+    clearTimeout(timer);
+    return watcher;
+  };
+
+  return watcher;
+}
+
+module.exports = {
+  createDepositWatcher,
+  tronWebDepositClient,
+};